@@ -0,0 +1,14 @@
+const int = (value, fallback) => parseInt(value, 10) || fallback;
+
+// Live events are kept in a capped collection of this many events (about
+// 1 KB each); clients reconnecting with Last-Event-ID get the events they
+// missed while they are still in it
+const BUFFER_EVENTS = int(process.env.LIVE_EVENTS_BUFFER, 5000);
+
+// Streams send a comment this often so proxies keep idle connections open
+const HEARTBEAT_SECONDS = int(process.env.LIVE_EVENTS_HEARTBEAT_SECONDS, 25);
+
+module.exports = {
+  BUFFER_EVENTS,
+  HEARTBEAT_SECONDS
+};
@@ -0,0 +1,28 @@
+const int = (value, fallback) => parseInt(value, 10) || fallback;
+
+const LOCK_MINUTES = int(process.env.LOGIN_LOCK_MINUTES, 15);
+const FAILURE_WINDOW_MINUTES = int(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 15);
+const DELAY_BASE_MS = int(process.env.LOGIN_DELAY_BASE_MS, 1000);
+const DELAY_MAX_MS = int(process.env.LOGIN_DELAY_MAX_MS, 30 * 1000);
+
+// Failed logins are counted per account (email) and per client IP. After
+// `freeAttempts` failures each new attempt must wait a delay that doubles with
+// every failure; at `lockThreshold` failures the key is locked out.
+const ACCOUNT_POLICY = {
+  freeAttempts: int(process.env.LOGIN_ACCOUNT_FREE_ATTEMPTS, 3),
+  lockThreshold: int(process.env.LOGIN_ACCOUNT_LOCK_THRESHOLD, 5)
+};
+
+const IP_POLICY = {
+  freeAttempts: int(process.env.LOGIN_IP_FREE_ATTEMPTS, 10),
+  lockThreshold: int(process.env.LOGIN_IP_LOCK_THRESHOLD, 20)
+};
+
+module.exports = {
+  LOCK_MINUTES,
+  FAILURE_WINDOW_MINUTES,
+  DELAY_BASE_MS,
+  DELAY_MAX_MS,
+  ACCOUNT_POLICY,
+  IP_POLICY
+};
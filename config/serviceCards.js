@@ -0,0 +1,14 @@
+// Days before expiry at which holders and company admins are reminded that a
+// service card expires, e.g. SERVICE_CARD_REMINDER_DAYS=30,7,1 (empty to
+// send no reminders)
+const days = (value, fallback) => {
+  if (value === undefined) return fallback;
+  return [...new Set(value.split(',').map(day => parseInt(day, 10)).filter(day => day > 0))]
+    .sort((a, b) => b - a);
+};
+
+const REMINDER_DAYS = days(process.env.SERVICE_CARD_REMINDER_DAYS, [30, 7, 1]);
+
+module.exports = {
+  REMINDER_DAYS
+};
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback_secret';
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque and rotate on use
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const signAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  });
+};
+
+const verifyAccessToken = (token) => jwt.verify(token, JWT_SECRET);
+
+// Issued by login when the password is right but a second factor is still
+// needed; only accepted by POST /api/users/login/2fa
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = '5m';
+const TWO_FACTOR_AUDIENCE = 'two_factor_login';
+
+const signTwoFactorChallenge = (userId) => {
+  return jwt.sign({ userId }, JWT_SECRET, {
+    expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+    audience: TWO_FACTOR_AUDIENCE
+  });
+};
+
+const verifyTwoFactorChallenge = (token) => jwt.verify(token, JWT_SECRET, { audience: TWO_FACTOR_AUDIENCE });
+
+// Entry codes sent to invited visitors (as a QR code); only accepted by
+// POST /api/visits/check-in until `expiresAt`
+const VISIT_ENTRY_AUDIENCE = 'visit_entry';
+
+const signVisitEntryToken = (visitId, expiresAt) => {
+  return jwt.sign({ visitId, exp: Math.floor(expiresAt.getTime() / 1000) }, JWT_SECRET, {
+    audience: VISIT_ENTRY_AUDIENCE
+  });
+};
+
+const verifyVisitEntryToken = (token) => jwt.verify(token, JWT_SECRET, { audience: VISIT_ENTRY_AUDIENCE });
+
+// Printed on visitor badges (as a QR code) so guards can check them with
+// POST /api/visits/badge/verify; expires with the badge
+const VISIT_BADGE_AUDIENCE = 'visit_badge';
+
+const signVisitBadgeToken = (visitId, expiresAt) => {
+  return jwt.sign({ visitId, exp: Math.floor(expiresAt.getTime() / 1000) }, JWT_SECRET, {
+    audience: VISIT_BADGE_AUDIENCE
+  });
+};
+
+const verifyVisitBadgeToken = (token) => jwt.verify(token, JWT_SECRET, { audience: VISIT_BADGE_AUDIENCE });
+
+const randomSecret = () => crypto.randomBytes(32).toString('hex');
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
+  REFRESH_TOKEN_TTL_DAYS,
+  signAccessToken,
+  verifyAccessToken,
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  signVisitEntryToken,
+  verifyVisitEntryToken,
+  signVisitBadgeToken,
+  verifyVisitBadgeToken,
+  randomSecret,
+  hashSecret
+};
@@ -0,0 +1,17 @@
+// Two-factor authentication (TOTP) settings
+
+// Issuer name shown by authenticator apps
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'EasyDoor';
+
+// Platform and company admins must enable 2FA before using their privileges.
+// Set TWO_FACTOR_ENFORCE=false while existing admins enroll.
+const ENFORCED = process.env.TWO_FACTOR_ENFORCE !== 'false';
+
+// How long a second factor check covers sensitive actions in a session
+const STEP_UP_MINUTES = parseInt(process.env.TWO_FACTOR_STEP_UP_MINUTES, 10) || 5;
+
+module.exports = {
+  ISSUER,
+  ENFORCED,
+  STEP_UP_MINUTES
+};
@@ -0,0 +1,32 @@
+const int = (value, fallback) => parseInt(value, 10) || fallback;
+
+// Invited visitors can check in with their entry code from ENTRY_EARLY_MINUTES
+// before the expected arrival until ENTRY_LATE_MINUTES after it; the code
+// expires at the end of that window
+const ENTRY_EARLY_MINUTES = int(process.env.VISIT_ENTRY_EARLY_MINUTES, 60);
+const ENTRY_LATE_MINUTES = int(process.env.VISIT_ENTRY_LATE_MINUTES, 4 * 60);
+
+// Accepted visits whose visitor has not arrived this long after the expected
+// arrival become no-shows, unless their office sets its own grace period
+const NO_SHOW_GRACE_MINUTES = int(process.env.VISIT_NO_SHOW_GRACE_MINUTES, 30);
+
+// Visitors who accepted the current version of an agreement within this many
+// days are not asked to sign it again, unless the agreement sets its own window
+const AGREEMENT_VALIDITY_DAYS = int(process.env.VISIT_AGREEMENT_VALIDITY_DAYS, 30);
+
+// Visitor badges are valid this many hours from clock-in (or from the start of
+// the check-in window), and never past the office's closing time
+const BADGE_VALIDITY_HOURS = int(process.env.VISIT_BADGE_VALIDITY_HOURS, 12);
+
+// Kiosk walk-ins not approved within this many minutes expire: the visitor is
+// not left waiting at reception, nor let in once they are gone
+const WALK_IN_APPROVAL_MINUTES = int(process.env.VISIT_WALK_IN_APPROVAL_MINUTES, 30);
+
+module.exports = {
+  ENTRY_EARLY_MINUTES,
+  ENTRY_LATE_MINUTES,
+  NO_SHOW_GRACE_MINUTES,
+  AGREEMENT_VALIDITY_DAYS,
+  BADGE_VALIDITY_HOURS,
+  WALK_IN_APPROVAL_MINUTES
+};
@@ -0,0 +1,27 @@
+const int = (value, fallback) => parseInt(value, 10) || fallback;
+
+// A delivery fails when the endpoint has not answered within this many seconds
+const TIMEOUT_SECONDS = int(process.env.WEBHOOK_TIMEOUT_SECONDS, 10);
+
+// Failed deliveries are retried up to WEBHOOK_MAX_ATTEMPTS attempts in all,
+// waiting WEBHOOK_RETRY_BASE_SECONDS after the first failure and twice as long
+// after each next one, never more than WEBHOOK_RETRY_MAX_SECONDS
+const MAX_ATTEMPTS = int(process.env.WEBHOOK_MAX_ATTEMPTS, 8);
+const RETRY_BASE_SECONDS = int(process.env.WEBHOOK_RETRY_BASE_SECONDS, 60);
+const RETRY_MAX_SECONDS = int(process.env.WEBHOOK_RETRY_MAX_SECONDS, 6 * 60 * 60);
+
+// Let webhooks (company endpoints and the notification channel) post to
+// local and private network addresses, for development only
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+// The delivery log keeps this many days of deliveries
+const DELIVERY_RETENTION_DAYS = int(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS, 30);
+
+module.exports = {
+  TIMEOUT_SECONDS,
+  MAX_ATTEMPTS,
+  RETRY_BASE_SECONDS,
+  RETRY_MAX_SECONDS,
+  DELIVERY_RETENTION_DAYS,
+  ALLOW_PRIVATE_URLS
+};
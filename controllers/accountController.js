@@ -0,0 +1,125 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/accountEmails');
+
+// @desc Request a password reset email
+// @route POST /api/users/forgot-password
+// @access Public
+const forgotPassword = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email, active: 1 });
+
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be probed
+    res.json({
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to send password reset email',
+      error: error.message
+    });
+  }
+};
+
+// @desc Reset password with a token from the reset email
+// @route POST /api/users/reset-password
+// @access Public
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await UserToken.consume(token, 'password_reset');
+    const user = userId ? await User.findOne({ _id: userId, active: 1 }) : null;
+
+    if (!user) {
+      return res.status(400).json({
+        message: 'Invalid or expired password reset token'
+      });
+    }
+
+    user.password = password;
+    // Setting a password turns an invited visitor's guest profile into an account
+    user.guest = false;
+    // Receiving the reset email proves the address belongs to the user
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await Session.revokeAll(user._id, 'password_changed');
+
+    res.json({
+      message: 'Password reset successfully. Please log in with your new password.'
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to reset password',
+      error: error.message
+    });
+  }
+};
+
+// @desc Verify email address with a token from the verification email
+// @route POST /api/users/verify-email
+// @access Public
+const verifyEmail = async (req, res) => {
+  try {
+    const userId = await UserToken.consume(req.body.token, 'email_verification');
+    const user = userId ? await User.findOne({ _id: userId, active: 1 }) : null;
+
+    if (!user) {
+      return res.status(400).json({
+        message: 'Invalid or expired email verification token'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json({
+      message: 'Email verified successfully',
+      user
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to verify email',
+      error: error.message
+    });
+  }
+};
+
+// @desc Send a new email verification link
+// @route POST /api/users/resend-verification
+// @access Public
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email, active: 1 });
+
+    if (user && !user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({
+      message: 'If this email needs verification, a new link has been sent'
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to send verification email',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+};
@@ -0,0 +1,165 @@
+const AgreementTemplate = require('../models/AgreementTemplate');
+const Company = require('../models/Company');
+const Office = require('../models/Office');
+
+const populateAgreement = (query) => query
+  .populate('company', 'fullName acronym')
+  .populate('office', 'name address city');
+
+// @desc Create a visitor agreement (NDA, safety rules...) for a company or one of its offices
+// @route POST /api/agreements
+// @access Private
+const createAgreement = async (req, res) => {
+  try {
+    const { company: companyId, office: officeId = null, ...fields } = req.body;
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return res.status(404).json({
+        message: 'Company not found'
+      });
+    }
+
+    if (officeId) {
+      const office = await Office.findById(officeId);
+      if (!office) {
+        return res.status(404).json({
+          message: 'Office not found'
+        });
+      }
+
+      if (!office.company.equals(company._id)) {
+        return res.status(400).json({
+          message: 'Office does not belong to this company'
+        });
+      }
+    }
+
+    const agreement = new AgreementTemplate({
+      ...fields,
+      company: company._id,
+      office: officeId,
+      createdBy: req.user.userId
+    });
+
+    await agreement.save();
+
+    res.status(201).json({
+      message: 'Agreement created successfully',
+      agreement: await populateAgreement(AgreementTemplate.findById(agreement._id))
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to create agreement',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get visitor agreements (current versions)
+// @route GET /api/agreements
+// @access Private
+const getAgreements = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, company, office, kind, active } = req.query;
+
+    const query = {};
+
+    if (company) {
+      query.company = company;
+    }
+
+    if (office) {
+      query.office = office;
+    }
+
+    if (kind) {
+      query.kind = kind;
+    }
+
+    if (active !== undefined) {
+      query.active = active;
+    }
+
+    const agreements = await populateAgreement(AgreementTemplate.find(query).select('-versions'))
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ company: 1, office: 1, createdAt: 1 });
+
+    const total = await AgreementTemplate.countDocuments(query);
+
+    res.json({
+      agreements,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalAgreements: total
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch agreements',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get visitor agreement by ID, with every published version
+// @route GET /api/agreements/:id
+// @access Private
+const getAgreementById = async (req, res) => {
+  try {
+    const agreement = await populateAgreement(AgreementTemplate.findById(req.params.id))
+      .populate('versions.publishedBy', 'firstName lastName');
+
+    if (!agreement) {
+      return res.status(404).json({
+        message: 'Agreement not found'
+      });
+    }
+
+    res.json(agreement);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch agreement',
+      error: error.message
+    });
+  }
+};
+
+// @desc Update visitor agreement (a new title or text publishes a new version)
+// @route PATCH /api/agreements/:id
+// @access Private
+const updateAgreement = async (req, res) => {
+  try {
+    const agreement = await AgreementTemplate.findById(req.params.id);
+
+    if (!agreement) {
+      return res.status(404).json({
+        message: 'Agreement not found'
+      });
+    }
+
+    const previousVersion = agreement.version;
+
+    agreement.set(req.body);
+    await agreement.save();
+
+    res.json({
+      message: agreement.version === previousVersion
+        ? 'Agreement updated successfully'
+        : `Agreement updated. Visitors will sign version ${agreement.version}`,
+      agreement: await populateAgreement(AgreementTemplate.findById(agreement._id))
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to update agreement',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createAgreement,
+  getAgreements,
+  getAgreementById,
+  updateAgreement
+};
@@ -0,0 +1,220 @@
+const VisitApprovalRule = require('../models/VisitApprovalRule');
+const Company = require('../models/Company');
+const Office = require('../models/Office');
+
+// Approvers must belong to the company whose visits they approve. Returns
+// the IDs that do not.
+const outsideApprovers = (company, ids = []) => {
+  const members = new Set([...company.admin, ...company.employee].map(id => id.toString()));
+  return ids.filter(id => !members.has(id.toString()));
+};
+
+const populateRule = (query) => query
+  .populate('company', 'fullName acronym')
+  .populate('office', 'name address city')
+  .populate('securityApprovers', 'firstName lastName email')
+  .populate('managerApprovers', 'firstName lastName email');
+
+// @desc Create a visit approval rule for a company or one of its offices
+// @route POST /api/approval-rules
+// @access Private
+const createApprovalRule = async (req, res) => {
+  try {
+    const { company: companyId, office: officeId = null, ...fields } = req.body;
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return res.status(404).json({
+        message: 'Company not found'
+      });
+    }
+
+    if (officeId) {
+      const office = await Office.findById(officeId);
+      if (!office) {
+        return res.status(404).json({
+          message: 'Office not found'
+        });
+      }
+
+      if (!office.company.equals(company._id)) {
+        return res.status(400).json({
+          message: 'Office does not belong to this company'
+        });
+      }
+    }
+
+    const outsiders = outsideApprovers(company, [...(fields.securityApprovers || []), ...(fields.managerApprovers || [])]);
+    if (outsiders.length) {
+      return res.status(400).json({
+        message: 'Approvers must be admins or employees of the company',
+        approvers: outsiders
+      });
+    }
+
+    const existingRule = await VisitApprovalRule.findOne({ company: company._id, office: officeId });
+    if (existingRule) {
+      return res.status(400).json({
+        message: officeId ? 'This office already has an approval rule' : 'This company already has a default approval rule',
+        rule: existingRule._id
+      });
+    }
+
+    const rule = new VisitApprovalRule({
+      ...fields,
+      company: company._id,
+      office: officeId,
+      createdBy: req.user.userId
+    });
+
+    await rule.save();
+
+    res.status(201).json({
+      message: 'Approval rule created successfully',
+      rule: await populateRule(VisitApprovalRule.findById(rule._id))
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to create approval rule',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get visit approval rules
+// @route GET /api/approval-rules
+// @access Private
+const getApprovalRules = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, company, office } = req.query;
+
+    const query = {};
+
+    if (company) {
+      query.company = company;
+    }
+
+    if (office) {
+      query.office = office;
+    }
+
+    const rules = await populateRule(VisitApprovalRule.find(query))
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ company: 1, office: 1 });
+
+    const total = await VisitApprovalRule.countDocuments(query);
+
+    res.json({
+      rules,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalRules: total
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch approval rules',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get visit approval rule by ID
+// @route GET /api/approval-rules/:id
+// @access Private
+const getApprovalRuleById = async (req, res) => {
+  try {
+    const rule = await populateRule(VisitApprovalRule.findById(req.params.id));
+
+    if (!rule) {
+      return res.status(404).json({
+        message: 'Approval rule not found'
+      });
+    }
+
+    res.json(rule);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch approval rule',
+      error: error.message
+    });
+  }
+};
+
+// @desc Update visit approval rule
+// @route PATCH /api/approval-rules/:id
+// @access Private
+const updateApprovalRule = async (req, res) => {
+  try {
+    const rule = await VisitApprovalRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        message: 'Approval rule not found'
+      });
+    }
+
+    const { businessHours, ...fields } = req.body;
+
+    const company = await Company.findById(rule.company);
+    const outsiders = company
+      ? outsideApprovers(company, [...(fields.securityApprovers || []), ...(fields.managerApprovers || [])])
+      : [];
+    if (outsiders.length) {
+      return res.status(400).json({
+        message: 'Approvers must be admins or employees of the company',
+        approvers: outsiders
+      });
+    }
+
+    rule.set(fields);
+    if (businessHours) {
+      const current = rule.businessHours ? rule.businessHours.toObject() : {};
+      rule.set({ businessHours: { ...current, ...businessHours } });
+    }
+    await rule.save();
+
+    res.json({
+      message: 'Approval rule updated successfully',
+      rule: await populateRule(VisitApprovalRule.findById(rule._id))
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to update approval rule',
+      error: error.message
+    });
+  }
+};
+
+// @desc Delete visit approval rule (visits fall back to the company default)
+// @route DELETE /api/approval-rules/:id
+// @access Private
+const deleteApprovalRule = async (req, res) => {
+  try {
+    const rule = await VisitApprovalRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        message: 'Approval rule not found'
+      });
+    }
+
+    res.json({
+      message: 'Approval rule deleted successfully',
+      rule
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to delete approval rule',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createApprovalRule,
+  getApprovalRules,
+  getApprovalRuleById,
+  updateApprovalRule,
+  deleteApprovalRule
+};
@@ -1,6 +1,10 @@
 const Attendance = require('../models/Attendance');
 const User = require('../models/User');
 const Office = require('../models/Office');
+const { occupySpot, enqueue, leaveOffice } = require('../services/occupancy');
+const { startAttendance, endAttendance, discardAttendance } = require('../services/companyCounters');
+const { emitEvent } = require('../services/webhooks');
+const { publish } = require('../services/liveEvents');
 
 // @desc Create attendance (Clock in)
 // @route POST /api/attendance
@@ -46,13 +50,47 @@ const createAttendance = async (req, res) => {
       });
     }
 
+    // Working from the office takes a spot in it
+    if (workingFrom === 'office') {
+      const { full, office: officeState } = await occupySpot(office);
+
+      if (full && officeState.capacityPolicy === 'queue') {
+        const { entry, position } = await enqueue(officeState, { employee: employeeExists._id });
+        return res.status(202).json({
+          message: 'Office is at capacity. Employee added to the waiting queue',
+          queueEntry: entry,
+          position
+        });
+      }
+
+      if (full) {
+        return res.status(409).json({
+          message: 'Office is at capacity',
+          capacity: officeState.capacity,
+          currentOccupancy: officeState.currentOccupancy
+        });
+      }
+    }
+
     const attendance = new Attendance({
       employee,
       workingFrom,
-      office: workingFrom === 'office' ? office : null
+      office: workingFrom === 'office' ? office : null,
+      company: employeeExists.employer
     });
 
-    await attendance.save();
+    try {
+      await startAttendance(attendance);
+    } catch (saveError) {
+      if (workingFrom === 'office') {
+        await leaveOffice(office);
+      }
+      throw saveError;
+    }
+
+    await emitEvent('attendance.clocked_in', attendance);
+
+    await publish('attendance.clocked_in', attendance);
 
     res.status(201).json({
       message: 'Clock in successful',
@@ -94,7 +132,7 @@ const getAllAttendance = async (req, res) => {
     
     // Filter by active status if provided
     if (isActive !== undefined) {
-      query.isActive = isActive === 'true';
+      query.isActive = isActive;
     }
     
     // Filter by date if provided
@@ -161,38 +199,38 @@ const getAttendanceById = async (req, res) => {
 // @access Private
 const updateAttendance = async (req, res) => {
   try {
-    const attendanceId = req.params.id;
-    const updates = req.body;
-
-    // Remove fields that shouldn't be updated directly
-    delete updates._id;
-    delete updates.__v;
-    delete updates.createdAt;
+    const attendance = await Attendance.findById(req.params.id);
 
-    // Handle date fields
-    if (updates.clockIn) {
-      updates.clockIn = new Date(updates.clockIn);
+    if (!attendance) {
+      return res.status(404).json({
+        message: 'Attendance record not found'
+      });
     }
-    if (updates.clockOut) {
-      updates.clockOut = new Date(updates.clockOut);
+
+    // Ending a session frees its office spot and updates the company
+    // counters, which only clocking out does
+    if (req.body.clockOut && attendance.isActive) {
+      return res.status(400).json({
+        message: 'Attendance session is still active. Clock the employee out instead.'
+      });
     }
 
-    const attendance = await Attendance.findByIdAndUpdate(
-      attendanceId,
-      { $set: updates },
-      { new: true, runValidators: true }
-    ).populate('employee', 'firstName lastName email')
-     .populate('office', 'name address city');
+    attendance.set(req.body);
 
-    if (!attendance) {
-      return res.status(404).json({
-        message: 'Attendance record not found'
+    if (attendance.clockOut && attendance.clockOut <= attendance.clockIn) {
+      return res.status(400).json({
+        message: 'Clock-out must be after clock-in'
       });
     }
 
+    // Saved (not updated in place) so the duration follows the new times
+    await attendance.save();
+
     res.json({
       message: 'Attendance record updated successfully',
-      attendance
+      attendance: await Attendance.findById(attendance._id)
+        .populate('employee', 'firstName lastName email')
+        .populate('office', 'name address city')
     });
   } catch (error) {
     res.status(400).json({
@@ -215,6 +253,12 @@ const deleteAttendance = async (req, res) => {
       });
     }
 
+    // An employee still inside no longer counts towards occupancy
+    if (attendance.isActive && attendance.office) {
+      await leaveOffice(attendance.office);
+    }
+    await discardAttendance(attendance);
+
     res.json({
       message: 'Attendance record deleted successfully',
       attendance
@@ -252,8 +296,15 @@ const clockOut = async (req, res) => {
       });
     }
 
-    attendance.clockOut = new Date();
-    await attendance.save();
+    await endAttendance(attendance);
+
+    if (attendance.office) {
+      await leaveOffice(attendance.office);
+    }
+
+    await emitEvent('attendance.clocked_out', attendance);
+
+    await publish('attendance.clocked_out', attendance);
 
     res.json({
       message: 'Clock out successful',
@@ -289,8 +340,15 @@ const clockOutByEmployee = async (req, res) => {
       });
     }
 
-    attendance.clockOut = new Date();
-    await attendance.save();
+    await endAttendance(attendance);
+
+    if (attendance.office) {
+      await leaveOffice(attendance.office);
+    }
+
+    await emitEvent('attendance.clocked_out', attendance);
+
+    await publish('attendance.clocked_out', attendance);
 
     res.json({
       message: 'Clock out successful',
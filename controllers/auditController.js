@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+
+const CSV_COLUMNS = ['createdAt', 'action', 'actor', 'actorEmail', 'targetModel', 'targetId', 'company', 'ip', 'route', 'changes', 'metadata'];
+
+// Build the audit log query from the request filters
+const buildQuery = ({ actor, targetModel, targetId, company, action, from, to }) => {
+  const query = {};
+
+  if (actor) query.actor = actor;
+  if (targetModel) query.targetModel = targetModel;
+  if (targetId) query.targetId = targetId;
+  if (company) query.company = company;
+  if (action) query.action = action;
+
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+
+  return query;
+};
+
+const toText = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// Quote a CSV cell, neutralizing values a spreadsheet would run as formulas
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = toText(value);
+
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvRow = (log) => [
+  log.createdAt,
+  log.action,
+  log.actor ? log.actor._id : null,
+  log.actor ? log.actor.email : null,
+  log.targetModel,
+  log.targetId,
+  log.company,
+  log.ip,
+  log.route,
+  log.changes,
+  log.metadata
+].map(csvCell).join(',');
+
+// @desc Get audit log entries
+// @route GET /api/audit
+// @access Private
+const getAuditLogs = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const query = buildQuery(req.query);
+
+    const auditLogs = await AuditLog.find(query)
+      .populate('actor', 'firstName lastName email')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await AuditLog.countDocuments(query);
+
+    res.json({
+      auditLogs,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalLogs: total
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch audit logs',
+      error: error.message
+    });
+  }
+};
+
+// @desc Export audit log entries as CSV
+// @route GET /api/audit/export
+// @access Private
+const exportAuditLogs = async (req, res) => {
+  try {
+    const query = buildQuery(req.query);
+
+    // Exports are themselves audited
+    await AuditLog.record({
+      action: 'audit.export',
+      company: req.user.company || null,
+      metadata: { filters: req.query }
+    });
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="audit-log-${date}.csv"`);
+    res.write(`${CSV_COLUMNS.join(',')}\n`);
+
+    // Stream the entries so large exports are not held in memory
+    const cursor = AuditLog.find(query)
+      .populate('actor', 'email')
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+
+    for await (const log of cursor) {
+      res.write(`${csvRow(log)}\n`);
+    }
+
+    res.end();
+  } catch (error) {
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      message: 'Failed to export audit logs',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAuditLogs,
+  exportAuditLogs
+};
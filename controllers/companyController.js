@@ -1,5 +1,6 @@
 const Company = require('../models/Company');
 const User = require('../models/User');
+const { syncServiceStatus, rebuildCompanyCounters } = require('../services/companyCounters');
 
 // @desc Create a new company
 // @route POST /api/companies
@@ -48,7 +49,7 @@ const getAllCompanies = async (req, res) => {
     
     // Filter by active status if provided
     if (active !== undefined) {
-      query.active = active === 'true';
+      query.active = active;
     }
 
     const companies = await Company.find(query)
@@ -187,7 +188,8 @@ const addEmployee = async (req, res) => {
       });
     }
 
-    const user = await User.findById(employeeId);
+    // New hires are not part of the company yet, so look outside the tenant
+    const user = await User.findById(employeeId).setOptions({ tenantScope: false });
     if (!user) {
       return res.status(404).json({
         message: 'User not found'
@@ -209,6 +211,9 @@ const addEmployee = async (req, res) => {
     await company.save();
     await user.save();
 
+    // Members without a valid service card are out of service
+    await syncServiceStatus(user._id, company._id);
+
     res.json({
       message: 'Employee added successfully',
       company: await Company.findById(companyId)
@@ -263,43 +268,30 @@ const removeEmployee = async (req, res) => {
   }
 };
 
-// @desc Update employee status in company
-// @route PATCH /api/companies/:id/employee-status
+// @desc Recompute company counters from attendance, service cards and visits
+// @route POST /api/companies/:id/counters/rebuild
 // @access Private
-const updateEmployeeStatus = async (req, res) => {
+const rebuildCounters = async (req, res) => {
   try {
-    const { employeeId, status } = req.body; // status: 'inOffice' or 'outOfService'
-    const companyId = req.params.id;
-
-    const company = await Company.findById(companyId);
+    const company = await Company.findById(req.params.id);
     if (!company) {
       return res.status(404).json({
         message: 'Company not found'
       });
     }
 
-    // Remove from both arrays first
-    company.inOffice = company.inOffice.filter(id => id.toString() !== employeeId);
-    company.outOfService = company.outOfService.filter(id => id.toString() !== employeeId);
-
-    // Add to appropriate array
-    if (status === 'inOffice') {
-      company.inOffice.push(employeeId);
-    } else if (status === 'outOfService') {
-      company.outOfService.push(employeeId);
-    }
-
-    await company.save();
+    const [rebuilt] = await rebuildCompanyCounters({ company: company._id });
 
     res.json({
-      message: 'Employee status updated successfully',
-      company: await Company.findById(companyId)
+      message: rebuilt ? 'Company counters corrected' : 'Company counters were already up to date',
+      changes: rebuilt ? rebuilt.changes : {},
+      company: await Company.findById(company._id)
         .populate('inOffice', 'firstName lastName')
         .populate('outOfService', 'firstName lastName')
     });
   } catch (error) {
-    res.status(400).json({
-      message: 'Failed to update employee status',
+    res.status(500).json({
+      message: 'Failed to rebuild company counters',
       error: error.message
     });
   }
@@ -313,5 +305,5 @@ module.exports = {
   deleteCompany,
   addEmployee,
   removeEmployee,
-  updateEmployeeStatus
+  rebuildCounters
 };
\ No newline at end of file
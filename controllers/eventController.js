@@ -0,0 +1,102 @@
+const Session = require('../models/Session');
+const { subscribe } = require('../services/liveEvents');
+const { HEARTBEAT_SECONDS } = require('../config/liveEvents');
+
+// Wait before reconnecting asked of EventSource clients
+const RECONNECT_MS = 3000;
+
+// @desc Stream visit, attendance and occupancy changes (server-sent events)
+// @route GET /api/events/stream
+// @access Private
+const streamEvents = async (req, res) => {
+  try {
+    // Company admins and employees only follow their own company
+    const company = req.user.company ? req.user.company.toString() : req.query.company;
+    const { office, lastEventId } = req.query;
+    const { sessionId, tokenExpiresAt } = req.user;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Keep proxies (nginx) from holding events back
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    let unsubscribe = null;
+    let heartbeat = null;
+    let expiry = null;
+    let closed = false;
+
+    const write = (text) => {
+      if (!closed) res.write(text);
+    };
+
+    const send = (type, data, id) => {
+      write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    const listener = (message) => {
+      if (company && message.company !== company) return;
+      if (office && message.office !== office) return;
+      send(message.type, message, message.id);
+    };
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(expiry);
+      if (unsubscribe) unsubscribe();
+      res.end();
+    };
+
+    // The stream outlives neither its access token nor its session: clients
+    // are told to reconnect with a fresh token
+    const reauthenticate = () => {
+      if (closed) return;
+      send('reauthenticate', { message: 'Access token expired or session revoked. Reconnect with a fresh token.' });
+      close();
+    };
+
+    req.on('close', close);
+
+    expiry = setTimeout(reauthenticate, Math.max(tokenExpiresAt.getTime() - Date.now(), 0));
+    heartbeat = setInterval(async () => {
+      try {
+        const session = await Session.findById(sessionId);
+        if (!session || !session.isActive) return reauthenticate();
+        write(': heartbeat\n\n');
+      } catch (error) {
+        write(': heartbeat\n\n');
+      }
+    }, HEARTBEAT_SECONDS * 1000);
+
+    // Reconnecting clients get the events they missed first. EventSource sends
+    // the header itself; new ones opened with a fresh token use the query.
+    const since = req.get('Last-Event-ID') || lastEventId || null;
+    const stop = await subscribe(listener, {
+      since,
+      onMissed: () => send('reset', { message: 'Some events were missed. Reload the data shown.' })
+    });
+
+    if (closed) {
+      stop();
+    } else {
+      unsubscribe = stop;
+    }
+  } catch (error) {
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      message: 'Failed to stream events',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  streamEvents
+};
@@ -0,0 +1,366 @@
+const KioskDevice = require('../models/KioskDevice');
+const Office = require('../models/Office');
+const Company = require('../models/Company');
+const User = require('../models/User');
+const Visit = require('../models/Visit');
+const { findOrCreateVisitor, endVisit } = require('../services/visits');
+const { planApproval } = require('../services/visitApprovals');
+const { notifyVisitBooked } = require('../services/visitNotifications');
+const { applicableTemplates, pendingAgreements, summarize, signAgreements } = require('../services/agreements');
+const { emitEvent } = require('../services/webhooks');
+const { screenVisit } = require('../services/watchlist');
+const { WALK_IN_APPROVAL_MINUTES } = require('../config/visits');
+
+const HOST_SEARCH_LIMIT = 10;
+
+// Only what a shared screen at reception may show about people
+const PUBLIC_USER_FIELDS = 'firstName lastName imageUrl';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// IDs of the people visitors can come to see: admins and employees of the
+// company owning the kiosk office
+const companyHostIds = async (companyId) => {
+  const company = await Company.findOne({ _id: companyId, active: true })
+    .select('admin employee');
+
+  return company ? [...company.admin, ...company.employee] : [];
+};
+
+// Visit fields shown on the kiosk after a check-in or check-out
+const kioskVisit = (visitId) => Visit.findById(visitId)
+  .select('code status reason clockIn clockOut duration visitor employee office')
+  .populate('visitor', PUBLIC_USER_FIELDS)
+  .populate('employee', PUBLIC_USER_FIELDS)
+  .populate('office', 'name');
+
+// @desc Register a reception kiosk for an office
+// @route POST /api/kiosk/devices
+// @access Private
+const registerKioskDevice = async (req, res) => {
+  try {
+    const { name, office: officeId } = req.body;
+
+    // Company admins can only register kiosks in their own offices
+    const office = await Office.findById(officeId);
+    if (!office) {
+      return res.status(404).json({
+        message: 'Office not found'
+      });
+    }
+
+    if (!office.active) {
+      return res.status(400).json({
+        message: 'Kiosks can only be registered in active offices'
+      });
+    }
+
+    const { device, apiKey } = await KioskDevice.issue({
+      name,
+      office,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      message: 'Kiosk registered successfully. Store the API key now, it will not be shown again.',
+      device,
+      apiKey
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to register kiosk',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get registered kiosks
+// @route GET /api/kiosk/devices
+// @access Private
+const getKioskDevices = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, office, active } = req.query;
+
+    const query = {};
+
+    if (office) {
+      query.office = office;
+    }
+
+    if (active !== undefined) {
+      query.revokedAt = active ? null : { $ne: null };
+    }
+
+    const devices = await KioskDevice.find(query)
+      .populate('office', 'name address city')
+      .populate('createdBy', 'firstName lastName email')
+      .populate('revokedBy', 'firstName lastName email')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await KioskDevice.countDocuments(query);
+
+    res.json({
+      devices,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalDevices: total
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch kiosks',
+      error: error.message
+    });
+  }
+};
+
+// @desc Revoke the API key of a kiosk
+// @route PATCH /api/kiosk/devices/:id/revoke
+// @access Private
+const revokeKioskDevice = async (req, res) => {
+  try {
+    const device = await KioskDevice.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        message: 'Kiosk not found'
+      });
+    }
+
+    if (device.revokedAt) {
+      return res.status(400).json({
+        message: 'Kiosk is already revoked'
+      });
+    }
+
+    device.revokedAt = new Date();
+    device.revokedBy = req.user.userId;
+    await device.save();
+
+    res.json({
+      message: 'Kiosk revoked successfully',
+      device
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to revoke kiosk',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get the kiosk's own device and office
+// @route GET /api/kiosk/me
+// @access Kiosk
+const getKioskProfile = async (req, res) => {
+  try {
+    const { device, office } = req.kiosk;
+
+    res.json({
+      device: {
+        id: device._id,
+        name: device.name
+      },
+      office: {
+        id: office._id,
+        name: office.name,
+        address: office.address,
+        city: office.city
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch kiosk',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get the agreements visitors sign at the kiosk's office
+// @route GET /api/kiosk/agreements
+// @access Kiosk
+const getKioskAgreements = async (req, res) => {
+  try {
+    const { office, company } = req.kiosk;
+    const templates = await applicableTemplates({ company, office: office._id });
+
+    res.json({
+      agreements: templates.map(summarize)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch agreements',
+      error: error.message
+    });
+  }
+};
+
+// @desc Search the people visitors can come to see, by name
+// @route GET /api/kiosk/hosts
+// @access Kiosk
+const searchHosts = async (req, res) => {
+  try {
+    const hostIds = await companyHostIds(req.kiosk.company);
+
+    // Every word must match the first or last name ("ann smi" finds Ann Smith)
+    const words = req.query.search.split(/\s+/).filter(Boolean);
+    const nameFilters = words.map(word => {
+      const pattern = new RegExp(`^${escapeRegExp(word)}`, 'i');
+      return { $or: [{ firstName: pattern }, { lastName: pattern }] };
+    });
+
+    const hosts = await User.find({ _id: { $in: hostIds }, active: 1, $and: nameFilters })
+      .select(PUBLIC_USER_FIELDS)
+      .limit(HOST_SEARCH_LIMIT)
+      .sort({ firstName: 1, lastName: 1 });
+
+    res.json({
+      hosts
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to search hosts',
+      error: error.message
+    });
+  }
+};
+
+// @desc Check in a walk-in visitor
+// @route POST /api/kiosk/check-in
+// @access Kiosk
+const kioskCheckIn = async (req, res) => {
+  try {
+    const { visitor: details, host: hostId, reason, comment, agreements: signatures = [] } = req.body;
+    const { office, company, deviceId } = req.kiosk;
+
+    const hostIds = await companyHostIds(company);
+    const host = hostIds.some(id => id.toString() === hostId)
+      ? await User.findOne({ _id: hostId, active: 1 })
+      : null;
+
+    if (!host) {
+      return res.status(404).json({
+        message: 'Host not found'
+      });
+    }
+
+    const { visitor } = await findOrCreateVisitor(details);
+
+    // Walk-ins go through the company's approval rules like any visit. Nobody
+    // at the kiosk can give the host step, so the visit always starts pending
+    // and the visitor is checked in by the last approval (see acceptVisit),
+    // within WALK_IN_APPROVAL_MINUTES while they wait at reception.
+    const visit = new Visit({
+      visitor: visitor._id,
+      employee: host._id,
+      expectedClockIn: new Date(),
+      reason,
+      comment,
+      office: office._id,
+      company,
+      kioskDevice: deviceId
+    });
+    await planApproval(visit);
+
+    const deadline = new Date(Date.now() + WALK_IN_APPROVAL_MINUTES * 60 * 1000);
+    if (!visit.expiresAt || visit.expiresAt > deadline) {
+      visit.expiresAt = deadline;
+    }
+
+    // Nothing is recorded until the visitor has signed what they have to
+    const unsigned = (await pendingAgreements(visit))
+      .filter(template => !signatures.some(signature => template._id.equals(signature.template)));
+    if (unsigned.length) {
+      return res.status(428).json({
+        message: 'Please read and sign the following agreements',
+        agreements: unsigned.map(summarize)
+      });
+    }
+
+    // Screened once the visitor is ready to book, so asking for signatures
+    // first does not record (and alert) the booking twice
+    const screening = await screenVisit(visit, { stage: 'booking', visitor });
+    if (screening.outcome === 'blocked') {
+      return res.status(403).json({
+        message: 'Entry denied. Please contact security',
+        screening: screening._id
+      });
+    }
+
+    await visit.save();
+
+    // Add visit to visitor's visits array
+    await User.findByIdAndUpdate(visitor._id, { $push: { visits: visit._id } })
+      .setOptions({ tenantScope: false });
+    await emitEvent('visit.created', visit);
+
+    const { error, status, agreements } = signatures.length ? await signAgreements(visit, signatures) : {};
+    if (error) {
+      // Keep a record of the turned away visitor
+      visit.status = 'cancelled';
+      visit.cancellationReason = error;
+      await visit.save();
+
+      return res.status(status || 400).json({
+        message: error,
+        agreements
+      });
+    }
+
+    await notifyVisitBooked(visit);
+
+    res.status(202).json({
+      message: 'Your host has been asked to approve your visit. You will be checked in once it is approved. Keep the visit code to check out.',
+      visit: await kioskVisit(visit._id)
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to check in visitor',
+      error: error.message
+    });
+  }
+};
+
+// @desc Check a visitor out with their visit code
+// @route POST /api/kiosk/check-out
+// @access Kiosk
+const kioskCheckOut = async (req, res) => {
+  try {
+    const visit = await Visit.findOne({ code: req.body.code, office: req.kiosk.office._id });
+
+    if (!visit) {
+      return res.status(404).json({
+        message: 'Visit not found'
+      });
+    }
+
+    const { error } = await endVisit(visit);
+    if (error) {
+      return res.status(400).json({
+        message: error
+      });
+    }
+
+    res.json({
+      message: 'Visitor checked out successfully',
+      visit: await kioskVisit(visit._id)
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to check out visitor',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  registerKioskDevice,
+  getKioskDevices,
+  revokeKioskDevice,
+  getKioskProfile,
+  getKioskAgreements,
+  searchHosts,
+  kioskCheckIn,
+  kioskCheckOut
+};
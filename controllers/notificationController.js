@@ -0,0 +1,105 @@
+const User = require('../models/User');
+const { notify } = require('../services/notifications');
+const { checkPublicUrl } = require('../services/outboundUrls');
+
+// Whether the user can be reached on each channel
+const reachability = (user) => ({
+  push: Boolean(user.playerId),
+  email: Boolean(user.email),
+  sms: Boolean(user.phone),
+  webhook: Boolean(user.notificationPreferences.webhookUrl)
+});
+
+const preferencesOf = (user) => ({
+  playerId: user.playerId,
+  languageCode: user.languageCode,
+  ...user.notificationPreferences.toObject(),
+  reachable: reachability(user)
+});
+
+// @desc Get the notification preferences of the current user
+// @route GET /api/users/notifications
+// @access Private
+const getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+
+    res.json(preferencesOf(user));
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch notification preferences',
+      error: error.message
+    });
+  }
+};
+
+// @desc Update the notification preferences (and push device) of the current user
+// @route PATCH /api/users/notifications
+// @access Private
+const updateNotificationPreferences = async (req, res) => {
+  try {
+    const { playerId, ...preferences } = req.body;
+    const user = await User.findById(req.user.userId);
+
+    if (playerId !== undefined) {
+      user.playerId = playerId;
+    }
+    user.set({ notificationPreferences: { ...user.notificationPreferences.toObject(), ...preferences } });
+
+    const { channels, webhookUrl } = user.notificationPreferences;
+    if (channels.includes('webhook') && !webhookUrl) {
+      return res.status(400).json({
+        message: 'A webhook URL is required to be notified by webhook',
+        field: 'webhookUrl'
+      });
+    }
+
+    if (preferences.webhookUrl) {
+      const { error } = await checkPublicUrl(preferences.webhookUrl);
+      if (error) {
+        return res.status(400).json({
+          message: error,
+          field: 'webhookUrl'
+        });
+      }
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Notification preferences updated successfully',
+      preferences: preferencesOf(user)
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to update notification preferences',
+      error: error.message
+    });
+  }
+};
+
+// @desc Send a test notification to the current user on every channel they chose
+// @route POST /api/users/notifications/test
+// @access Private
+const sendTestNotification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    const sent = await notify(user, 'test', { role: 'self' });
+
+    res.json({
+      message: sent.length ? `Test notification sent by ${sent.join(', ')}` : 'No chosen channel could reach you',
+      sent
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to send test notification',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  sendTestNotification
+};
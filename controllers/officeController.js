@@ -1,12 +1,16 @@
 const Office = require('../models/Office');
 const Company = require('../models/Company');
+const AuditLog = require('../models/AuditLog');
+const OfficeQueueEntry = require('../models/OfficeQueueEntry');
+const { admitWaiting, reconcileOccupancy: reconcileOfficeOccupancy } = require('../services/occupancy');
+const { publish } = require('../services/liveEvents');
 
 // @desc Create a new office
 // @route POST /api/offices
 // @access Private
 const createOffice = async (req, res) => {
   try {
-    const { name, address, city, country, zipCode, phone, email, capacity, company } = req.body;
+    const { name, address, city, country, zipCode, phone, email, capacity, capacityPolicy, schedule, noShowGraceMinutes, company } = req.body;
 
     // Verify company exists
     const companyExists = await Company.findById(company);
@@ -25,6 +29,9 @@ const createOffice = async (req, res) => {
       phone,
       email,
       capacity,
+      capacityPolicy,
+      schedule,
+      noShowGraceMinutes,
       company
     });
 
@@ -69,7 +76,7 @@ const getAllOffices = async (req, res) => {
     
     // Filter by active status if provided
     if (active !== undefined) {
-      query.active = active === 'true';
+      query.active = active;
     }
 
     const offices = await Office.find(query)
@@ -142,6 +149,9 @@ const updateOffice = async (req, res) => {
       });
     }
 
+    // A larger capacity or a change of policy may let people waiting in
+    await admitWaiting(office._id);
+
     res.json({
       message: 'Office updated successfully',
       office
@@ -213,9 +223,23 @@ const updateOccupancy = async (req, res) => {
       });
     }
 
+    const previous = office.currentOccupancy;
     office.currentOccupancy = currentOccupancy;
     await office.save();
 
+    // Occupancy is left out of office diffs, so manual corrections are
+    // recorded explicitly
+    await AuditLog.record({
+      action: 'office.occupancy_set',
+      targetModel: 'Office',
+      targetId: office._id,
+      company: office.company,
+      changes: { currentOccupancy: { from: previous, to: currentOccupancy } }
+    });
+    await publish('office.occupancy', office);
+
+    await admitWaiting(office._id);
+
     res.json({
       message: 'Office occupancy updated successfully',
       office: await Office.findById(officeId).populate('company', 'fullName acronym')
@@ -228,6 +252,101 @@ const updateOccupancy = async (req, res) => {
   }
 };
 
+// @desc Recompute office occupancy from active attendance and visits
+// @route POST /api/offices/:id/occupancy/reconcile
+// @access Private
+const reconcileOccupancy = async (req, res) => {
+  try {
+    const office = await Office.findById(req.params.id);
+    if (!office) {
+      return res.status(404).json({
+        message: 'Office not found'
+      });
+    }
+
+    const [change] = await reconcileOfficeOccupancy({ office: office._id });
+
+    res.json({
+      message: change ? 'Office occupancy corrected' : 'Office occupancy was already correct',
+      previous: change ? change.previous : office.currentOccupancy,
+      office: await Office.findById(office._id).populate('company', 'fullName acronym')
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to reconcile office occupancy',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get the people waiting to enter a full office
+// @route GET /api/offices/:id/queue
+// @access Private
+const getOfficeQueue = async (req, res) => {
+  try {
+    const office = await Office.findById(req.params.id);
+    if (!office) {
+      return res.status(404).json({
+        message: 'Office not found'
+      });
+    }
+
+    const queue = await OfficeQueueEntry.find({ office: office._id, status: 'waiting' })
+      .populate({
+        path: 'visit',
+        select: 'visitor employee reason expectedClockIn',
+        populate: [
+          { path: 'visitor', select: 'firstName lastName email phone' },
+          { path: 'employee', select: 'firstName lastName email' }
+        ]
+      })
+      .populate('employee', 'firstName lastName email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      queue,
+      totalWaiting: queue.length,
+      capacity: office.capacity,
+      currentOccupancy: office.currentOccupancy,
+      capacityPolicy: office.capacityPolicy
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch office queue',
+      error: error.message
+    });
+  }
+};
+
+// @desc Remove someone from the waiting queue of an office
+// @route DELETE /api/offices/:id/queue/:entryId
+// @access Private
+const cancelQueueEntry = async (req, res) => {
+  try {
+    const entry = await OfficeQueueEntry.findOneAndUpdate(
+      { _id: req.params.entryId, office: req.params.id, status: 'waiting' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+
+    if (!entry) {
+      return res.status(404).json({
+        message: 'Queue entry not found or no longer waiting'
+      });
+    }
+
+    res.json({
+      message: 'Queue entry cancelled successfully',
+      queueEntry: entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to cancel queue entry',
+      error: error.message
+    });
+  }
+};
+
 // @desc Get office statistics
 // @route GET /api/offices/:id/stats
 // @access Private
@@ -246,6 +365,8 @@ const getOfficeStats = async (req, res) => {
       availableSpace: office.availableSpace,
       occupancyPercentage: office.occupancyPercentage,
       isAtCapacity: office.currentOccupancy >= office.capacity,
+      capacityPolicy: office.capacityPolicy,
+      waiting: await OfficeQueueEntry.countDocuments({ office: office._id, status: 'waiting' }),
       status: office.active ? 'active' : 'inactive'
     };
 
@@ -275,7 +396,7 @@ const getOfficesByCompany = async (req, res) => {
 
     const query = { company: companyId };
     if (active !== undefined) {
-      query.active = active === 'true';
+      query.active = active;
     }
 
     const offices = await Office.find(query)
@@ -301,6 +422,9 @@ module.exports = {
   updateOffice,
   deleteOffice,
   updateOccupancy,
+  reconcileOccupancy,
+  getOfficeQueue,
+  cancelQueueEntry,
   getOfficeStats,
   getOfficesByCompany
 };
\ No newline at end of file
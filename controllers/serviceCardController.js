@@ -1,6 +1,23 @@
 const ServiceCard = require('../models/ServiceCard');
 const User = require('../models/User');
 const Company = require('../models/Company');
+const { syncServiceStatus } = require('../services/companyCounters');
+const { emitEvent } = require('../services/webhooks');
+const {
+  renewCard,
+  suspendCard,
+  reinstateCard,
+  revokeCard,
+  reportCard,
+  deleteCard
+} = require('../services/serviceCards');
+
+// Deleted cards are kept for their history but cannot be changed
+const findCard = (id) => ServiceCard.findOne({ _id: id, deletedAt: null });
+
+const withDetails = (id) => ServiceCard.findById(id)
+  .populate('user', 'firstName lastName email')
+  .populate('company', 'fullName acronym');
 
 // @desc Create a new service card
 // @route POST /api/service-cards
@@ -49,12 +66,12 @@ const createServiceCard = async (req, res) => {
 
     // Update user's serviceCard reference
     await User.findByIdAndUpdate(user, { serviceCard: serviceCard._id });
+    await syncServiceStatus(serviceCard.user, serviceCard.company);
+    await emitEvent('service_card.created', serviceCard);
 
     res.status(201).json({
       message: 'Service card created successfully',
-      serviceCard: await ServiceCard.findById(serviceCard._id)
-        .populate('user', 'firstName lastName email')
-        .populate('company', 'fullName acronym')
+      serviceCard: await withDetails(serviceCard._id)
     });
   } catch (error) {
     res.status(400).json({
@@ -69,9 +86,9 @@ const createServiceCard = async (req, res) => {
 // @access Private
 const getAllServiceCards = async (req, res) => {
   try {
-    const { page = 1, limit = 10, user, company, isActive, position } = req.query;
+    const { page = 1, limit = 10, user, company, isActive, status, position, includeDeleted } = req.query;
     
-    const query = {};
+    const query = includeDeleted ? {} : { deletedAt: null };
     
     // Filter by user if provided
     if (user) {
@@ -85,7 +102,12 @@ const getAllServiceCards = async (req, res) => {
     
     // Filter by active status if provided
     if (isActive !== undefined) {
-      query.isActive = isActive === 'true';
+      query.isActive = isActive;
+    }
+
+    // Filter by lifecycle status if provided
+    if (status) {
+      query.status = status;
     }
     
     // Filter by position if provided
@@ -154,19 +176,36 @@ const updateServiceCard = async (req, res) => {
     delete updates.createdAt;
     delete updates.cardNumber; // Card number should not be changed
 
-    const serviceCard = await ServiceCard.findByIdAndUpdate(
-      serviceCardId,
+    const filter = { _id: serviceCardId, deletedAt: null };
+
+    // A new expiry date is reminded of and announced again. Expired cards
+    // are renewed instead, which also makes them active again.
+    if (updates.expireAt) {
+      updates.expiryAnnouncedAt = null;
+      updates.lastReminderDays = null;
+      filter.status = { $ne: 'expired' };
+    }
+
+    const serviceCard = await ServiceCard.findOneAndUpdate(
+      filter,
       { $set: updates },
       { new: true, runValidators: true }
     ).populate('user', 'firstName lastName email')
      .populate('company', 'fullName acronym');
 
     if (!serviceCard) {
+      if (filter.status && await ServiceCard.exists({ _id: serviceCardId, deletedAt: null })) {
+        return res.status(409).json({
+          message: 'Service card expired, renew it to change its expiry date'
+        });
+      }
       return res.status(404).json({
         message: 'Service card not found'
       });
     }
 
+    await syncServiceStatus(serviceCard.populated('user'), serviceCard.populated('company'));
+
     res.json({
       message: 'Service card updated successfully',
       serviceCard
@@ -179,21 +218,20 @@ const updateServiceCard = async (req, res) => {
   }
 };
 
-// @desc Delete service card
+// @desc Delete service card (soft delete, the card and its history are kept)
 // @route DELETE /api/service-cards/:id
 // @access Private
 const deleteServiceCard = async (req, res) => {
   try {
-    const serviceCard = await ServiceCard.findByIdAndDelete(req.params.id);
+    const card = await findCard(req.params.id);
 
-    if (!serviceCard) {
+    if (!card) {
       return res.status(404).json({
         message: 'Service card not found'
       });
     }
 
-    // Remove serviceCard reference from user
-    await User.findByIdAndUpdate(serviceCard.user, { serviceCard: null });
+    const { serviceCard } = await deleteCard(card, req.query.reason);
 
     res.json({
       message: 'Service card deleted successfully',
@@ -207,27 +245,31 @@ const deleteServiceCard = async (req, res) => {
   }
 };
 
-// @desc Activate/Deactivate service card
+// @desc Suspend an active service card or reinstate a suspended one
 // @route PATCH /api/service-cards/:id/toggle-status
 // @access Private
 const toggleServiceCardStatus = async (req, res) => {
   try {
-    const serviceCard = await ServiceCard.findById(req.params.id);
+    const card = await findCard(req.params.id);
     
-    if (!serviceCard) {
+    if (!card) {
       return res.status(404).json({
         message: 'Service card not found'
       });
     }
 
-    serviceCard.isActive = !serviceCard.isActive;
-    await serviceCard.save();
+    const { error, status } = card.status === 'suspended'
+      ? await reinstateCard(card)
+      : await suspendCard(card, 'Deactivated');
+    if (error) {
+      return res.status(status || 400).json({
+        message: error
+      });
+    }
 
     res.json({
-      message: `Service card ${serviceCard.isActive ? 'activated' : 'deactivated'} successfully`,
-      serviceCard: await ServiceCard.findById(serviceCard._id)
-        .populate('user', 'firstName lastName email')
-        .populate('company', 'fullName acronym')
+      message: `Service card ${card.isActive ? 'activated' : 'deactivated'} successfully`,
+      serviceCard: await withDetails(card._id)
     });
   } catch (error) {
     res.status(400).json({
@@ -237,6 +279,167 @@ const toggleServiceCardStatus = async (req, res) => {
   }
 };
 
+// @desc Renew service card (new expiry date, same or new card number)
+// @route POST /api/service-cards/:id/renew
+// @access Private
+const renewServiceCard = async (req, res) => {
+  try {
+    const card = await findCard(req.params.id);
+
+    if (!card) {
+      return res.status(404).json({
+        message: 'Service card not found'
+      });
+    }
+
+    const { error, status } = await renewCard(card, req.body);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error
+      });
+    }
+
+    res.json({
+      message: 'Service card renewed successfully',
+      serviceCard: await withDetails(card._id)
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to renew service card',
+      error: error.message
+    });
+  }
+};
+
+// @desc Suspend service card
+// @route POST /api/service-cards/:id/suspend
+// @access Private
+const suspendServiceCard = async (req, res) => {
+  try {
+    const card = await findCard(req.params.id);
+
+    if (!card) {
+      return res.status(404).json({
+        message: 'Service card not found'
+      });
+    }
+
+    const { error, status } = await suspendCard(card, req.body.reason);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error
+      });
+    }
+
+    res.json({
+      message: 'Service card suspended successfully',
+      serviceCard: await withDetails(card._id)
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to suspend service card',
+      error: error.message
+    });
+  }
+};
+
+// @desc Reinstate suspended service card
+// @route POST /api/service-cards/:id/reinstate
+// @access Private
+const reinstateServiceCard = async (req, res) => {
+  try {
+    const card = await findCard(req.params.id);
+
+    if (!card) {
+      return res.status(404).json({
+        message: 'Service card not found'
+      });
+    }
+
+    const { error, status } = await reinstateCard(card, req.body.reason);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error
+      });
+    }
+
+    res.json({
+      message: 'Service card reinstated successfully',
+      serviceCard: await withDetails(card._id)
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to reinstate service card',
+      error: error.message
+    });
+  }
+};
+
+// @desc Revoke service card for good
+// @route POST /api/service-cards/:id/revoke
+// @access Private
+const revokeServiceCard = async (req, res) => {
+  try {
+    const card = await findCard(req.params.id);
+
+    if (!card) {
+      return res.status(404).json({
+        message: 'Service card not found'
+      });
+    }
+
+    const { error, status } = await revokeCard(card, req.body.reason);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error
+      });
+    }
+
+    res.json({
+      message: 'Service card revoked successfully',
+      serviceCard: await withDetails(card._id)
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to revoke service card',
+      error: error.message
+    });
+  }
+};
+
+// @desc Report service card lost or stolen, revoking it and issuing a replacement
+// @route POST /api/service-cards/:id/report
+// @access Private
+const reportServiceCard = async (req, res) => {
+  try {
+    const card = await findCard(req.params.id);
+
+    if (!card) {
+      return res.status(404).json({
+        message: 'Service card not found'
+      });
+    }
+
+    const { error, status, replacement } = await reportCard(card, req.body);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error
+      });
+    }
+
+    res.status(201).json({
+      message: 'Service card revoked and replacement issued',
+      serviceCard: await withDetails(card._id),
+      replacement: await withDetails(replacement._id)
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to report service card',
+      error: error.message
+    });
+  }
+};
+
 // @desc Check service card validity
 // @route GET /api/service-cards/:id/validity
 // @access Private
@@ -257,6 +460,9 @@ const checkServiceCardValidity = async (req, res) => {
       isExpired: serviceCard.isExpired,
       isValid: serviceCard.isValid,
       daysUntilExpiration: serviceCard.daysUntilExpiration,
+      status: serviceCard.status,
+      statusReason: serviceCard.statusReason,
+      replacedBy: serviceCard.replacedBy,
       expireAt: serviceCard.expireAt,
       cardNumber: serviceCard.cardNumber
     };
@@ -284,11 +490,17 @@ const checkServiceCardValidity = async (req, res) => {
 const getServiceCardsByUser = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { isActive } = req.query;
+    const { isActive, status, includeDeleted } = req.query;
 
     const query = { user: userId };
+    if (!includeDeleted) {
+      query.deletedAt = null;
+    }
     if (isActive !== undefined) {
-      query.isActive = isActive === 'true';
+      query.isActive = isActive;
+    }
+    if (status) {
+      query.status = status;
     }
 
     const serviceCards = await ServiceCard.find(query)
@@ -313,11 +525,17 @@ const getServiceCardsByUser = async (req, res) => {
 const getServiceCardsByCompany = async (req, res) => {
   try {
     const { companyId } = req.params;
-    const { isActive, position } = req.query;
+    const { isActive, status, position, includeDeleted } = req.query;
 
     const query = { company: companyId };
+    if (!includeDeleted) {
+      query.deletedAt = null;
+    }
     if (isActive !== undefined) {
-      query.isActive = isActive === 'true';
+      query.isActive = isActive;
+    }
+    if (status) {
+      query.status = status;
     }
     if (position) {
       query.position = new RegExp(position, 'i');
@@ -339,6 +557,41 @@ const getServiceCardsByCompany = async (req, res) => {
   }
 };
 
+// @desc Get active service cards expiring within the next days, soonest first
+// @route GET /api/service-cards/expiring
+// @access Private
+const getExpiringServiceCards = async (req, res) => {
+  try {
+    const { days = 30 } = req.query;
+    // Company admins only see their own company's cards
+    const company = req.user.company || req.query.company;
+
+    const now = new Date();
+    const query = {
+      isActive: true,
+      expireAt: { $gt: now, $lte: new Date(now.getTime() + days * 24 * 60 * 60 * 1000) }
+    };
+    if (company) {
+      query.company = company;
+    }
+
+    const serviceCards = await ServiceCard.find(query)
+      .populate('user', 'firstName lastName email phone')
+      .populate('company', 'fullName acronym')
+      .sort({ expireAt: 1 });
+
+    res.json({
+      serviceCards,
+      totalCards: serviceCards.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch expiring service cards',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   createServiceCard,
   getAllServiceCards,
@@ -346,7 +599,13 @@ module.exports = {
   updateServiceCard,
   deleteServiceCard,
   toggleServiceCardStatus,
+  renewServiceCard,
+  suspendServiceCard,
+  reinstateServiceCard,
+  revokeServiceCard,
+  reportServiceCard,
   checkServiceCardValidity,
   getServiceCardsByUser,
-  getServiceCardsByCompany
+  getServiceCardsByCompany,
+  getExpiringServiceCards
 };
\ No newline at end of file
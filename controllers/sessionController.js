@@ -0,0 +1,141 @@
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { ACCESS_TOKEN_EXPIRES_IN, signAccessToken } = require('../config/tokens');
+
+// @desc Exchange a refresh token for a new access token and refresh token
+// @route POST /api/users/refresh
+// @access Public
+const refreshSession = async (req, res) => {
+  try {
+    const parsed = Session.parseRefreshToken(req.body.refreshToken);
+    const session = parsed ? await Session.findById(parsed.sessionId) : null;
+
+    if (!session || !session.isActive) {
+      return res.status(401).json({
+        message: 'Invalid refresh token. Session expired or revoked.'
+      });
+    }
+
+    const rotated = await Session.rotate(session._id, parsed.secretHash, {
+      userAgent: req.get('User-Agent') || null,
+      ip: req.ip
+    });
+
+    // A token that was already rotated is being replayed: someone else may hold
+    // this session, so revoke it for everyone. Any other secret is just wrong
+    // (the session ID alone is no secret: access tokens carry it).
+    if (!rotated) {
+      if (await Session.revokeOnReuse(session._id, parsed.secretHash)) {
+        return res.status(401).json({
+          message: 'Refresh token reuse detected. Session revoked.'
+        });
+      }
+
+      return res.status(401).json({
+        message: 'Invalid refresh token.'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || user.active === 0) {
+      await Session.revokeAll(session.user, 'user_deactivated');
+
+      return res.status(401).json({
+        message: 'Invalid refresh token. User not found or inactive.'
+      });
+    }
+
+    res.json({
+      message: 'Token refreshed successfully',
+      token: signAccessToken(user._id, session._id),
+      refreshToken: rotated.refreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get active sessions of the current user
+// @route GET /api/users/sessions
+// @access Private
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session._id.equals(req.user.sessionId)
+      })),
+      totalSessions: sessions.length
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch sessions',
+      error: error.message
+    });
+  }
+};
+
+// @desc Revoke one session of the current user
+// @route DELETE /api/users/sessions/:sessionId
+// @access Private
+const revokeSession = async (req, res) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.sessionId, user: req.user.userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'revoked' },
+      { new: true }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        message: 'Session not found'
+      });
+    }
+
+    res.json({
+      message: 'Session revoked successfully',
+      session
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
+};
+
+// @desc Log out of every session of the current user
+// @route POST /api/users/logout-all
+// @access Private
+const logoutAllSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAll(req.user.userId, 'logout_all');
+
+    res.json({
+      message: 'Logged out of all sessions successfully',
+      revokedSessions: result.modifiedCount
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to log out of all sessions',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  refreshSession,
+  getSessions,
+  revokeSession,
+  logoutAllSessions
+};
@@ -0,0 +1,330 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const LoginThrottle = require('../models/LoginThrottle');
+const { requiresTwoFactor } = require('../middleware/authorize');
+const {
+  SECRET_FIELDS,
+  generateSecret,
+  matchCode,
+  encryptSecret,
+  decryptSecret,
+  generateBackupCodes,
+  buildEnrollment,
+  checkSecondFactor
+} = require('../services/twoFactor');
+
+// Verify the code or backup code in the body, answering the request when it is
+// rejected. Returns true when the second factor passed.
+const confirmSecondFactor = async (req, res) => {
+  const { method, retryAfter } = await checkSecondFactor(req, req.user.user, req.body);
+
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      message: 'Too many invalid codes. Please try again later.',
+      retryAfter
+    });
+    return false;
+  }
+
+  if (!method) {
+    res.status(400).json({
+      message: 'Invalid two-factor code'
+    });
+    return false;
+  }
+
+  return true;
+};
+
+const audit = (req, action, user, metadata) => AuditLog.record({
+  actor: req.user.userId,
+  action,
+  targetModel: 'User',
+  targetId: user._id,
+  company: user.employer,
+  ip: req.ip,
+  metadata
+});
+
+// @desc Get two-factor authentication status of the current user
+// @route GET /api/users/2fa
+// @access Private
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(SECRET_FIELDS);
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      required: requiresTwoFactor(req.user.role),
+      backupCodesRemaining: user.twoFactor.enabled ? user.twoFactor.backupCodes.length : 0
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch two-factor status',
+      error: error.message
+    });
+  }
+};
+
+// @desc Start two-factor enrollment (returns the secret, otpauth URI and QR code)
+// @route POST /api/users/2fa/setup
+// @access Private
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = req.user.user;
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } }
+    );
+
+    res.json({
+      message: 'Scan the QR code with an authenticator app, then confirm with a code',
+      ...(await buildEnrollment(user, secret))
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to start two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+// @desc Confirm enrollment with a first code and enable two-factor authentication
+// @route POST /api/users/2fa/enable
+// @access Private
+const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select(SECRET_FIELDS);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = matchCode(decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          'twoFactor.enabled': true,
+          'twoFactor.enabledAt': new Date(),
+          'twoFactor.secret': user.twoFactor.pendingSecret,
+          'twoFactor.backupCodes': hashes,
+          'twoFactor.lastUsedStep': step
+        },
+        $unset: { 'twoFactor.pendingSecret': 1 }
+      }
+    );
+
+    // Other sessions were opened with the password alone
+    await Session.revokeAll(user._id, 'two_factor_changed', req.user.sessionId);
+    await Session.updateOne({ _id: req.user.sessionId }, { stepUpAt: new Date() });
+
+    await audit(req, 'auth.2fa_enabled', user);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store the backup codes somewhere safe; they are only shown once.',
+      backupCodes: codes
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to enable two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// @desc Check a second factor to unlock sensitive actions for a few minutes (step-up)
+// @route POST /api/users/2fa/verify
+// @access Private
+const verifyTwoFactor = async (req, res) => {
+  try {
+    if (!req.user.user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await confirmSecondFactor(req, res))) {
+      return;
+    }
+
+    const stepUpAt = new Date();
+    await Session.updateOne({ _id: req.user.sessionId }, { stepUpAt });
+
+    res.json({
+      message: 'Second factor verified',
+      stepUpAt
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to verify second factor',
+      error: error.message
+    });
+  }
+};
+
+// @desc Replace the backup codes of the current user
+// @route POST /api/users/2fa/backup-codes
+// @access Private
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    if (!req.user.user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await confirmSecondFactor(req, res))) {
+      return;
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    await User.updateOne(
+      { _id: req.user.userId },
+      { $set: { 'twoFactor.backupCodes': hashes } }
+    );
+
+    await audit(req, 'auth.2fa_backup_codes_regenerated', req.user.user);
+
+    res.json({
+      message: 'Backup codes regenerated. Previous codes no longer work.',
+      backupCodes: codes
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to regenerate backup codes',
+      error: error.message
+    });
+  }
+};
+
+// @desc Disable two-factor authentication for the current user
+// @route POST /api/users/2fa/disable
+// @access Private
+const disableTwoFactor = async (req, res) => {
+  try {
+    if (!req.user.user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (requiresTwoFactor(req.user.role)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is mandatory for administrators'
+      });
+    }
+
+    if (!(await confirmSecondFactor(req, res))) {
+      return;
+    }
+
+    await User.updateOne(
+      { _id: req.user.userId },
+      {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.backupCodes': 1,
+          'twoFactor.lastUsedStep': 1
+        }
+      }
+    );
+
+    await Session.revokeAll(req.user.userId, 'two_factor_changed', req.user.sessionId);
+
+    await audit(req, 'auth.2fa_disabled', req.user.user);
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to disable two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// @desc Reset another user's two-factor authentication (lost device)
+// @route PATCH /api/users/:id/2fa/reset
+// @access Private
+const resetTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      { _id: req.params.id, active: 1 },
+      {
+        $set: { 'twoFactor.enabled': false, 'twoFactor.enabledAt': null },
+        $unset: {
+          'twoFactor.secret': 1,
+          'twoFactor.pendingSecret': 1,
+          'twoFactor.backupCodes': 1,
+          'twoFactor.lastUsedStep': 1
+        }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    // Sessions are tied to the old second factor; the user logs in again
+    // and re-enrolls
+    await Session.revokeAll(user._id, 'two_factor_changed');
+    await LoginThrottle.reset(LoginThrottle.twoFactorKey(user._id));
+
+    await audit(req, 'auth.2fa_reset', user);
+
+    res.json({
+      message: 'Two-factor authentication reset successfully',
+      user
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to reset two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  resetTwoFactor
+};
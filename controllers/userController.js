@@ -1,12 +1,38 @@
 const User = require('../models/User');
-const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const AuditLog = require('../models/AuditLog');
 const bcrypt = require('bcryptjs');
-
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET || 'fallback_secret', {
-    expiresIn: '7d'
+const {
+  ACCESS_TOKEN_EXPIRES_IN,
+  TWO_FACTOR_CHALLENGE_EXPIRES_IN,
+  signAccessToken,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} = require('../config/tokens');
+const { sendVerificationEmail } = require('../services/accountEmails');
+const { checkSecondFactor } = require('../services/twoFactor');
+const { resolveRole, requiresTwoFactor } = require('../middleware/authorize');
+const { ACCOUNT_POLICY, IP_POLICY } = require('../config/loginProtection');
+
+// When enabled, users cannot log in until they confirm their email address
+const requireEmailVerification = () => process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Open a session for the user and issue its access and refresh tokens.
+// `stepUpAt` is set when the user just passed a second factor.
+const issueTokens = async (user, req, stepUpAt = null) => {
+  const { session, refreshToken } = await Session.open(user._id, {
+    device: req.body.device,
+    userAgent: req.get('User-Agent') || null,
+    ip: req.ip,
+    stepUpAt
   });
+
+  return {
+    token: signAccessToken(user._id, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
 };
 
 // @desc Register a new user
@@ -18,6 +44,13 @@ const registerUser = async (req, res) => {
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
+    if (existingUser && existingUser.guest) {
+      // Invited visitors already have a profile; they claim it by setting a password
+      return res.status(400).json({
+        message: 'You were invited as a visitor with this email. Use forgot password to set your password and claim your account.',
+        field: 'email'
+      });
+    }
     if (existingUser) {
       return res.status(400).json({
         message: 'User with this email already exists',
@@ -37,15 +70,28 @@ const registerUser = async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
-    user.token = token;
-    await user.save();
+    // Registration succeeds even if the mail server is down; the user can ask
+    // for a new link through /resend-verification
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('❌ Failed to send verification email:', mailError.message);
+    }
+
+    if (requireEmailVerification()) {
+      return res.status(201).json({
+        message: 'User registered successfully. Please verify your email address before logging in.',
+        user,
+        emailVerificationRequired: true
+      });
+    }
+
+    const tokens = await issueTokens(user, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       user,
-      token
+      ...tokens
     });
   } catch (error) {
     res.status(400).json({
@@ -55,6 +101,33 @@ const registerUser = async (req, res) => {
   }
 };
 
+// Count a failed login against the account and the IP, auditing new lockouts
+const recordLoginFailure = async (req, email, user) => {
+  const [account, ip] = await Promise.all([
+    LoginThrottle.recordFailure(LoginThrottle.accountKey(email), ACCOUNT_POLICY),
+    LoginThrottle.recordFailure(LoginThrottle.ipKey(req.ip), IP_POLICY)
+  ]);
+
+  if (account.locked) {
+    await AuditLog.record({
+      action: 'auth.account_locked',
+      targetModel: user ? 'User' : null,
+      targetId: user ? user._id : null,
+      company: user ? user.employer : null,
+      ip: req.ip,
+      metadata: { email, failures: account.throttle.failures, lockedUntil: account.throttle.lockedUntil }
+    });
+  }
+
+  if (ip.locked) {
+    await AuditLog.record({
+      action: 'auth.ip_locked',
+      ip: req.ip,
+      metadata: { failures: ip.throttle.failures, lockedUntil: ip.throttle.lockedUntil }
+    });
+  }
+};
+
 // @desc Login user
 // @route POST /api/users/login
 // @access Public
@@ -62,9 +135,26 @@ const loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
 
+    // Refuse attempts while the account or IP is locked out or must wait
+    const throttles = await LoginThrottle.find({
+      key: { $in: [LoginThrottle.accountKey(email), LoginThrottle.ipKey(req.ip)] }
+    });
+    const retryAfter = Math.max(0, ...throttles.map(throttle => throttle.retryAfter(
+      throttle.key.startsWith('ip:') ? IP_POLICY : ACCOUNT_POLICY
+    )));
+
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: 'Too many failed login attempts. Please try again later.',
+        retryAfter
+      });
+    }
+
     // Find user by email
     const user = await User.findOne({ email, active: 1 });
     if (!user) {
+      await recordLoginFailure(req, email, null);
       return res.status(401).json({
         message: 'Invalid email or password'
       });
@@ -73,20 +163,96 @@ const loginUser = async (req, res) => {
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordLoginFailure(req, email, user);
       return res.status(401).json({
         message: 'Invalid email or password'
       });
     }
 
-    // Generate new token
-    const token = generateToken(user._id);
-    user.token = token;
-    await user.save();
+    await LoginThrottle.reset(LoginThrottle.accountKey(email));
+
+    if (requireEmailVerification() && !user.emailVerified) {
+      return res.status(403).json({
+        message: 'Please verify your email address before logging in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // The password is right but a second factor is needed: no tokens yet,
+    // only a short-lived challenge for POST /api/users/login/2fa
+    if (user.twoFactor.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user._id),
+        challengeExpiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN
+      });
+    }
+
+    const tokens = await issueTokens(user, req);
+    const { role } = await resolveRole(user);
 
     res.json({
       message: 'Login successful',
       user,
-      token
+      ...tokens,
+      // Admins without 2FA can only reach their profile, sessions and 2FA
+      // setup until they enroll
+      twoFactorSetupRequired: requiresTwoFactor(role)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Login failed',
+      error: error.message
+    });
+  }
+};
+
+// @desc Complete a login with a TOTP or backup code
+// @route POST /api/users/login/2fa
+// @access Public
+const verifyLoginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    let challenge;
+    try {
+      challenge = verifyTwoFactorChallenge(challengeToken);
+    } catch (challengeError) {
+      return res.status(401).json({
+        message: 'Invalid or expired two-factor challenge. Please log in again.'
+      });
+    }
+
+    const user = await User.findOne({ _id: challenge.userId, active: 1 });
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        message: 'Invalid or expired two-factor challenge. Please log in again.'
+      });
+    }
+
+    const { method, retryAfter } = await checkSecondFactor(req, user, { code, backupCode });
+
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: 'Too many invalid codes. Please try again later.',
+        retryAfter
+      });
+    }
+
+    if (!method) {
+      return res.status(401).json({
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const tokens = await issueTokens(user, req, new Date());
+
+    res.json({
+      message: 'Login successful',
+      user,
+      ...tokens
     });
   } catch (error) {
     res.status(500).json({
@@ -112,7 +278,7 @@ const getAllUsers = async (req, res) => {
     
     // Filter by admin role if provided
     if (admin !== undefined) {
-      query.admin = admin === 'true';
+      query.admin = admin;
     }
 
     const users = await User.find(query)
@@ -183,6 +349,25 @@ const updateUser = async (req, res) => {
       updates.password = await bcrypt.hash(updates.password, salt);
     }
 
+    // Visit delegates are active colleagues from the same company
+    if (updates.visitDelegates && updates.visitDelegates.length) {
+      const target = await User.findById(userId).select('employer');
+      const colleagues = target && target.employer
+        ? await User.countDocuments({
+          _id: { $in: updates.visitDelegates, $ne: target._id },
+          employer: target.employer,
+          active: 1
+        })
+        : 0;
+
+      if (colleagues !== updates.visitDelegates.length) {
+        return res.status(400).json({
+          message: 'Visit delegates must be active colleagues from the same company',
+          field: 'visitDelegates'
+        });
+      }
+    }
+
     const user = await User.findByIdAndUpdate(
       userId,
       { $set: updates },
@@ -197,6 +382,12 @@ const updateUser = async (req, res) => {
       });
     }
 
+    // A new password signs the user out everywhere else
+    if (updates.password) {
+      const isSelf = user._id.equals(req.user.userId);
+      await Session.revokeAll(user._id, 'password_changed', isSelf ? req.user.sessionId : null);
+    }
+
     res.json({
       message: 'User updated successfully',
       user
@@ -226,6 +417,8 @@ const deleteUser = async (req, res) => {
       });
     }
 
+    await Session.revokeAll(user._id, 'user_deactivated');
+
     res.json({
       message: 'User deleted successfully',
       user
@@ -238,6 +431,44 @@ const deleteUser = async (req, res) => {
   }
 };
 
+// @desc Unlock a user locked out after failed logins
+// @route PATCH /api/users/:id/unlock
+// @access Private
+const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user || user.active === 0) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    const result = await LoginThrottle.reset(LoginThrottle.accountKey(user.email));
+    await LoginThrottle.reset(LoginThrottle.twoFactorKey(user._id));
+
+    await AuditLog.record({
+      actor: req.user.userId,
+      action: 'auth.account_unlocked',
+      targetModel: 'User',
+      targetId: user._id,
+      company: user.employer,
+      ip: req.ip,
+      metadata: { email: user.email, wasLocked: result.deletedCount > 0 }
+    });
+
+    res.json({
+      message: 'User unlocked successfully',
+      user
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to unlock user',
+      error: error.message
+    });
+  }
+};
+
 // @desc Get current user profile
 // @route GET /api/users/profile
 // @access Private
@@ -263,12 +494,15 @@ const getUserProfile = async (req, res) => {
   }
 };
 
-// @desc Logout user
+// @desc Logout user (revokes the current session)
 // @route POST /api/users/logout
 // @access Private
 const logoutUser = async (req, res) => {
   try {
-    await User.findByIdAndUpdate(req.user.userId, { token: null });
+    await Session.updateOne(
+      { _id: req.user.sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
     
     res.json({
       message: 'Logout successful'
@@ -284,10 +518,12 @@ const logoutUser = async (req, res) => {
 module.exports = {
   registerUser,
   loginUser,
+  verifyLoginTwoFactor,
   getAllUsers,
   getUserById,
   updateUser,
   deleteUser,
+  unlockUser,
   getUserProfile,
   logoutUser
 };
\ No newline at end of file
@@ -1,6 +1,20 @@
 const Visit = require('../models/Visit');
 const User = require('../models/User');
 const Office = require('../models/Office');
+const Company = require('../models/Company');
+const AgreementTemplate = require('../models/AgreementTemplate');
+const { verifyVisitEntryToken } = require('../config/tokens');
+const { entryWindow, sendVisitInvitation, sendPendingInvitation } = require('../services/visitInvitations');
+const { findOrCreateVisitor, startVisit, admitWalkIn, endVisit } = require('../services/visits');
+const { leaveOffice } = require('../services/occupancy');
+const { discardVisit } = require('../services/companyCounters');
+const { isCompanyMember, planApproval, approveVisit, rejectVisit: rejectPendingVisit } = require('../services/visitApprovals');
+const { skipOccurrence } = require('../services/visitSeries');
+const { screenVisit } = require('../services/watchlist');
+const { notifyVisitEvent, notifyVisitBooked } = require('../services/visitNotifications');
+const { emitEvent } = require('../services/webhooks');
+const { pendingAgreements, summarize, signAgreements: recordAgreements } = require('../services/agreements');
+const { BADGE_STATUSES, badgeValidity, renderBadge, verifyBadge: checkBadge } = require('../services/badges');
 
 // @desc Create a new visit
 // @route POST /api/visits
@@ -9,16 +23,17 @@ const createVisit = async (req, res) => {
   try {
     const { visitor, employee, expectedClockIn, reason, comment, office } = req.body;
 
-    // Verify visitor exists
-    const visitorExists = await User.findById(visitor);
+    // Verify visitor exists (visitors usually belong to another company)
+    const visitorExists = await User.findById(visitor).setOptions({ tenantScope: false });
     if (!visitorExists) {
       return res.status(404).json({
         message: 'Visitor not found'
       });
     }
 
-    // Verify employee exists
-    const employeeExists = await User.findById(employee);
+    // Verify employee exists. Visitors book visits with any company: the host
+    // must belong to the visited company (checked below).
+    const employeeExists = await User.findById(employee).setOptions({ tenantScope: false });
     if (!employeeExists) {
       return res.status(404).json({
         message: 'Employee not found'
@@ -26,8 +41,9 @@ const createVisit = async (req, res) => {
     }
 
     // Verify office exists if provided
+    let officeExists = null;
     if (office) {
-      const officeExists = await Office.findById(office);
+      officeExists = await Office.findById(office).setOptions({ tenantScope: false });
       if (!officeExists) {
         return res.status(404).json({
           message: 'Office not found'
@@ -41,16 +57,38 @@ const createVisit = async (req, res) => {
       expectedClockIn: new Date(expectedClockIn),
       reason,
       comment,
-      office
+      office,
+      company: officeExists ? officeExists.company : employeeExists.employer
     });
 
+    // Only an admin or employee of the visited company can host its visitors
+    if (!(await isCompanyMember(visit.company, employee))) {
+      return res.status(400).json({
+        message: 'The employee is not an admin or employee of the visited company'
+      });
+    }
+
+    const screening = await screenVisit(visit, { stage: 'booking', visitor: visitorExists });
+    if (screening.outcome === 'blocked') {
+      return res.status(403).json({
+        message: 'This visitor cannot be booked. Company admins have been notified',
+        screening: screening._id
+      });
+    }
+
+    // A host registering their own visitor approves it at the same time
+    await planApproval(visit, { by: req.user.userId });
     await visit.save();
 
     // Add visit to visitor's visits array
-    await User.findByIdAndUpdate(visitor, { $push: { visits: visit._id } });
+    await User.findByIdAndUpdate(visitor, { $push: { visits: visit._id } })
+      .setOptions({ tenantScope: false });
+
+    await notifyVisitBooked(visit);
+    await emitEvent('visit.created', visit);
 
     res.status(201).json({
-      message: 'Visit created successfully',
+      message: visit.status === 'accepted' ? 'Visit created successfully' : 'Visit created and awaiting approval',
       visit: await Visit.findById(visit._id)
         .populate('visitor', 'firstName lastName email phone')
         .populate('employee', 'firstName lastName email')
@@ -69,7 +107,7 @@ const createVisit = async (req, res) => {
 // @access Private
 const getAllVisits = async (req, res) => {
   try {
-    const { page = 1, limit = 10, visitor, employee, status, office } = req.query;
+    const { page = 1, limit = 10, visitor, employee, status, office, group, series, needsReview } = req.query;
     
     const query = {};
     
@@ -93,6 +131,21 @@ const getAllVisits = async (req, res) => {
       query.office = office;
     }
 
+    // Filter attendees of a group visit if provided
+    if (group) {
+      query.group = group;
+    }
+
+    // Filter occurrences of a visit series if provided
+    if (series) {
+      query.series = series;
+    }
+
+    // Filter visits flagged (or not) for review
+    if (needsReview !== undefined) {
+      query.needsReview = needsReview;
+    }
+
     const visits = await Visit.find(query)
       .populate('visitor', 'firstName lastName email phone')
       .populate('employee', 'firstName lastName email employer')
@@ -155,24 +208,7 @@ const updateVisit = async (req, res) => {
     delete updates.__v;
     delete updates.createdAt;
 
-    // Handle date fields
-    if (updates.expectedClockIn) {
-      updates.expectedClockIn = new Date(updates.expectedClockIn);
-    }
-    if (updates.clockIn) {
-      updates.clockIn = new Date(updates.clockIn);
-    }
-    if (updates.clockOut) {
-      updates.clockOut = new Date(updates.clockOut);
-    }
-
-    const visit = await Visit.findByIdAndUpdate(
-      visitId,
-      { $set: updates },
-      { new: true, runValidators: true }
-    ).populate('visitor', 'firstName lastName email')
-     .populate('employee', 'firstName lastName email')
-     .populate('office', 'name address city');
+    const visit = await Visit.findById(visitId);
 
     if (!visit) {
       return res.status(404).json({
@@ -180,12 +216,52 @@ const updateVisit = async (req, res) => {
       });
     }
 
+    // An occurrence edited on its own no longer follows its series
+    if (visit.series) {
+      updates.detached = true;
+    }
+
+    visit.set(updates);
+
+    // Visits moved to another office belong to that office's company
+    if (visit.isModified('office') && visit.office) {
+      const officeExists = await Office.findById(visit.office);
+      if (!officeExists) {
+        return res.status(404).json({
+          message: 'Office not found'
+        });
+      }
+      visit.company = officeExists.company;
+
+      if (!(await isCompanyMember(visit.company, visit.employee))) {
+        return res.status(400).json({
+          message: 'The employee is not an admin or employee of the visited company'
+        });
+      }
+    }
+
+    // Approvals were given for the office and time the visit had
+    const replanned = ['pending', 'accepted'].includes(visit.status)
+      && (visit.isModified('office') || visit.isModified('expectedClockIn'));
+    if (replanned) {
+      await planApproval(visit, { by: req.user.userId });
+    }
+
+    await visit.save();
+
+    if (replanned && visit.status === 'pending') {
+      await notifyVisitEvent('visit_requested', visit);
+    }
+
     res.json({
-      message: 'Visit updated successfully',
-      visit
+      message: replanned && visit.status === 'pending' ? 'Visit updated and awaiting approval' : 'Visit updated successfully',
+      visit: await Visit.findById(visit._id)
+        .populate('visitor', 'firstName lastName email')
+        .populate('employee', 'firstName lastName email')
+        .populate('office', 'name address city')
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.status || 400).json({
       message: 'Failed to update visit',
       error: error.message
     });
@@ -206,7 +282,17 @@ const deleteVisit = async (req, res) => {
     }
 
     // Remove visit from visitor's visits array
-    await User.findByIdAndUpdate(visit.visitor, { $pull: { visits: visit._id } });
+    await User.findByIdAndUpdate(visit.visitor, { $pull: { visits: visit._id } })
+      .setOptions({ tenantScope: false });
+
+    // A visitor still inside no longer counts towards occupancy
+    if (visit.status === 'in_progress' && visit.office) {
+      await leaveOffice(visit.office);
+    }
+    await discardVisit(visit);
+
+    // Editing the series later must not bring the occurrence back
+    await skipOccurrence(visit);
 
     res.json({
       message: 'Visit deleted successfully',
@@ -220,7 +306,7 @@ const deleteVisit = async (req, res) => {
   }
 };
 
-// @desc Accept visit
+// @desc Approve the current approval step of a visit (accepts it after the last step)
 // @route PATCH /api/visits/:id/accept
 // @access Private
 const acceptVisit = async (req, res) => {
@@ -233,29 +319,90 @@ const acceptVisit = async (req, res) => {
       });
     }
 
-    if (visit.status !== 'pending') {
-      return res.status(400).json({
-        message: 'Only pending visits can be accepted'
+    const { error, status, approval } = await approveVisit(visit, req.user.userId, req.body.comment);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error
       });
     }
 
-    visit.status = 'accepted';
-    await visit.save();
+    const accepted = visit.status === 'accepted';
+    let message = accepted ? 'Visit accepted successfully' : `Visit ${approval.step} approval given, awaiting the next approval`;
+    let checkIn;
+    if (accepted) {
+      await sendPendingInvitation(visit);
+      await notifyVisitEvent('visit_accepted', visit);
+
+      // Kiosk walk-ins are waiting at reception (approval expires otherwise)
+      if (visit.kioskDevice && !visit.clockIn) {
+        const { error, queued } = await admitWalkIn(visit);
+
+        if (error) {
+          checkIn = { status: 'refused', error };
+          message = `Visit accepted, but the visitor could not be checked in: ${error}`;
+        } else if (queued) {
+          checkIn = { status: 'queued', position: queued.position };
+          message = 'Visit accepted. The office is full: the visitor is on the waiting list.';
+        } else {
+          checkIn = { status: 'checked_in' };
+          message = 'Visit accepted and the visitor checked in';
+        }
+      }
+    }
 
     res.json({
-      message: 'Visit accepted successfully',
+      message,
+      checkIn,
       visit: await Visit.findById(visit._id)
         .populate('visitor', 'firstName lastName email')
         .populate('employee', 'firstName lastName email')
+        .populate('approvals.decidedBy', 'firstName lastName')
     });
   } catch (error) {
-    res.status(400).json({
+    // Status conflicts raised by the visit state machine carry a 409
+    res.status(error.status || 400).json({
       message: 'Failed to accept visit',
       error: error.message
     });
   }
 };
 
+// @desc Reject visit
+// @route PATCH /api/visits/:id/reject
+// @access Private
+const rejectVisit = async (req, res) => {
+  try {
+    const { reason, comment } = req.body;
+    const visit = await Visit.findById(req.params.id);
+
+    if (!visit) {
+      return res.status(404).json({
+        message: 'Visit not found'
+      });
+    }
+
+    const { error, status } = await rejectPendingVisit(visit, req.user.userId, reason, comment);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error
+      });
+    }
+
+    res.json({
+      message: 'Visit rejected successfully',
+      visit: await Visit.findById(visit._id)
+        .populate('visitor', 'firstName lastName email')
+        .populate('employee', 'firstName lastName email')
+        .populate('approvals.decidedBy', 'firstName lastName')
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      message: 'Failed to reject visit',
+      error: error.message
+    });
+  }
+};
+
 // @desc Cancel visit
 // @route PATCH /api/visits/:id/cancel
 // @access Private
@@ -270,18 +417,25 @@ const cancelVisit = async (req, res) => {
       });
     }
 
-    if (visit.status === 'completed') {
+    if (!Visit.canTransition(visit.status, 'cancelled')) {
       return res.status(400).json({
-        message: 'Completed visits cannot be cancelled'
+        message: `A ${visit.status} visit cannot be cancelled`
       });
     }
 
+    const wasInside = visit.status === 'in_progress';
+
     visit.status = 'cancelled';
-    if (reason) {
-      visit.comment = visit.comment ? `${visit.comment}\nCancellation reason: ${reason}` : `Cancellation reason: ${reason}`;
-    }
+    visit.cancellationReason = reason || null;
     await visit.save();
 
+    // A visitor cancelled while inside no longer counts towards occupancy
+    if (wasInside && visit.office) {
+      await leaveOffice(visit.office);
+    }
+
+    await notifyVisitEvent('visit_cancelled', visit);
+
     res.json({
       message: 'Visit cancelled successfully',
       visit: await Visit.findById(visit._id)
@@ -289,7 +443,7 @@ const cancelVisit = async (req, res) => {
         .populate('employee', 'firstName lastName email')
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.status || 400).json({
       message: 'Failed to cancel visit',
       error: error.message
     });
@@ -309,21 +463,31 @@ const clockInVisitor = async (req, res) => {
       });
     }
 
-    if (visit.status !== 'accepted') {
-      return res.status(400).json({
-        message: 'Only accepted visits can be clocked in'
-      });
+    if (req.body.agreements) {
+      const signing = await recordAgreements(visit, req.body.agreements);
+      if (signing.error) {
+        return res.status(signing.status || 400).json({
+          message: signing.error,
+          agreements: signing.agreements
+        });
+      }
     }
 
-    if (visit.clockIn) {
-      return res.status(400).json({
-        message: 'Visitor is already clocked in'
+    const { error, status, queued, agreements } = await startVisit(visit);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error,
+        agreements
       });
     }
 
-    visit.clockIn = new Date();
-    visit.status = 'in_progress';
-    await visit.save();
+    if (queued) {
+      return res.status(202).json({
+        message: 'Office is at capacity. Visitor added to the waiting queue',
+        queueEntry: queued.entry,
+        position: queued.position
+      });
+    }
 
     res.json({
       message: 'Visitor clocked in successfully',
@@ -333,13 +497,166 @@ const clockInVisitor = async (req, res) => {
         .populate('office', 'name address')
     });
   } catch (error) {
-    res.status(400).json({
+    res.status(error.status || 400).json({
       message: 'Failed to clock in visitor',
       error: error.message
     });
   }
 };
 
+// @desc Get the agreements signed for a visit, and those still to sign
+// @route GET /api/visits/:id/agreements
+// @access Private
+const getVisitAgreements = async (req, res) => {
+  try {
+    const visit = await Visit.findById(req.params.id)
+      .select('+agreements')
+      .populate('agreements.by', 'firstName lastName');
+
+    if (!visit) {
+      return res.status(404).json({
+        message: 'Visit not found'
+      });
+    }
+
+    // Templates are read through the visit, whoever can see it
+    const templates = await AgreementTemplate.find({ _id: { $in: visit.agreements.map(entry => entry.template) } })
+      .select('versions')
+      .setOptions({ tenantScope: false });
+
+    const agreements = visit.agreements.map(entry => {
+      const template = templates.find(candidate => candidate._id.equals(entry.template));
+      const signed = template && template.versions.find(version => version.version === entry.version);
+      return { ...entry.toObject(), body: signed ? signed.body : null };
+    });
+
+    const pending = ['pending', 'accepted'].includes(visit.status) && !visit.clockIn
+      ? await pendingAgreements(visit)
+      : [];
+
+    res.json({
+      visit: visit._id,
+      agreements,
+      pending: pending.map(summarize)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch visit agreements',
+      error: error.message
+    });
+  }
+};
+
+// @desc Sign the agreements required before the visitor clocks in
+// @route POST /api/visits/:id/agreements
+// @access Private
+const signAgreements = async (req, res) => {
+  try {
+    const visit = await Visit.findById(req.params.id);
+
+    if (!visit) {
+      return res.status(404).json({
+        message: 'Visit not found'
+      });
+    }
+
+    const { error, status, agreements, signed } = await recordAgreements(visit, req.body.agreements);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error,
+        agreements
+      });
+    }
+
+    const pending = await pendingAgreements(visit);
+
+    res.status(201).json({
+      message: pending.length ? 'Agreements signed. Other agreements still have to be signed' : 'Agreements signed successfully',
+      agreements: signed,
+      pending: pending.map(summarize)
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to sign agreements',
+      error: error.message
+    });
+  }
+};
+
+// @desc Print the visitor badge of a visit (PDF, or ZPL for label printers)
+// @route GET /api/visits/:id/badge
+// @access Private
+const getVisitBadge = async (req, res) => {
+  try {
+    const visit = await Visit.findById(req.params.id)
+      .populate('visitor', 'firstName lastName email')
+      .populate('employee', 'firstName lastName email');
+
+    if (!visit) {
+      return res.status(404).json({
+        message: 'Visit not found'
+      });
+    }
+
+    if (!BADGE_STATUSES.includes(visit.status)) {
+      return res.status(409).json({
+        message: `Badges can only be printed for accepted or in-progress visits (visit is ${visit.status})`
+      });
+    }
+
+    // The office and company are read through the visit, whoever can see it
+    const office = visit.office ? await Office.findById(visit.office).setOptions({ tenantScope: false }) : null;
+    const company = visit.company ? await Company.findById(visit.company).setOptions({ tenantScope: false }) : null;
+
+    const { validFrom, validUntil } = badgeValidity(visit, office);
+    if (validUntil < new Date()) {
+      return res.status(409).json({
+        message: 'The badge validity window of this visit has ended',
+        validFrom,
+        validUntil
+      });
+    }
+
+    const { format } = req.query;
+    const badge = await renderBadge(visit, { company, office, size: req.query.size, format });
+
+    const filename = `badge-${visit._id}-${badge.size}.${format}`;
+    res.set({
+      'Content-Type': format === 'zpl' ? 'text/plain; charset=utf-8' : 'application/pdf',
+      'Content-Disposition': `${format === 'zpl' ? 'attachment' : 'inline'}; filename="${filename}"`,
+      'X-Badge-Valid-From': badge.validFrom.toISOString(),
+      'X-Badge-Valid-Until': badge.validUntil.toISOString()
+    });
+    res.send(badge.content);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to print visitor badge',
+      error: error.message
+    });
+  }
+};
+
+// @desc Check a visitor badge read by a guard
+// @route POST /api/visits/badge/verify
+// @access Private
+const verifyBadge = async (req, res) => {
+  try {
+    const { error, status, ...result } = await checkBadge(req.body.code);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to verify badge',
+      error: error.message
+    });
+  }
+};
+
 // @desc Clock out visitor
 // @route PATCH /api/visits/:id/clock-out
 // @access Private
@@ -353,32 +670,318 @@ const clockOutVisitor = async (req, res) => {
       });
     }
 
-    if (!visit.clockIn) {
+    const { error } = await endVisit(visit);
+    if (error) {
+      return res.status(400).json({
+        message: error
+      });
+    }
+
+    res.json({
+      message: 'Visitor clocked out successfully',
+      visit: await Visit.findById(visit._id)
+        .populate('visitor', 'firstName lastName email')
+        .populate('employee', 'firstName lastName email')
+        .populate('office', 'name address'),
+      duration: visit.duration
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      message: 'Failed to clock out visitor',
+      error: error.message
+    });
+  }
+};
+
+// @desc Invite a visitor by email or phone and send them an entry code
+// @route POST /api/visits/invite
+// @access Private
+const inviteVisitor = async (req, res) => {
+  try {
+    const { visitor: guest, employee = req.user.userId, expectedClockIn, reason, comment, office } = req.body;
+
+    // Verify host employee exists
+    const host = await User.findById(employee);
+    if (!host) {
+      return res.status(404).json({
+        message: 'Employee not found'
+      });
+    }
+
+    // Verify office exists if provided
+    let officeExists = null;
+    if (office) {
+      officeExists = await Office.findById(office);
+      if (!officeExists) {
+        return res.status(404).json({
+          message: 'Office not found'
+        });
+      }
+    }
+
+    const { visitor, created } = await findOrCreateVisitor(guest);
+
+    const visit = new Visit({
+      visitor: visitor._id,
+      employee: host._id,
+      expectedClockIn: new Date(expectedClockIn),
+      reason,
+      comment,
+      office,
+      company: officeExists ? officeExists.company : host.employer,
+      invitedBy: req.user.userId
+    });
+
+    const screening = await screenVisit(visit, { stage: 'booking', visitor });
+    if (screening.outcome === 'blocked') {
+      return res.status(403).json({
+        message: 'This visitor cannot be booked. Company admins have been notified',
+        screening: screening._id
+      });
+    }
+
+    // A host inviting their own visitor approves the visit; other steps the
+    // company requires (security, manager) still have to be given
+    await planApproval(visit, { by: req.user.userId });
+    await visit.save();
+
+    // Add visit to visitor's visits array
+    await User.findByIdAndUpdate(visitor._id, { $push: { visits: visit._id } })
+      .setOptions({ tenantScope: false });
+
+    // The entry code is only sent once the visit is accepted. The visit stands
+    // even if the invitation cannot be delivered; it can be sent again through
+    // POST /api/visits/:id/invitation
+    const invitation = await sendPendingInvitation(visit);
+    await notifyVisitBooked(visit);
+    await emitEvent('visit.created', visit);
+
+    let message = 'Visitor invited successfully';
+    if (visit.status !== 'accepted') {
+      message = 'Visit created and awaiting approval. The invitation will be sent once it is approved';
+    } else if (!invitation) {
+      message = 'Visit created but the invitation could not be sent';
+    }
+
+    res.status(201).json({
+      message,
+      visit: await Visit.findById(visit._id)
+        .populate('visitor', 'firstName lastName email phone')
+        .populate('employee', 'firstName lastName email')
+        .populate('office', 'name address city'),
+      visitorCreated: created,
+      invitation
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to invite visitor',
+      error: error.message
+    });
+  }
+};
+
+// @desc Send the invitation with a new entry code again
+// @route POST /api/visits/:id/invitation
+// @access Private
+const resendInvitation = async (req, res) => {
+  try {
+    const visit = await Visit.findById(req.params.id)
+      .populate({ path: 'visitor', select: 'firstName lastName email phone' })
+      .populate({ path: 'employee', select: 'firstName lastName email' })
+      .populate({ path: 'office', select: 'name address city' });
+
+    if (!visit) {
+      return res.status(404).json({
+        message: 'Visit not found'
+      });
+    }
+
+    if (visit.status !== 'accepted' || visit.clockIn) {
+      return res.status(400).json({
+        message: 'Invitations can only be sent for accepted visits not yet started'
+      });
+    }
+
+    const invitation = await sendVisitInvitation(visit, {
+      visitor: visit.visitor,
+      host: visit.employee,
+      office: visit.office
+    });
+    await Visit.updateOne({ _id: visit._id }, { invitationSentAt: new Date() });
+
+    res.json({
+      message: 'Invitation sent successfully',
+      invitation
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to send invitation',
+      error: error.message
+    });
+  }
+};
+
+// @desc Check a visitor in by scanning their entry code
+// @route POST /api/visits/check-in
+// @access Private
+const checkInWithCode = async (req, res) => {
+  try {
+    let entry;
+    try {
+      entry = verifyVisitEntryToken(req.body.code);
+    } catch (codeError) {
+      return res.status(400).json({
+        message: 'Invalid or expired entry code'
+      });
+    }
+
+    const visit = await Visit.findById(entry.visitId);
+    if (!visit) {
+      return res.status(404).json({
+        message: 'Visit not found'
+      });
+    }
+
+    // The visit may have been rescheduled since the code was sent
+    const { start, end } = entryWindow(visit);
+    const now = new Date();
+    if (now < start || now > end) {
       return res.status(400).json({
-        message: 'Visitor must be clocked in before clocking out'
+        message: now < start ? 'Too early to check in for this visit' : 'The check-in window for this visit has passed',
+        windowStart: start,
+        windowEnd: end
+      });
+    }
+
+    if (req.body.agreements) {
+      const signing = await recordAgreements(visit, req.body.agreements);
+      if (signing.error) {
+        return res.status(signing.status || 400).json({
+          message: signing.error,
+          agreements: signing.agreements
+        });
+      }
+    }
+
+    const { error, status, queued, agreements } = await startVisit(visit);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error,
+        agreements
+      });
+    }
+
+    if (queued) {
+      return res.status(202).json({
+        message: 'Office is at capacity. Visitor added to the waiting queue',
+        queueEntry: queued.entry,
+        position: queued.position
+      });
+    }
+
+    res.json({
+      message: 'Visitor checked in successfully',
+      visit: await Visit.findById(visit._id)
+        .populate('visitor', 'firstName lastName email phone')
+        .populate('employee', 'firstName lastName email')
+        .populate('office', 'name address')
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to check in visitor',
+      error: error.message
+    });
+  }
+};
+
+// @desc Review a visit flagged for review, optionally correcting its clock-out time
+// @route PATCH /api/visits/:id/review
+// @access Private
+const reviewVisit = async (req, res) => {
+  try {
+    const { clockOut, comment } = req.body;
+    const visit = await Visit.findById(req.params.id);
+
+    if (!visit) {
+      return res.status(404).json({
+        message: 'Visit not found'
       });
     }
 
-    if (visit.clockOut) {
+    if (!visit.needsReview) {
       return res.status(400).json({
-        message: 'Visitor is already clocked out'
+        message: 'Visit is not flagged for review'
       });
     }
 
-    visit.clockOut = new Date();
+    if (clockOut) {
+      if (!visit.clockOut) {
+        return res.status(400).json({
+          message: 'Only clocked out visits can have their clock-out time corrected'
+        });
+      }
+
+      if (new Date(clockOut) <= visit.clockIn) {
+        return res.status(400).json({
+          message: 'Clock-out time must be after the clock-in time'
+        });
+      }
+
+      visit.clockOut = new Date(clockOut);
+    }
+
+    visit.needsReview = false;
+    visit.reviewedBy = req.user.userId;
+    visit.reviewedAt = new Date();
+    visit.reviewComment = comment || null;
     await visit.save();
 
     res.json({
-      message: 'Visitor clocked out successfully',
+      message: 'Visit reviewed successfully',
       visit: await Visit.findById(visit._id)
         .populate('visitor', 'firstName lastName email')
         .populate('employee', 'firstName lastName email')
-        .populate('office', 'name address'),
-      duration: visit.duration
+        .populate('reviewedBy', 'firstName lastName')
     });
   } catch (error) {
     res.status(400).json({
-      message: 'Failed to clock out visitor',
+      message: 'Failed to review visit',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get the status history of a visit
+// @route GET /api/visits/:id/history
+// @access Private
+const getVisitHistory = async (req, res) => {
+  try {
+    const visit = await Visit.findById(req.params.id)
+      .select('status statusHistory')
+      .populate('statusHistory.by', 'firstName lastName');
+
+    if (!visit) {
+      return res.status(404).json({
+        message: 'Visit not found'
+      });
+    }
+
+    // Each entry records the status entered; the previous one is where it came from
+    const history = visit.statusHistory.map(({ status, at, by }, index) => ({
+      from: index > 0 ? visit.statusHistory[index - 1].status : null,
+      to: status,
+      at,
+      by
+    }));
+
+    res.json({
+      visit: visit._id,
+      status: visit.status,
+      history
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch visit history',
       error: error.message
     });
   }
@@ -421,11 +1024,21 @@ module.exports = {
   createVisit,
   getAllVisits,
   getVisitById,
+  getVisitHistory,
+  reviewVisit,
   updateVisit,
   deleteVisit,
   acceptVisit,
+  rejectVisit,
   cancelVisit,
   clockInVisitor,
+  getVisitAgreements,
+  signAgreements,
+  getVisitBadge,
+  verifyBadge,
   clockOutVisitor,
+  inviteVisitor,
+  resendInvitation,
+  checkInWithCode,
   getVisitsByStatus
 };
\ No newline at end of file
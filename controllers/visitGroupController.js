@@ -0,0 +1,541 @@
+const VisitGroup = require('../models/VisitGroup');
+const Visit = require('../models/Visit');
+const User = require('../models/User');
+const Office = require('../models/Office');
+const { findOrCreateVisitor } = require('../services/visits');
+const { sendPendingInvitation } = require('../services/visitInvitations');
+const { isCompanyMember, planApproval, approveVisit, rejectVisit, settleVisits } = require('../services/visitApprovals');
+const { screenVisit } = require('../services/watchlist');
+const { notifyVisitEvent } = require('../services/visitNotifications');
+const { emitEvent } = require('../services/webhooks');
+
+// Visits that still count towards the group's size
+const ACTIVE_STATUSES = ['pending', 'accepted', 'in_progress', 'completed'];
+
+const populateGroup = (query) => query
+  .populate('employee', 'firstName lastName email')
+  .populate('office', 'name address city capacity')
+  .populate('approvals.decidedBy', 'firstName lastName');
+
+const attendeeVisits = (groupId) => Visit.find({ group: groupId })
+  .populate('visitor', 'firstName lastName email phone')
+  .sort({ createdAt: 1 });
+
+// Resolve attendees given by user ID or by contact details (guests are
+// created as needed). Returns { visitors: [{ visitor, invited }], created }
+// or { error, status }.
+const resolveAttendees = async (attendees) => {
+  const visitors = [];
+  let created = 0;
+
+  for (const { visitor: visitorId, ...contact } of attendees) {
+    if (visitorId) {
+      // Visitors usually belong to another company
+      const visitor = await User.findById(visitorId).setOptions({ tenantScope: false });
+      if (!visitor) {
+        return { error: `Visitor ${visitorId} not found`, status: 404 };
+      }
+      visitors.push({ visitor, invited: false });
+    } else {
+      const result = await findOrCreateVisitor(contact);
+      visitors.push({ visitor: result.visitor, invited: true });
+      created += result.created ? 1 : 0;
+    }
+  }
+
+  const ids = visitors.map(({ visitor }) => visitor._id.toString());
+  if (new Set(ids).size !== ids.length) {
+    return { error: 'The same visitor is listed more than once', status: 400 };
+  }
+
+  return { visitors, created };
+};
+
+// One unsaved visit per attendee, following the group's approval, screened
+// against the company watchlist. Attendees the watchlist blocks get no visit
+// and are returned in `refused` instead.
+const prepareAttendeeVisits = async (group, visitors, invitedBy) => {
+  const visits = [];
+  const refused = [];
+
+  for (const { visitor, invited } of visitors) {
+    const visit = new Visit({
+      visitor: visitor._id,
+      employee: group.employee,
+      expectedClockIn: group.expectedClockIn,
+      reason: group.reason,
+      comment: group.comment,
+      office: group.office,
+      company: group.company,
+      group: group._id,
+      status: group.status === 'accepted' ? 'accepted' : 'pending',
+      expiresAt: group.status === 'accepted' ? null : group.expiresAt,
+      invitedBy: invited ? invitedBy : null
+    });
+
+    const screening = await screenVisit(visit, { stage: 'booking', visitor });
+    if (screening.outcome === 'blocked') {
+      refused.push({ visitor: visitor._id, screening: screening._id });
+    } else {
+      visits.push(visit);
+    }
+  }
+
+  return { visits, refused };
+};
+
+// Save attendee visits. Attendees given by contact details are invited like
+// with POST /api/visits/invite.
+const saveAttendeeVisits = async (visits) => {
+  for (const visit of visits) {
+    await visit.save();
+
+    await User.findByIdAndUpdate(visit.visitor, { $push: { visits: visit._id } })
+      .setOptions({ tenantScope: false });
+
+    await sendPendingInvitation(visit);
+
+    if (visit.status === 'accepted') {
+      await notifyVisitEvent('visit_accepted', visit, { to: ['visitor'] });
+    }
+
+    await emitEvent('visit.created', visit);
+  }
+};
+
+// Tell the host of a group visit, and each attendee of their own visit
+const notifyGroupEvent = async (event, group, visits) => {
+  await notifyVisitEvent(event, group, { to: ['host'] });
+
+  for (const visit of visits) {
+    await notifyVisitEvent(event, visit, { to: ['visitor'] });
+  }
+};
+
+// The capacity of the group's office if `count` more attendees would not
+// fit in it at once, else null
+const exceedsCapacity = async (group, count) => {
+  if (!group.office) return null;
+
+  const office = await Office.findById(group.office).select('capacity');
+  if (!office) return null;
+
+  const current = await Visit.countDocuments({ group: group._id, status: { $in: ACTIVE_STATUSES } });
+  return current + count > office.capacity ? office.capacity : null;
+};
+
+// @desc Create a group visit: one booking, one approval, one visit per attendee
+// @route POST /api/visit-groups
+// @access Private
+const createGroup = async (req, res) => {
+  try {
+    const { name, employee = req.user.userId, expectedClockIn, reason, comment, office, attendees } = req.body;
+
+    const host = await User.findById(employee);
+    if (!host) {
+      return res.status(404).json({
+        message: 'Employee not found'
+      });
+    }
+
+    let officeExists = null;
+    if (office) {
+      officeExists = await Office.findById(office);
+      if (!officeExists) {
+        return res.status(404).json({
+          message: 'Office not found'
+        });
+      }
+
+      if (attendees.length > officeExists.capacity) {
+        return res.status(400).json({
+          message: `The group is larger than the office capacity (${officeExists.capacity})`
+        });
+      }
+    }
+
+    // Only an admin or employee of the visited company can host its visitors
+    if (!(await isCompanyMember(officeExists ? officeExists.company : host.employer, host._id))) {
+      return res.status(400).json({
+        message: 'The employee is not an admin or employee of the visited company'
+      });
+    }
+
+    const { visitors, created, error, status } = await resolveAttendees(attendees);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error
+      });
+    }
+
+    const group = new VisitGroup({
+      name,
+      employee: host._id,
+      office,
+      company: officeExists ? officeExists.company : host.employer,
+      expectedClockIn: new Date(expectedClockIn),
+      reason,
+      comment,
+      createdBy: req.user.userId
+    });
+
+    // A host booking their own group approves it at the same time
+    await planApproval(group, { by: req.user.userId });
+
+    const { visits, refused } = await prepareAttendeeVisits(group, visitors, req.user.userId);
+    if (!visits.length) {
+      return res.status(403).json({
+        message: 'None of the attendees can be booked. Company admins have been notified',
+        refused
+      });
+    }
+
+    await group.save();
+    await saveAttendeeVisits(visits);
+    await notifyVisitEvent('visit_requested', group);
+
+    let message = group.status === 'accepted' ? 'Group visit created successfully' : 'Group visit created and awaiting approval';
+    if (refused.length) {
+      message = `${message}. Some attendees cannot be booked; company admins have been notified`;
+    }
+
+    res.status(201).json({
+      message,
+      group: await populateGroup(VisitGroup.findById(group._id)),
+      attendees: await attendeeVisits(group._id),
+      visitorsCreated: created,
+      refused
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to create group visit',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get group visits
+// @route GET /api/visit-groups
+// @access Private
+const getAllGroups = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, employee, office, status } = req.query;
+
+    const query = {};
+
+    if (employee) {
+      query.employee = employee;
+    }
+
+    if (office) {
+      query.office = office;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const groups = await populateGroup(VisitGroup.find(query))
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ expectedClockIn: -1 });
+
+    const total = await VisitGroup.countDocuments(query);
+
+    res.json({
+      groups,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalGroups: total
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch group visits',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get a group visit and the visits of its attendees
+// @route GET /api/visit-groups/:id
+// @access Private
+const getGroupById = async (req, res) => {
+  try {
+    const group = await populateGroup(VisitGroup.findById(req.params.id));
+
+    if (!group) {
+      return res.status(404).json({
+        message: 'Group visit not found'
+      });
+    }
+
+    res.json({
+      group,
+      attendees: await attendeeVisits(group._id)
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch group visit',
+      error: error.message
+    });
+  }
+};
+
+// @desc Attendance report of a group visit
+// @route GET /api/visit-groups/:id/report
+// @access Private
+const getGroupReport = async (req, res) => {
+  try {
+    const group = await VisitGroup.findById(req.params.id).select('name status expectedClockIn office');
+
+    if (!group) {
+      return res.status(404).json({
+        message: 'Group visit not found'
+      });
+    }
+
+    const visits = await attendeeVisits(group._id);
+
+    const byStatus = {};
+    visits.forEach(({ status }) => {
+      byStatus[status] = (byStatus[status] || 0) + 1;
+    });
+
+    const arrivals = visits.filter(visit => visit.clockIn).map(visit => visit.clockIn.getTime());
+    const departures = visits.filter(visit => visit.clockOut).map(visit => visit.clockOut.getTime());
+    const minutesInside = visits
+      .filter(visit => visit.clockIn && visit.clockOut)
+      .reduce((total, visit) => total + Math.round((visit.clockOut - visit.clockIn) / (60 * 1000)), 0);
+    const expected = visits.filter(({ status }) => status !== 'cancelled' && status !== 'rejected').length;
+
+    res.json({
+      group,
+      summary: {
+        attendees: visits.length,
+        byStatus,
+        arrived: arrivals.length,
+        present: byStatus.in_progress || 0,
+        attendanceRate: expected ? Math.round((arrivals.length / expected) * 100) : 0,
+        firstArrival: arrivals.length ? new Date(Math.min(...arrivals)) : null,
+        lastDeparture: departures.length ? new Date(Math.max(...departures)) : null,
+        minutesInside
+      },
+      attendees: visits.map(visit => ({
+        visit: visit._id,
+        visitor: visit.visitor,
+        status: visit.status,
+        clockIn: visit.clockIn,
+        clockOut: visit.clockOut,
+        duration: visit.duration
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch group visit report',
+      error: error.message
+    });
+  }
+};
+
+// @desc Add attendees to a group visit
+// @route POST /api/visit-groups/:id/attendees
+// @access Private
+const addAttendees = async (req, res) => {
+  try {
+    const group = await VisitGroup.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        message: 'Group visit not found'
+      });
+    }
+
+    if (!['pending', 'accepted'].includes(group.status)) {
+      return res.status(400).json({
+        message: `Attendees cannot be added to a ${group.status} group visit`
+      });
+    }
+
+    const capacity = await exceedsCapacity(group, req.body.attendees.length);
+    if (capacity) {
+      return res.status(400).json({
+        message: `The group would be larger than the office capacity (${capacity})`
+      });
+    }
+
+    const { visitors, created, error, status } = await resolveAttendees(req.body.attendees);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error
+      });
+    }
+
+    const listed = await Visit.distinct('visitor', { group: group._id, status: { $in: ACTIVE_STATUSES } });
+    const already = visitors.filter(({ visitor }) => listed.some(id => id.equals(visitor._id)));
+    if (already.length) {
+      return res.status(400).json({
+        message: 'Some visitors already attend this group visit',
+        visitors: already.map(({ visitor }) => visitor._id)
+      });
+    }
+
+    const { visits, refused } = await prepareAttendeeVisits(group, visitors, req.user.userId);
+    if (!visits.length) {
+      return res.status(403).json({
+        message: 'None of the attendees can be booked. Company admins have been notified',
+        refused
+      });
+    }
+
+    await saveAttendeeVisits(visits);
+
+    res.status(201).json({
+      message: refused.length
+        ? 'Attendees added. Some attendees cannot be booked; company admins have been notified'
+        : 'Attendees added successfully',
+      attendees: await Visit.find({ _id: { $in: visits.map(visit => visit._id) } })
+        .populate('visitor', 'firstName lastName email phone'),
+      visitorsCreated: created,
+      refused
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to add attendees',
+      error: error.message
+    });
+  }
+};
+
+// @desc Approve the current approval step of a group visit (accepts it and
+// its attendees' visits after the last step)
+// @route PATCH /api/visit-groups/:id/accept
+// @access Private
+const acceptGroup = async (req, res) => {
+  try {
+    const group = await VisitGroup.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        message: 'Group visit not found'
+      });
+    }
+
+    const { error, status, approval } = await approveVisit(group, req.user.userId, req.body.comment);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error
+      });
+    }
+
+    const accepted = group.status === 'accepted';
+    if (accepted) {
+      await settleVisits({ group: group._id }, group);
+
+      // Invited guests get their entry code now
+      const invited = await Visit.find({ group: group._id, status: 'accepted', invitedBy: { $ne: null }, invitationSentAt: null });
+      for (const visit of invited) {
+        await sendPendingInvitation(visit);
+      }
+
+      await notifyGroupEvent('visit_accepted', group, await Visit.find({ group: group._id, status: 'accepted' }));
+    }
+
+    res.json({
+      message: accepted ? 'Group visit accepted successfully' : `Group visit ${approval.step} approval given, awaiting the next approval`,
+      group: await populateGroup(VisitGroup.findById(group._id))
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      message: 'Failed to accept group visit',
+      error: error.message
+    });
+  }
+};
+
+// @desc Reject a pending group visit and its attendees' visits
+// @route PATCH /api/visit-groups/:id/reject
+// @access Private
+const rejectGroup = async (req, res) => {
+  try {
+    const { reason, comment } = req.body;
+    const group = await VisitGroup.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        message: 'Group visit not found'
+      });
+    }
+
+    const { error, status } = await rejectVisit(group, req.user.userId, reason, comment);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error
+      });
+    }
+
+    await settleVisits({ group: group._id }, group);
+
+    res.json({
+      message: 'Group visit rejected successfully',
+      group: await populateGroup(VisitGroup.findById(group._id))
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      message: 'Failed to reject group visit',
+      error: error.message
+    });
+  }
+};
+
+// @desc Cancel a group visit and its attendees' visits that have not started
+// @route PATCH /api/visit-groups/:id/cancel
+// @access Private
+const cancelGroup = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const group = await VisitGroup.findById(req.params.id);
+
+    if (!group) {
+      return res.status(404).json({
+        message: 'Group visit not found'
+      });
+    }
+
+    if (!VisitGroup.canTransition(group.status, 'cancelled')) {
+      return res.status(400).json({
+        message: `A ${group.status} group visit cannot be cancelled`
+      });
+    }
+
+    const open = await Visit.find({ group: group._id, status: { $in: ['pending', 'accepted'] } }).select('_id');
+
+    group.status = 'cancelled';
+    group.cancellationReason = reason || null;
+    await group.save();
+
+    const cancelled = await settleVisits({ group: group._id }, group);
+    await notifyGroupEvent('visit_cancelled', group, await Visit.find({ _id: { $in: open.map(visit => visit._id) }, status: 'cancelled' }));
+
+    res.json({
+      message: 'Group visit cancelled successfully',
+      group: await populateGroup(VisitGroup.findById(group._id)),
+      cancelledVisits: cancelled
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      message: 'Failed to cancel group visit',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createGroup,
+  getAllGroups,
+  getGroupById,
+  getGroupReport,
+  addAttendees,
+  acceptGroup,
+  rejectGroup,
+  cancelGroup
+};
@@ -0,0 +1,374 @@
+const VisitSeries = require('../models/VisitSeries');
+const Visit = require('../models/Visit');
+const User = require('../models/User');
+const Office = require('../models/Office');
+const { occurrencesOf } = require('../services/recurrence');
+const { isCompanyMember, planApproval, approveVisit, rejectVisit, settleVisits } = require('../services/visitApprovals');
+const { scheduleOccurrences } = require('../services/visitSeries');
+const { screenVisit, WATCHLIST_REVIEW_REASON } = require('../services/watchlist');
+const { notifyVisitEvent, notifyVisitBooked } = require('../services/visitNotifications');
+
+const populateSeries = (query) => query
+  .populate('visitor', 'firstName lastName email phone')
+  .populate('employee', 'firstName lastName email')
+  .populate('office', 'name address city')
+  .populate('approvals.decidedBy', 'firstName lastName');
+
+// Upcoming start times of a series, or an error when there are none
+const upcomingOccurrences = (series) => {
+  const dates = occurrencesOf(series).filter(date => date > new Date());
+  if (!dates.length) {
+    const error = new Error('The recurrence has no upcoming occurrences');
+    error.status = 400;
+    throw error;
+  }
+  return dates;
+};
+
+// @desc Create a recurring visit series and schedule its occurrences
+// @route POST /api/visit-series
+// @access Private
+const createSeries = async (req, res) => {
+  try {
+    const { visitor, employee, office, reason, comment, startAt, timezone, recurrence, exceptions } = req.body;
+
+    // Verify visitor exists (visitors usually belong to another company)
+    const visitorExists = await User.findById(visitor).setOptions({ tenantScope: false });
+    if (!visitorExists) {
+      return res.status(404).json({
+        message: 'Visitor not found'
+      });
+    }
+
+    // Visitors book visits with any company: the host must belong to the
+    // visited company (checked below)
+    const employeeExists = await User.findById(employee).setOptions({ tenantScope: false });
+    if (!employeeExists) {
+      return res.status(404).json({
+        message: 'Employee not found'
+      });
+    }
+
+    let officeExists = null;
+    if (office) {
+      officeExists = await Office.findById(office).setOptions({ tenantScope: false });
+      if (!officeExists) {
+        return res.status(404).json({
+          message: 'Office not found'
+        });
+      }
+    }
+
+    const series = new VisitSeries({
+      visitor,
+      employee,
+      office,
+      company: officeExists ? officeExists.company : employeeExists.employer,
+      reason,
+      comment,
+      startAt: new Date(startAt),
+      timezone,
+      recurrence,
+      exceptions,
+      createdBy: req.user.userId
+    });
+
+    // Only an admin or employee of the visited company can host its visitors
+    if (!(await isCompanyMember(series.company, employee))) {
+      return res.status(400).json({
+        message: 'The employee is not an admin or employee of the visited company'
+      });
+    }
+
+    // A host registering their own visitor approves the whole series
+    await planApproval(series, { by: req.user.userId, dates: upcomingOccurrences(series) });
+
+    const screening = await screenVisit(series, { stage: 'booking', visitor: visitorExists });
+    if (screening.outcome === 'blocked') {
+      return res.status(403).json({
+        message: 'This visitor cannot be booked. Company admins have been notified',
+        screening: screening._id
+      });
+    }
+
+    await series.save();
+
+    const { created } = await scheduleOccurrences(series);
+
+    // Occurrences are screened again at clock-in, so later ones get flagged too
+    if (screening.outcome === 'flagged') {
+      await Visit.updateMany(
+        { series: series._id },
+        { $set: { needsReview: true, reviewReason: WATCHLIST_REVIEW_REASON } }
+      );
+    }
+
+    // One notification for the whole series, not one per occurrence
+    await notifyVisitBooked(series);
+
+    res.status(201).json({
+      message: series.status === 'accepted' ? 'Visit series created successfully' : 'Visit series created and awaiting approval',
+      series: await populateSeries(VisitSeries.findById(series._id)),
+      occurrences: created
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      message: 'Failed to create visit series',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get visit series
+// @route GET /api/visit-series
+// @access Private
+const getAllSeries = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, visitor, employee, status } = req.query;
+
+    const query = {};
+
+    if (visitor) {
+      query.visitor = visitor;
+    }
+
+    if (employee) {
+      query.employee = employee;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const series = await populateSeries(VisitSeries.find(query))
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ startAt: -1 });
+
+    const total = await VisitSeries.countDocuments(query);
+
+    res.json({
+      series,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalSeries: total
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch visit series',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get visit series by ID, with its occurrences
+// @route GET /api/visit-series/:id
+// @access Private
+const getSeriesById = async (req, res) => {
+  try {
+    const series = await populateSeries(VisitSeries.findById(req.params.id));
+
+    if (!series) {
+      return res.status(404).json({
+        message: 'Visit series not found'
+      });
+    }
+
+    const occurrences = await Visit.find({ series: series._id })
+      .select('expectedClockIn occurrenceDate status detached clockIn clockOut')
+      .sort({ occurrenceDate: 1 });
+
+    res.json({
+      series,
+      occurrences
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch visit series',
+      error: error.message
+    });
+  }
+};
+
+// @desc Update a whole visit series; its upcoming occurrences follow, except
+// those edited or decided on their own
+// @route PATCH /api/visit-series/:id
+// @access Private
+const updateSeries = async (req, res) => {
+  try {
+    const series = await VisitSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        message: 'Visit series not found'
+      });
+    }
+
+    if (!['pending', 'accepted'].includes(series.status)) {
+      return res.status(400).json({
+        message: `A ${series.status} visit series cannot be edited`
+      });
+    }
+
+    const { startAt, ...fields } = req.body;
+    series.set(fields);
+    if (startAt) {
+      series.startAt = new Date(startAt);
+    }
+
+    const dates = upcomingOccurrences(series);
+
+    // Approvals were given for the schedule the series had
+    const replanned = ['startAt', 'recurrence', 'exceptions'].some(path => series.isModified(path));
+    if (replanned) {
+      await planApproval(series, { by: req.user.userId, dates });
+    }
+
+    await series.save();
+
+    const changes = await scheduleOccurrences(series);
+
+    if (replanned && series.status === 'pending') {
+      await notifyVisitEvent('visit_requested', series);
+    }
+
+    res.json({
+      message: replanned && series.status === 'pending' ? 'Visit series updated and awaiting approval' : 'Visit series updated successfully',
+      series: await populateSeries(VisitSeries.findById(series._id)),
+      occurrences: changes
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      message: 'Failed to update visit series',
+      error: error.message
+    });
+  }
+};
+
+// @desc Approve the current approval step of a visit series (accepts it and
+// its occurrences after the last step)
+// @route PATCH /api/visit-series/:id/accept
+// @access Private
+const acceptSeries = async (req, res) => {
+  try {
+    const series = await VisitSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        message: 'Visit series not found'
+      });
+    }
+
+    const { error, status, approval } = await approveVisit(series, req.user.userId, req.body.comment);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error
+      });
+    }
+
+    const accepted = series.status === 'accepted';
+    const occurrences = await settleVisits({ series: series._id }, series);
+
+    if (accepted) {
+      await notifyVisitEvent('visit_accepted', series);
+    }
+
+    res.json({
+      message: accepted ? 'Visit series accepted successfully' : `Visit series ${approval.step} approval given, awaiting the next approval`,
+      series: await populateSeries(VisitSeries.findById(series._id)),
+      occurrences
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      message: 'Failed to accept visit series',
+      error: error.message
+    });
+  }
+};
+
+// @desc Reject a pending visit series and its occurrences
+// @route PATCH /api/visit-series/:id/reject
+// @access Private
+const rejectSeries = async (req, res) => {
+  try {
+    const { reason, comment } = req.body;
+    const series = await VisitSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        message: 'Visit series not found'
+      });
+    }
+
+    const { error, status } = await rejectVisit(series, req.user.userId, reason, comment);
+    if (error) {
+      return res.status(status || 400).json({
+        message: error
+      });
+    }
+
+    const occurrences = await settleVisits({ series: series._id }, series);
+
+    res.json({
+      message: 'Visit series rejected successfully',
+      series: await populateSeries(VisitSeries.findById(series._id)),
+      occurrences
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      message: 'Failed to reject visit series',
+      error: error.message
+    });
+  }
+};
+
+// @desc Cancel a visit series and its occurrences that have not started
+// @route PATCH /api/visit-series/:id/cancel
+// @access Private
+const cancelSeries = async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const series = await VisitSeries.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        message: 'Visit series not found'
+      });
+    }
+
+    if (!VisitSeries.canTransition(series.status, 'cancelled')) {
+      return res.status(400).json({
+        message: `A ${series.status} visit series cannot be cancelled`
+      });
+    }
+
+    series.status = 'cancelled';
+    series.cancellationReason = reason || null;
+    await series.save();
+
+    const occurrences = await settleVisits({ series: series._id }, series);
+
+    await notifyVisitEvent('visit_cancelled', series);
+
+    res.json({
+      message: 'Visit series cancelled successfully',
+      series: await populateSeries(VisitSeries.findById(series._id)),
+      occurrences
+    });
+  } catch (error) {
+    res.status(error.status || 400).json({
+      message: 'Failed to cancel visit series',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createSeries,
+  getAllSeries,
+  getSeriesById,
+  updateSeries,
+  acceptSeries,
+  rejectSeries,
+  cancelSeries
+};
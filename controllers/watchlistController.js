@@ -0,0 +1,250 @@
+const WatchlistEntry = require('../models/WatchlistEntry');
+const Screening = require('../models/Screening');
+const Company = require('../models/Company');
+const User = require('../models/User');
+const { normalizePhone } = require('../services/phone');
+
+const populateEntry = (query) => query
+  .populate('company', 'fullName acronym')
+  .populate('user', 'firstName lastName email phone')
+  .populate('createdBy', 'firstName lastName');
+
+// Phone numbers are stored the way visitors' are matched
+const entryFields = ({ phone, ...fields }) => (
+  phone === undefined ? fields : { ...fields, phone: phone && normalizePhone(phone) }
+);
+
+// @desc Add a person to a company's watchlist
+// @route POST /api/watchlist
+// @access Private
+const createEntry = async (req, res) => {
+  try {
+    const { company: companyId, ...fields } = req.body;
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return res.status(404).json({
+        message: 'Company not found'
+      });
+    }
+
+    // Watched users usually belong to another company
+    if (fields.user) {
+      const user = await User.findById(fields.user).setOptions({ tenantScope: false });
+      if (!user) {
+        return res.status(404).json({
+          message: 'User not found'
+        });
+      }
+    }
+
+    const entry = new WatchlistEntry({
+      ...entryFields(fields),
+      company: company._id,
+      createdBy: req.user.userId
+    });
+
+    await entry.save();
+
+    res.status(201).json({
+      message: 'Watchlist entry created successfully',
+      entry: await populateEntry(WatchlistEntry.findById(entry._id))
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to create watchlist entry',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get watchlist entries
+// @route GET /api/watchlist
+// @access Private
+const getEntries = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, company, action, active } = req.query;
+
+    const query = {};
+
+    if (company) {
+      query.company = company;
+    }
+
+    if (action) {
+      query.action = action;
+    }
+
+    if (active !== undefined) {
+      query.active = active;
+    }
+
+    const entries = await populateEntry(WatchlistEntry.find(query))
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await WatchlistEntry.countDocuments(query);
+
+    res.json({
+      entries,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalEntries: total
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch watchlist',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get watchlist entry by ID
+// @route GET /api/watchlist/:id
+// @access Private
+const getEntryById = async (req, res) => {
+  try {
+    const entry = await populateEntry(WatchlistEntry.findById(req.params.id));
+
+    if (!entry) {
+      return res.status(404).json({
+        message: 'Watchlist entry not found'
+      });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch watchlist entry',
+      error: error.message
+    });
+  }
+};
+
+// @desc Update watchlist entry
+// @route PATCH /api/watchlist/:id
+// @access Private
+const updateEntry = async (req, res) => {
+  try {
+    const entry = await WatchlistEntry.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        message: 'Watchlist entry not found'
+      });
+    }
+
+    if (req.body.user) {
+      const user = await User.findById(req.body.user).setOptions({ tenantScope: false });
+      if (!user) {
+        return res.status(404).json({
+          message: 'User not found'
+        });
+      }
+    }
+
+    entry.set(entryFields(req.body));
+    await entry.save();
+
+    res.json({
+      message: 'Watchlist entry updated successfully',
+      entry: await populateEntry(WatchlistEntry.findById(entry._id))
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to update watchlist entry',
+      error: error.message
+    });
+  }
+};
+
+// @desc Delete watchlist entry (past screenings keep the details they matched)
+// @route DELETE /api/watchlist/:id
+// @access Private
+const deleteEntry = async (req, res) => {
+  try {
+    const entry = await WatchlistEntry.findByIdAndDelete(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({
+        message: 'Watchlist entry not found'
+      });
+    }
+
+    res.json({
+      message: 'Watchlist entry deleted successfully',
+      entry
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to delete watchlist entry',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get watchlist screening decisions, newest first
+// @route GET /api/watchlist/screenings
+// @access Private
+const getScreenings = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, company, visitor, visit, entry, stage, outcome } = req.query;
+
+    const query = {};
+
+    if (company) {
+      query.company = company;
+    }
+
+    if (visitor) {
+      query.visitor = visitor;
+    }
+
+    if (visit) {
+      query.visit = visit;
+    }
+
+    if (entry) {
+      query['matches.entry'] = entry;
+    }
+
+    if (stage) {
+      query.stage = stage;
+    }
+
+    if (outcome) {
+      query.outcome = outcome;
+    }
+
+    const screenings = await Screening.find(query)
+      .populate('visitor', 'firstName lastName email phone')
+      .populate('by', 'firstName lastName')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await Screening.countDocuments(query);
+
+    res.json({
+      screenings,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalScreenings: total
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch screenings',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createEntry,
+  getEntries,
+  getEntryById,
+  updateEntry,
+  deleteEntry,
+  getScreenings
+};
@@ -0,0 +1,352 @@
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Company = require('../models/Company');
+const { pingWebhook: sendPing, redeliver: sendAgain } = require('../services/webhooks');
+const { checkPublicUrl } = require('../services/outboundUrls');
+
+// @desc Register a webhook endpoint for a company's events
+// @route POST /api/webhooks
+// @access Private
+const createWebhook = async (req, res) => {
+  try {
+    const { company: companyId, ...fields } = req.body;
+
+    const company = await Company.findById(companyId);
+    if (!company) {
+      return res.status(404).json({
+        message: 'Company not found'
+      });
+    }
+
+    const { error } = await checkPublicUrl(fields.url);
+    if (error) {
+      return res.status(400).json({
+        message: error,
+        field: 'url'
+      });
+    }
+
+    const webhook = new WebhookSubscription({
+      ...fields,
+      company: company._id,
+      createdBy: req.user.userId
+    });
+
+    await webhook.save();
+
+    res.status(201).json({
+      message: 'Webhook created successfully. Store the signing secret now, it will not be shown again.',
+      webhook,
+      secret: webhook.secret
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to create webhook',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get webhooks
+// @route GET /api/webhooks
+// @access Private
+const getWebhooks = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, company, active } = req.query;
+
+    const query = {};
+
+    if (company) {
+      query.company = company;
+    }
+
+    if (active !== undefined) {
+      query.active = active;
+    }
+
+    const webhooks = await WebhookSubscription.find(query)
+      .populate('company', 'fullName acronym')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await WebhookSubscription.countDocuments(query);
+
+    res.json({
+      webhooks,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalWebhooks: total
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch webhooks',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get webhook by ID
+// @route GET /api/webhooks/:id
+// @access Private
+const getWebhookById = async (req, res) => {
+  try {
+    const webhook = await WebhookSubscription.findById(req.params.id)
+      .populate('company', 'fullName acronym');
+
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json(webhook);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch webhook',
+      error: error.message
+    });
+  }
+};
+
+// @desc Update webhook
+// @route PATCH /api/webhooks/:id
+// @access Private
+const updateWebhook = async (req, res) => {
+  try {
+    const webhook = await WebhookSubscription.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook not found'
+      });
+    }
+
+    if (req.body.url) {
+      const { error } = await checkPublicUrl(req.body.url);
+      if (error) {
+        return res.status(400).json({
+          message: error,
+          field: 'url'
+        });
+      }
+    }
+
+    webhook.set(req.body);
+    await webhook.save();
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook
+    });
+  } catch (error) {
+    res.status(400).json({
+      message: 'Failed to update webhook',
+      error: error.message
+    });
+  }
+};
+
+// @desc Delete webhook (its delivery log is kept until it expires)
+// @route DELETE /api/webhooks/:id
+// @access Private
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await WebhookSubscription.findByIdAndDelete(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      message: 'Webhook deleted successfully',
+      webhook
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to delete webhook',
+      error: error.message
+    });
+  }
+};
+
+// @desc Replace the signing secret of a webhook
+// @route POST /api/webhooks/:id/rotate-secret
+// @access Private
+const rotateSecret = async (req, res) => {
+  try {
+    const webhook = await WebhookSubscription.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook not found'
+      });
+    }
+
+    const secret = await webhook.rotateSecret();
+
+    res.json({
+      message: 'Signing secret replaced. Store it now, it will not be shown again.',
+      webhook,
+      secret
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to rotate webhook secret',
+      error: error.message
+    });
+  }
+};
+
+// @desc Send a ping event to a webhook
+// @route POST /api/webhooks/:id/ping
+// @access Private
+const pingWebhook = async (req, res) => {
+  try {
+    const webhook = await WebhookSubscription.findById(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        message: 'Webhook not found'
+      });
+    }
+
+    const delivery = await sendPing(webhook);
+
+    res.json({
+      message: delivery.status === 'succeeded' ? 'Ping delivered' : 'Ping failed',
+      delivery
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to ping webhook',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get webhook deliveries, newest first
+// @route GET /api/webhooks/deliveries
+// @access Private
+const getDeliveries = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, company, webhook, event, status, eventId } = req.query;
+
+    const query = {};
+
+    if (company) {
+      query.company = company;
+    }
+
+    if (webhook) {
+      query.subscription = webhook;
+    }
+
+    if (event) {
+      query.event = event;
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    if (eventId) {
+      query.eventId = eventId;
+    }
+
+    // Payloads are read one delivery at a time
+    const deliveries = await WebhookDelivery.find(query)
+      .select('-payload')
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .sort({ createdAt: -1 });
+
+    const total = await WebhookDelivery.countDocuments(query);
+
+    res.json({
+      deliveries,
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalDeliveries: total
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch webhook deliveries',
+      error: error.message
+    });
+  }
+};
+
+// @desc Get webhook delivery by ID, with its payload and attempts
+// @route GET /api/webhooks/deliveries/:id
+// @access Private
+const getDeliveryById = async (req, res) => {
+  try {
+    // Deliveries logged before answers stopped being kept may still hold one
+    const delivery = await WebhookDelivery.findById(req.params.id)
+      .select('-attempts.responseBody')
+      .populate('subscription', 'url events active');
+
+    if (!delivery) {
+      return res.status(404).json({
+        message: 'Webhook delivery not found'
+      });
+    }
+
+    res.json(delivery);
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to fetch webhook delivery',
+      error: error.message
+    });
+  }
+};
+
+// @desc Send the event of a delivery again
+// @route POST /api/webhooks/deliveries/:id/redeliver
+// @access Private
+const redeliver = async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findById(req.params.id);
+
+    if (!delivery) {
+      return res.status(404).json({
+        message: 'Webhook delivery not found'
+      });
+    }
+
+    const webhook = await WebhookSubscription.findById(delivery.subscription);
+    if (!webhook || !webhook.active) {
+      return res.status(409).json({
+        message: 'The webhook was deleted or disabled'
+      });
+    }
+
+    const redelivery = await sendAgain(delivery);
+
+    res.status(201).json({
+      message: redelivery.status === 'succeeded' ? 'Event redelivered' : 'Redelivery failed',
+      delivery: redelivery
+    });
+  } catch (error) {
+    res.status(500).json({
+      message: 'Failed to redeliver webhook event',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  rotateSecret,
+  pingWebhook,
+  getDeliveries,
+  getDeliveryById,
+  redeliver
+};
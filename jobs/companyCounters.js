@@ -0,0 +1,31 @@
+const { rebuildCompanyCounters } = require('../services/companyCounters');
+
+const parsed = parseInt(process.env.COMPANY_COUNTERS_REBUILD_MINUTES, 10);
+const INTERVAL_MINUTES = Number.isNaN(parsed) ? 60 : parsed;
+
+const run = async () => {
+  try {
+    const rebuilt = await rebuildCompanyCounters();
+    rebuilt.forEach(({ acronym, changes }) => {
+      console.log(`🏢 Counters of ${acronym} corrected: ${Object.keys(changes).join(', ')}`);
+    });
+  } catch (error) {
+    console.error('❌ Company counters rebuild failed:', error.message);
+  }
+};
+
+// Periodically recompute every company's counters (see
+// services/companyCounters.js). Service cards expire without any write, so
+// this is what moves their holders to outOfService. Set
+// COMPANY_COUNTERS_REBUILD_MINUTES=0 to disable.
+const startCompanyCountersRebuild = () => {
+  if (INTERVAL_MINUTES <= 0) return null;
+
+  const timer = setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startCompanyCountersRebuild
+};
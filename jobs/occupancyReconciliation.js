@@ -0,0 +1,30 @@
+const { reconcileOccupancy } = require('../services/occupancy');
+
+const parsed = parseInt(process.env.OCCUPANCY_RECONCILE_MINUTES, 10);
+const INTERVAL_MINUTES = Number.isNaN(parsed) ? 15 : parsed;
+
+const run = async () => {
+  try {
+    const changes = await reconcileOccupancy();
+    changes.forEach(({ name, previous, current }) => {
+      console.log(`🏢 Occupancy of ${name} corrected from ${previous} to ${current}`);
+    });
+  } catch (error) {
+    console.error('❌ Occupancy reconciliation failed:', error.message);
+  }
+};
+
+// Periodically recompute every office's occupancy from active attendance and
+// visits (see services/occupancy.js). Set OCCUPANCY_RECONCILE_MINUTES=0 to
+// disable. Running it on several instances at once is harmless.
+const startOccupancyReconciliation = () => {
+  if (INTERVAL_MINUTES <= 0) return null;
+
+  const timer = setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startOccupancyReconciliation
+};
@@ -0,0 +1,36 @@
+const { remindExpiringCards, expireCards } = require('../services/serviceCards');
+
+const parsed = parseInt(process.env.SERVICE_CARD_EXPIRY_MINUTES, 10);
+const INTERVAL_MINUTES = Number.isNaN(parsed) ? 15 : parsed;
+
+const run = async () => {
+  try {
+    const reminded = await remindExpiringCards();
+    if (reminded.length) {
+      console.log(`🪪 ${reminded.length} service card expiry reminder(s) sent`);
+    }
+
+    const expired = await expireCards();
+    if (expired.length) {
+      console.log(`🪪 ${expired.length} service card(s) expired`);
+    }
+  } catch (error) {
+    console.error('❌ Service card expiry check failed:', error.message);
+  }
+};
+
+// Periodically remind holders and company admins of service cards about to
+// expire, and deactivate the cards that expired (see services/serviceCards.js).
+// Set SERVICE_CARD_EXPIRY_MINUTES=0 to disable. Each reminder and expiry is
+// handled once, even with several PM2 instances running it.
+const startServiceCardExpiry = () => {
+  if (INTERVAL_MINUTES <= 0) return null;
+
+  const timer = setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startServiceCardExpiry
+};
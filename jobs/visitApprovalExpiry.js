@@ -0,0 +1,31 @@
+const { expirePendingVisits } = require('../services/visitApprovals');
+
+const parsed = parseInt(process.env.VISIT_APPROVAL_EXPIRY_MINUTES, 10);
+const INTERVAL_MINUTES = Number.isNaN(parsed) ? 5 : parsed;
+
+const run = async () => {
+  try {
+    const expired = await expirePendingVisits();
+    if (expired) {
+      console.log(`⌛ ${expired} visit(s) expired before being approved`);
+    }
+  } catch (error) {
+    console.error('❌ Visit approval expiry failed:', error.message);
+  }
+};
+
+// Periodically expire visits left pending past the deadline set by their
+// approval rule (see services/visitApprovals.js). Set
+// VISIT_APPROVAL_EXPIRY_MINUTES=0 to disable; approvals are refused past the
+// deadline either way.
+const startVisitApprovalExpiry = () => {
+  if (INTERVAL_MINUTES <= 0) return null;
+
+  const timer = setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startVisitApprovalExpiry
+};
@@ -0,0 +1,36 @@
+const { markNoShows, closeOpenVisits } = require('../services/visitSchedule');
+
+const parsed = parseInt(process.env.VISIT_SCHEDULE_MINUTES, 10);
+const INTERVAL_MINUTES = Number.isNaN(parsed) ? 5 : parsed;
+
+const run = async () => {
+  try {
+    const noShows = await markNoShows();
+    if (noShows) {
+      console.log(`🚷 ${noShows} visit(s) marked as no-show`);
+    }
+
+    const closed = await closeOpenVisits();
+    if (closed.length) {
+      console.log(`🔒 ${closed.length} visitor(s) clocked out at office closing time, flagged for review`);
+    }
+  } catch (error) {
+    console.error('❌ Visit schedule check failed:', error.message);
+  }
+};
+
+// Periodically mark no-shows and clock out visitors left inside at closing
+// time (see services/visitSchedule.js). Set VISIT_SCHEDULE_MINUTES=0 to
+// disable. Every change is conditioned on the visit's status, so running it
+// on several PM2 instances at once processes each visit once.
+const startVisitSchedule = () => {
+  if (INTERVAL_MINUTES <= 0) return null;
+
+  const timer = setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startVisitSchedule
+};
@@ -0,0 +1,28 @@
+const { drain } = require('../services/webhooks');
+
+const parsed = parseInt(process.env.WEBHOOK_RETRY_MINUTES, 10);
+const INTERVAL_MINUTES = Number.isNaN(parsed) ? 1 : parsed;
+
+const run = async () => {
+  const attempted = await drain();
+  if (attempted) {
+    console.log(`📡 ${attempted} webhook delivery attempt(s) made`);
+  }
+};
+
+// Periodically retry failed webhook deliveries once their backoff is over,
+// and send those left behind by a restart (see services/webhooks.js). Set
+// WEBHOOK_RETRY_MINUTES=0 to disable; new events are still sent once.
+// Deliveries are claimed one by one, so running it on several PM2 instances
+// at once sends each attempt once.
+const startWebhookDeliveries = () => {
+  if (INTERVAL_MINUTES <= 0) return null;
+
+  const timer = setInterval(run, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startWebhookDeliveries
+};
@@ -0,0 +1,9 @@
+const { runWithAuditContext } = require('../models/plugins/auditTrail');
+
+// Make the current request (caller, IP, route) available to the audit trail
+// of every model changed while handling it
+const auditContext = (req, res, next) => {
+  runWithAuditContext(req, next);
+};
+
+module.exports = auditContext;
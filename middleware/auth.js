@@ -1,5 +1,9 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { verifyAccessToken } = require('../config/tokens');
+
+// Only record session activity once a minute to avoid a write per request
+const LAST_SEEN_INTERVAL = 60 * 1000;
 
 const auth = async (req, res, next) => {
   try {
@@ -11,7 +15,19 @@ const auth = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+    const decoded = verifyAccessToken(token);
+
+    // Access tokens are only valid while their session has not been revoked
+    const session = decoded.sessionId
+      ? await Session.findOne({ _id: decoded.sessionId, user: decoded.userId })
+      : null;
+
+    if (!session || !session.isActive) {
+      return res.status(401).json({
+        message: 'Invalid token. Session expired or revoked.'
+      });
+    }
+
     const user = await User.findById(decoded.userId);
     
     if (!user || user.active === 0) {
@@ -20,7 +36,14 @@ const auth = async (req, res, next) => {
       });
     }
 
-    req.user = { userId: user._id, user };
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL) {
+      await Session.updateOne(
+        { _id: session._id },
+        { lastSeenAt: new Date(), ip: req.ip, userAgent: req.get('User-Agent') || null }
+      );
+    }
+
+    req.user = { userId: user._id, sessionId: session._id, session, user, tokenExpiresAt: new Date(decoded.exp * 1000) };
     next();
   } catch (error) {
     res.status(401).json({
@@ -30,4 +53,4 @@ const auth = async (req, res, next) => {
   }
 };
 
-module.exports = auth;
\ No newline at end of file
+module.exports = auth;
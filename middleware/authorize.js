@@ -0,0 +1,138 @@
+const Company = require('../models/Company');
+const { runWithTenant } = require('../models/plugins/tenantScope');
+const { ENFORCED: TWO_FACTOR_ENFORCED } = require('../config/twoFactor');
+
+// Roles a caller can hold, from most to least privileged
+const ROLES = {
+  ADMIN: 'admin',                 // Platform admin (User.admin)
+  COMPANY_ADMIN: 'company_admin', // Listed in Company.admin of their employer
+  EMPLOYEE: 'employee',           // Listed in Company.employee of their employer
+  VISITOR: 'visitor',             // Any other authenticated user
+  SELF: 'self'                    // The user targeted by the route (see selfParam)
+};
+
+const ALL_ROLES = [ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE, ROLES.VISITOR];
+
+// Roles that must enable two-factor authentication to use their privileges
+const TWO_FACTOR_ROLES = [ROLES.ADMIN, ROLES.COMPANY_ADMIN];
+
+const requiresTwoFactor = (role) => TWO_FACTOR_ENFORCED && TWO_FACTOR_ROLES.includes(role);
+
+// Resolve the caller's role and company from User.admin and their employer's
+// Company.admin[] / Company.employee[] arrays
+const resolveRole = async (user) => {
+  if (user.admin) {
+    return { role: ROLES.ADMIN, company: null };
+  }
+
+  if (!user.employer) {
+    return { role: ROLES.VISITOR, company: null };
+  }
+
+  const company = await Company.findOne({ _id: user.employer, active: true })
+    .select('admin employee');
+
+  if (!company) {
+    return { role: ROLES.VISITOR, company: null };
+  }
+
+  const userId = user._id.toString();
+
+  if (company.admin.some(id => id.toString() === userId)) {
+    return { role: ROLES.COMPANY_ADMIN, company: company._id };
+  }
+
+  if (company.employee.some(id => id.toString() === userId)) {
+    return { role: ROLES.EMPLOYEE, company: company._id };
+  }
+
+  return { role: ROLES.VISITOR, company: null };
+};
+
+const forbidden = (res, role, roles) => {
+  return res.status(403).json({
+    message: 'Access denied. Insufficient permissions.',
+    role,
+    requiredRoles: roles
+  });
+};
+
+const twoFactorSetupRequired = (res, role) => {
+  return res.status(403).json({
+    message: 'Two-factor authentication must be enabled to use this role.',
+    code: 'TWO_FACTOR_SETUP_REQUIRED',
+    role
+  });
+};
+
+// Continue the request with its queries scoped to the caller's company
+const proceed = (req, next) => {
+  const { userId, role, company } = req.user;
+  runWithTenant({ userId, role, company }, next);
+};
+
+// Restrict a route to the given roles. Must be mounted after `auth`.
+// Queries made while handling an authorized request are tenant-scoped
+// (see models/plugins/tenantScope.js). Admins and company admins without
+// 2FA can only use routes open to every role (profile, sessions, 2FA setup).
+//
+// Options:
+//   selfParam - route param holding a user ID; grants ROLES.SELF when it
+//               matches the caller (default: 'id')
+//   company   - function (req) => companyId; when set, company_admin and
+//               employee callers only pass for their own company
+const authorize = (roles, options = {}) => {
+  const { selfParam = 'id', company } = options;
+  const openToAll = ALL_ROLES.every(role => roles.includes(role));
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          message: 'Access denied. No token provided.'
+        });
+      }
+
+      if (!req.user.role) {
+        Object.assign(req.user, await resolveRole(req.user.user));
+      }
+
+      const { role } = req.user;
+
+      if (roles.includes(ROLES.SELF) && req.params[selfParam] === req.user.userId.toString()) {
+        return proceed(req, next);
+      }
+
+      if (!roles.includes(role)) {
+        return forbidden(res, role, roles);
+      }
+
+      if (!openToAll && requiresTwoFactor(role) && !req.user.user.twoFactor.enabled) {
+        return twoFactorSetupRequired(res, role);
+      }
+
+      if (company && (role === ROLES.COMPANY_ADMIN || role === ROLES.EMPLOYEE)) {
+        const companyId = company(req);
+        if (!companyId || companyId.toString() !== req.user.company.toString()) {
+          return forbidden(res, role, roles);
+        }
+      }
+
+      proceed(req, next);
+    } catch (error) {
+      res.status(500).json({
+        message: 'Failed to authorize request',
+        error: error.message
+      });
+    }
+  };
+};
+
+module.exports = {
+  ROLES,
+  ALL_ROLES,
+  TWO_FACTOR_ROLES,
+  requiresTwoFactor,
+  resolveRole,
+  authorize
+};
@@ -0,0 +1,57 @@
+const KioskDevice = require('../models/KioskDevice');
+const Office = require('../models/Office');
+const { runWithTenant } = require('../models/plugins/tenantScope');
+
+// Only record device activity once a minute to avoid a write per request
+const LAST_USED_INTERVAL = 60 * 1000;
+
+// Authenticate a reception kiosk by the API key in the X-Kiosk-Key header.
+// Kiosk keys are only accepted by the kiosk routes, and user tokens are not:
+// a device can do nothing but what those routes allow, for its own office.
+// Queries are scoped to the company owning the office.
+const kioskAuth = async (req, res, next) => {
+  try {
+    const apiKey = req.header('X-Kiosk-Key');
+
+    if (!apiKey) {
+      return res.status(401).json({
+        message: 'Access denied. No kiosk key provided.'
+      });
+    }
+
+    const device = await KioskDevice.findByKey(apiKey);
+
+    if (!device) {
+      return res.status(401).json({
+        message: 'Invalid kiosk key. Device unknown or revoked.'
+      });
+    }
+
+    const office = await Office.findOne({ _id: device.office, active: true })
+      .setOptions({ tenantScope: false });
+
+    if (!office) {
+      return res.status(403).json({
+        message: 'The office of this kiosk is inactive.'
+      });
+    }
+
+    if (!device.lastUsedAt || Date.now() - device.lastUsedAt.getTime() > LAST_USED_INTERVAL) {
+      await KioskDevice.updateOne(
+        { _id: device._id },
+        { lastUsedAt: new Date(), lastUsedIp: req.ip }
+      ).setOptions({ tenantScope: false });
+    }
+
+    req.kiosk = { deviceId: device._id, device, office, company: office.company };
+
+    runWithTenant({ userId: null, role: 'kiosk', company: office.company }, next);
+  } catch (error) {
+    res.status(401).json({
+      message: 'Invalid kiosk key.',
+      error: error.message
+    });
+  }
+};
+
+module.exports = kioskAuth;
@@ -0,0 +1,16 @@
+// Accept the access token as an `access_token` query parameter, for clients
+// that cannot set headers (browsers' EventSource). Must be mounted before
+// `auth`; the parameter is removed so it is neither validated nor logged with
+// the query. Only for routes that need it: URLs end up in proxy logs.
+const queryToken = (req, res, next) => {
+  const token = req.query.access_token;
+
+  if (token && !req.header('Authorization')) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+  delete req.query.access_token;
+
+  next();
+};
+
+module.exports = queryToken;
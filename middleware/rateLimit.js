@@ -0,0 +1,109 @@
+const rateLimit = require('express-rate-limit');
+const { verifyAccessToken } = require('../config/tokens');
+
+const MINUTE = 60 * 1000;
+
+const int = (value, fallback) => parseInt(value, 10) || fallback;
+
+// Authenticated traffic is limited per user rather than per IP, so people
+// sharing an office network do not throttle each other. The token signature
+// is checked here; revocation is left to the `auth` middleware.
+const userOrIpKey = (req) => {
+  const token = req.header('Authorization')?.replace('Bearer ', '');
+  if (token) {
+    try {
+      return `user:${verifyAccessToken(token).userId}`;
+    } catch (error) {
+      // Invalid tokens fall back to the IP budget
+    }
+  }
+  return `ip:${req.ip}`;
+};
+
+const createLimiter = ({ windowMs, max, keyGenerator, message, ...options }) => rateLimit({
+  ...options,
+  windowMs,
+  max,
+  keyGenerator,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      message,
+      retryAfter: Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000)
+    });
+  }
+});
+
+// General budget, per user (or IP) and route group: the path the router is
+// mounted on (/api/visits, /api/webhooks...) is part of the key, so a busy
+// group never throttles the others
+const apiLimiter = createLimiter({
+  windowMs: 15 * MINUTE,
+  max: int(process.env.RATE_LIMIT_API_MAX, 300),
+  keyGenerator: (req) => `${req.baseUrl}:${userOrIpKey(req)}`,
+  message: 'Too many requests, please try again later.'
+});
+
+// POST /api/users/login, per IP (account lockout is handled by the controller)
+const loginLimiter = createLimiter({
+  windowMs: 15 * MINUTE,
+  max: int(process.env.RATE_LIMIT_LOGIN_MAX, 30),
+  message: 'Too many login attempts from this IP, please try again later.'
+});
+
+// POST /api/users/register, per IP
+const registerLimiter = createLimiter({
+  windowMs: 60 * MINUTE,
+  max: int(process.env.RATE_LIMIT_REGISTER_MAX, 10),
+  message: 'Too many accounts created from this IP, please try again later.'
+});
+
+// Password reset and email verification endpoints, per IP
+const accountEmailLimiter = createLimiter({
+  windowMs: 15 * MINUTE,
+  max: int(process.env.RATE_LIMIT_ACCOUNT_EMAIL_MAX, 10),
+  message: 'Too many requests for account emails, please try again later.'
+});
+
+// Kiosk keys rejected by `kioskAuth`, per IP (mounted before it), so keys
+// cannot be guessed at database speed. Devices with a valid key are not
+// counted.
+const kioskAuthLimiter = createLimiter({
+  windowMs: 15 * MINUTE,
+  max: int(process.env.RATE_LIMIT_KIOSK_AUTH_MAX, 20),
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+  message: 'Too many invalid kiosk keys from this IP, please try again later.'
+});
+
+// Kiosk routes, per device (mounted after `kioskAuth`). A reception tablet
+// is shared by every visitor, so the budget allows steady use but not scripted
+// abuse of a leaked key.
+const kioskKey = (req) => `kiosk:${req.kiosk.deviceId}`;
+
+const kioskLimiter = createLimiter({
+  windowMs: 15 * MINUTE,
+  max: int(process.env.RATE_LIMIT_KIOSK_MAX, 200),
+  keyGenerator: kioskKey,
+  message: 'Too many requests from this kiosk, please try again later.'
+});
+
+// Walk-in check-ins create visitor profiles and visits, per device
+const kioskCheckInLimiter = createLimiter({
+  windowMs: 15 * MINUTE,
+  max: int(process.env.RATE_LIMIT_KIOSK_CHECK_IN_MAX, 30),
+  keyGenerator: kioskKey,
+  message: 'Too many check-ins from this kiosk, please try again later.'
+});
+
+module.exports = {
+  createLimiter,
+  apiLimiter,
+  loginLimiter,
+  registerLimiter,
+  accountEmailLimiter,
+  kioskAuthLimiter,
+  kioskLimiter,
+  kioskCheckInLimiter
+};
@@ -0,0 +1,32 @@
+const { ENFORCED, STEP_UP_MINUTES } = require('../config/twoFactor');
+
+// Require a recent second factor check (POST /api/users/2fa/verify) in the
+// caller's session before a sensitive action. Must be mounted after `auth`.
+const requireStepUp = (req, res, next) => {
+  const { user, session } = req.user;
+
+  if (!user.twoFactor.enabled) {
+    if (!ENFORCED) {
+      return next();
+    }
+
+    return res.status(403).json({
+      message: 'Two-factor authentication must be enabled for this action.',
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    });
+  }
+
+  const windowStart = Date.now() - STEP_UP_MINUTES * 60 * 1000;
+
+  if (!session.stepUpAt || session.stepUpAt.getTime() < windowStart) {
+    return res.status(403).json({
+      message: 'Confirm this action with your second factor.',
+      code: 'STEP_UP_REQUIRED',
+      stepUpMinutes: STEP_UP_MINUTES
+    });
+  }
+
+  next();
+};
+
+module.exports = requireStepUp;
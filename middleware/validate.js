@@ -0,0 +1,46 @@
+const VALIDATION_OPTIONS = {
+  abortEarly: false,
+  convert: true,
+  errors: {
+    wrap: { label: false }
+  }
+};
+
+// Validate req.params, req.query and req.body against the Joi schemas of a
+// route (see validators/*.js) and replace them with the coerced values.
+// Unknown fields are rejected; every invalid field is reported in one 422.
+const validate = (schemas) => {
+  return (req, res, next) => {
+    const errors = [];
+
+    ['params', 'query', 'body'].forEach(location => {
+      if (!schemas[location]) return;
+
+      const { error, value } = schemas[location].validate(req[location] || {}, VALIDATION_OPTIONS);
+
+      if (error) {
+        error.details.forEach(detail => {
+          errors.push({
+            location,
+            field: detail.path.join('.'),
+            message: detail.message,
+            type: detail.type
+          });
+        });
+      } else {
+        req[location] = value;
+      }
+    });
+
+    if (errors.length > 0) {
+      return res.status(422).json({
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = validate;
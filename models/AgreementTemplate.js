@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('./plugins/tenantScope');
+const { auditTrail, getAuditContext } = require('./plugins/auditTrail');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AgreementTemplate:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         company:
+ *           $ref: '#/components/schemas/Company'
+ *         office:
+ *           $ref: '#/components/schemas/Office'
+ *         kind:
+ *           type: string
+ *           enum: [nda, safety, other]
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *           description: Text of the current version
+ *         version:
+ *           type: integer
+ *           description: Current version, increased whenever the title or text changes
+ *         versions:
+ *           type: array
+ *           description: Every version published, oldest first, so signed versions can always be read again
+ *           items:
+ *             $ref: '#/components/schemas/AgreementVersion'
+ *         validityDays:
+ *           type: integer
+ *           description: Days an acceptance of the current version is valid for later visits (VISIT_AGREEMENT_VALIDITY_DAYS when empty, 0 to sign at every visit)
+ *         active:
+ *           type: boolean
+ *           description: Whether visitors must sign it
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     AgreementToSign:
+ *       type: object
+ *       description: Current version of an agreement, as shown to the visitor
+ *       properties:
+ *         id:
+ *           type: string
+ *         kind:
+ *           type: string
+ *           enum: [nda, safety, other]
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *         version:
+ *           type: integer
+ *           description: Version to send back with the signature
+ *     AgreementVersion:
+ *       type: object
+ *       properties:
+ *         version:
+ *           type: integer
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *         publishedAt:
+ *           type: string
+ *           format: date-time
+ *         publishedBy:
+ *           type: string
+ */
+
+const agreementVersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  title: { type: String, required: true },
+  body: { type: String, required: true },
+  publishedAt: { type: Date, required: true },
+  publishedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { _id: false });
+
+const agreementTemplateSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // Templates without an office apply to every office of the company
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    default: null
+  },
+  kind: {
+    type: String,
+    enum: ['nda', 'safety', 'other'],
+    default: 'other'
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  versions: [agreementVersionSchema],
+  validityDays: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+agreementTemplateSchema.index({ company: 1, office: 1, active: 1 });
+
+// Publish a new version whenever the text changes
+agreementTemplateSchema.pre('save', function(next) {
+  if (!this.isNew && !this.isModified('title') && !this.isModified('body')) return next();
+
+  if (!this.isNew) {
+    this.version += 1;
+  }
+  this.versions.push({
+    version: this.version,
+    title: this.title,
+    body: this.body,
+    publishedAt: new Date(),
+    publishedBy: getAuditContext().actor || null
+  });
+  next();
+});
+
+// Company admins only see the agreements of their own company
+agreementTemplateSchema.plugin(tenantScope);
+
+// Record every change in the audit log
+agreementTemplateSchema.plugin(auditTrail, { ignore: ['versions'] });
+
+module.exports = mongoose.model('AgreementTemplate', agreementTemplateSchema);
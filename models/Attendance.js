@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { tenantScope } = require('./plugins/tenantScope');
+const { auditTrail } = require('./plugins/auditTrail');
 
 /**
  * @swagger
@@ -18,6 +20,8 @@ const mongoose = require('mongoose');
  *           description: Where the employee is working from
  *         office:
  *           $ref: '#/components/schemas/Office'
+ *         company:
+ *           $ref: '#/components/schemas/Company'
  *         clockIn:
  *           type: string
  *           format: date-time
@@ -56,6 +60,12 @@ const attendanceSchema = new mongoose.Schema({
     ref: 'Office',
     default: null
   },
+  // Employer of the employee at clock-in time
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
   clockIn: {
     type: Date,
     default: Date.now
@@ -85,6 +95,7 @@ attendanceSchema.index({ office: 1 });
 attendanceSchema.index({ clockIn: 1 });
 attendanceSchema.index({ isActive: 1 });
 attendanceSchema.index({ createdAt: 1 });
+attendanceSchema.index({ company: 1 });
 
 // Compound index for employee daily attendance
 attendanceSchema.index({ 
@@ -92,6 +103,12 @@ attendanceSchema.index({
   clockIn: 1 
 });
 
+// Scope attendance to the caller's company; employees always see their own
+attendanceSchema.plugin(tenantScope, { ownerField: 'employee' });
+
+// Record every change in the audit log
+attendanceSchema.plugin(auditTrail);
+
 // Virtual for work hours in decimal format
 attendanceSchema.virtual('workHours').get(function() {
   if (!this.clockIn || !this.clockOut) return 0;
@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('./plugins/tenantScope');
+const { getAuditContext } = require('./plugins/auditTrail');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         actor:
+ *           $ref: '#/components/schemas/User'
+ *         action:
+ *           type: string
+ *           description: What happened (e.g. visit.update, auth.account_locked)
+ *         targetModel:
+ *           type: string
+ *           description: Model of the affected record
+ *         targetId:
+ *           type: string
+ *           description: ID of the affected record
+ *         company:
+ *           $ref: '#/components/schemas/Company'
+ *         ip:
+ *           type: string
+ *           description: IP address of the request
+ *         route:
+ *           type: string
+ *           description: API route that made the change (e.g. PATCH /api/visits/:id/accept)
+ *         changes:
+ *           type: object
+ *           description: 'Changed fields, as { field: { from, to } }'
+ *           additionalProperties:
+ *             type: object
+ *             properties:
+ *               from: {}
+ *               to: {}
+ *         metadata:
+ *           type: object
+ *           description: Action specific details
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  targetModel: {
+    type: String,
+    default: null
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  route: {
+    type: String,
+    default: null
+  },
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for faster queries
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ company: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Company admins only see entries about their own company
+auditLogSchema.plugin(tenantScope);
+
+// Entries are append-only: any attempt to change or remove one fails
+const immutable = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  immutable
+);
+auditLogSchema.pre(['deleteOne', 'updateOne'], { document: true, query: false }, immutable);
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return immutable(next);
+  }
+  next();
+});
+
+// Record an entry; actor, IP and route default to those of the current
+// request. Audit failures are logged, never thrown, so they cannot break the
+// request being audited.
+auditLogSchema.statics.record = async function(entry, { session = null } = {}) {
+  try {
+    const [log] = await this.create([{ ...getAuditContext(), ...entry }], { session });
+    return log;
+  } catch (error) {
+    console.error('❌ Failed to write audit log:', error.message);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
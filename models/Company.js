@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { auditTrail } = require('./plugins/auditTrail');
 
 /**
  * @swagger
@@ -33,26 +34,82 @@ const mongoose = require('mongoose');
  *             $ref: '#/components/schemas/User'
  *         inOffice:
  *           type: array
+ *           description: Employees clocked in at one of the company's offices (kept in sync with attendance)
  *           items:
  *             $ref: '#/components/schemas/User'
  *         outOfService:
  *           type: array
+ *           description: Admins and employees without an active, unexpired service card for the company
  *           items:
  *             $ref: '#/components/schemas/User'
  *         visitorCount:
  *           type: integer
- *           description: Total number of visitors
+ *           description: Number of completed visits hosted by the company
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *         badgeTemplate:
+ *           $ref: '#/components/schemas/BadgeTemplate'
  *         active:
  *           type: boolean
  *           description: Whether company is active
+ *     BadgeTemplate:
+ *       type: object
+ *       description: How the company's visitor badges are printed
+ *       properties:
+ *         size:
+ *           type: string
+ *           enum: [a6, label_62x100, label_54x86, label_102x76]
+ *           description: Default size (A6 sheet, or a label in millimetres; 54x86 is a CR80 card)
+ *         title:
+ *           type: string
+ *           description: Printed in the header band
+ *         accentColor:
+ *           type: string
+ *           description: Header band colour (#RRGGBB)
+ *         showLogo:
+ *           type: boolean
+ *         showHost:
+ *           type: boolean
+ *         showOffice:
+ *           type: boolean
+ *         showReason:
+ *           type: boolean
+ *         footer:
+ *           type: string
+ *           description: Printed at the bottom of the badge (e.g. "Please wear visibly at all times")
  */
 
+const badgeTemplateSchema = new mongoose.Schema({
+  size: {
+    type: String,
+    enum: ['a6', 'label_62x100', 'label_54x86', 'label_102x76'],
+    default: 'a6'
+  },
+  title: {
+    type: String,
+    trim: true,
+    default: 'VISITOR'
+  },
+  accentColor: {
+    type: String,
+    match: /^#[0-9a-fA-F]{6}$/,
+    default: '#1F4E79'
+  },
+  showLogo: { type: Boolean, default: true },
+  showHost: { type: Boolean, default: true },
+  showOffice: { type: Boolean, default: true },
+  showReason: { type: Boolean, default: false },
+  footer: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, { _id: false });
+
 const companySchema = new mongoose.Schema({
   acronym: {
     type: String,
@@ -94,6 +151,10 @@ const companySchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  badgeTemplate: {
+    type: badgeTemplateSchema,
+    default: () => ({})
+  },
   active: {
     type: Boolean,
     default: true
@@ -109,6 +170,10 @@ companySchema.index({ acronym: 1 });
 companySchema.index({ fullName: 1 });
 companySchema.index({ active: 1 });
 
+// Record every change in the audit log. The counters follow attendance,
+// service cards and visits, which are audited themselves.
+companySchema.plugin(auditTrail, { companyField: '_id', ignore: ['inOffice', 'outOfService', 'visitorCount'] });
+
 // Virtual for total employee count
 companySchema.virtual('totalEmployees').get(function() {
   return this.employee ? this.employee.length : 0;
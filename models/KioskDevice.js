@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { hashSecret } = require('../config/tokens');
+const { tenantScope } = require('./plugins/tenantScope');
+const { auditTrail } = require('./plugins/auditTrail');
+
+// Prefix making kiosk keys recognizable (e.g. in logs or secret scanners)
+const KEY_PREFIX = 'edk_';
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     KioskDevice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         name:
+ *           type: string
+ *           description: Device name (e.g. Lobby tablet)
+ *         office:
+ *           $ref: '#/components/schemas/Office'
+ *         company:
+ *           type: string
+ *           description: Company owning the office
+ *         keyPrefix:
+ *           type: string
+ *           description: First characters of the API key, to tell keys apart
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedIp:
+ *           type: string
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the key was revoked (null while active)
+ *         revokedBy:
+ *           type: string
+ *           description: User who revoked the key
+ *         createdBy:
+ *           type: string
+ *           description: User who registered the device
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const kioskDeviceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // Only a hash of the API key is stored; the key is shown once
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  keyPrefix: {
+    type: String,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    }
+  }
+});
+
+// Indexes for faster queries
+kioskDeviceSchema.index({ keyHash: 1 }, { unique: true });
+kioskDeviceSchema.index({ office: 1 });
+kioskDeviceSchema.index({ company: 1 });
+
+// Company admins only see devices of their own company
+kioskDeviceSchema.plugin(tenantScope);
+
+// Record every change in the audit log
+kioskDeviceSchema.plugin(auditTrail, { redact: ['keyHash'], ignore: ['lastUsedAt', 'lastUsedIp'] });
+
+kioskDeviceSchema.virtual('isActive').get(function() {
+  return !this.revokedAt;
+});
+
+// Register a device for an office; returns the device and its API key,
+// which cannot be recovered later
+kioskDeviceSchema.statics.issue = async function({ name, office, createdBy }) {
+  const apiKey = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+  const device = await this.create({
+    name,
+    office: office._id,
+    company: office.company,
+    keyHash: hashSecret(apiKey),
+    keyPrefix: apiKey.slice(0, KEY_PREFIX.length + 6),
+    createdBy
+  });
+
+  return { device, apiKey };
+};
+
+// Active device holding the given API key, or null. Looked up across
+// companies since the key is the only credential of a kiosk request.
+kioskDeviceSchema.statics.findByKey = function(apiKey) {
+  return this.findOne({ keyHash: hashSecret(apiKey), revokedAt: null })
+    .setOptions({ tenantScope: false });
+};
+
+module.exports = mongoose.model('KioskDevice', kioskDeviceSchema);
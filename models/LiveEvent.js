@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { BUFFER_EVENTS } = require('../config/liveEvents');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LiveEvent:
+ *       type: object
+ *       description: Event of the live stream, sent as the data of a server-sent event named after its type
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [visit.status, attendance.clocked_in, attendance.clocked_out, office.occupancy]
+ *         company:
+ *           type: string
+ *         office:
+ *           type: string
+ *           description: Office the event happened at (null for visits without an office and remote attendance)
+ *         data:
+ *           type: object
+ *           description: The visit, attendance session or office as it is after the change ({ visit }, { attendance } or { office })
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// Events shared by every API instance: each one publishes by inserting and
+// follows the collection with a tailable cursor. The collection is capped, so
+// old events make room for new ones without cleanup.
+const liveEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    default: null
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false,
+  capped: { size: BUFFER_EVENTS * 1024, max: BUFFER_EVENTS }
+});
+
+module.exports = mongoose.model('LiveEvent', liveEventSchema);
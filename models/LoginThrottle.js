@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const {
+  LOCK_MINUTES,
+  FAILURE_WINDOW_MINUTES,
+  DELAY_BASE_MS,
+  DELAY_MAX_MS
+} = require('../config/loginProtection');
+
+// Failed login counter for one key ("account:<email>", "ip:<address>" or
+// "2fa:<userId>" for second factor codes)
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Counters are purged by MongoDB once the failure window and lock have passed
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+const twoFactorKey = (userId) => `2fa:${userId}`;
+
+// Delay required after the latest failure before another attempt is accepted
+const delayFor = (failures, policy) => {
+  if (failures <= policy.freeAttempts) return 0;
+  return Math.min(DELAY_BASE_MS * Math.pow(2, failures - policy.freeAttempts - 1), DELAY_MAX_MS);
+};
+
+// Seconds the caller must wait before trying again with this key (0 = allowed)
+loginThrottleSchema.methods.retryAfter = function(policy, now = new Date()) {
+  if (this.lockedUntil && this.lockedUntil > now) {
+    return Math.ceil((this.lockedUntil - now) / 1000);
+  }
+
+  const windowStart = now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000;
+  if (!this.lastFailureAt || this.lastFailureAt.getTime() < windowStart) {
+    return 0;
+  }
+
+  const nextAttemptAt = this.lastFailureAt.getTime() + delayFor(this.failures, policy);
+  return Math.max(0, Math.ceil((nextAttemptAt - now.getTime()) / 1000));
+};
+
+// Count a failed attempt. Failures older than the window are forgotten.
+// Returns the counter and whether this failure locked the key.
+loginThrottleSchema.statics.recordFailure = async function(key, policy) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MINUTES * 60 * 1000);
+  const expiresAt = new Date(now.getTime() + Math.max(FAILURE_WINDOW_MINUTES, LOCK_MINUTES) * 60 * 1000);
+
+  const throttle = await this.findOneAndUpdate(
+    { key },
+    [{
+      $set: {
+        failures: {
+          $cond: [
+            { $lt: ['$lastFailureAt', windowStart] },
+            1,
+            { $add: ['$failures', 1] }
+          ]
+        },
+        lastFailureAt: now,
+        expiresAt
+      }
+    }],
+    { new: true, upsert: true }
+  );
+
+  const alreadyLocked = throttle.lockedUntil && throttle.lockedUntil > now;
+  if (alreadyLocked || throttle.failures < policy.lockThreshold) {
+    return { throttle, locked: false };
+  }
+
+  throttle.lockedUntil = new Date(now.getTime() + LOCK_MINUTES * 60 * 1000);
+  await throttle.save();
+
+  return { throttle, locked: true };
+};
+
+loginThrottleSchema.statics.reset = function(key) {
+  return this.deleteOne({ key });
+};
+
+loginThrottleSchema.statics.accountKey = accountKey;
+loginThrottleSchema.statics.ipKey = ipKey;
+loginThrottleSchema.statics.twoFactorKey = twoFactorKey;
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
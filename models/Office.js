@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { tenantScope } = require('./plugins/tenantScope');
+const { auditTrail } = require('./plugins/auditTrail');
+const { businessHoursSchema } = require('./schemas/businessHours');
 
 /**
  * @swagger
@@ -36,7 +39,20 @@ const mongoose = require('mongoose');
  *           description: Maximum capacity of the office
  *         currentOccupancy:
  *           type: integer
- *           description: Current number of people in office
+ *           description: Current number of people in office, kept up to date by employee and visitor clock-ins and clock-outs
+ *         capacityPolicy:
+ *           type: string
+ *           enum: [reject, queue]
+ *           description: What happens to clock-ins once the office is at capacity (rejected, or put on a waiting queue and admitted when someone leaves)
+ *         schedule:
+ *           allOf:
+ *             - $ref: '#/components/schemas/BusinessHours'
+ *           nullable: true
+ *           description: Opening hours; visitors still inside at closing time are clocked out automatically and their visit flagged for review (never when null)
+ *         noShowGraceMinutes:
+ *           type: integer
+ *           nullable: true
+ *           description: Minutes after the expected arrival before an accepted visit becomes a no-show (VISIT_NO_SHOW_GRACE_MINUTES when null)
  *         company:
  *           $ref: '#/components/schemas/Company'
  *         createdAt:
@@ -97,6 +113,22 @@ const officeSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  capacityPolicy: {
+    type: String,
+    enum: ['reject', 'queue'],
+    default: 'reject'
+  },
+  // Without a schedule, visitors are never clocked out automatically
+  schedule: {
+    type: businessHoursSchema,
+    default: null
+  },
+  // Falls back to VISIT_NO_SHOW_GRACE_MINUTES (see config/visits.js)
+  noShowGraceMinutes: {
+    type: Number,
+    min: 0,
+    default: null
+  },
   company: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Company',
@@ -117,6 +149,13 @@ officeSchema.index({ company: 1 });
 officeSchema.index({ city: 1 });
 officeSchema.index({ active: 1 });
 
+// Company admins and employees only see offices of their own company
+officeSchema.plugin(tenantScope);
+
+// Record every change in the audit log; occupancy moves with every clock-in
+// and clock-out, which are audited on their own records
+officeSchema.plugin(auditTrail, { ignore: ['currentOccupancy'] });
+
 // Virtual for occupancy percentage
 officeSchema.virtual('occupancyPercentage').get(function() {
   return this.capacity > 0 ? Math.round((this.currentOccupancy / this.capacity) * 100) : 0;
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('./plugins/tenantScope');
+const { auditTrail } = require('./plugins/auditTrail');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OfficeQueueEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         office:
+ *           type: string
+ *           description: Office at capacity the person is waiting for
+ *         company:
+ *           type: string
+ *         kind:
+ *           type: string
+ *           enum: [visit, attendance]
+ *           description: What happens on admission (visitor clock in or employee clock in)
+ *         visit:
+ *           $ref: '#/components/schemas/Visit'
+ *         employee:
+ *           $ref: '#/components/schemas/User'
+ *         attendance:
+ *           type: string
+ *           description: Attendance created on admission (attendance entries only)
+ *         status:
+ *           type: string
+ *           enum: [waiting, admitted, cancelled]
+ *         admittedAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     OfficeQueued:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *         queueEntry:
+ *           $ref: '#/components/schemas/OfficeQueueEntry'
+ *         position:
+ *           type: integer
+ *           description: Place in the queue (1 is next)
+ */
+
+const officeQueueEntrySchema = new mongoose.Schema({
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['visit', 'attendance'],
+    required: true
+  },
+  visit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Visit',
+    default: null
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'admitted', 'cancelled'],
+    default: 'waiting'
+  },
+  admittedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+officeQueueEntrySchema.index({ office: 1, status: 1, createdAt: 1 });
+officeQueueEntrySchema.index({ company: 1 });
+
+// A visit or employee waits at most once at a time
+officeQueueEntrySchema.index(
+  { visit: 1 },
+  { unique: true, partialFilterExpression: { status: 'waiting', kind: 'visit' } }
+);
+officeQueueEntrySchema.index(
+  { employee: 1 },
+  { unique: true, partialFilterExpression: { status: 'waiting', kind: 'attendance' } }
+);
+
+// Company admins and employees only see queues of their own company
+officeQueueEntrySchema.plugin(tenantScope);
+
+// Record every change in the audit log
+officeQueueEntrySchema.plugin(auditTrail);
+
+module.exports = mongoose.model('OfficeQueueEntry', officeQueueEntrySchema);
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('./plugins/tenantScope');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Screening:
+ *       type: object
+ *       description: Watchlist screening decision, recorded for every booking and clock-in
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         company:
+ *           $ref: '#/components/schemas/Company'
+ *         visitor:
+ *           $ref: '#/components/schemas/User'
+ *         visit:
+ *           type: string
+ *           description: Visit screened (empty when a booking was blocked, since no visit was created)
+ *         series:
+ *           type: string
+ *           description: Visit series screened (recurring visit bookings only)
+ *         stage:
+ *           type: string
+ *           enum: [booking, clock_in]
+ *         outcome:
+ *           type: string
+ *           enum: [clear, flagged, blocked]
+ *         matches:
+ *           type: array
+ *           description: Watchlist entries the visitor matched
+ *           items:
+ *             $ref: '#/components/schemas/ScreeningMatch'
+ *         by:
+ *           type: string
+ *           description: User whose action triggered the screening (null for kiosks)
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     ScreeningMatch:
+ *       type: object
+ *       properties:
+ *         entry:
+ *           type: string
+ *           description: Watchlist entry matched
+ *         field:
+ *           type: string
+ *           enum: [user, email, phone, name]
+ *           description: What matched
+ *         score:
+ *           type: number
+ *           description: Similarity between 0 and 1 (1 for exact matches)
+ *         action:
+ *           type: string
+ *           enum: [block, flag]
+ *         reason:
+ *           type: string
+ *           description: Reason of the entry when it matched
+ */
+
+const screeningSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
+  visitor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  visit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Visit',
+    default: null
+  },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VisitSeries',
+    default: null
+  },
+  stage: {
+    type: String,
+    enum: ['booking', 'clock_in'],
+    required: true
+  },
+  outcome: {
+    type: String,
+    enum: ['clear', 'flagged', 'blocked'],
+    required: true
+  },
+  // Entry details are copied so the record stays meaningful once the entry
+  // is edited or removed
+  matches: [new mongoose.Schema({
+    entry: { type: mongoose.Schema.Types.ObjectId, ref: 'WatchlistEntry', required: true },
+    field: { type: String, enum: ['user', 'email', 'phone', 'name'], required: true },
+    score: { type: Number, required: true },
+    action: { type: String, enum: ['block', 'flag'], required: true },
+    reason: { type: String, required: true }
+  }, { _id: false })],
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for faster queries
+screeningSchema.index({ company: 1, createdAt: -1 });
+screeningSchema.index({ visitor: 1, createdAt: -1 });
+screeningSchema.index({ visit: 1 });
+screeningSchema.index({ 'matches.entry': 1 });
+
+// Company admins only see the screenings of their own company
+screeningSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('Screening', screeningSchema);
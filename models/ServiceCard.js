@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { tenantScope } = require('./plugins/tenantScope');
+const { auditTrail, getAuditContext } = require('./plugins/auditTrail');
 
 /**
  * @swagger
@@ -27,18 +29,113 @@ const mongoose = require('mongoose');
  *           description: Date when service card expires
  *         isActive:
  *           type: boolean
- *           description: Whether the service card is currently active
+ *           description: Whether the service card is currently active (status active and not deleted)
+ *         status:
+ *           type: string
+ *           enum: [active, suspended, expired, revoked]
+ *           description: Lifecycle status; expired cards are active again once renewed, revoked cards can never be used again
+ *         statusReason:
+ *           type: string
+ *           description: Why the card was suspended or revoked
+ *         replaces:
+ *           type: string
+ *           description: Card lost or stolen that this card replaces
+ *         replacedBy:
+ *           type: string
+ *           description: Card issued to replace this one after it was reported lost or stolen
+ *         deletedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the card was deleted (kept for its history)
+ *         history:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ServiceCardHistoryEntry'
  *         cardNumber:
  *           type: string
  *           description: Unique card number
+ *         expiryAnnouncedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the card's expiry was announced to webhooks (null until it expires, reset when expireAt changes)
+ *         lastReminderDays:
+ *           type: integer
+ *           description: Days before expiry of the last expiry reminder sent (null until one is sent, reset when expireAt changes)
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     ServiceCardHistoryEntry:
+ *       type: object
+ *       properties:
+ *         action:
+ *           type: string
+ *           enum: [issued, renewed, suspended, reinstated, expired, revoked, reported_lost, reported_stolen, deleted]
+ *         at:
+ *           type: string
+ *           format: date-time
+ *         by:
+ *           type: string
+ *           description: User who made the change (null for jobs)
+ *         reason:
+ *           type: string
+ *         expireAt:
+ *           type: string
+ *           format: date-time
+ *           description: Expiry date set by the change (issued, renewed)
+ *         cardNumber:
+ *           type: string
+ *           description: Card number set by the change (issued, renewed)
+ *         card:
+ *           type: string
+ *           description: Linked card (the replacement of a card reported lost or stolen, the card a replacement was issued for)
  */
 
+// Unique card number, e.g. SC-LZ3K9Q1A-4F7B2C
+const newCardNumber = () => {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substring(2, 8);
+  return `SC-${timestamp}-${random}`.toUpperCase();
+};
+
+// Cards expire 1 year after their issue date unless given an expiry date
+const defaultExpiry = function() {
+  const expiry = new Date(this.issueAt || Date.now());
+  expiry.setFullYear(expiry.getFullYear() + 1);
+  return expiry;
+};
+
+const HISTORY_ACTIONS = ['issued', 'renewed', 'suspended', 'reinstated', 'expired', 'revoked', 'reported_lost', 'reported_stolen', 'deleted'];
+
+const historyEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: HISTORY_ACTIONS,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    default: null
+  },
+  expireAt: Date,
+  cardNumber: String,
+  card: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceCard'
+  }
+}, { _id: false });
+
 const serviceCardSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -61,19 +158,63 @@ const serviceCardSchema = new mongoose.Schema({
   },
   expireAt: {
     type: Date,
-    required: true
+    required: true,
+    default: defaultExpiry
   },
   cardNumber: {
     type: String,
     unique: true,
-    required: true
+    required: true,
+    default: newCardNumber
   },
+  // Derived from status and deletedAt on save
   isActive: {
     type: Boolean,
     default: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'expired', 'revoked'],
+    // Cards saved before statuses existed were only active or not
+    default: function() {
+      return this.isActive === false ? 'suspended' : 'active';
+    }
+  },
+  statusReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  replaces: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceCard',
+    default: null
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ServiceCard',
+    default: null
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  history: [historyEntrySchema],
+  // Set once service_card.expired was sent, so it is sent once per expiry
+  expiryAnnouncedAt: {
+    type: Date,
+    default: null
+  },
+  // Threshold (days before expiry) of the last reminder sent, so each
+  // reminder is sent once per expiry date
+  lastReminderDays: {
+    type: Number,
+    default: null
   }
 }, {
   timestamps: true,
+  // Lifecycle changes are made on loaded cards: two at once cannot both apply
+  optimisticConcurrency: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
@@ -84,6 +225,23 @@ serviceCardSchema.index({ company: 1 });
 serviceCardSchema.index({ cardNumber: 1 });
 serviceCardSchema.index({ expireAt: 1 });
 serviceCardSchema.index({ isActive: 1 });
+serviceCardSchema.index({ expiryAnnouncedAt: 1, expireAt: 1 });
+serviceCardSchema.index({ status: 1 });
+serviceCardSchema.index({ company: 1, isActive: 1, expireAt: 1 });
+
+// Scope cards to the caller's company; holders always see their own card
+serviceCardSchema.plugin(tenantScope, { ownerField: 'user' });
+
+// Record every change in the audit log
+serviceCardSchema.plugin(auditTrail, { ignore: ['expiryAnnouncedAt', 'lastReminderDays', 'history'] });
+
+serviceCardSchema.statics.newCardNumber = newCardNumber;
+
+// Record a lifecycle change in the card's history, made by the caller of the
+// request (null for jobs)
+serviceCardSchema.methods.recordHistory = function(action, details = {}) {
+  this.history.push({ action, by: getAuditContext().actor || null, ...details });
+};
 
 // Virtual to check if card is expired
 serviceCardSchema.virtual('isExpired').get(function() {
@@ -103,22 +261,17 @@ serviceCardSchema.virtual('daysUntilExpiration').get(function() {
   return Math.ceil(timeDiff / (1000 * 3600 * 24));
 });
 
-// Pre-save middleware to generate unique card number
-serviceCardSchema.pre('save', async function(next) {
-  if (!this.cardNumber) {
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substring(2, 8);
-    this.cardNumber = `SC-${timestamp}-${random}`.toUpperCase();
-  }
+// Only active cards that were not deleted open doors
+serviceCardSchema.pre('save', function(next) {
+  this.isActive = this.status === 'active' && !this.deletedAt;
   next();
 });
 
-// Set default expiry date to 1 year from issue date
+// New cards start their history, unless issued with an entry of their own
+// (replacements)
 serviceCardSchema.pre('save', function(next) {
-  if (!this.expireAt && this.issueAt) {
-    const expiry = new Date(this.issueAt);
-    expiry.setFullYear(expiry.getFullYear() + 1);
-    this.expireAt = expiry;
+  if (this.isNew && !this.history.length) {
+    this.recordHistory('issued', { expireAt: this.expireAt, cardNumber: this.cardNumber });
   }
   next();
 });
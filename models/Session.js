@@ -0,0 +1,204 @@
+const mongoose = require('mongoose');
+const { REFRESH_TOKEN_TTL_DAYS, randomSecret, hashSecret } = require('../config/tokens');
+
+// Rotated refresh token hashes kept per session to recognize a replayed token
+const PREVIOUS_TOKENS_KEPT = 50;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         device:
+ *           type: string
+ *           description: Device name supplied at login, or the user agent
+ *         userAgent:
+ *           type: string
+ *           description: User agent of the last request
+ *         ip:
+ *           type: string
+ *           description: IP address of the last request
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last time the session was used
+ *         stepUpAt:
+ *           type: string
+ *           format: date-time
+ *           description: Last time a second factor was checked in this session
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the refresh token stops being accepted
+ *         current:
+ *           type: boolean
+ *           description: Whether this is the session making the request
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hashes of the refresh tokens this session rotated away from, newest last.
+  // Only these count as reuse: a token the session never issued is just invalid.
+  previousRefreshTokenHashes: {
+    type: [String],
+    default: []
+  },
+  device: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Set when the user passes a second factor; sensitive actions require it
+  // to be recent (see middleware/stepUp.js)
+  stepUpAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'token_reuse', 'password_changed', 'user_deactivated', 'two_factor_changed'],
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for faster queries
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Expired sessions are purged by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual to check if session can still be used
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the secret is stored
+sessionSchema.methods.buildRefreshToken = function(secret) {
+  return `${this._id}.${secret}`;
+};
+
+sessionSchema.statics.parseRefreshToken = function(refreshToken) {
+  const [sessionId, secret] = (refreshToken || '').split('.');
+  if (!mongoose.Types.ObjectId.isValid(sessionId) || !secret) {
+    return null;
+  }
+  return { sessionId, secretHash: hashSecret(secret) };
+};
+
+// Open a session for a user, returning it with its first refresh token
+sessionSchema.statics.open = async function(userId, { device, userAgent, ip, stepUpAt = null } = {}) {
+  const secret = randomSecret();
+  const expiresAt = new Date();
+  expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+
+  const session = await this.create({
+    user: userId,
+    refreshTokenHash: hashSecret(secret),
+    device: device || userAgent || null,
+    userAgent,
+    ip,
+    stepUpAt,
+    expiresAt
+  });
+
+  return { session, refreshToken: session.buildRefreshToken(secret) };
+};
+
+// Replace the refresh token of an active session. Conditioned on the previous
+// hash so two concurrent uses of the same token cannot both succeed.
+sessionSchema.statics.rotate = async function(sessionId, previousHash, { userAgent, ip } = {}) {
+  const secret = randomSecret();
+
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: previousHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashSecret(secret),
+        lastSeenAt: new Date(),
+        userAgent,
+        ip
+      },
+      $push: {
+        previousRefreshTokenHashes: { $each: [previousHash], $slice: -PREVIOUS_TOKENS_KEPT }
+      }
+    },
+    { new: true }
+  );
+
+  return session ? { session, refreshToken: session.buildRefreshToken(secret) } : null;
+};
+
+// Revoke a session if `secretHash` is one of its rotated refresh tokens: the
+// token is being replayed and someone else may hold the session. Returns
+// whether it was revoked.
+sessionSchema.statics.revokeOnReuse = async function(sessionId, secretHash) {
+  const { modifiedCount } = await this.updateOne(
+    { _id: sessionId, revokedAt: null, previousRefreshTokenHashes: secretHash },
+    { revokedAt: new Date(), revokedReason: 'token_reuse' }
+  );
+  return modifiedCount > 0;
+};
+
+// Revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAll = function(userId, reason, exceptSessionId = null) {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+  return this.updateMany(query, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// Hide the refresh token hashes from JSON output
+sessionSchema.methods.toJSON = function() {
+  const sessionObject = this.toObject();
+  delete sessionObject.refreshTokenHash;
+  delete sessionObject.previousRefreshTokenHashes;
+  return sessionObject;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
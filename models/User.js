@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { tenantScope } = require('./plugins/tenantScope');
+const { auditTrail } = require('./plugins/auditTrail');
 const bcrypt = require('bcryptjs');
 
 /**
@@ -31,12 +33,16 @@ const bcrypt = require('bcryptjs');
  *           type: string
  *           format: email
  *           description: User's email address
+ *         emailVerified:
+ *           type: boolean
+ *           description: Whether the user confirmed their email address
+ *         emailVerifiedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the email address was confirmed
  *         password:
  *           type: string
  *           description: Encrypted password
- *         token:
- *           type: string
- *           description: JWT authentication token
  *         employer:
  *           $ref: '#/components/schemas/Company'
  *         serviceCard:
@@ -45,6 +51,11 @@ const bcrypt = require('bcryptjs');
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/Visit'
+ *         visitDelegates:
+ *           type: array
+ *           description: Colleagues who may approve visits to this user on their behalf
+ *           items:
+ *             $ref: '#/components/schemas/User'
  *         countryCode:
  *           type: string
  *           description: Country code
@@ -53,7 +64,9 @@ const bcrypt = require('bcryptjs');
  *           description: Language preference code
  *         playerId:
  *           type: string
- *           description: Player ID for notifications
+ *           description: Push notification device ID (OneSignal player ID)
+ *         notificationPreferences:
+ *           $ref: '#/components/schemas/NotificationPreferences'
  *         status:
  *           type: string
  *           enum: [available, unavailable]
@@ -61,6 +74,21 @@ const bcrypt = require('bcryptjs');
  *         admin:
  *           type: boolean
  *           description: Whether user has admin privileges
+ *         guest:
+ *           type: boolean
+ *           description: Visitor profile created by an invitation; cannot log in until claimed with a password reset
+ *         twoFactor:
+ *           type: object
+ *           properties:
+ *             enabled:
+ *               type: boolean
+ *               description: Whether logins require a TOTP or backup code
+ *             enabledAt:
+ *               type: string
+ *               format: date-time
+ *             backupCodesRemaining:
+ *               type: integer
+ *               description: Unused backup codes (only on the user's own profile)
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -70,6 +98,46 @@ const bcrypt = require('bcryptjs');
  *         active:
  *           type: integer
  *           description: Active status (1 for active, 0 for inactive)
+ *     NotificationPreferences:
+ *       type: object
+ *       properties:
+ *         channels:
+ *           type: array
+ *           description: Channels the user is notified on, when they can be reached there
+ *           items:
+ *             type: string
+ *             enum: [push, email, sms, webhook]
+ *         mutedEvents:
+ *           type: array
+ *           description: Events the user is not notified of
+ *           items:
+ *             type: string
+ *             enum: [visit_requested, visit_accepted, visit_cancelled, visitor_arrived, visitor_left, service_card_expiring, service_card_expired]
+ *         webhookUrl:
+ *           type: string
+ *           description: URL notifications are posted to as JSON (webhook channel)
+ *     NotificationSettings:
+ *       allOf:
+ *         - $ref: '#/components/schemas/NotificationPreferences'
+ *         - type: object
+ *           properties:
+ *             playerId:
+ *               type: string
+ *             languageCode:
+ *               type: string
+ *               description: Language notifications are written in (en or fr; others get English)
+ *             reachable:
+ *               type: object
+ *               description: Whether the user can be reached on each channel
+ *               properties:
+ *                 push:
+ *                   type: boolean
+ *                 email:
+ *                   type: boolean
+ *                 sms:
+ *                   type: boolean
+ *                 webhook:
+ *                   type: boolean
  */
 
 const userSchema = new mongoose.Schema({
@@ -97,22 +165,26 @@ const userSchema = new mongoose.Schema({
     trim: true,
     default: null
   },
+  // Optional only for guests invited by phone
   email: {
     type: String,
-    required: true,
-    unique: true,
+    required: function() { return !this.guest; },
     trim: true,
     lowercase: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
   password: {
     type: String,
     required: true,
     minlength: 6
   },
-  token: {
-    type: String,
-    default: null
-  },
   employer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Company',
@@ -127,6 +199,10 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Visit'
   }],
+  visitDelegates: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   countryCode: {
     type: String,
     default: null
@@ -139,6 +215,21 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // See services/notifications
+  notificationPreferences: {
+    channels: {
+      type: [{ type: String, enum: ['push', 'email', 'sms', 'webhook'] }],
+      default: ['email', 'push']
+    },
+    mutedEvents: {
+      type: [{ type: String, enum: ['visit_requested', 'visit_accepted', 'visit_cancelled', 'visitor_arrived', 'visitor_left', 'service_card_expiring', 'service_card_expired'] }],
+      default: []
+    },
+    webhookUrl: {
+      type: String,
+      default: null
+    }
+  },
   status: {
     type: String,
     enum: ['available', 'unavailable'],
@@ -148,6 +239,38 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  guest: {
+    type: Boolean,
+    default: false
+  },
+  // TOTP secrets are encrypted and, like backup code hashes, never selected
+  // unless asked for (see services/twoFactor.js)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    lastUsedStep: {
+      type: Number,
+      select: false
+    }
+  },
   active: {
     type: Number,
     default: 1,
@@ -160,10 +283,19 @@ const userSchema = new mongoose.Schema({
 });
 
 // Index for faster queries
-userSchema.index({ email: 1 });
+// Emails are unique among users that have one (guests may only have a phone)
+userSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { email: { $type: 'string' } } });
+userSchema.index({ phone: 1 });
 userSchema.index({ status: 1 });
 userSchema.index({ employer: 1 });
 
+// Company admins and employees only see users of their own company, and
+// everyone sees themselves
+userSchema.plugin(tenantScope, { field: 'employer', ownerField: '_id' });
+
+// Record every change in the audit log, without password or 2FA secrets
+userSchema.plugin(auditTrail, { companyField: 'employer', redact: ['password', 'twoFactor'] });
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -182,10 +314,17 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Remove password, 2FA secrets (and tokens stored by older versions) from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.token;
+  if (userObject.twoFactor) {
+    delete userObject.twoFactor.secret;
+    delete userObject.twoFactor.pendingSecret;
+    delete userObject.twoFactor.backupCodes;
+    delete userObject.twoFactor.lastUsedStep;
+  }
   return userObject;
 };
 
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { randomSecret, hashSecret } = require('../config/tokens');
+
+// Single-use tokens sent by email (password reset, email verification).
+// Only a hash of the token is stored.
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['password_reset', 'email_verification'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+userTokenSchema.index({ tokenHash: 1, type: 1 });
+userTokenSchema.index({ user: 1, type: 1 });
+
+// Expired tokens are purged by MongoDB
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Issue a new token, invalidating any previous one of the same type
+userTokenSchema.statics.issue = async function(userId, type, ttlMinutes) {
+  const token = randomSecret();
+
+  await this.deleteMany({ user: userId, type });
+  await this.create({
+    user: userId,
+    type,
+    tokenHash: hashSecret(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Consume a token: returns the user ID it was issued for, or null when the
+// token is unknown, expired or already used
+userTokenSchema.statics.consume = async function(token, type) {
+  const userToken = await this.findOneAndDelete({
+    tokenHash: hashSecret(token),
+    type,
+    expiresAt: { $gt: new Date() }
+  });
+
+  return userToken ? userToken.user : null;
+};
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
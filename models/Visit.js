@@ -1,4 +1,9 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { tenantScope } = require('./plugins/tenantScope');
+const { auditTrail } = require('./plugins/auditTrail');
+const { stateMachine } = require('./plugins/stateMachine');
+const { approvalSchema } = require('./schemas/approval');
 
 /**
  * @swagger
@@ -37,18 +42,177 @@ const mongoose = require('mongoose');
  *           description: Additional comments
  *         status:
  *           type: string
- *           enum: [pending, accepted, cancelled, in_progress, completed]
- *           description: Visit status
+ *           enum: [pending, accepted, rejected, expired, cancelled, in_progress, completed, no_show]
+ *           description: "Visit status. pending → accepted → in_progress → completed; pending can also become rejected, expired or cancelled, accepted can become cancelled or no_show (or pending again when moved to another office or time), and in_progress can become cancelled. Other statuses are final."
+ *         statusHistory:
+ *           type: array
+ *           description: Every status the visit entered, oldest first
+ *           items:
+ *             $ref: '#/components/schemas/VisitStatusChange'
+ *         approvals:
+ *           type: array
+ *           description: Approval steps required by the company's rules, in order, with their decisions
+ *           items:
+ *             $ref: '#/components/schemas/VisitApproval'
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the visit expires if it is still awaiting approval
+ *         rejectionReason:
+ *           type: string
+ *           description: Why the visit was rejected
+ *         cancellationReason:
+ *           type: string
+ *           description: Why the visit was cancelled
+ *         needsReview:
+ *           type: boolean
+ *           description: Whether staff should check the visit (e.g. the visitor was clocked out automatically at closing time)
+ *         reviewReason:
+ *           type: string
+ *           description: Why the visit was flagged for review
+ *         reviewedBy:
+ *           type: string
+ *           description: User who reviewed the visit
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewComment:
+ *           type: string
  *         office:
  *           $ref: '#/components/schemas/Office'
+ *         company:
+ *           $ref: '#/components/schemas/Company'
+ *         invitedBy:
+ *           type: string
+ *           description: User who invited the visitor (invited visits only)
+ *         invitationSentAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the last invitation with an entry code was sent
+ *         code:
+ *           type: string
+ *           description: Short visit code given to the visitor, used to check out at a kiosk
+ *         kioskDevice:
+ *           type: string
+ *           description: Kiosk device that checked in the walk-in visitor (kiosk visits only)
+ *         group:
+ *           type: string
+ *           description: Visit group the visitor attends with (group visits only)
+ *         series:
+ *           type: string
+ *           description: Visit series the visit is an occurrence of (recurring visits only)
+ *         occurrenceDate:
+ *           type: string
+ *           format: date-time
+ *           description: When the series scheduled this occurrence, even if its expected arrival was changed since
+ *         detached:
+ *           type: boolean
+ *           description: Whether the occurrence was edited on its own, so that edits of the whole series leave it alone
+ *         agreements:
+ *           type: array
+ *           description: Agreements the visitor signed for this visit (only returned by GET /api/visits/{id}/agreements)
+ *           items:
+ *             $ref: '#/components/schemas/VisitAgreement'
  *         createdAt:
  *           type: string
  *           format: date-time
  *         updatedAt:
  *           type: string
  *           format: date-time
+ *     VisitStatusChange:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           description: Status entered
+ *         at:
+ *           type: string
+ *           format: date-time
+ *         by:
+ *           type: string
+ *           description: User who made the change (null for kiosks and background jobs)
+ *     VisitApproval:
+ *       type: object
+ *       properties:
+ *         step:
+ *           type: string
+ *           enum: [host, security, manager]
+ *           description: host (the employee visited or a delegate), security, or manager (visits outside business hours)
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         decidedBy:
+ *           type: string
+ *           description: User who approved or rejected the step
+ *         decidedAt:
+ *           type: string
+ *           format: date-time
+ *         comment:
+ *           type: string
+ *     VisitAgreement:
+ *       type: object
+ *       properties:
+ *         template:
+ *           type: string
+ *           description: Agreement template signed
+ *         version:
+ *           type: integer
+ *           description: Version of the template accepted
+ *         title:
+ *           type: string
+ *         signerName:
+ *           type: string
+ *           description: Full name of the person who signed
+ *         typedName:
+ *           type: string
+ *           description: Name typed as signature
+ *         signatureImage:
+ *           type: string
+ *           description: Drawn signature, as a data URL (image/png or image/jpeg)
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *         by:
+ *           type: string
+ *           description: User who recorded the signature (null for kiosks)
+ *     VisitInvitation:
+ *       type: object
+ *       properties:
+ *         channels:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [email, sms]
+ *           description: Where the invitation was sent
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the entry code stops being valid
  */
 
+// Agreement accepted by the visitor, with the version signed
+const visitAgreementSchema = new mongoose.Schema({
+  template: { type: mongoose.Schema.Types.ObjectId, ref: 'AgreementTemplate', required: true },
+  version: { type: Number, required: true },
+  title: { type: String, required: true },
+  signerName: { type: String, required: true, trim: true },
+  typedName: { type: String, trim: true, default: null },
+  signatureImage: { type: String, default: null },
+  acceptedAt: { type: Date, required: true },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, { _id: false });
+
+// Allowed status changes; statuses without an entry are final. Accepted
+// visits moved to another office or time go back to pending approval.
+const STATUS_TRANSITIONS = {
+  pending: ['accepted', 'rejected', 'cancelled', 'expired'],
+  accepted: ['pending', 'in_progress', 'cancelled', 'no_show'],
+  in_progress: ['completed', 'cancelled']
+};
+
+// Statuses a visit can be created in (accepted when no approval is needed)
+const INITIAL_STATUSES = ['pending', 'accepted'];
+
 const visitSchema = new mongoose.Schema({
   visitor: {
     type: mongoose.Schema.Types.ObjectId,
@@ -88,13 +252,100 @@ const visitSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'cancelled', 'in_progress', 'completed'],
+    enum: ['pending', 'accepted', 'rejected', 'expired', 'cancelled', 'in_progress', 'completed', 'no_show'],
     default: 'pending'
   },
+  approvals: [approvalSchema],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Set by automatic changes staff should check, cleared once reviewed
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  reviewReason: {
+    type: String,
+    default: null
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewComment: {
+    type: String,
+    trim: true,
+    default: null
+  },
   office: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Office',
     default: null
+  },
+  // Host company, from the office or the host employee's employer
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  invitationSentAt: {
+    type: Date,
+    default: null
+  },
+  code: {
+    type: String,
+    default: null
+  },
+  kioskDevice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KioskDevice',
+    default: null
+  },
+  // Attendees of a group visit, approved together
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VisitGroup',
+    default: null
+  },
+  // Occurrences of a recurring visit series (see services/visitSeries.js)
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VisitSeries',
+    default: null
+  },
+  occurrenceDate: {
+    type: Date,
+    default: null
+  },
+  detached: {
+    type: Boolean,
+    default: false
+  },
+  // Signatures can be large images, so they are only loaded on request
+  agreements: {
+    type: [visitAgreementSchema],
+    select: false
   }
 }, {
   timestamps: true,
@@ -108,18 +359,53 @@ visitSchema.index({ employee: 1 });
 visitSchema.index({ status: 1 });
 visitSchema.index({ expectedClockIn: 1 });
 visitSchema.index({ clockIn: 1 });
+visitSchema.index({ company: 1 });
+visitSchema.index({ status: 1, expiresAt: 1 });
+visitSchema.index({ status: 1, office: 1, expectedClockIn: 1 });
+visitSchema.index({ needsReview: 1 });
+visitSchema.index({ series: 1, occurrenceDate: 1 });
+visitSchema.index({ group: 1 });
+visitSchema.index({ visitor: 1, 'agreements.template': 1 });
+// Visits created before codes existed have none
+visitSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+
+// Scope visits to the host company; visitors always see their own visits
+visitSchema.plugin(tenantScope, { ownerField: 'visitor' });
+
+// Record every change in the audit log; status changes are also kept in the
+// visit's own history, and signed agreements are recorded when signed
+visitSchema.plugin(auditTrail, { ignore: ['statusHistory', 'agreements'] });
 
 // Virtual to check if visit is active
 visitSchema.virtual('isActive').get(function() {
   return this.status === 'in_progress';
 });
 
-// Virtual to check if visit is overdue
+// Virtual to check if visit is overdue (still awaited past the expected
+// arrival); accepted visits become no-shows once their office's grace
+// period is over (see services/visitSchedule.js)
 visitSchema.virtual('isOverdue').get(function() {
-  if (this.status !== 'pending') return false;
+  if (!['pending', 'accepted'].includes(this.status) || this.clockIn) return false;
   return new Date() > this.expectedClockIn;
 });
 
+// Unambiguous characters only, so codes can be typed from a badge
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const generateCode = () => Array.from(
+  { length: CODE_LENGTH },
+  () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+).join('');
+
+// Give every new visit a code
+visitSchema.pre('validate', function(next) {
+  if (this.isNew && !this.code) {
+    this.code = generateCode();
+  }
+  next();
+});
+
 // Calculate duration when clockOut is set
 visitSchema.pre('save', function(next) {
   if (this.clockIn && this.clockOut) {
@@ -132,21 +418,15 @@ visitSchema.pre('save', function(next) {
     } else {
       this.duration = `${minutes}m`;
     }
-    
-    // Automatically set status to completed when clocked out
-    if (this.status === 'in_progress') {
-      this.status = 'completed';
-    }
   }
   next();
 });
 
-// Auto set status to in_progress when clockIn is set
-visitSchema.pre('save', function(next) {
-  if (this.clockIn && !this.clockOut && this.status === 'accepted') {
-    this.status = 'in_progress';
-  }
-  next();
+// Status only changes along STATUS_TRANSITIONS, on every write path, and each
+// change is appended to statusHistory
+visitSchema.plugin(stateMachine, {
+  transitions: STATUS_TRANSITIONS,
+  initial: INITIAL_STATUSES
 });
 
 module.exports = mongoose.model('Visit', visitSchema);
\ No newline at end of file
@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('./plugins/tenantScope');
+const { auditTrail } = require('./plugins/auditTrail');
+const { businessHoursSchema } = require('./schemas/businessHours');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VisitApprovalRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         company:
+ *           $ref: '#/components/schemas/Company'
+ *         office:
+ *           $ref: '#/components/schemas/Office'
+ *         allowDelegates:
+ *           type: boolean
+ *           description: Whether the host's visit delegates may approve in their place
+ *         requireSecurityApproval:
+ *           type: boolean
+ *           description: Whether security must approve once the host has
+ *         securityApprovers:
+ *           type: array
+ *           description: Users who can give the security approval
+ *           items:
+ *             $ref: '#/components/schemas/User'
+ *         businessHours:
+ *           $ref: '#/components/schemas/BusinessHours'
+ *         requireManagerApprovalOutsideHours:
+ *           type: boolean
+ *           description: Whether visits expected outside business hours need a manager approval as well
+ *         managerApprovers:
+ *           type: array
+ *           description: Users who can give the manager approval (company admins when empty)
+ *           items:
+ *             $ref: '#/components/schemas/User'
+ *         pendingExpiryHours:
+ *           type: integer
+ *           description: Hours after which a visit still awaiting approval expires (never when null)
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     BusinessHours:
+ *       type: object
+ *       properties:
+ *         days:
+ *           type: array
+ *           description: Working days, 0 is Sunday
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *         start:
+ *           type: string
+ *           example: '08:00'
+ *         end:
+ *           type: string
+ *           example: '18:00'
+ *         timezone:
+ *           type: string
+ *           example: Africa/Kinshasa
+ */
+
+const visitApprovalRuleSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // Rules without an office are the company default
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    default: null
+  },
+  allowDelegates: {
+    type: Boolean,
+    default: true
+  },
+  requireSecurityApproval: {
+    type: Boolean,
+    default: false
+  },
+  securityApprovers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  businessHours: {
+    type: businessHoursSchema,
+    default: () => ({})
+  },
+  requireManagerApprovalOutsideHours: {
+    type: Boolean,
+    default: false
+  },
+  managerApprovers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  pendingExpiryHours: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// One rule per office and one default per company
+visitApprovalRuleSchema.index({ company: 1, office: 1 }, { unique: true });
+
+// Security approval needs someone to give it
+visitApprovalRuleSchema.pre('validate', function(next) {
+  if (this.requireSecurityApproval && !this.securityApprovers.length) {
+    this.invalidate('securityApprovers', 'Security approvers are required when security approval is required');
+  }
+  next();
+});
+
+// Company admins only see the rules of their own company
+visitApprovalRuleSchema.plugin(tenantScope);
+
+// Record every change in the audit log
+visitApprovalRuleSchema.plugin(auditTrail);
+
+module.exports = mongoose.model('VisitApprovalRule', visitApprovalRuleSchema);
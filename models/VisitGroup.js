@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('./plugins/tenantScope');
+const { auditTrail } = require('./plugins/auditTrail');
+const { stateMachine } = require('./plugins/stateMachine');
+const { approvalSchema } = require('./schemas/approval');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VisitGroup:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         name:
+ *           type: string
+ *           description: Name of the group (e.g. the delegation)
+ *         employee:
+ *           $ref: '#/components/schemas/User'
+ *         office:
+ *           $ref: '#/components/schemas/Office'
+ *         company:
+ *           $ref: '#/components/schemas/Company'
+ *         expectedClockIn:
+ *           type: string
+ *           format: date-time
+ *         reason:
+ *           type: string
+ *         comment:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, rejected, expired, cancelled]
+ *           description: Approving the group accepts the visits of all of its attendees
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/VisitStatusChange'
+ *         approvals:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/VisitApproval'
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         rejectionReason:
+ *           type: string
+ *         cancellationReason:
+ *           type: string
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const STATUS_TRANSITIONS = {
+  pending: ['accepted', 'rejected', 'cancelled', 'expired'],
+  accepted: ['cancelled']
+};
+
+// Each attendee has their own visit (Visit.group), clocked in and out on its own
+const visitGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    default: null
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
+  expectedClockIn: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  comment: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'expired', 'cancelled'],
+    default: 'pending'
+  },
+  approvals: [approvalSchema],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+visitGroupSchema.index({ employee: 1 });
+visitGroupSchema.index({ company: 1, expectedClockIn: -1 });
+visitGroupSchema.index({ status: 1, expiresAt: 1 });
+
+// Company members only see their own company's groups
+visitGroupSchema.plugin(tenantScope);
+
+// Record every change in the audit log
+visitGroupSchema.plugin(auditTrail, { ignore: ['statusHistory'] });
+
+// Approval statuses follow the same rules as single visits
+visitGroupSchema.plugin(stateMachine, {
+  transitions: STATUS_TRANSITIONS,
+  initial: ['pending', 'accepted']
+});
+
+module.exports = mongoose.model('VisitGroup', visitGroupSchema);
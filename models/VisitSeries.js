@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('./plugins/tenantScope');
+const { auditTrail } = require('./plugins/auditTrail');
+const { stateMachine } = require('./plugins/stateMachine');
+const { approvalSchema } = require('./schemas/approval');
+const { isTimeZone } = require('./schemas/businessHours');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VisitSeries:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         visitor:
+ *           $ref: '#/components/schemas/User'
+ *         employee:
+ *           $ref: '#/components/schemas/User'
+ *         office:
+ *           $ref: '#/components/schemas/Office'
+ *         company:
+ *           $ref: '#/components/schemas/Company'
+ *         reason:
+ *           type: string
+ *         comment:
+ *           type: string
+ *         startAt:
+ *           type: string
+ *           format: date-time
+ *           description: Expected arrival of the first occurrence; its time of day applies to every occurrence
+ *         timezone:
+ *           type: string
+ *           example: Africa/Kinshasa
+ *           description: Time zone the recurrence is computed in
+ *         recurrence:
+ *           $ref: '#/components/schemas/Recurrence'
+ *         exceptions:
+ *           type: array
+ *           description: Days (YYYY-MM-DD, in the series time zone) skipped by the recurrence
+ *           items:
+ *             type: string
+ *             format: date
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted, rejected, expired, cancelled]
+ *           description: Approving the series accepts all of its occurrences
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/VisitStatusChange'
+ *         approvals:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/VisitApproval'
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         rejectionReason:
+ *           type: string
+ *         cancellationReason:
+ *           type: string
+ *         createdBy:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     Recurrence:
+ *       type: object
+ *       description: RRULE-style recurrence; ends at `until` or after `count` occurrences
+ *       properties:
+ *         freq:
+ *           type: string
+ *           enum: [daily, weekly, monthly]
+ *         interval:
+ *           type: integer
+ *           description: Every how many days, weeks or months
+ *         byDay:
+ *           type: array
+ *           description: Weekdays of weekly series, 0 is Sunday (the weekday of startAt when empty)
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *         until:
+ *           type: string
+ *           format: date-time
+ *         count:
+ *           type: integer
+ */
+
+// Accepted series rescheduled go back to pending approval
+const STATUS_TRANSITIONS = {
+  pending: ['accepted', 'rejected', 'cancelled', 'expired'],
+  accepted: ['pending', 'cancelled']
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const recurrenceSchema = new mongoose.Schema({
+  freq: {
+    type: String,
+    enum: ['daily', 'weekly', 'monthly'],
+    required: true
+  },
+  interval: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  byDay: [{
+    type: Number,
+    min: 0,
+    max: 6
+  }],
+  until: {
+    type: Date,
+    default: null
+  },
+  count: {
+    type: Number,
+    min: 1,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+const visitSeriesSchema = new mongoose.Schema({
+  visitor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  office: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Office',
+    default: null
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    default: null
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  comment: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  startAt: {
+    type: Date,
+    required: true
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isTimeZone,
+      message: props => `${props.value} is not a valid time zone`
+    }
+  },
+  recurrence: {
+    type: recurrenceSchema,
+    required: true
+  },
+  exceptions: [{
+    type: String,
+    match: DATE_PATTERN
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected', 'expired', 'cancelled'],
+    default: 'pending'
+  },
+  approvals: [approvalSchema],
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+visitSeriesSchema.index({ visitor: 1 });
+visitSeriesSchema.index({ employee: 1 });
+visitSeriesSchema.index({ company: 1 });
+visitSeriesSchema.index({ status: 1, expiresAt: 1 });
+
+// A series must end, so that its occurrences can all be scheduled
+visitSeriesSchema.pre('validate', function(next) {
+  if (this.recurrence && !this.recurrence.until && !this.recurrence.count) {
+    this.invalidate('recurrence', 'A recurrence needs an until date or a count');
+  }
+  next();
+});
+
+// Scope series to the host company; visitors always see their own series
+visitSeriesSchema.plugin(tenantScope, { ownerField: 'visitor' });
+
+// Record every change in the audit log
+visitSeriesSchema.plugin(auditTrail, { ignore: ['statusHistory'] });
+
+// Approval statuses follow the same rules as single visits
+visitSeriesSchema.plugin(stateMachine, {
+  transitions: STATUS_TRANSITIONS,
+  initial: ['pending', 'accepted']
+});
+
+module.exports = mongoose.model('VisitSeries', visitSeriesSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('./plugins/tenantScope');
+const { auditTrail } = require('./plugins/auditTrail');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WatchlistEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         company:
+ *           $ref: '#/components/schemas/Company'
+ *         user:
+ *           type: string
+ *           description: Watched user account
+ *         email:
+ *           type: string
+ *           format: email
+ *         phone:
+ *           type: string
+ *           description: Phone number, stored without spaces, dashes, dots or parentheses
+ *         name:
+ *           type: string
+ *           description: Full name, matched approximately (accents, case and word order are ignored)
+ *         action:
+ *           type: string
+ *           enum: [block, flag]
+ *           description: block refuses the visit, flag lets it go ahead but marks it for security review
+ *         reason:
+ *           type: string
+ *           description: Why the person is on the watchlist
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the entry stops applying (never when empty)
+ *         active:
+ *           type: boolean
+ *         createdBy:
+ *           type: string
+ *           description: User who added the entry
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const watchlistEntrySchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  // A visitor matches when any of the fields below does
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  phone: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  action: {
+    type: String,
+    enum: ['block', 'flag'],
+    default: 'block'
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+watchlistEntrySchema.index({ company: 1, active: 1 });
+
+// An entry must identify someone
+watchlistEntrySchema.pre('validate', function(next) {
+  if (!this.user && !this.email && !this.phone && !this.name) {
+    this.invalidate('user', 'A user, email, phone or name is required');
+  }
+  next();
+});
+
+// Company admins only see the watchlist of their own company
+watchlistEntrySchema.plugin(tenantScope);
+
+// Record every change in the audit log
+watchlistEntrySchema.plugin(auditTrail);
+
+module.exports = mongoose.model('WatchlistEntry', watchlistEntrySchema);
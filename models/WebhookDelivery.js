@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const { tenantScope } = require('./plugins/tenantScope');
+const { DELIVERY_RETENTION_DAYS } = require('../config/webhooks');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookDelivery:
+ *       type: object
+ *       description: One event sent (or being sent) to one webhook endpoint, with every attempt made
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId, sent in the X-EasyDoor-Delivery header
+ *         subscription:
+ *           type: string
+ *           description: Webhook the event is delivered to
+ *         company:
+ *           type: string
+ *         event:
+ *           type: string
+ *           description: Event name, or ping for test deliveries
+ *         eventId:
+ *           type: string
+ *           description: Id of the event, the same for every endpoint and redelivery (the id of the payload)
+ *         payload:
+ *           type: object
+ *           description: JSON body sent to the endpoint
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *           description: pending while attempts remain, succeeded once the endpoint answered with a 2xx status, failed when no attempt is left
+ *         attempts:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/WebhookAttempt'
+ *         maxAttempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the next attempt is due (null once succeeded or failed)
+ *         redeliveryOf:
+ *           type: string
+ *           description: Delivery this one sends again
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     WebhookAttempt:
+ *       type: object
+ *       properties:
+ *         at:
+ *           type: string
+ *           format: date-time
+ *         responseStatus:
+ *           type: integer
+ *           description: HTTP status answered (null when the endpoint could not be reached)
+ *         error:
+ *           type: string
+ *         durationMs:
+ *           type: integer
+ */
+
+const webhookAttemptSchema = new mongoose.Schema({
+  at: { type: Date, required: true },
+  responseStatus: { type: Number, default: null },
+  error: { type: String, default: null },
+  durationMs: { type: Number, required: true }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  // Sent as is by every attempt, so redeliveries match the original
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: [webhookAttemptSchema],
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+  // Also pushed back while an attempt is in flight, so that no other
+  // instance picks the delivery up meanwhile
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for faster queries
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+webhookDeliverySchema.index({ company: 1, createdAt: -1 });
+webhookDeliverySchema.index({ eventId: 1 });
+
+// The delivery log is pruned by MongoDB after the retention period
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Company admins only see the deliveries of their own company
+webhookDeliverySchema.plugin(tenantScope);
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { tenantScope } = require('./plugins/tenantScope');
+const { auditTrail } = require('./plugins/auditTrail');
+
+// Prefix making signing secrets recognizable (e.g. in logs or secret scanners)
+const SECRET_PREFIX = 'whsec_';
+
+const newSecret = () => `${SECRET_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WebhookSubscription:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           description: Auto-generated MongoDB ObjectId
+ *         company:
+ *           $ref: '#/components/schemas/Company'
+ *         url:
+ *           type: string
+ *           format: uri
+ *           description: Endpoint receiving the events as JSON POST requests
+ *         events:
+ *           type: array
+ *           description: Events delivered to the endpoint
+ *           items:
+ *             type: string
+ *             enum: [visit.created, visit.checked_in, visit.checked_out, attendance.clocked_in, attendance.clocked_out, service_card.created, service_card.renewed, service_card.deactivated, service_card.reinstated, service_card.expired]
+ *         description:
+ *           type: string
+ *         active:
+ *           type: boolean
+ *           description: Whether events are delivered to the endpoint
+ *         createdBy:
+ *           type: string
+ *           description: User who registered the endpoint
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: [
+        'visit.created',
+        'visit.checked_in',
+        'visit.checked_out',
+        'attendance.clocked_in',
+        'attendance.clocked_out',
+        'service_card.created',
+        'service_card.renewed',
+        'service_card.deactivated',
+        'service_card.reinstated',
+        'service_card.expired'
+      ]
+    }],
+    validate: [events => events.length > 0, 'At least one event is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Key of the HMAC signature of every delivery. Unlike API keys it must be
+  // readable to sign, so it is kept out of responses and of the audit log
+  // instead; it is shown when created or rotated.
+  secret: {
+    type: String,
+    required: true,
+    select: false,
+    default: newSecret
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.secret;
+      return ret;
+    }
+  }
+});
+
+webhookSubscriptionSchema.index({ company: 1, active: 1, events: 1 });
+
+// Company admins only see the webhooks of their own company
+webhookSubscriptionSchema.plugin(tenantScope);
+
+// Record every change in the audit log
+webhookSubscriptionSchema.plugin(auditTrail, { redact: ['secret'] });
+
+// Replace the signing secret; returns the new one
+webhookSubscriptionSchema.methods.rotateSecret = async function() {
+  this.secret = newSecret();
+  await this.save();
+  return this.secret;
+};
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
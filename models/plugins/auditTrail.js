@@ -0,0 +1,165 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const mongoose = require('mongoose');
+
+// Holds the request being handled so audit entries know who made a change,
+// from where and through which route
+const auditStorage = new AsyncLocalStorage();
+
+const UPDATE_HOOKS = ['updateOne', 'updateMany', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne'];
+const DELETE_HOOKS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+const SINGLE_DOCUMENT_HOOKS = ['updateOne', 'findOneAndUpdate', 'findOneAndReplace', 'replaceOne', 'deleteOne', 'findOneAndDelete'];
+
+// Bookkeeping fields left out of diffs
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+const REDACTED = '[redacted]';
+
+// Run `fn` with `req` as the origin of every audited change it makes
+const runWithAuditContext = (req, fn) => auditStorage.run(req, fn);
+
+// Actor, IP and route of the current request ({} outside a request, e.g. jobs).
+// Kiosk requests have no user; the device is recorded in the metadata.
+const getAuditContext = () => {
+  const req = auditStorage.getStore();
+  if (!req) return {};
+
+  const context = {
+    actor: req.user ? req.user.userId : null,
+    ip: req.ip,
+    route: `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`
+  };
+
+  if (req.kiosk) {
+    context.metadata = { kioskDevice: req.kiosk.deviceId };
+  }
+
+  return context;
+};
+
+// Plain JSON value (ObjectIds as strings, dates as ISO strings)
+const serialize = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Top-level fields that differ between two plain objects, as
+// { field: { from, to } }. Redacted fields only record that they changed;
+// ignored fields are left out.
+const diff = (before, after, redact = [], ignore = []) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  fields.forEach(field => {
+    if (IGNORED_FIELDS.includes(field) || ignore.includes(field)) return;
+
+    const from = serialize(before ? before[field] : undefined);
+    const to = serialize(after ? after[field] : undefined);
+    if (JSON.stringify(from) === JSON.stringify(to)) return;
+
+    changes[field] = redact.includes(field)
+      ? { from: from === null ? null : REDACTED, to: to === null ? null : REDACTED }
+      : { from, to };
+  });
+
+  return changes;
+};
+
+// Mongoose plugin writing an AuditLog entry (with a diff) for every document
+// created, updated or deleted through the model, whichever controller or
+// helper made the change.
+//
+// Options:
+//   companyField - path holding the company of a record, used to scope the
+//                  audit log (default: 'company')
+//   redact       - fields whose values are never copied into the log
+//   ignore       - bookkeeping fields (e.g. last activity) whose changes are
+//                  not worth an entry
+const auditTrail = (schema, options = {}) => {
+  const { companyField = 'company', redact = [], ignore = [] } = options;
+
+  const record = async (model, action, before, after, session) => {
+    const changes = diff(before, after, redact, ignore);
+    if (!Object.keys(changes).length) return;
+
+    const doc = after || before;
+    const target = model.modelName;
+
+    await mongoose.model('AuditLog').record({
+      ...getAuditContext(),
+      action: `${target.charAt(0).toLowerCase()}${target.slice(1)}.${action}`,
+      targetModel: target,
+      targetId: doc._id,
+      company: doc[companyField] || null,
+      changes
+    }, { session });
+  };
+
+  const snapshot = (doc) => doc.toObject({ depopulate: true, virtuals: false, getters: false, transform: false });
+
+  schema.pre('save', async function() {
+    if (this.isNew) return;
+
+    this.$locals.auditBefore = await this.constructor.findById(this._id)
+      .setOptions({ tenantScope: false })
+      .session(this.$session())
+      .lean();
+  });
+
+  schema.post('save', async function() {
+    const before = this.$locals.auditBefore;
+    delete this.$locals.auditBefore;
+
+    await record(this.constructor, before ? 'update' : 'create', before || null, snapshot(this), this.$session());
+  });
+
+  // Query writes: load the matching records first, then diff them with what
+  // was stored once the write is done
+  const loadTargets = function() {
+    const query = this.model.find(this.getFilter())
+      .setOptions({ tenantScope: false })
+      .session(this.getOptions().session || null)
+      .lean();
+
+    if (SINGLE_DOCUMENT_HOOKS.includes(this.op)) {
+      query.limit(1);
+    }
+
+    return query;
+  };
+
+  schema.pre(UPDATE_HOOKS, async function() {
+    this._auditBefore = await loadTargets.call(this);
+  });
+
+  schema.post(UPDATE_HOOKS, async function() {
+    const before = this._auditBefore || [];
+    if (!before.length) return;
+
+    const session = this.getOptions().session || null;
+    const after = await this.model.find({ _id: { $in: before.map(doc => doc._id) } })
+      .setOptions({ tenantScope: false })
+      .session(session)
+      .lean();
+
+    for (const previous of before) {
+      const current = after.find(doc => doc._id.equals(previous._id));
+      await record(this.model, 'update', previous, current || null, session);
+    }
+  });
+
+  schema.pre(DELETE_HOOKS, async function() {
+    this._auditBefore = await loadTargets.call(this);
+  });
+
+  schema.post(DELETE_HOOKS, async function() {
+    const session = this.getOptions().session || null;
+
+    for (const previous of this._auditBefore || []) {
+      await record(this.model, 'delete', previous, null, session);
+    }
+  });
+};
+
+module.exports = {
+  auditTrail,
+  runWithAuditContext,
+  getAuditContext,
+  diff
+};
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const { getAuditContext } = require('./auditTrail');
+
+const UPDATE_HOOKS = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+
+// Error for a status change the state machine does not allow
+const transitionError = (message) => {
+  const error = new Error(message);
+  error.status = 409;
+  return error;
+};
+
+// Mongoose plugin allowing a status field to change only along declared
+// transitions, whichever path writes it (save, updateOne, updateMany,
+// findOneAndUpdate), and recording every change in a history array.
+//
+// Options:
+//   field       - status path (default: 'status')
+//   transitions - { from: [to, ...] }; statuses without an entry are final
+//   initial     - statuses a new record may start in
+//   history     - array path receiving { status, at, by } for every status
+//                 entered (default: 'statusHistory')
+//
+// Saves are conditioned on the status the document was loaded with, and
+// query updates only match records whose status may move to the new one, so
+// two concurrent changes cannot both apply.
+//
+// Model.onTransition(listener) calls `listener(record)` for every record whose
+// status changed, once the change is written. Query updates then read the
+// records they change, so the extra reads only happen once a listener is set.
+const stateMachine = (schema, options = {}) => {
+  const { field = 'status', transitions = {}, initial = [], history = 'statusHistory' } = options;
+
+  const canTransition = (from, to) => (transitions[from] || []).includes(to);
+
+  // Statuses the record must be in to move to `to`
+  const sourcesOf = (to) => Object.keys(transitions).filter(from => canTransition(from, to));
+
+  const entry = (status) => ({ status, at: new Date(), by: getAuditContext().actor || null });
+
+  const listeners = [];
+
+  // Listeners run after the write and never fail it
+  const announce = (records) => {
+    records.forEach(record => listeners.forEach(listener => {
+      Promise.resolve()
+        .then(() => listener(record))
+        .catch(error => console.error('❌ Status change listener failed:', error.message));
+    }));
+  };
+
+  // Ids of the records a status update is about to change
+  const changing = new WeakMap();
+
+  // Reads about an update share its session. Its filter is already scoped to
+  // the caller's company, if it had to be (see tenantScope).
+  const readOptions = (query) => ({ session: query.getOptions().session, tenantScope: false });
+
+  schema.add({
+    [history]: [new mongoose.Schema({
+      status: { type: String, required: true },
+      at: { type: Date, required: true },
+      by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+    }, { _id: false })]
+  });
+
+  schema.static('canTransition', canTransition);
+
+  schema.static('onTransition', (listener) => {
+    listeners.push(listener);
+  });
+
+  // Remember the stored status, the `from` of the next save
+  schema.post('init', function() {
+    this.$locals.loadedStatus = this.get(field);
+  });
+
+  schema.pre('save', function() {
+    const to = this.get(field);
+
+    if (this.isNew) {
+      if (!initial.includes(to)) throw transitionError(`Records cannot be created with status ${to}`);
+      this.get(history).push(entry(to));
+      this.$locals.transitioned = true;
+      return;
+    }
+
+    if (!this.isModified(field)) return;
+
+    const from = this.$locals.loadedStatus;
+    if (from === to) return;
+    if (from !== undefined && !canTransition(from, to)) {
+      throw transitionError(`Status cannot change from ${from} to ${to}`);
+    }
+
+    this.get(history).push(entry(to));
+    this.$locals.transitioned = true;
+    if (from !== undefined) {
+      this.$where = { ...this.$where, [field]: from };
+    }
+  });
+
+  schema.post('save', function() {
+    this.$locals.loadedStatus = this.get(field);
+    if (this.$where) {
+      delete this.$where[field];
+    }
+
+    if (this.$locals.transitioned) {
+      this.$locals.transitioned = false;
+      announce([this]);
+    }
+  });
+
+  // The status changed since the document was loaded
+  schema.post('save', function(error, doc, next) {
+    if (error.name === 'DocumentNotFoundError' && doc.$where && doc.$where[field]) {
+      const conflict = new Error(`Status changed since it was read (was ${doc.$where[field]}); reload and try again`);
+      conflict.status = 409;
+      return next(conflict);
+    }
+    next(error);
+  });
+
+  schema.pre(UPDATE_HOOKS, async function() {
+    const update = this.getUpdate() || {};
+    const { $set = {}, ...rest } = update;
+    const to = field in $set ? $set[field] : rest[field];
+    if (to === undefined) return;
+
+    const sources = sourcesOf(to);
+    if (!sources.length) throw transitionError(`Status cannot change to ${to}`);
+
+    // Records already in `to` or unable to reach it are left untouched
+    this.and([{ [field]: { $in: sources } }]);
+
+    const fields = { ...rest };
+    delete fields[field];
+    this.setUpdate({
+      ...fields,
+      $set: { ...$set, [field]: to },
+      $push: { ...(update.$push || {}), [history]: entry(to) }
+    });
+
+    if (listeners.length) {
+      const ids = await this.model.find(this.getFilter())
+        .setOptions(readOptions(this))
+        .distinct('_id');
+      changing.set(this, { ids, to });
+    }
+  });
+
+  schema.post(UPDATE_HOOKS, async function() {
+    const pending = changing.get(this);
+    if (!pending || !pending.ids.length) return;
+    changing.delete(this);
+
+    const records = await this.model.find({ _id: { $in: pending.ids }, [field]: pending.to })
+      .setOptions(readOptions(this));
+    announce(records);
+  });
+};
+
+module.exports = {
+  stateMachine
+};
@@ -0,0 +1,89 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Holds the caller of the current request ({ userId, role, company }) so
+// queries can be scoped without every controller passing it around
+const tenantStorage = new AsyncLocalStorage();
+
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'updateOne',
+  'updateMany',
+  'deleteOne',
+  'deleteMany'
+];
+
+// Run `fn` with `tenant` as the scope of every query it makes
+const runWithTenant = (tenant, fn) => tenantStorage.run(tenant, fn);
+
+const getTenant = () => tenantStorage.getStore();
+
+// Build the filter restricting a model to the current tenant, or null when
+// the caller may see everything
+const buildFilter = (tenant, field, ownerField) => {
+  if (!tenant || tenant.role === 'admin') return null;
+
+  if (tenant.company) {
+    return ownerField
+      ? { $or: [{ [field]: tenant.company }, { [ownerField]: tenant.userId }] }
+      : { [field]: tenant.company };
+  }
+
+  // Callers outside any company only see records they own, and nothing of
+  // models without an owner
+  return ownerField ? { [ownerField]: tenant.userId } : { _id: null };
+};
+
+// Mongoose plugin scoping every query on the model to the caller's company.
+//
+// Options:
+//   field      - path holding the company ID (default: 'company')
+//   ownerField - path holding a user ID; that user always sees the record,
+//                and callers without a company see only their own records
+//                (none at all on models without an ownerField)
+//
+// Platform admins are never scoped. Pass the `tenantScope: false` query option
+// for lookups that must cross tenants on purpose (e.g. inviting an outside
+// visitor). Populated references are never scoped since the parent document
+// was already.
+const tenantScope = (schema, options = {}) => {
+  const { field = 'company', ownerField = null } = options;
+
+  schema.pre(QUERY_HOOKS, function() {
+    const queryOptions = this.getOptions();
+    const scoped = queryOptions.tenantScope !== false;
+    delete queryOptions.tenantScope;
+
+    const populate = this._mongooseOptions.populate;
+    if (populate) {
+      Object.values(populate).forEach(pop => {
+        pop.options = Object.assign({}, pop.options, { tenantScope: false });
+      });
+    }
+
+    if (!scoped) return;
+
+    const filter = buildFilter(getTenant(), field, ownerField);
+    if (filter) {
+      this.and([filter]);
+    }
+  });
+
+  schema.pre('aggregate', function() {
+    const filter = buildFilter(getTenant(), field, ownerField);
+    if (filter && this.options.tenantScope !== false) {
+      this.pipeline().unshift({ $match: filter });
+    }
+    delete this.options.tenantScope;
+  });
+};
+
+module.exports = {
+  tenantScope,
+  runWithTenant,
+  getTenant
+};
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One approval step of a visit or visit series and its decision (see
+// services/visitApprovals.js)
+const approvalSchema = new mongoose.Schema({
+  step: {
+    type: String,
+    enum: ['host', 'security', 'manager'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  decidedAt: {
+    type: Date,
+    default: null
+  },
+  comment: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  _id: false
+});
+
+module.exports = {
+  approvalSchema
+};
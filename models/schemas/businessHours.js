@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isTimeZone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Working days and hours in a time zone, shared by approval rules and office
+// schedules (see services/businessHours.js)
+const businessHoursSchema = new mongoose.Schema({
+  days: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    default: [1, 2, 3, 4, 5]
+  },
+  start: {
+    type: String,
+    match: TIME_PATTERN,
+    default: '08:00'
+  },
+  end: {
+    type: String,
+    match: TIME_PATTERN,
+    default: '18:00'
+  },
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isTimeZone,
+      message: props => `${props.value} is not a valid time zone`
+    }
+  }
+}, {
+  _id: false
+});
+
+module.exports = {
+  businessHoursSchema,
+  isTimeZone
+};
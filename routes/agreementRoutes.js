@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const agreementValidator = require('../validators/agreementValidator');
+const {
+  createAgreement,
+  getAgreements,
+  getAgreementById,
+  updateAgreement
+} = require('../controllers/agreementController');
+
+/**
+ * @swagger
+ * /api/agreements:
+ *   post:
+ *     summary: Create a visitor agreement
+ *     description: Visitors of the company (or only of the office) must sign the active agreements before they clock in. An acceptance of the current version stays valid for later visits during validityDays. Agreements cannot be deleted, so signed versions stay readable; deactivate them instead.
+ *     tags: [Agreements]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AgreementTemplateCreate'
+ *     responses:
+ *       201:
+ *         description: Agreement created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 agreement:
+ *                   $ref: '#/components/schemas/AgreementTemplate'
+ *       400:
+ *         description: Creation failed or the office is not the company's
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Company or office not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN], { company: req => req.body.company }), validate(agreementValidator.createAgreement), createAgreement);
+
+/**
+ * @swagger
+ * /api/agreements:
+ *   get:
+ *     summary: Get visitor agreements
+ *     description: Current version of each agreement; past versions are returned by GET /api/agreements/{id}.
+ *     tags: [Agreements]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: office
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [nda, safety, other]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of agreements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 agreements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AgreementTemplate'
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalAgreements:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(agreementValidator.getAgreements), getAgreements);
+
+/**
+ * @swagger
+ * /api/agreements/{id}:
+ *   get:
+ *     summary: Get visitor agreement by ID, with every published version
+ *     tags: [Agreements]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Agreement details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AgreementTemplate'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Agreement not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(agreementValidator.getAgreementById), getAgreementById);
+
+/**
+ * @swagger
+ * /api/agreements/{id}:
+ *   patch:
+ *     summary: Update visitor agreement
+ *     description: Changing the title or text publishes a new version, which every visitor must sign again, even those who accepted the previous one recently.
+ *     tags: [Agreements]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AgreementTemplateUpdate'
+ *     responses:
+ *       200:
+ *         description: Agreement updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 agreement:
+ *                   $ref: '#/components/schemas/AgreementTemplate'
+ *       400:
+ *         description: Update failed
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Agreement not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(agreementValidator.updateAgreement), updateAgreement);
+
+module.exports = router;
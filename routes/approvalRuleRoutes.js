@@ -0,0 +1,211 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const approvalRuleValidator = require('../validators/approvalRuleValidator');
+const {
+  createApprovalRule,
+  getApprovalRules,
+  getApprovalRuleById,
+  updateApprovalRule,
+  deleteApprovalRule
+} = require('../controllers/approvalRuleController');
+
+/**
+ * @swagger
+ * /api/approval-rules:
+ *   post:
+ *     summary: Create a visit approval rule
+ *     description: A rule without an office is the company default; an office rule replaces it for visits to that office. Visits always need the host (or a delegate) to approve; rules add a security step, a manager step for visits outside business hours and an expiry for visits left pending.
+ *     tags: [Approval Rules]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitApprovalRuleCreate'
+ *     responses:
+ *       201:
+ *         description: Approval rule created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 rule:
+ *                   $ref: '#/components/schemas/VisitApprovalRule'
+ *       400:
+ *         description: A rule already exists, the office is not the company's or an approver is not a member
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Company or office not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN], { company: req => req.body.company }), validate(approvalRuleValidator.createApprovalRule), createApprovalRule);
+
+/**
+ * @swagger
+ * /api/approval-rules:
+ *   get:
+ *     summary: Get visit approval rules
+ *     tags: [Approval Rules]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: office
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of approval rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VisitApprovalRule'
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalRules:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(approvalRuleValidator.getApprovalRules), getApprovalRules);
+
+/**
+ * @swagger
+ * /api/approval-rules/{id}:
+ *   get:
+ *     summary: Get visit approval rule by ID
+ *     tags: [Approval Rules]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Approval rule details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VisitApprovalRule'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Approval rule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(approvalRuleValidator.getApprovalRuleById), getApprovalRuleById);
+
+/**
+ * @swagger
+ * /api/approval-rules/{id}:
+ *   patch:
+ *     summary: Update visit approval rule
+ *     description: New steps and expiry apply to visits created afterwards; approvers are always read from the current rule.
+ *     tags: [Approval Rules]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitApprovalRuleUpdate'
+ *     responses:
+ *       200:
+ *         description: Approval rule updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 rule:
+ *                   $ref: '#/components/schemas/VisitApprovalRule'
+ *       400:
+ *         description: Update failed or an approver is not a member of the company
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Approval rule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(approvalRuleValidator.updateApprovalRule), updateApprovalRule);
+
+/**
+ * @swagger
+ * /api/approval-rules/{id}:
+ *   delete:
+ *     summary: Delete visit approval rule
+ *     description: Visits to the office fall back to the company default rule, and visits of a company without rules only need the host's approval.
+ *     tags: [Approval Rules]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Approval rule deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Approval rule not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.delete('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(approvalRuleValidator.deleteApprovalRule), deleteApprovalRule);
+
+module.exports = router;
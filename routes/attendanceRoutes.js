@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const attendanceValidator = require('../validators/attendanceValidator');
 const {
   createAttendance,
   getAllAttendance,
@@ -19,6 +22,7 @@ const {
  *   post:
  *     summary: Create attendance (Clock in)
  *     tags: [Attendance]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -26,21 +30,7 @@ const {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - employee
- *               - workingFrom
- *             properties:
- *               employee:
- *                 type: string
- *                 description: Employee user ID
- *               workingFrom:
- *                 type: string
- *                 enum: [office, home]
- *                 description: Where the employee is working from
- *               office:
- *                 type: string
- *                 description: Office ID (required if workingFrom is 'office')
+ *             $ref: '#/components/schemas/AttendanceCreate'
  *     responses:
  *       201:
  *         description: Clock in successful
@@ -53,10 +43,22 @@ const {
  *                   type: string
  *                 attendance:
  *                   $ref: '#/components/schemas/Attendance'
+ *       202:
+ *         description: Office at capacity; queued and clocked in automatically when someone leaves (capacityPolicy queue)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OfficeQueued'
  *       400:
  *         description: Clock in failed
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         $ref: '#/components/responses/OfficeFull'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.post('/', auth, createAttendance);
+router.post('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(attendanceValidator.createAttendance), createAttendance);
 
 /**
  * @swagger
@@ -64,6 +66,7 @@ router.post('/', auth, createAttendance);
  *   get:
  *     summary: Get all attendance records
  *     tags: [Attendance]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -120,8 +123,12 @@ router.post('/', auth, createAttendance);
  *                   type: integer
  *                 totalRecords:
  *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/', auth, getAllAttendance);
+router.get('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(attendanceValidator.getAllAttendance), getAllAttendance);
 
 /**
  * @swagger
@@ -129,6 +136,7 @@ router.get('/', auth, getAllAttendance);
  *   get:
  *     summary: Get active attendance sessions
  *     tags: [Attendance]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -156,8 +164,12 @@ router.get('/', auth, getAllAttendance);
  *                     $ref: '#/components/schemas/Attendance'
  *                 totalActive:
  *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/active', auth, getActiveAttendance);
+router.get('/active', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(attendanceValidator.getActiveAttendance), getActiveAttendance);
 
 /**
  * @swagger
@@ -165,6 +177,7 @@ router.get('/active', auth, getActiveAttendance);
  *   get:
  *     summary: Get attendance summary for employee
  *     tags: [Attendance]
+ *     x-roles: [admin, company_admin, self]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -220,8 +233,12 @@ router.get('/active', auth, getActiveAttendance);
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Attendance'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/employee/:employeeId/summary', auth, getEmployeeAttendanceSummary);
+router.get('/employee/:employeeId/summary', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.SELF], { selfParam: 'employeeId' }), validate(attendanceValidator.getEmployeeAttendanceSummary), getEmployeeAttendanceSummary);
 
 /**
  * @swagger
@@ -229,6 +246,7 @@ router.get('/employee/:employeeId/summary', auth, getEmployeeAttendanceSummary);
  *   get:
  *     summary: Get attendance by ID
  *     tags: [Attendance]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -246,15 +264,21 @@ router.get('/employee/:employeeId/summary', auth, getEmployeeAttendanceSummary);
  *               $ref: '#/components/schemas/Attendance'
  *       404:
  *         description: Attendance record not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/:id', auth, getAttendanceById);
+router.get('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(attendanceValidator.getAttendanceById), getAttendanceById);
 
 /**
  * @swagger
  * /api/attendance/{id}:
  *   patch:
  *     summary: Update attendance
+ *     description: Corrects the clock-in time, and the clock-out time of a session already clocked out. Active sessions end with a clock-out, which frees the office spot and updates the company counters.
  *     tags: [Attendance]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -268,19 +292,7 @@ router.get('/:id', auth, getAttendanceById);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               workingFrom:
- *                 type: string
- *                 enum: [office, home]
- *               office:
- *                 type: string
- *               clockIn:
- *                 type: string
- *                 format: date-time
- *               clockOut:
- *                 type: string
- *                 format: date-time
+ *             $ref: '#/components/schemas/AttendanceUpdate'
  *     responses:
  *       200:
  *         description: Attendance record updated successfully
@@ -293,8 +305,16 @@ router.get('/:id', auth, getAttendanceById);
  *                   type: string
  *                 attendance:
  *                   $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Clock-out of an active session, or clock-out before clock-in
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Attendance record not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id', auth, updateAttendance);
+router.patch('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(attendanceValidator.updateAttendance), updateAttendance);
 
 /**
  * @swagger
@@ -302,6 +322,7 @@ router.patch('/:id', auth, updateAttendance);
  *   patch:
  *     summary: Clock out employee
  *     tags: [Attendance]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -326,8 +347,12 @@ router.patch('/:id', auth, updateAttendance);
  *                   type: number
  *                 duration:
  *                   type: string
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id/clock-out', auth, clockOut);
+router.patch('/:id/clock-out', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(attendanceValidator.clockOut), clockOut);
 
 /**
  * @swagger
@@ -335,6 +360,7 @@ router.patch('/:id/clock-out', auth, clockOut);
  *   patch:
  *     summary: Clock out by employee ID
  *     tags: [Attendance]
+ *     x-roles: [admin, company_admin, self]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -359,8 +385,12 @@ router.patch('/:id/clock-out', auth, clockOut);
  *                   type: number
  *                 duration:
  *                   type: string
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/employee/:employeeId/clock-out', auth, clockOutByEmployee);
+router.patch('/employee/:employeeId/clock-out', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.SELF], { selfParam: 'employeeId' }), validate(attendanceValidator.clockOutByEmployee), clockOutByEmployee);
 
 /**
  * @swagger
@@ -368,6 +398,7 @@ router.patch('/employee/:employeeId/clock-out', auth, clockOutByEmployee);
  *   delete:
  *     summary: Delete attendance record
  *     tags: [Attendance]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -379,7 +410,11 @@ router.patch('/employee/:employeeId/clock-out', auth, clockOutByEmployee);
  *     responses:
  *       200:
  *         description: Attendance record deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.delete('/:id', auth, deleteAttendance);
+router.delete('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(attendanceValidator.deleteAttendance), deleteAttendance);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const auditValidator = require('../validators/auditValidator');
+const {
+  getAuditLogs,
+  exportAuditLogs
+} = require('../controllers/auditController');
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Get audit log entries
+ *     description: Entries are append-only; there is no endpoint to change or delete them.
+ *       Company admins only see entries about their own company.
+ *     tags: [Audit]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: Filter by the user who made the change
+ *       - in: query
+ *         name: targetModel
+ *         schema:
+ *           type: string
+ *           enum: [User, Company, Office, ServiceCard, Visit, Attendance, KioskDevice, OfficeQueueEntry, VisitApprovalRule, VisitSeries, VisitGroup, WatchlistEntry, AgreementTemplate]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *         description: Filter by the affected record
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *         description: Filter by company ID
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Filter by action (e.g. visit.update)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Entries recorded at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Entries recorded at or before this time
+ *     responses:
+ *       200:
+ *         description: Audit log entries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 auditLogs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalLogs:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(auditValidator.getAuditLogs), getAuditLogs);
+
+/**
+ * @swagger
+ * /api/audit/export:
+ *   get:
+ *     summary: Export audit log entries as CSV
+ *     description: Accepts the same filters as GET /api/audit (without pagination). The export itself is audited.
+ *     tags: [Audit]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetModel
+ *         schema:
+ *           type: string
+ *           enum: [User, Company, Office, ServiceCard, Visit, Attendance, KioskDevice, OfficeQueueEntry, VisitApprovalRule, VisitSeries, VisitGroup, WatchlistEntry, AgreementTemplate]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: CSV file with one entry per line
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/export', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(auditValidator.exportAuditLogs), exportAuditLogs);
+
+module.exports = router;
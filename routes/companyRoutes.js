@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/authorize');
+const requireStepUp = require('../middleware/stepUp');
+const validate = require('../middleware/validate');
+const companyValidator = require('../validators/companyValidator');
 const {
   createCompany,
   getAllCompanies,
@@ -9,7 +13,7 @@ const {
   deleteCompany,
   addEmployee,
   removeEmployee,
-  updateEmployeeStatus
+  rebuildCounters
 } = require('../controllers/companyController');
 
 /**
@@ -18,6 +22,7 @@ const {
  *   post:
  *     summary: Create a new company
  *     tags: [Companies]
+ *     x-roles: [admin]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -25,20 +30,7 @@ const {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - acronym
- *               - fullName
- *             properties:
- *               acronym:
- *                 type: string
- *                 description: Company acronym/short name
- *               fullName:
- *                 type: string
- *                 description: Company full name
- *               logoUrl:
- *                 type: string
- *                 description: URL to company logo
+ *             $ref: '#/components/schemas/CompanyCreate'
  *     responses:
  *       201:
  *         description: Company created successfully
@@ -53,8 +45,12 @@ const {
  *                   $ref: '#/components/schemas/Company'
  *       400:
  *         description: Company creation failed
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.post('/', auth, createCompany);
+router.post('/', auth, authorize([ROLES.ADMIN]), validate(companyValidator.createCompany), createCompany);
 
 /**
  * @swagger
@@ -62,6 +58,7 @@ router.post('/', auth, createCompany);
  *   get:
  *     summary: Get all companies
  *     tags: [Companies]
+ *     x-roles: [admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -97,8 +94,12 @@ router.post('/', auth, createCompany);
  *                   type: integer
  *                 totalCompanies:
  *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/', auth, getAllCompanies);
+router.get('/', auth, authorize([ROLES.ADMIN]), validate(companyValidator.getAllCompanies), getAllCompanies);
 
 /**
  * @swagger
@@ -106,6 +107,7 @@ router.get('/', auth, getAllCompanies);
  *   get:
  *     summary: Get company by ID
  *     tags: [Companies]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -123,8 +125,12 @@ router.get('/', auth, getAllCompanies);
  *               $ref: '#/components/schemas/Company'
  *       404:
  *         description: Company not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/:id', auth, getCompanyById);
+router.get('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE], { company: req => req.params.id }), validate(companyValidator.getCompanyById), getCompanyById);
 
 /**
  * @swagger
@@ -132,6 +138,7 @@ router.get('/:id', auth, getCompanyById);
  *   patch:
  *     summary: Update company
  *     tags: [Companies]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -145,18 +152,7 @@ router.get('/:id', auth, getCompanyById);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               acronym:
- *                 type: string
- *               fullName:
- *                 type: string
- *               logoUrl:
- *                 type: string
- *               visitorCount:
- *                 type: integer
- *               active:
- *                 type: boolean
+ *             $ref: '#/components/schemas/CompanyUpdate'
  *     responses:
  *       200:
  *         description: Company updated successfully
@@ -169,15 +165,21 @@ router.get('/:id', auth, getCompanyById);
  *                   type: string
  *                 company:
  *                   $ref: '#/components/schemas/Company'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id', auth, updateCompany);
+router.patch('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN], { company: req => req.params.id }), validate(companyValidator.updateCompany), updateCompany);
 
 /**
  * @swagger
  * /api/companies/{id}:
  *   delete:
  *     summary: Delete company (soft delete)
+ *     description: Requires a recent second factor check (POST /api/users/2fa/verify).
  *     tags: [Companies]
+ *     x-roles: [admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -189,8 +191,12 @@ router.patch('/:id', auth, updateCompany);
  *     responses:
  *       200:
  *         description: Company deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.delete('/:id', auth, deleteCompany);
+router.delete('/:id', auth, authorize([ROLES.ADMIN]), requireStepUp, validate(companyValidator.deleteCompany), deleteCompany);
 
 /**
  * @swagger
@@ -198,6 +204,7 @@ router.delete('/:id', auth, deleteCompany);
  *   patch:
  *     summary: Add employee to company
  *     tags: [Companies]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -211,17 +218,7 @@ router.delete('/:id', auth, deleteCompany);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - employeeId
- *             properties:
- *               employeeId:
- *                 type: string
- *                 description: ID of the user to add as employee
- *               isAdmin:
- *                 type: boolean
- *                 default: false
- *                 description: Whether to add user as admin
+ *             $ref: '#/components/schemas/CompanyAddEmployee'
  *     responses:
  *       200:
  *         description: Employee added successfully
@@ -234,8 +231,12 @@ router.delete('/:id', auth, deleteCompany);
  *                   type: string
  *                 company:
  *                   $ref: '#/components/schemas/Company'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id/add-employee', auth, addEmployee);
+router.patch('/:id/add-employee', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN], { company: req => req.params.id }), validate(companyValidator.addEmployee), addEmployee);
 
 /**
  * @swagger
@@ -243,6 +244,7 @@ router.patch('/:id/add-employee', auth, addEmployee);
  *   patch:
  *     summary: Remove employee from company
  *     tags: [Companies]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -256,25 +258,25 @@ router.patch('/:id/add-employee', auth, addEmployee);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - employeeId
- *             properties:
- *               employeeId:
- *                 type: string
- *                 description: ID of the employee to remove
+ *             $ref: '#/components/schemas/CompanyRemoveEmployee'
  *     responses:
  *       200:
  *         description: Employee removed successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id/remove-employee', auth, removeEmployee);
+router.patch('/:id/remove-employee', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN], { company: req => req.params.id }), validate(companyValidator.removeEmployee), removeEmployee);
 
 /**
  * @swagger
- * /api/companies/{id}/employee-status:
- *   patch:
- *     summary: Update employee status in company
+ * /api/companies/{id}/counters/rebuild:
+ *   post:
+ *     summary: Recompute company counters
+ *     description: inOffice, outOfService and visitorCount follow attendance, service cards and visits automatically. This recomputes them from those records, e.g. after service cards expired or records were edited directly.
  *     tags: [Companies]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -283,27 +285,35 @@ router.patch('/:id/remove-employee', auth, removeEmployee);
  *         required: true
  *         schema:
  *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - employeeId
- *               - status
- *             properties:
- *               employeeId:
- *                 type: string
- *                 description: ID of the employee
- *               status:
- *                 type: string
- *                 enum: [inOffice, outOfService]
- *                 description: Employee status
  *     responses:
  *       200:
- *         description: Employee status updated successfully
+ *         description: Company counters rebuilt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 changes:
+ *                   type: object
+ *                   description: Counters that were corrected, with their size before and after
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: integer
+ *                       to:
+ *                         type: integer
+ *                 company:
+ *                   $ref: '#/components/schemas/Company'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Company not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id/employee-status', auth, updateEmployeeStatus);
+router.post('/:id/counters/rebuild', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN], { company: req => req.params.id }), validate(companyValidator.rebuildCounters), rebuildCounters);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const queryToken = require('../middleware/queryToken');
+const { apiLimiter } = require('../middleware/rateLimit');
+const { authorize, ROLES } = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const eventValidator = require('../validators/eventValidator');
+const { streamEvents } = require('../controllers/eventController');
+
+/**
+ * @swagger
+ * /api/events/stream:
+ *   get:
+ *     summary: Stream visit, attendance and occupancy changes (server-sent events)
+ *     description: Keeps the connection open and sends each change as a server-sent event named after its type (visit.status, attendance.clocked_in, attendance.clocked_out or office.occupancy), with the event id and a LiveEvent as JSON data. Company admins and employees get the events of their company, admins those of every company unless filtered. Browsers' EventSource cannot set headers, so the access token may be passed as access_token instead. A reauthenticate event is sent and the stream closed when the token expires or the session is revoked; reconnect with a fresh token and lastEventId. Reconnecting clients get the events they missed first, or a reset event when those are no longer kept (reload the data shown). A comment is sent every LIVE_EVENTS_HEARTBEAT_SECONDS seconds.
+ *     tags: [Events]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Access token, when the Authorization header cannot be set
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: office
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Id of the last event received (same as the Last-Event-ID header)
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: Id of the last event received, sent by EventSource when it reconnects
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/LiveEvent'
+ *       401:
+ *         description: Missing, invalid or expired access token
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/stream', queryToken, apiLimiter, auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE], { company: req => req.query.company || req.user.company }), validate(eventValidator.streamEvents), streamEvents);
+
+module.exports = router;
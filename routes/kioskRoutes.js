@@ -0,0 +1,356 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const kioskAuth = require('../middleware/kioskAuth');
+const { authorize, ROLES } = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const { apiLimiter, kioskAuthLimiter, kioskLimiter, kioskCheckInLimiter } = require('../middleware/rateLimit');
+const kioskValidator = require('../validators/kioskValidator');
+const {
+  registerKioskDevice,
+  getKioskDevices,
+  revokeKioskDevice,
+  getKioskProfile,
+  getKioskAgreements,
+  searchHosts,
+  kioskCheckIn,
+  kioskCheckOut
+} = require('../controllers/kioskController');
+
+/**
+ * @swagger
+ * /api/kiosk/devices:
+ *   post:
+ *     summary: Register a reception kiosk
+ *     description: Creates a kiosk bound to one office and returns its API key. The key is only shown in this response.
+ *     tags: [Kiosk]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/KioskDeviceCreate'
+ *     responses:
+ *       201:
+ *         description: Kiosk registered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 device:
+ *                   $ref: '#/components/schemas/KioskDevice'
+ *                 apiKey:
+ *                   type: string
+ *                   description: Key to send in the X-Kiosk-Key header
+ *       400:
+ *         description: Kiosk registration failed or office inactive
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Office not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/devices', apiLimiter, auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(kioskValidator.registerKioskDevice), registerKioskDevice);
+
+/**
+ * @swagger
+ * /api/kiosk/devices:
+ *   get:
+ *     summary: Get registered kiosks
+ *     tags: [Kiosk]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: office
+ *         schema:
+ *           type: string
+ *         description: Filter by office ID
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Filter by whether the key is still valid
+ *     responses:
+ *       200:
+ *         description: Kiosks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 devices:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/KioskDevice'
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalDevices:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/devices', apiLimiter, auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(kioskValidator.getKioskDevices), getKioskDevices);
+
+/**
+ * @swagger
+ * /api/kiosk/devices/{id}/revoke:
+ *   patch:
+ *     summary: Revoke a kiosk
+ *     description: The kiosk API key stops working immediately. Register the device again to give it a new key.
+ *     tags: [Kiosk]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Kiosk revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 device:
+ *                   $ref: '#/components/schemas/KioskDevice'
+ *       400:
+ *         description: Kiosk is already revoked
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Kiosk not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/devices/:id/revoke', apiLimiter, auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(kioskValidator.revokeKioskDevice), revokeKioskDevice);
+
+/**
+ * @swagger
+ * /api/kiosk/me:
+ *   get:
+ *     summary: Get the calling kiosk and its office
+ *     tags: [Kiosk]
+ *     security:
+ *       - kioskKey: []
+ *     responses:
+ *       200:
+ *         description: Kiosk retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 device:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                 office:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     address:
+ *                       type: string
+ *                     city:
+ *                       type: string
+ *       401:
+ *         description: Kiosk key missing, unknown or revoked
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/me', kioskAuthLimiter, kioskAuth, kioskLimiter, getKioskProfile);
+
+/**
+ * @swagger
+ * /api/kiosk/agreements:
+ *   get:
+ *     summary: Get the agreements visitors sign at the kiosk office
+ *     description: Current versions of the company and office agreements. Show them before check-in and send the signatures with POST /api/kiosk/check-in; returning visitors who accepted the same version recently do not need to sign again.
+ *     tags: [Kiosk]
+ *     security:
+ *       - kioskKey: []
+ *     responses:
+ *       200:
+ *         description: Agreements to sign
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 agreements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AgreementToSign'
+ *       401:
+ *         description: Kiosk key missing, unknown or revoked
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/agreements', kioskAuthLimiter, kioskAuth, kioskLimiter, getKioskAgreements);
+
+/**
+ * @swagger
+ * /api/kiosk/hosts:
+ *   get:
+ *     summary: Search hosts by name
+ *     description: Searches the admins and employees of the company owning the kiosk office. Only names and pictures are returned.
+ *     tags: [Kiosk]
+ *     security:
+ *       - kioskKey: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *         description: Start of the first and/or last name
+ *     responses:
+ *       200:
+ *         description: Matching hosts (at most 10)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 hosts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       firstName:
+ *                         type: string
+ *                       lastName:
+ *                         type: string
+ *                       imageUrl:
+ *                         type: string
+ *       401:
+ *         description: Kiosk key missing, unknown or revoked
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/hosts', kioskAuthLimiter, kioskAuth, kioskLimiter, validate(kioskValidator.searchHosts), searchHosts);
+
+/**
+ * @swagger
+ * /api/kiosk/check-in:
+ *   post:
+ *     summary: Check in a walk-in visitor
+ *     description: Finds or creates the visitor and books a visit with the chosen host at the kiosk office, through the company's approval rules. The visit always awaits approval (nobody at the kiosk can approve it) and the visitor is checked in when its last step accepts it, unless it expires first (VISIT_WALK_IN_APPROVAL_MINUTES). The response holds the visit code used to check out. Visitors blocked by the company watchlist are turned away (403) before the host is asked, and visitors who have not signed the required agreements are asked to (428) before anything is recorded.
+ *     tags: [Kiosk]
+ *     security:
+ *       - kioskKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/KioskCheckIn'
+ *     responses:
+ *       202:
+ *         description: Visit booked and awaiting approval; the response holds the visit code used to check out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 visit:
+ *                   $ref: '#/components/schemas/Visit'
+ *       400:
+ *         description: Check-in failed
+ *       401:
+ *         description: Kiosk key missing, unknown or revoked
+ *       403:
+ *         description: Entry denied by the company watchlist
+ *       404:
+ *         description: Host not found in the kiosk company
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       428:
+ *         $ref: '#/components/responses/AgreementsRequired'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/check-in', kioskAuthLimiter, kioskAuth, kioskLimiter, kioskCheckInLimiter, validate(kioskValidator.kioskCheckIn), kioskCheckIn);
+
+/**
+ * @swagger
+ * /api/kiosk/check-out:
+ *   post:
+ *     summary: Check out a visitor with their visit code
+ *     description: Only visits at the kiosk office can be checked out.
+ *     tags: [Kiosk]
+ *     security:
+ *       - kioskKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/KioskCheckOut'
+ *     responses:
+ *       200:
+ *         description: Visitor checked out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 visit:
+ *                   $ref: '#/components/schemas/Visit'
+ *       400:
+ *         description: Visitor not clocked in or already clocked out
+ *       401:
+ *         description: Kiosk key missing, unknown or revoked
+ *       404:
+ *         description: Visit not found at this office
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/check-out', kioskAuthLimiter, kioskAuth, kioskLimiter, validate(kioskValidator.kioskCheckOut), kioskCheckOut);
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { authorize, ROLES, ALL_ROLES } = require('../middleware/authorize');
+const requireStepUp = require('../middleware/stepUp');
+const validate = require('../middleware/validate');
+const officeValidator = require('../validators/officeValidator');
 const {
   createOffice,
   getAllOffices,
@@ -8,6 +12,9 @@ const {
   updateOffice,
   deleteOffice,
   updateOccupancy,
+  reconcileOccupancy,
+  getOfficeQueue,
+  cancelQueueEntry,
   getOfficeStats,
   getOfficesByCompany
 } = require('../controllers/officeController');
@@ -18,6 +25,7 @@ const {
  *   post:
  *     summary: Create a new office
  *     tags: [Offices]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -25,42 +33,7 @@ const {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - address
- *               - city
- *               - country
- *               - company
- *             properties:
- *               name:
- *                 type: string
- *                 description: Office name
- *               address:
- *                 type: string
- *                 description: Office address
- *               city:
- *                 type: string
- *                 description: Office city
- *               country:
- *                 type: string
- *                 description: Office country
- *               zipCode:
- *                 type: string
- *                 description: Office zip code
- *               phone:
- *                 type: string
- *                 description: Office phone number
- *               email:
- *                 type: string
- *                 format: email
- *                 description: Office email
- *               capacity:
- *                 type: integer
- *                 description: Maximum capacity of the office
- *               company:
- *                 type: string
- *                 description: Company ID that owns this office
+ *             $ref: '#/components/schemas/OfficeCreate'
  *     responses:
  *       201:
  *         description: Office created successfully
@@ -75,8 +48,12 @@ const {
  *                   $ref: '#/components/schemas/Office'
  *       400:
  *         description: Office creation failed
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.post('/', auth, createOffice);
+router.post('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN], { company: req => req.body.company }), validate(officeValidator.createOffice), createOffice);
 
 /**
  * @swagger
@@ -84,6 +61,7 @@ router.post('/', auth, createOffice);
  *   get:
  *     summary: Get all offices
  *     tags: [Offices]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -129,8 +107,12 @@ router.post('/', auth, createOffice);
  *                   type: integer
  *                 totalOffices:
  *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/', auth, getAllOffices);
+router.get('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(officeValidator.getAllOffices), getAllOffices);
 
 /**
  * @swagger
@@ -138,6 +120,7 @@ router.get('/', auth, getAllOffices);
  *   get:
  *     summary: Get offices by company
  *     tags: [Offices]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -164,8 +147,12 @@ router.get('/', auth, getAllOffices);
  *                     $ref: '#/components/schemas/Office'
  *                 totalOffices:
  *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/company/:companyId', auth, getOfficesByCompany);
+router.get('/company/:companyId', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE], { company: req => req.params.companyId }), validate(officeValidator.getOfficesByCompany), getOfficesByCompany);
 
 /**
  * @swagger
@@ -173,6 +160,7 @@ router.get('/company/:companyId', auth, getOfficesByCompany);
  *   get:
  *     summary: Get office by ID
  *     tags: [Offices]
+ *     x-roles: [admin, company_admin, employee, visitor]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -190,8 +178,12 @@ router.get('/company/:companyId', auth, getOfficesByCompany);
  *               $ref: '#/components/schemas/Office'
  *       404:
  *         description: Office not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/:id', auth, getOfficeById);
+router.get('/:id', auth, authorize(ALL_ROLES), validate(officeValidator.getOfficeById), getOfficeById);
 
 /**
  * @swagger
@@ -199,6 +191,7 @@ router.get('/:id', auth, getOfficeById);
  *   get:
  *     summary: Get office statistics
  *     tags: [Offices]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -230,10 +223,20 @@ router.get('/:id', auth, getOfficeById);
  *                       type: integer
  *                     isAtCapacity:
  *                       type: boolean
+ *                     capacityPolicy:
+ *                       type: string
+ *                       enum: [reject, queue]
+ *                     waiting:
+ *                       type: integer
+ *                       description: People on the waiting queue
  *                     status:
  *                       type: string
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/:id/stats', auth, getOfficeStats);
+router.get('/:id/stats', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(officeValidator.getOfficeStats), getOfficeStats);
 
 /**
  * @swagger
@@ -241,6 +244,7 @@ router.get('/:id/stats', auth, getOfficeStats);
  *   patch:
  *     summary: Update office
  *     tags: [Offices]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -254,28 +258,7 @@ router.get('/:id/stats', auth, getOfficeStats);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *               address:
- *                 type: string
- *               city:
- *                 type: string
- *               country:
- *                 type: string
- *               zipCode:
- *                 type: string
- *               phone:
- *                 type: string
- *               email:
- *                 type: string
- *               capacity:
- *                 type: integer
- *               currentOccupancy:
- *                 type: integer
- *               active:
- *                 type: boolean
+ *             $ref: '#/components/schemas/OfficeUpdate'
  *     responses:
  *       200:
  *         description: Office updated successfully
@@ -288,15 +271,21 @@ router.get('/:id/stats', auth, getOfficeStats);
  *                   type: string
  *                 office:
  *                   $ref: '#/components/schemas/Office'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id', auth, updateOffice);
+router.patch('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(officeValidator.updateOffice), updateOffice);
 
 /**
  * @swagger
  * /api/offices/{id}/occupancy:
  *   patch:
  *     summary: Update office occupancy
+ *     description: Manual correction. Occupancy follows employee and visitor clock-ins and clock-outs; prefer POST /api/offices/{id}/occupancy/reconcile to recompute it.
  *     tags: [Offices]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -310,25 +299,151 @@ router.patch('/:id', auth, updateOffice);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - currentOccupancy
- *             properties:
- *               currentOccupancy:
- *                 type: integer
- *                 description: Current number of people in office
+ *             $ref: '#/components/schemas/OfficeOccupancy'
  *     responses:
  *       200:
  *         description: Office occupancy updated successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id/occupancy', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(officeValidator.updateOccupancy), updateOccupancy);
+
+/**
+ * @swagger
+ * /api/offices/{id}/occupancy/reconcile:
+ *   post:
+ *     summary: Recompute office occupancy
+ *     description: Counts the employees clocked in at the office and the visits in progress there, stores the result and admits people waiting if room was freed.
+ *     tags: [Offices]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Office occupancy reconciled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 previous:
+ *                   type: integer
+ *                   description: Occupancy before reconciliation
+ *                 office:
+ *                   $ref: '#/components/schemas/Office'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Office not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/:id/occupancy/reconcile', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(officeValidator.reconcileOccupancy), reconcileOccupancy);
+
+/**
+ * @swagger
+ * /api/offices/{id}/queue:
+ *   get:
+ *     summary: Get the waiting queue of an office
+ *     description: People whose clock-in was queued because the office was at capacity (capacityPolicy queue), first in line first. They are clocked in automatically as people leave.
+ *     tags: [Offices]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Office queue retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 queue:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OfficeQueueEntry'
+ *                 totalWaiting:
+ *                   type: integer
+ *                 capacity:
+ *                   type: integer
+ *                 currentOccupancy:
+ *                   type: integer
+ *                 capacityPolicy:
+ *                   type: string
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Office not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/:id/queue', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(officeValidator.getOfficeQueue), getOfficeQueue);
+
+/**
+ * @swagger
+ * /api/offices/{id}/queue/{entryId}:
+ *   delete:
+ *     summary: Remove someone from the waiting queue
+ *     tags: [Offices]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Queue entry cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 queueEntry:
+ *                   $ref: '#/components/schemas/OfficeQueueEntry'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Queue entry not found or no longer waiting
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id/occupancy', auth, updateOccupancy);
+router.delete('/:id/queue/:entryId', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(officeValidator.cancelQueueEntry), cancelQueueEntry);
 
 /**
  * @swagger
  * /api/offices/{id}:
  *   delete:
  *     summary: Delete office (soft delete)
+ *     description: Requires a recent second factor check (POST /api/users/2fa/verify).
  *     tags: [Offices]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -340,7 +455,11 @@ router.patch('/:id/occupancy', auth, updateOccupancy);
  *     responses:
  *       200:
  *         description: Office deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.delete('/:id', auth, deleteOffice);
+router.delete('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), requireStepUp, validate(officeValidator.deleteOffice), deleteOffice);
 
 module.exports = router;
\ No newline at end of file
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/authorize');
+const requireStepUp = require('../middleware/stepUp');
+const validate = require('../middleware/validate');
+const serviceCardValidator = require('../validators/serviceCardValidator');
 const {
   createServiceCard,
   getAllServiceCards,
@@ -8,9 +12,15 @@ const {
   updateServiceCard,
   deleteServiceCard,
   toggleServiceCardStatus,
+  renewServiceCard,
+  suspendServiceCard,
+  reinstateServiceCard,
+  revokeServiceCard,
+  reportServiceCard,
   checkServiceCardValidity,
   getServiceCardsByUser,
-  getServiceCardsByCompany
+  getServiceCardsByCompany,
+  getExpiringServiceCards
 } = require('../controllers/serviceCardController');
 
 /**
@@ -19,6 +29,7 @@ const {
  *   post:
  *     summary: Create a new service card
  *     tags: [Service Cards]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -26,25 +37,7 @@ const {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - user
- *               - company
- *               - position
- *             properties:
- *               user:
- *                 type: string
- *                 description: User ID
- *               company:
- *                 type: string
- *                 description: Company ID
- *               position:
- *                 type: string
- *                 description: Employee position/title
- *               expireAt:
- *                 type: string
- *                 format: date-time
- *                 description: Expiration date (optional, defaults to 1 year from issue date)
+ *             $ref: '#/components/schemas/ServiceCardCreate'
  *     responses:
  *       201:
  *         description: Service card created successfully
@@ -59,8 +52,12 @@ const {
  *                   $ref: '#/components/schemas/ServiceCard'
  *       400:
  *         description: Service card creation failed
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.post('/', auth, createServiceCard);
+router.post('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN], { company: req => req.body.company }), validate(serviceCardValidator.createServiceCard), createServiceCard);
 
 /**
  * @swagger
@@ -68,6 +65,7 @@ router.post('/', auth, createServiceCard);
  *   get:
  *     summary: Get all service cards
  *     tags: [Service Cards]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -96,6 +94,17 @@ router.post('/', auth, createServiceCard);
  *         schema:
  *           type: boolean
  *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended, expired, revoked]
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include deleted cards
+ *       - in: query
  *         name: position
  *         schema:
  *           type: string
@@ -118,8 +127,12 @@ router.post('/', auth, createServiceCard);
  *                   type: integer
  *                 totalServiceCards:
  *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/', auth, getAllServiceCards);
+router.get('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(serviceCardValidator.getAllServiceCards), getAllServiceCards);
 
 /**
  * @swagger
@@ -127,6 +140,7 @@ router.get('/', auth, getAllServiceCards);
  *   get:
  *     summary: Get service cards by user
  *     tags: [Service Cards]
+ *     x-roles: [admin, company_admin, self]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -139,6 +153,17 @@ router.get('/', auth, getAllServiceCards);
  *         name: isActive
  *         schema:
  *           type: boolean
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended, expired, revoked]
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include deleted cards
  *     responses:
  *       200:
  *         description: User service cards retrieved successfully
@@ -153,8 +178,12 @@ router.get('/', auth, getAllServiceCards);
  *                     $ref: '#/components/schemas/ServiceCard'
  *                 totalCards:
  *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/user/:userId', auth, getServiceCardsByUser);
+router.get('/user/:userId', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.SELF], { selfParam: 'userId' }), validate(serviceCardValidator.getServiceCardsByUser), getServiceCardsByUser);
 
 /**
  * @swagger
@@ -162,6 +191,7 @@ router.get('/user/:userId', auth, getServiceCardsByUser);
  *   get:
  *     summary: Get service cards by company
  *     tags: [Service Cards]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -175,6 +205,17 @@ router.get('/user/:userId', auth, getServiceCardsByUser);
  *         schema:
  *           type: boolean
  *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended, expired, revoked]
+ *       - in: query
+ *         name: includeDeleted
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include deleted cards
+ *       - in: query
  *         name: position
  *         schema:
  *           type: string
@@ -192,8 +233,57 @@ router.get('/user/:userId', auth, getServiceCardsByUser);
  *                     $ref: '#/components/schemas/ServiceCard'
  *                 totalCards:
  *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/company/:companyId', auth, getServiceCardsByCompany);
+router.get('/company/:companyId', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN], { company: req => req.params.companyId }), validate(serviceCardValidator.getServiceCardsByCompany), getServiceCardsByCompany);
+
+/**
+ * @swagger
+ * /api/service-cards/expiring:
+ *   get:
+ *     summary: Get active service cards expiring soon
+ *     description: Active cards whose expiry date falls within the next `days` days, soonest first. Company admins see their own company's cards; platform admins may filter by company.
+ *     tags: [Service Cards]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 365
+ *           default: 30
+ *         description: Days ahead to look for expirations
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *         description: Company ID (platform admins)
+ *     responses:
+ *       200:
+ *         description: Expiring service cards retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 serviceCards:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ServiceCard'
+ *                 totalCards:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/expiring', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN], { company: req => req.query.company || req.user.company }), validate(serviceCardValidator.getExpiringServiceCards), getExpiringServiceCards);
 
 /**
  * @swagger
@@ -201,6 +291,7 @@ router.get('/company/:companyId', auth, getServiceCardsByCompany);
  *   get:
  *     summary: Get service card by ID
  *     tags: [Service Cards]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -218,8 +309,12 @@ router.get('/company/:companyId', auth, getServiceCardsByCompany);
  *               $ref: '#/components/schemas/ServiceCard'
  *       404:
  *         description: Service card not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/:id', auth, getServiceCardById);
+router.get('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(serviceCardValidator.getServiceCardById), getServiceCardById);
 
 /**
  * @swagger
@@ -227,6 +322,7 @@ router.get('/:id', auth, getServiceCardById);
  *   get:
  *     summary: Check service card validity
  *     tags: [Service Cards]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -261,8 +357,12 @@ router.get('/:id', auth, getServiceCardById);
  *                       format: date-time
  *                     cardNumber:
  *                       type: string
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/:id/validity', auth, checkServiceCardValidity);
+router.get('/:id/validity', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(serviceCardValidator.checkServiceCardValidity), checkServiceCardValidity);
 
 /**
  * @swagger
@@ -270,6 +370,7 @@ router.get('/:id/validity', auth, checkServiceCardValidity);
  *   patch:
  *     summary: Update service card
  *     tags: [Service Cards]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -283,15 +384,7 @@ router.get('/:id/validity', auth, checkServiceCardValidity);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               position:
- *                 type: string
- *               expireAt:
- *                 type: string
- *                 format: date-time
- *               isActive:
- *                 type: boolean
+ *             $ref: '#/components/schemas/ServiceCardUpdate'
  *     responses:
  *       200:
  *         description: Service card updated successfully
@@ -304,15 +397,23 @@ router.get('/:id/validity', auth, checkServiceCardValidity);
  *                   type: string
  *                 serviceCard:
  *                   $ref: '#/components/schemas/ServiceCard'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: The card expired; renew it to change its expiry date
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id', auth, updateServiceCard);
+router.patch('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(serviceCardValidator.updateServiceCard), updateServiceCard);
 
 /**
  * @swagger
  * /api/service-cards/{id}/toggle-status:
  *   patch:
  *     summary: Activate/Deactivate service card
+ *     description: Suspends an active card or reinstates a suspended one (see the suspend and reinstate routes, which record a reason). Revoked cards answer 409. Requires a recent second factor check (POST /api/users/2fa/verify).
  *     tags: [Service Cards]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -333,15 +434,248 @@ router.patch('/:id', auth, updateServiceCard);
  *                   type: string
  *                 serviceCard:
  *                   $ref: '#/components/schemas/ServiceCard'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id/toggle-status', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), requireStepUp, validate(serviceCardValidator.toggleServiceCardStatus), toggleServiceCardStatus);
+
+/**
+ * @swagger
+ * /api/service-cards/{id}/renew:
+ *   post:
+ *     summary: Renew service card
+ *     description: Sets a new expiry date, and a new card number when newCardNumber is set (e.g. for a card printed again). Expired cards become active again, unless the holder got another active card meanwhile (409). Revoked cards cannot be renewed.
+ *     tags: [Service Cards]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ServiceCardRenewal'
+ *     responses:
+ *       200:
+ *         description: Service card renewed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 serviceCard:
+ *                   $ref: '#/components/schemas/ServiceCard'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Service card not found
+ *       409:
+ *         description: The card's status does not allow this change
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/:id/renew', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(serviceCardValidator.renewServiceCard), renewServiceCard);
+
+/**
+ * @swagger
+ * /api/service-cards/{id}/suspend:
+ *   post:
+ *     summary: Suspend service card
+ *     description: The card stops opening doors until it is reinstated. Requires a recent second factor check (POST /api/users/2fa/verify).
+ *     tags: [Service Cards]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ServiceCardSuspension'
+ *     responses:
+ *       200:
+ *         description: Service card suspended successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 serviceCard:
+ *                   $ref: '#/components/schemas/ServiceCard'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Service card not found
+ *       409:
+ *         description: The card's status does not allow this change
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/:id/suspend', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), requireStepUp, validate(serviceCardValidator.suspendServiceCard), suspendServiceCard);
+
+/**
+ * @swagger
+ * /api/service-cards/{id}/reinstate:
+ *   post:
+ *     summary: Reinstate suspended service card
+ *     description: Answers 409 if the holder got another active card for the company meanwhile. Requires a recent second factor check (POST /api/users/2fa/verify).
+ *     tags: [Service Cards]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ServiceCardReinstatement'
+ *     responses:
+ *       200:
+ *         description: Service card reinstated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 serviceCard:
+ *                   $ref: '#/components/schemas/ServiceCard'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Service card not found
+ *       409:
+ *         description: The card's status does not allow this change
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/:id/reinstate', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), requireStepUp, validate(serviceCardValidator.reinstateServiceCard), reinstateServiceCard);
+
+/**
+ * @swagger
+ * /api/service-cards/{id}/revoke:
+ *   post:
+ *     summary: Revoke service card
+ *     description: Revoked cards can never be used, renewed or reinstated again. Requires a recent second factor check (POST /api/users/2fa/verify).
+ *     tags: [Service Cards]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ServiceCardRevocation'
+ *     responses:
+ *       200:
+ *         description: Service card revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 serviceCard:
+ *                   $ref: '#/components/schemas/ServiceCard'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Service card not found
+ *       409:
+ *         description: The card's status does not allow this change
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id/toggle-status', auth, toggleServiceCardStatus);
+router.post('/:id/revoke', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), requireStepUp, validate(serviceCardValidator.revokeServiceCard), revokeServiceCard);
+
+/**
+ * @swagger
+ * /api/service-cards/{id}/report:
+ *   post:
+ *     summary: Report service card lost or stolen
+ *     description: Revokes the card and issues its holder a replacement with a new card number, linked to it (replaces, replacedBy). The replacement expires with the lost card unless given expireAt (an expired card's replacement gets the default expiry), and is suspended if the lost card was. Requires a recent second factor check (POST /api/users/2fa/verify).
+ *     tags: [Service Cards]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ServiceCardReport'
+ *     responses:
+ *       201:
+ *         description: Card revoked and replacement issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 serviceCard:
+ *                   $ref: '#/components/schemas/ServiceCard'
+ *                 replacement:
+ *                   $ref: '#/components/schemas/ServiceCard'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Service card not found
+ *       409:
+ *         description: The card's status does not allow this change
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/:id/report', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), requireStepUp, validate(serviceCardValidator.reportServiceCard), reportServiceCard);
 
 /**
  * @swagger
  * /api/service-cards/{id}:
  *   delete:
  *     summary: Delete service card
+ *     description: The card stops opening doors and is left out of card lists (see includeDeleted), but is kept with its history. Requires a recent second factor check (POST /api/users/2fa/verify).
  *     tags: [Service Cards]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -350,10 +684,21 @@ router.patch('/:id/toggle-status', auth, toggleServiceCardStatus);
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *         description: Why the card is deleted (kept in its history)
  *     responses:
  *       200:
  *         description: Service card deleted successfully
+ *       404:
+ *         description: Service card not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.delete('/:id', auth, deleteServiceCard);
+router.delete('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), requireStepUp, validate(serviceCardValidator.deleteServiceCard), deleteServiceCard);
 
 module.exports = router;
\ No newline at end of file
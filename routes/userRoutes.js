@@ -1,55 +1,49 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { authorize, ROLES, ALL_ROLES } = require('../middleware/authorize');
+const requireStepUp = require('../middleware/stepUp');
+const validate = require('../middleware/validate');
+const { apiLimiter, loginLimiter, registerLimiter, accountEmailLimiter } = require('../middleware/rateLimit');
+const userValidator = require('../validators/userValidator');
 const {
   registerUser,
   loginUser,
+  verifyLoginTwoFactor,
   getAllUsers,
   getUserById,
   updateUser,
   deleteUser,
+  unlockUser,
   getUserProfile,
   logoutUser
 } = require('../controllers/userController');
-
-/**
- * @swagger
- * components:
- *   schemas:
- *     UserRegister:
- *       type: object
- *       required:
- *         - email
- *         - password
- *       properties:
- *         email:
- *           type: string
- *           format: email
- *         password:
- *           type: string
- *           minLength: 6
- *         firstName:
- *           type: string
- *         lastName:
- *           type: string
- *         phone:
- *           type: string
- *         civility:
- *           type: string
- *           enum: [mr, mrs, ms]
- *
- *     UserLogin:
- *       type: object
- *       required:
- *         - email
- *         - password
- *       properties:
- *         email:
- *           type: string
- *           format: email
- *         password:
- *           type: string
- */
+const {
+  refreshSession,
+  getSessions,
+  revokeSession,
+  logoutAllSessions
+} = require('../controllers/sessionController');
+const {
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+} = require('../controllers/accountController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  resetTwoFactor
+} = require('../controllers/twoFactorController');
+const {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  sendTestNotification
+} = require('../controllers/notificationController');
 
 /**
  * @swagger
@@ -77,16 +71,30 @@ const {
  *                   $ref: '#/components/schemas/User'
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for POST /api/users/refresh
+ *                 expiresIn:
+ *                   type: string
+ *                   description: Access token lifetime (e.g. 15m)
  *       400:
  *         description: Registration failed
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/register', registerUser);
+router.post('/register', registerLimiter, validate(userValidator.registerUser), registerUser);
 
 /**
  * @swagger
  * /api/users/login:
  *   post:
  *     summary: Login user
+ *     description: When the user has 2FA enabled, no tokens are returned; instead
+ *       `twoFactorRequired` is true and the `challengeToken` must be sent to
+ *       POST /api/users/login/2fa with a code.
  *     tags: [Users]
  *     requestBody:
  *       required: true
@@ -108,10 +116,180 @@ router.post('/register', registerUser);
  *                   $ref: '#/components/schemas/User'
  *                 token:
  *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for POST /api/users/refresh
+ *                 expiresIn:
+ *                   type: string
+ *                   description: Access token lifetime (e.g. 15m)
+ *                 twoFactorSetupRequired:
+ *                   type: boolean
+ *                   description: Admin without 2FA; only profile, sessions and 2FA setup are allowed until enrolled
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: A second factor is needed to finish logging in
+ *                 challengeToken:
+ *                   type: string
+ *                   description: Token for POST /api/users/login/2fa (when twoFactorRequired)
+ *                 challengeExpiresIn:
+ *                   type: string
  *       401:
  *         description: Invalid credentials
+ *       403:
+ *         description: Email address not verified (when REQUIRE_EMAIL_VERIFICATION is enabled)
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/login', loginLimiter, validate(userValidator.loginUser), loginUser);
+
+/**
+ * @swagger
+ * /api/users/login/2fa:
+ *   post:
+ *     summary: Complete login with a second factor
+ *     description: Exchanges the challenge token returned by login and a TOTP or backup code for tokens.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorLogin'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *                 token:
+ *                   type: string
+ *                   description: Short-lived access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Single-use token for POST /api/users/refresh
+ *                 expiresIn:
+ *                   type: string
+ *                   description: Access token lifetime (e.g. 15m)
+ *       401:
+ *         description: Invalid code, or invalid or expired challenge
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/login/2fa', loginLimiter, validate(userValidator.verifyLoginTwoFactor), verifyLoginTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Always answers 200 so registered emails cannot be discovered.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPassword'
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/forgot-password', accountEmailLimiter, validate(userValidator.forgotPassword), forgotPassword);
+
+/**
+ * @swagger
+ * /api/users/reset-password:
+ *   post:
+ *     summary: Reset password
+ *     description: Consumes the single-use token from the reset email and signs the user out of every session.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPassword'
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired token
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/reset-password', accountEmailLimiter, validate(userValidator.resetPassword), resetPassword);
+
+/**
+ * @swagger
+ * /api/users/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyEmail'
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Invalid or expired token
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/verify-email', accountEmailLimiter, validate(userValidator.verifyEmail), verifyEmail);
+
+/**
+ * @swagger
+ * /api/users/resend-verification:
+ *   post:
+ *     summary: Resend email verification link
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResendVerification'
+ *     responses:
+ *       200:
+ *         description: Verification email sent if the address still needs it
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/login', loginUser);
+router.post('/resend-verification', accountEmailLimiter, validate(userValidator.resendVerification), resendVerification);
 
 /**
  * @swagger
@@ -119,6 +297,7 @@ router.post('/login', loginUser);
  *   get:
  *     summary: Get all users
  *     tags: [Users]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -159,8 +338,12 @@ router.post('/login', loginUser);
  *                   type: integer
  *                 totalUsers:
  *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/', auth, getAllUsers);
+router.get('/', apiLimiter, auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(userValidator.getAllUsers), getAllUsers);
 
 /**
  * @swagger
@@ -168,6 +351,7 @@ router.get('/', auth, getAllUsers);
  *   get:
  *     summary: Get current user profile
  *     tags: [Users]
+ *     x-roles: [admin, company_admin, employee, visitor]
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -177,22 +361,446 @@ router.get('/', auth, getAllUsers);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/User'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.get('/profile', auth, getUserProfile);
+router.get('/profile', apiLimiter, auth, authorize(ALL_ROLES), getUserProfile);
 
 /**
  * @swagger
  * /api/users/logout:
  *   post:
  *     summary: Logout user
+ *     description: Revokes the current session and its refresh token.
  *     tags: [Users]
+ *     x-roles: [admin, company_admin, employee, visitor]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Logout successful
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/logout', apiLimiter, auth, authorize(ALL_ROLES), logoutUser);
+
+/**
+ * @swagger
+ * /api/users/refresh:
+ *   post:
+ *     summary: Refresh access token
+ *     description: Rotates the refresh token. Reusing an already rotated refresh token revokes the whole session.
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SessionRefresh'
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 token:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/refresh', apiLimiter, validate(userValidator.refreshSession), refreshSession);
+
+/**
+ * @swagger
+ * /api/users/logout-all:
+ *   post:
+ *     summary: Logout from all sessions
+ *     tags: [Users]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out of all sessions successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revokedSessions:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/logout-all', apiLimiter, auth, authorize(ALL_ROLES), logoutAllSessions);
+
+/**
+ * @swagger
+ * /api/users/sessions:
+ *   get:
+ *     summary: Get active sessions of current user
+ *     tags: [Users]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *                 totalSessions:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  */
-router.post('/logout', auth, logoutUser);
+router.get('/sessions', apiLimiter, auth, authorize(ALL_ROLES), getSessions);
+
+/**
+ * @swagger
+ * /api/users/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a session of current user
+ *     tags: [Users]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       404:
+ *         description: Session not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.delete('/sessions/:sessionId', apiLimiter, auth, authorize(ALL_ROLES), validate(userValidator.revokeSession), revokeSession);
+
+/**
+ * @swagger
+ * /api/users/2fa:
+ *   get:
+ *     summary: Get two-factor authentication status of current user
+ *     tags: [Users]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 enabledAt:
+ *                   type: string
+ *                   format: date-time
+ *                 required:
+ *                   type: boolean
+ *                   description: Whether the user's role must use 2FA
+ *                 backupCodesRemaining:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/2fa', apiLimiter, auth, authorize(ALL_ROLES), getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/users/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new TOTP secret as an otpauth URI and QR code. Confirm it with POST /api/users/2fa/enable.
+ *     tags: [Users]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 secret:
+ *                   type: string
+ *                   description: Base32 secret for manual entry
+ *                 otpauthUrl:
+ *                   type: string
+ *                 qrCode:
+ *                   type: string
+ *                   description: PNG data URL of the otpauth URI
+ *       400:
+ *         description: Two-factor authentication already enabled
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/2fa/setup', apiLimiter, auth, authorize(ALL_ROLES), setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/2fa/enable:
+ *   post:
+ *     summary: Enable two-factor authentication
+ *     description: Confirms enrollment with a first code and returns the backup codes. Other sessions are revoked.
+ *     tags: [Users]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorEnable'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 backupCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Shown only once
+ *       400:
+ *         description: Invalid code or setup not started
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/2fa/enable', apiLimiter, auth, authorize(ALL_ROLES), validate(userValidator.enableTwoFactor), enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/2fa/verify:
+ *   post:
+ *     summary: Verify a second factor (step-up)
+ *     description: Unlocks sensitive actions (deleting companies, offices, users or service cards, toggling a service card) in the current session for TWO_FACTOR_STEP_UP_MINUTES.
+ *     tags: [Users]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCode'
+ *     responses:
+ *       200:
+ *         description: Second factor verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 stepUpAt:
+ *                   type: string
+ *                   format: date-time
+ *       400:
+ *         description: Invalid code or two-factor authentication not enabled
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/2fa/verify', apiLimiter, auth, authorize(ALL_ROLES), validate(userValidator.verifyTwoFactor), verifyTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/2fa/backup-codes:
+ *   post:
+ *     summary: Regenerate backup codes
+ *     tags: [Users]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCode'
+ *     responses:
+ *       200:
+ *         description: Backup codes regenerated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 backupCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Shown only once
+ *       400:
+ *         description: Invalid code or two-factor authentication not enabled
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/2fa/backup-codes', apiLimiter, auth, authorize(ALL_ROLES), validate(userValidator.regenerateBackupCodes), regenerateBackupCodes);
+
+/**
+ * @swagger
+ * /api/users/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Not allowed for admins and company admins, for whom 2FA is mandatory.
+ *     tags: [Users]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCode'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Invalid code or two-factor authentication not enabled
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/2fa/disable', apiLimiter, auth, authorize(ALL_ROLES), validate(userValidator.disableTwoFactor), disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/notifications:
+ *   get:
+ *     summary: Get the notification preferences of the current user
+ *     description: Hosts are notified when a visit is requested, accepted or cancelled and when their visitor arrives and leaves; visitors when their visit is accepted or cancelled. Messages are written in the user languageCode.
+ *     tags: [Users]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationSettings'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *   patch:
+ *     summary: Update the notification preferences of the current user
+ *     description: Also registers the push notification device (playerId). The webhook channel needs a webhookUrl, which must resolve to public addresses (not loopback, private or link-local ones).
+ *     tags: [Users]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferencesUpdate'
+ *     responses:
+ *       200:
+ *         description: Notification preferences updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 preferences:
+ *                   $ref: '#/components/schemas/NotificationSettings'
+ *       400:
+ *         description: Webhook channel chosen without a webhook URL
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/notifications', apiLimiter, auth, authorize(ALL_ROLES), getNotificationPreferences);
+router.patch('/notifications', apiLimiter, auth, authorize(ALL_ROLES), validate(userValidator.updateNotificationPreferences), updateNotificationPreferences);
+
+/**
+ * @swagger
+ * /api/users/notifications/test:
+ *   post:
+ *     summary: Send a test notification to the current user
+ *     tags: [Users]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Channels the test notification was sent on
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 sent:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     enum: [push, email, sms, webhook]
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/notifications/test', apiLimiter, auth, authorize(ALL_ROLES), sendTestNotification);
 
 /**
  * @swagger
@@ -200,6 +808,7 @@ router.post('/logout', auth, logoutUser);
  *   get:
  *     summary: Get user by ID
  *     tags: [Users]
+ *     x-roles: [admin, company_admin, self]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -217,8 +826,12 @@ router.post('/logout', auth, logoutUser);
  *               $ref: '#/components/schemas/User'
  *       404:
  *         description: User not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/:id', auth, getUserById);
+router.get('/:id', apiLimiter, auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.SELF]), validate(userValidator.getUserById), getUserById);
 
 /**
  * @swagger
@@ -226,6 +839,7 @@ router.get('/:id', auth, getUserById);
  *   patch:
  *     summary: Update user
  *     tags: [Users]
+ *     x-roles: [admin, company_admin, self]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -239,26 +853,7 @@ router.get('/:id', auth, getUserById);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               firstName:
- *                 type: string
- *               lastName:
- *                 type: string
- *               phone:
- *                 type: string
- *               civility:
- *                 type: string
- *                 enum: [mr, mrs, ms]
- *               status:
- *                 type: string
- *                 enum: [available, unavailable]
- *               imageUrl:
- *                 type: string
- *               countryCode:
- *                 type: string
- *               languageCode:
- *                 type: string
+ *             $ref: '#/components/schemas/UserUpdate'
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -271,15 +866,21 @@ router.get('/:id', auth, getUserById);
  *                   type: string
  *                 user:
  *                   $ref: '#/components/schemas/User'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id', auth, updateUser);
+router.patch('/:id', apiLimiter, auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.SELF]), validate(userValidator.updateUser), updateUser);
 
 /**
  * @swagger
  * /api/users/{id}:
  *   delete:
  *     summary: Delete user (soft delete)
+ *     description: Requires a recent second factor check (POST /api/users/2fa/verify).
  *     tags: [Users]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -291,7 +892,84 @@ router.patch('/:id', auth, updateUser);
  *     responses:
  *       200:
  *         description: User deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.delete('/:id', apiLimiter, auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), requireStepUp, validate(userValidator.deleteUser), deleteUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   patch:
+ *     summary: Unlock user locked out after failed logins
+ *     tags: [Users]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       404:
+ *         description: User not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id/unlock', apiLimiter, auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(userValidator.unlockUser), unlockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/2fa/reset:
+ *   patch:
+ *     summary: Reset two-factor authentication of a user (lost device)
+ *     description: Requires a recent second factor check (POST /api/users/2fa/verify). Revokes all sessions of the user.
+ *     tags: [Users]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 user:
+ *                   $ref: '#/components/schemas/User'
+ *       404:
+ *         description: User not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.delete('/:id', auth, deleteUser);
+router.patch('/:id/2fa/reset', apiLimiter, auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), requireStepUp, validate(userValidator.resetTwoFactor), resetTwoFactor);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,445 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const visitGroupValidator = require('../validators/visitGroupValidator');
+const {
+  createGroup,
+  getAllGroups,
+  getGroupById,
+  getGroupReport,
+  addAttendees,
+  acceptGroup,
+  rejectGroup,
+  cancelGroup
+} = require('../controllers/visitGroupController');
+
+/**
+ * @swagger
+ * /api/visit-groups:
+ *   post:
+ *     summary: Create a group visit
+ *     description: One booking for several visitors under one host. The group goes through the approval steps of a single visit, and approving it accepts the visits of all attendees. Each attendee gets their own visit, listed in GET /api/visits and clocked in and out on its own; each takes a spot in the office. Guests listed by email or phone are created if needed and invited once the group is accepted. Attendees are screened against the company watchlist. Blocked ones are left out (403 when none is left) and flagged ones get a visit marked for review.
+ *     tags: [Visit Groups]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitGroupCreate'
+ *     responses:
+ *       201:
+ *         description: Group visit created, accepted or awaiting approval
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 group:
+ *                   $ref: '#/components/schemas/VisitGroup'
+ *                 attendees:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Visit'
+ *                 visitorsCreated:
+ *                   type: integer
+ *                   description: Number of guest profiles created
+ *                 refused:
+ *                   type: array
+ *                   description: Attendees the company watchlist blocks, left out of the group
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       visitor:
+ *                         type: string
+ *                       screening:
+ *                         type: string
+ *       400:
+ *         description: The group is larger than the office capacity, or a visitor is listed twice
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Employee, office or visitor not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitGroupValidator.createGroup), createGroup);
+
+/**
+ * @swagger
+ * /api/visit-groups:
+ *   get:
+ *     summary: Get group visits
+ *     tags: [Visit Groups]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: employee
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: office
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, rejected, expired, cancelled]
+ *     responses:
+ *       200:
+ *         description: Group visits retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VisitGroup'
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalGroups:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitGroupValidator.getAllGroups), getAllGroups);
+
+/**
+ * @swagger
+ * /api/visit-groups/{id}:
+ *   get:
+ *     summary: Get a group visit and its attendees' visits
+ *     tags: [Visit Groups]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Group visit retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 group:
+ *                   $ref: '#/components/schemas/VisitGroup'
+ *                 attendees:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Visit'
+ *       404:
+ *         description: Group visit not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitGroupValidator.getGroupById), getGroupById);
+
+/**
+ * @swagger
+ * /api/visit-groups/{id}/report:
+ *   get:
+ *     summary: Attendance report of a group visit
+ *     tags: [Visit Groups]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Group visit report retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 group:
+ *                   $ref: '#/components/schemas/VisitGroup'
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     attendees:
+ *                       type: integer
+ *                     byStatus:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                       description: Number of attendees per visit status
+ *                     arrived:
+ *                       type: integer
+ *                       description: Attendees who clocked in
+ *                     present:
+ *                       type: integer
+ *                       description: Attendees inside right now
+ *                     attendanceRate:
+ *                       type: integer
+ *                       description: Percentage of expected attendees (not cancelled or rejected) who arrived
+ *                     firstArrival:
+ *                       type: string
+ *                       format: date-time
+ *                     lastDeparture:
+ *                       type: string
+ *                       format: date-time
+ *                     minutesInside:
+ *                       type: integer
+ *                       description: Total time spent inside by attendees who clocked out
+ *                 attendees:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       visit:
+ *                         type: string
+ *                       visitor:
+ *                         $ref: '#/components/schemas/User'
+ *                       status:
+ *                         type: string
+ *                       clockIn:
+ *                         type: string
+ *                         format: date-time
+ *                       clockOut:
+ *                         type: string
+ *                         format: date-time
+ *                       duration:
+ *                         type: string
+ *       404:
+ *         description: Group visit not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/:id/report', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitGroupValidator.getGroupReport), getGroupReport);
+
+/**
+ * @swagger
+ * /api/visit-groups/{id}/attendees:
+ *   post:
+ *     summary: Add attendees to a group visit
+ *     description: New attendees follow the group's approval and are screened against the company watchlist like at creation. To remove an attendee, cancel their visit with PATCH /api/visits/{id}/cancel.
+ *     tags: [Visit Groups]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitGroupAttendees'
+ *     responses:
+ *       201:
+ *         description: Attendees added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 attendees:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Visit'
+ *                 visitorsCreated:
+ *                   type: integer
+ *                 refused:
+ *                   type: array
+ *                   description: Attendees the company watchlist blocks, left out of the group
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       visitor:
+ *                         type: string
+ *                       screening:
+ *                         type: string
+ *       400:
+ *         description: The group is closed, would exceed the office capacity, or already lists a visitor
+ *       404:
+ *         description: Group visit or visitor not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/:id/attendees', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitGroupValidator.addAttendees), addAttendees);
+
+/**
+ * @swagger
+ * /api/visit-groups/{id}/accept:
+ *   patch:
+ *     summary: Approve the current approval step of a group visit
+ *     description: Steps are decided as for single visits. Once the last one is approved the group and all of its attendees' visits are accepted, and invited guests get their entry code.
+ *     tags: [Visit Groups]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitApprove'
+ *     responses:
+ *       200:
+ *         description: Step approved, and the group accepted if it was the last one
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 group:
+ *                   $ref: '#/components/schemas/VisitGroup'
+ *       400:
+ *         description: Group is not pending or has expired
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Group visit not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id/accept', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitGroupValidator.acceptGroup), acceptGroup);
+
+/**
+ * @swagger
+ * /api/visit-groups/{id}/reject:
+ *   patch:
+ *     summary: Reject a group visit
+ *     description: Rejects a pending group at its current approval step, with all of its attendees' visits.
+ *     tags: [Visit Groups]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitReject'
+ *     responses:
+ *       200:
+ *         description: Group visit rejected successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 group:
+ *                   $ref: '#/components/schemas/VisitGroup'
+ *       400:
+ *         description: Group is not pending or has expired
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Group visit not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id/reject', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitGroupValidator.rejectGroup), rejectGroup);
+
+/**
+ * @swagger
+ * /api/visit-groups/{id}/cancel:
+ *   patch:
+ *     summary: Cancel a group visit
+ *     description: Cancels the group and its attendees' visits that have not started. Attendees already inside clock out as usual.
+ *     tags: [Visit Groups]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitCancel'
+ *     responses:
+ *       200:
+ *         description: Group visit cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 group:
+ *                   $ref: '#/components/schemas/VisitGroup'
+ *                 cancelledVisits:
+ *                   type: integer
+ *       400:
+ *         description: Group already rejected, expired or cancelled
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Group visit not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id/cancel', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitGroupValidator.cancelGroup), cancelGroup);
+
+module.exports = router;
@@ -1,15 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
+const { authorize, ROLES, ALL_ROLES } = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const visitValidator = require('../validators/visitValidator');
 const {
   createVisit,
+  inviteVisitor,
+  resendInvitation,
+  checkInWithCode,
   getAllVisits,
   getVisitById,
+  getVisitHistory,
+  reviewVisit,
   updateVisit,
   deleteVisit,
   acceptVisit,
+  rejectVisit,
   cancelVisit,
   clockInVisitor,
+  getVisitAgreements,
+  signAgreements,
+  getVisitBadge,
+  verifyBadge,
   clockOutVisitor,
   getVisitsByStatus
 } = require('../controllers/visitController');
@@ -19,7 +32,9 @@ const {
  * /api/visits:
  *   post:
  *     summary: Create a new visit
+ *     description: The visitor is screened against the host company's watchlist. Blocked visitors cannot be booked; flagged visits are created and marked for review. Company admins are emailed either way.
  *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee, visitor]
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -27,32 +42,7 @@ const {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - visitor
- *               - employee
- *               - expectedClockIn
- *               - reason
- *             properties:
- *               visitor:
- *                 type: string
- *                 description: Visitor user ID
- *               employee:
- *                 type: string
- *                 description: Employee user ID
- *               expectedClockIn:
- *                 type: string
- *                 format: date-time
- *                 description: Expected arrival time
- *               reason:
- *                 type: string
- *                 description: Purpose of the visit
- *               comment:
- *                 type: string
- *                 description: Additional comments
- *               office:
- *                 type: string
- *                 description: Office ID (optional)
+ *             $ref: '#/components/schemas/VisitCreate'
  *     responses:
  *       201:
  *         description: Visit created successfully
@@ -67,8 +57,174 @@ const {
  *                   $ref: '#/components/schemas/Visit'
  *       400:
  *         description: Visit creation failed
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.post('/', auth, createVisit);
+router.post('/', auth, authorize(ALL_ROLES), validate(visitValidator.createVisit), createVisit);
+
+/**
+ * @swagger
+ * /api/visits/invite:
+ *   post:
+ *     summary: Invite a visitor
+ *     description: Creates an accepted visit for a visitor matched by email or phone (a guest profile is created for unknown visitors) and sends them an invitation with a QR entry code by email and/or SMS. The visitor is screened against the company watchlist first.
+ *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitInvite'
+ *     responses:
+ *       201:
+ *         description: Visit created and invitation sent (invitation is null if it could not be delivered)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 visit:
+ *                   $ref: '#/components/schemas/Visit'
+ *                 visitorCreated:
+ *                   type: boolean
+ *                   description: Whether a guest profile was created for the visitor
+ *                 invitation:
+ *                   $ref: '#/components/schemas/VisitInvitation'
+ *       400:
+ *         description: Invitation failed
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Employee or office not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/invite', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitValidator.inviteVisitor), inviteVisitor);
+
+/**
+ * @swagger
+ * /api/visits/check-in:
+ *   post:
+ *     summary: Check in a visitor with their entry code
+ *     description: Clocks in the visit encoded in the QR entry code, if it is accepted and within its check-in window. The visitor is screened against the company watchlist first, and must have signed the required agreements (they can be signed in the same request).
+ *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitCheckIn'
+ *     responses:
+ *       200:
+ *         description: Visitor checked in successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 visit:
+ *                   $ref: '#/components/schemas/Visit'
+ *       202:
+ *         description: Office at capacity; queued and clocked in automatically when someone leaves (capacityPolicy queue)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OfficeQueued'
+ *       400:
+ *         description: Invalid or expired code, outside the check-in window (windowStart and windowEnd are returned) or visit not accepted
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Visit not found
+ *       409:
+ *         $ref: '#/components/responses/OfficeFull'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       428:
+ *         $ref: '#/components/responses/AgreementsRequired'
+ */
+router.post('/check-in', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitValidator.checkInWithCode), checkInWithCode);
+
+/**
+ * @swagger
+ * /api/visits/badge/verify:
+ *   post:
+ *     summary: Check a visitor badge
+ *     description: Reads the code of a badge QR code. Badges are valid while their visit is accepted or in progress and within the validity window printed on them, and become invalid once the visit is completed or cancelled.
+ *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitBadgeVerify'
+ *     responses:
+ *       200:
+ *         description: Whether the badge is valid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 valid:
+ *                   type: boolean
+ *                 reason:
+ *                   type: string
+ *                   nullable: true
+ *                   enum: [expired, not_yet_valid, visit_completed, visit_not_active]
+ *                 validFrom:
+ *                   type: string
+ *                   format: date-time
+ *                 validUntil:
+ *                   type: string
+ *                   format: date-time
+ *                 visit:
+ *                   type: object
+ *                   description: Left out when the badge code itself has expired
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                     visitor:
+ *                       type: string
+ *                     host:
+ *                       type: string
+ *                     office:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *                         name:
+ *                           type: string
+ *                     clockIn:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Invalid badge code
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Visit not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/badge/verify', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitValidator.verifyBadge), verifyBadge);
 
 /**
  * @swagger
@@ -76,6 +232,7 @@ router.post('/', auth, createVisit);
  *   get:
  *     summary: Get all visits
  *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -103,12 +260,27 @@ router.post('/', auth, createVisit);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, accepted, cancelled, in_progress, completed]
+ *           enum: [pending, accepted, rejected, expired, cancelled, in_progress, completed, no_show]
  *       - in: query
  *         name: office
  *         schema:
  *           type: string
  *         description: Filter by office ID
+ *       - in: query
+ *         name: group
+ *         schema:
+ *           type: string
+ *         description: Filter attendees of a group visit
+ *       - in: query
+ *         name: series
+ *         schema:
+ *           type: string
+ *         description: Filter occurrences of a visit series
+ *       - in: query
+ *         name: needsReview
+ *         schema:
+ *           type: boolean
+ *         description: Filter visits flagged (or not) for review
  *     responses:
  *       200:
  *         description: Visits retrieved successfully
@@ -127,8 +299,12 @@ router.post('/', auth, createVisit);
  *                   type: integer
  *                 totalVisits:
  *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/', auth, getAllVisits);
+router.get('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitValidator.getAllVisits), getAllVisits);
 
 /**
  * @swagger
@@ -136,6 +312,7 @@ router.get('/', auth, getAllVisits);
  *   get:
  *     summary: Get visits by status
  *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -144,7 +321,7 @@ router.get('/', auth, getAllVisits);
  *         required: true
  *         schema:
  *           type: string
- *           enum: [pending, accepted, cancelled, in_progress, completed]
+ *           enum: [pending, accepted, rejected, expired, cancelled, in_progress, completed, no_show]
  *       - in: query
  *         name: page
  *         schema:
@@ -175,8 +352,12 @@ router.get('/', auth, getAllVisits);
  *                   type: integer
  *                 totalVisits:
  *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/status/:status', auth, getVisitsByStatus);
+router.get('/status/:status', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitValidator.getVisitsByStatus), getVisitsByStatus);
 
 /**
  * @swagger
@@ -184,6 +365,7 @@ router.get('/status/:status', auth, getVisitsByStatus);
  *   get:
  *     summary: Get visit by ID
  *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee, visitor]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -201,15 +383,118 @@ router.get('/status/:status', auth, getVisitsByStatus);
  *               $ref: '#/components/schemas/Visit'
  *       404:
  *         description: Visit not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/:id', auth, authorize(ALL_ROLES), validate(visitValidator.getVisitById), getVisitById);
+
+/**
+ * @swagger
+ * /api/visits/{id}/history:
+ *   get:
+ *     summary: Get the status history of a visit
+ *     description: Every status change of the visit, oldest first. Visits created before the history was recorded only list the changes made since.
+ *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Visit history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 visit:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       from:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Previous status, null for the status the visit was created with
+ *                       to:
+ *                         type: string
+ *                       at:
+ *                         type: string
+ *                         format: date-time
+ *                       by:
+ *                         $ref: '#/components/schemas/User'
+ *       404:
+ *         description: Visit not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.get('/:id', auth, getVisitById);
+router.get('/:id/history', auth, authorize(ALL_ROLES), validate(visitValidator.getVisitHistory), getVisitHistory);
+
+/**
+ * @swagger
+ * /api/visits/{id}/review:
+ *   patch:
+ *     summary: Review a visit flagged for review
+ *     description: Clears the review flag set on visits changed automatically, such as visitors clocked out at office closing time. The clock-out time (and so the duration) can be corrected at the same time.
+ *     tags: [Visits]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitReview'
+ *     responses:
+ *       200:
+ *         description: Visit reviewed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 visit:
+ *                   $ref: '#/components/schemas/Visit'
+ *       400:
+ *         description: Visit is not flagged for review, or the clock-out time is invalid
+ *       404:
+ *         description: Visit not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id/review', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(visitValidator.reviewVisit), reviewVisit);
 
 /**
  * @swagger
  * /api/visits/{id}:
  *   patch:
  *     summary: Update visit
+ *     description: The status cannot be changed here; it only moves through the accept, reject, cancel and clock endpoints, along the transitions listed on Visit.status. Moving a pending or accepted visit to another office or expectedClockIn runs its approval steps again, so an accepted visit goes back to pending unless the editor can approve it right away.
  *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -223,20 +508,7 @@ router.get('/:id', auth, getVisitById);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               expectedClockIn:
- *                 type: string
- *                 format: date-time
- *               reason:
- *                 type: string
- *               comment:
- *                 type: string
- *               status:
- *                 type: string
- *                 enum: [pending, accepted, cancelled, in_progress, completed]
- *               office:
- *                 type: string
+ *             $ref: '#/components/schemas/VisitUpdate'
  *     responses:
  *       200:
  *         description: Visit updated successfully
@@ -249,15 +521,21 @@ router.get('/:id', auth, getVisitById);
  *                   type: string
  *                 visit:
  *                   $ref: '#/components/schemas/Visit'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id', auth, updateVisit);
+router.patch('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitValidator.updateVisit), updateVisit);
 
 /**
  * @swagger
  * /api/visits/{id}/accept:
  *   patch:
- *     summary: Accept visit
+ *     summary: Approve the current approval step of a visit
+ *     description: Steps are decided in order (see Visit.approvals). The host step is decided by the host or their visit delegates, the security step by the rule's security approvers and the manager step by its managers. The visit is accepted once the last step is approved, which checks in a kiosk walk-in waiting at reception.
  *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -266,9 +544,14 @@ router.patch('/:id', auth, updateVisit);
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitApprove'
  *     responses:
  *       200:
- *         description: Visit accepted successfully
+ *         description: Step approved, and the visit accepted if it was the last one
  *         content:
  *           application/json:
  *             schema:
@@ -276,10 +559,76 @@ router.patch('/:id', auth, updateVisit);
  *               properties:
  *                 message:
  *                   type: string
+ *                 checkIn:
+ *                   type: object
+ *                   description: Kiosk walk-ins only, once accepted; whether the visitor waiting at reception was checked in
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                       enum: [checked_in, queued, refused]
+ *                     position:
+ *                       type: integer
+ *                       description: Place in the office queue (queued)
+ *                     error:
+ *                       type: string
+ *                       description: Why the visitor was turned away; the visit is cancelled (refused)
  *                 visit:
  *                   $ref: '#/components/schemas/Visit'
+ *       400:
+ *         description: Visit is not pending or has expired
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Visit not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id/accept', auth, acceptVisit);
+router.patch('/:id/accept', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitValidator.acceptVisit), acceptVisit);
+
+/**
+ * @swagger
+ * /api/visits/{id}/reject:
+ *   patch:
+ *     summary: Reject visit
+ *     description: Rejects a pending visit at its current approval step. Only the approvers of that step can reject it.
+ *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitReject'
+ *     responses:
+ *       200:
+ *         description: Visit rejected successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 visit:
+ *                   $ref: '#/components/schemas/Visit'
+ *       400:
+ *         description: Visit is not pending or has expired
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Visit not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id/reject', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitValidator.rejectVisit), rejectVisit);
 
 /**
  * @swagger
@@ -287,6 +636,7 @@ router.patch('/:id/accept', auth, acceptVisit);
  *   patch:
  *     summary: Cancel visit
  *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee, visitor]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -299,11 +649,7 @@ router.patch('/:id/accept', auth, acceptVisit);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               reason:
- *                 type: string
- *                 description: Cancellation reason
+ *             $ref: '#/components/schemas/VisitCancel'
  *     responses:
  *       200:
  *         description: Visit cancelled successfully
@@ -316,15 +662,21 @@ router.patch('/:id/accept', auth, acceptVisit);
  *                   type: string
  *                 visit:
  *                   $ref: '#/components/schemas/Visit'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id/cancel', auth, cancelVisit);
+router.patch('/:id/cancel', auth, authorize(ALL_ROLES), validate(visitValidator.cancelVisit), cancelVisit);
 
 /**
  * @swagger
  * /api/visits/{id}/clock-in:
  *   patch:
  *     summary: Clock in visitor
+ *     description: The visitor is screened against the company watchlist first; blocked visitors are refused and flagged ones clocked in with the visit marked for review. The visitor must also have signed the agreements of the company and office, now (agreements in the body) or earlier; a 428 lists those still to sign.
  *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -333,6 +685,11 @@ router.patch('/:id/cancel', auth, cancelVisit);
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitClockIn'
  *     responses:
  *       200:
  *         description: Visitor clocked in successfully
@@ -345,8 +702,178 @@ router.patch('/:id/cancel', auth, cancelVisit);
  *                   type: string
  *                 visit:
  *                   $ref: '#/components/schemas/Visit'
+ *       202:
+ *         description: Office at capacity; queued and clocked in automatically when someone leaves (capacityPolicy queue)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OfficeQueued'
+ *       400:
+ *         description: Visit not accepted or visitor already clocked in
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         $ref: '#/components/responses/OfficeFull'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ *       428:
+ *         $ref: '#/components/responses/AgreementsRequired'
+ */
+router.patch('/:id/clock-in', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitValidator.clockInVisitor), clockInVisitor);
+
+/**
+ * @swagger
+ * /api/visits/{id}/agreements:
+ *   get:
+ *     summary: Get the agreements signed for a visit
+ *     description: Signed agreements with the text of the version accepted, signer name, typed name or signature image and timestamp, plus the agreements still to sign before clock-in.
+ *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Agreements of the visit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 visit:
+ *                   type: string
+ *                 agreements:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/VisitAgreement'
+ *                       - type: object
+ *                         properties:
+ *                           body:
+ *                             type: string
+ *                             description: Text of the version signed
+ *                 pending:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AgreementToSign'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Visit not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/:id/agreements', auth, authorize(ALL_ROLES), validate(visitValidator.getVisitAgreements), getVisitAgreements);
+
+/**
+ * @swagger
+ * /api/visits/{id}/agreements:
+ *   post:
+ *     summary: Sign the agreements required before clock-in
+ *     description: Visitors can sign ahead of their visit, or staff at reception. Each agreement is signed with the version shown to the visitor; a 409 returns the new version when the agreement changed in the meantime.
+ *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitAgreementsSign'
+ *     responses:
+ *       201:
+ *         description: Agreements signed (pending lists those still to sign)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 agreements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VisitAgreement'
+ *                 pending:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AgreementToSign'
+ *       400:
+ *         description: The visit has started or ended, or an agreement does not apply to it
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Visit not found
+ *       409:
+ *         description: An agreement was updated since it was shown; its current version is returned in agreements
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id/clock-in', auth, clockInVisitor);
+router.post('/:id/agreements', auth, authorize(ALL_ROLES), validate(visitValidator.signAgreements), signAgreements);
+
+/**
+ * @swagger
+ * /api/visits/{id}/badge:
+ *   get:
+ *     summary: Print the visitor badge
+ *     description: Badge with the visitor name, host, company logo, office, validity window and a QR code guards check with POST /api/visits/badge/verify. The layout follows the company badge template (Company.badgeTemplate). Badges are valid for VISIT_BADGE_VALIDITY_HOURS from clock-in (or from the start of the check-in window) and never past the office closing time.
+ *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: size
+ *         description: A6 sheet or label size in millimetres (54x86 is a CR80 card). Defaults to the company template size.
+ *         schema:
+ *           type: string
+ *           enum: [a6, label_62x100, label_54x86, label_102x76]
+ *       - in: query
+ *         name: format
+ *         description: PDF, or ZPL for Zebra label printers (printed without the logo)
+ *         schema:
+ *           type: string
+ *           enum: [pdf, zpl]
+ *           default: pdf
+ *     responses:
+ *       200:
+ *         description: The badge. Its validity window is also returned in the X-Badge-Valid-From and X-Badge-Valid-Until headers.
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               description: ZPL commands
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Visit not found
+ *       409:
+ *         description: Visit is not accepted or in progress, or its badge validity window has ended (validFrom and validUntil are returned)
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/:id/badge', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitValidator.getVisitBadge), getVisitBadge);
 
 /**
  * @swagger
@@ -354,6 +881,7 @@ router.patch('/:id/clock-in', auth, clockInVisitor);
  *   patch:
  *     summary: Clock out visitor
  *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -376,8 +904,51 @@ router.patch('/:id/clock-in', auth, clockInVisitor);
  *                   $ref: '#/components/schemas/Visit'
  *                 duration:
  *                   type: string
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id/clock-out', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitValidator.clockOutVisitor), clockOutVisitor);
+
+/**
+ * @swagger
+ * /api/visits/{id}/invitation:
+ *   post:
+ *     summary: Resend visit invitation
+ *     description: Sends the invitation again with a new entry code, e.g. after the visit was rescheduled.
+ *     tags: [Visits]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Invitation sent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 invitation:
+ *                   $ref: '#/components/schemas/VisitInvitation'
+ *       400:
+ *         description: Visit is not accepted or already started
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Visit not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.patch('/:id/clock-out', auth, clockOutVisitor);
+router.post('/:id/invitation', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitValidator.resendInvitation), resendInvitation);
 
 /**
  * @swagger
@@ -385,6 +956,7 @@ router.patch('/:id/clock-out', auth, clockOutVisitor);
  *   delete:
  *     summary: Delete visit
  *     tags: [Visits]
+ *     x-roles: [admin, company_admin]
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -396,7 +968,11 @@ router.patch('/:id/clock-out', auth, clockOutVisitor);
  *     responses:
  *       200:
  *         description: Visit deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
  */
-router.delete('/:id', auth, deleteVisit);
+router.delete('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(visitValidator.deleteVisit), deleteVisit);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,351 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { authorize, ROLES, ALL_ROLES } = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const visitSeriesValidator = require('../validators/visitSeriesValidator');
+const {
+  createSeries,
+  getAllSeries,
+  getSeriesById,
+  updateSeries,
+  acceptSeries,
+  rejectSeries,
+  cancelSeries
+} = require('../controllers/visitSeriesController');
+
+/**
+ * @swagger
+ * /api/visit-series:
+ *   post:
+ *     summary: Create a recurring visit series
+ *     description: Schedules one visit per occurrence of the recurrence; they appear in GET /api/visits like other visits. The series goes through the same approval steps as a single visit, and approving it accepts all of its occurrences. The visitor is screened against the company watchlist once for the series and again at every clock-in.
+ *     tags: [Visit Series]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitSeriesCreate'
+ *     responses:
+ *       201:
+ *         description: Visit series created, accepted or awaiting approval
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 series:
+ *                   $ref: '#/components/schemas/VisitSeries'
+ *                 occurrences:
+ *                   type: integer
+ *                   description: Number of visits scheduled
+ *       400:
+ *         description: The recurrence has no upcoming occurrences or too many
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Visitor, employee or office not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/', auth, authorize(ALL_ROLES), validate(visitSeriesValidator.createSeries), createSeries);
+
+/**
+ * @swagger
+ * /api/visit-series:
+ *   get:
+ *     summary: Get visit series
+ *     tags: [Visit Series]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: visitor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: employee
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, rejected, expired, cancelled]
+ *     responses:
+ *       200:
+ *         description: Visit series retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 series:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VisitSeries'
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalSeries:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/', auth, authorize(ALL_ROLES), validate(visitSeriesValidator.getAllSeries), getAllSeries);
+
+/**
+ * @swagger
+ * /api/visit-series/{id}:
+ *   get:
+ *     summary: Get a visit series and its occurrences
+ *     tags: [Visit Series]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Visit series retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 series:
+ *                   $ref: '#/components/schemas/VisitSeries'
+ *                 occurrences:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Visit'
+ *       404:
+ *         description: Visit series not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/:id', auth, authorize(ALL_ROLES), validate(visitSeriesValidator.getSeriesById), getSeriesById);
+
+/**
+ * @swagger
+ * /api/visit-series/{id}:
+ *   patch:
+ *     summary: Update a whole visit series
+ *     description: Upcoming occurrences follow the change (moved, added or removed to match the recurrence), except those edited, cancelled or started on their own. To change a single occurrence, update it with PATCH /api/visits/{id}; it then no longer follows the series. Changing startAt, recurrence or exceptions runs the approval steps again, so an accepted series and its following occurrences go back to pending unless the editor can approve them right away.
+ *     tags: [Visit Series]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitSeriesUpdate'
+ *     responses:
+ *       200:
+ *         description: Visit series updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 series:
+ *                   $ref: '#/components/schemas/VisitSeries'
+ *                 occurrences:
+ *                   type: object
+ *                   properties:
+ *                     created:
+ *                       type: integer
+ *                     updated:
+ *                       type: integer
+ *                     removed:
+ *                       type: integer
+ *       400:
+ *         description: The series is no longer pending or accepted, or its recurrence has no upcoming occurrences
+ *       404:
+ *         description: Visit series not found
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitSeriesValidator.updateSeries), updateSeries);
+
+/**
+ * @swagger
+ * /api/visit-series/{id}/accept:
+ *   patch:
+ *     summary: Approve the current approval step of a visit series
+ *     description: Steps are decided as for single visits. Once the last one is approved the series and all of its pending occurrences are accepted.
+ *     tags: [Visit Series]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitApprove'
+ *     responses:
+ *       200:
+ *         description: Step approved, and the series accepted if it was the last one
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 series:
+ *                   $ref: '#/components/schemas/VisitSeries'
+ *                 occurrences:
+ *                   type: integer
+ *                   description: Number of occurrences accepted
+ *       400:
+ *         description: Series is not pending or has expired
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Visit series not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id/accept', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitSeriesValidator.acceptSeries), acceptSeries);
+
+/**
+ * @swagger
+ * /api/visit-series/{id}/reject:
+ *   patch:
+ *     summary: Reject a visit series
+ *     description: Rejects a pending series at its current approval step, with all of its pending occurrences.
+ *     tags: [Visit Series]
+ *     x-roles: [admin, company_admin, employee]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitReject'
+ *     responses:
+ *       200:
+ *         description: Visit series rejected successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 series:
+ *                   $ref: '#/components/schemas/VisitSeries'
+ *                 occurrences:
+ *                   type: integer
+ *                   description: Number of occurrences rejected
+ *       400:
+ *         description: Series is not pending or has expired
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Visit series not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id/reject', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN, ROLES.EMPLOYEE]), validate(visitSeriesValidator.rejectSeries), rejectSeries);
+
+/**
+ * @swagger
+ * /api/visit-series/{id}/cancel:
+ *   patch:
+ *     summary: Cancel a visit series
+ *     description: Cancels the series and its occurrences that have not started. To cancel a single occurrence, use PATCH /api/visits/{id}/cancel.
+ *     tags: [Visit Series]
+ *     x-roles: [admin, company_admin, employee, visitor]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VisitCancel'
+ *     responses:
+ *       200:
+ *         description: Visit series cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 series:
+ *                   $ref: '#/components/schemas/VisitSeries'
+ *                 occurrences:
+ *                   type: integer
+ *                   description: Number of occurrences cancelled
+ *       400:
+ *         description: Series already rejected, expired or cancelled
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Visit series not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id/cancel', auth, authorize(ALL_ROLES), validate(visitSeriesValidator.cancelSeries), cancelSeries);
+
+module.exports = router;
@@ -0,0 +1,290 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const watchlistValidator = require('../validators/watchlistValidator');
+const {
+  createEntry,
+  getEntries,
+  getEntryById,
+  updateEntry,
+  deleteEntry,
+  getScreenings
+} = require('../controllers/watchlistController');
+
+/**
+ * @swagger
+ * /api/watchlist:
+ *   post:
+ *     summary: Add a person to a company's watchlist
+ *     description: Visitors are screened against the active, unexpired entries of the host company when a visit is booked (visit, invitation, series or group) and when they clock in. A visitor matches an entry by user, email, phone or an approximate name. Entries that block refuse the visit; entries that flag let it go ahead with the visit marked for security review. Company admins are emailed when a watchlisted visitor is booked.
+ *     tags: [Watchlist]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WatchlistEntryCreate'
+ *     responses:
+ *       201:
+ *         description: Watchlist entry created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 entry:
+ *                   $ref: '#/components/schemas/WatchlistEntry'
+ *       400:
+ *         description: Creation failed
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Company or user not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN], { company: req => req.body.company }), validate(watchlistValidator.createEntry), createEntry);
+
+/**
+ * @swagger
+ * /api/watchlist:
+ *   get:
+ *     summary: Get watchlist entries
+ *     tags: [Watchlist]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [block, flag]
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of watchlist entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WatchlistEntry'
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalEntries:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(watchlistValidator.getEntries), getEntries);
+
+/**
+ * @swagger
+ * /api/watchlist/screenings:
+ *   get:
+ *     summary: Get watchlist screening decisions
+ *     description: Every booking and clock-in is screened and recorded, with the entries matched, newest first.
+ *     tags: [Watchlist]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: visitor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: visit
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: entry
+ *         description: Only screenings that matched this watchlist entry
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: stage
+ *         schema:
+ *           type: string
+ *           enum: [booking, clock_in]
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [clear, flagged, blocked]
+ *     responses:
+ *       200:
+ *         description: List of screenings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 screenings:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Screening'
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalScreenings:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/screenings', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(watchlistValidator.getScreenings), getScreenings);
+
+/**
+ * @swagger
+ * /api/watchlist/{id}:
+ *   get:
+ *     summary: Get watchlist entry by ID
+ *     tags: [Watchlist]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Watchlist entry details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WatchlistEntry'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Watchlist entry not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(watchlistValidator.getEntryById), getEntryById);
+
+/**
+ * @swagger
+ * /api/watchlist/{id}:
+ *   patch:
+ *     summary: Update watchlist entry
+ *     description: Changes apply to the next screenings; past screenings keep the details they matched.
+ *     tags: [Watchlist]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WatchlistEntryUpdate'
+ *     responses:
+ *       200:
+ *         description: Watchlist entry updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 entry:
+ *                   $ref: '#/components/schemas/WatchlistEntry'
+ *       400:
+ *         description: Update failed (e.g. nothing left to identify the person)
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Watchlist entry or user not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(watchlistValidator.updateEntry), updateEntry);
+
+/**
+ * @swagger
+ * /api/watchlist/{id}:
+ *   delete:
+ *     summary: Delete watchlist entry
+ *     description: Past screenings keep the details they matched. Set active to false instead to keep the entry for later.
+ *     tags: [Watchlist]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Watchlist entry deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Watchlist entry not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.delete('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(watchlistValidator.deleteEntry), deleteEntry);
+
+module.exports = router;
@@ -0,0 +1,434 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const { authorize, ROLES } = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const webhookValidator = require('../validators/webhookValidator');
+const {
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  rotateSecret,
+  pingWebhook,
+  getDeliveries,
+  getDeliveryById,
+  redeliver
+} = require('../controllers/webhookController');
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Register a webhook endpoint for a company's events
+ *     description: Each event the endpoint subscribes to is POSTed to it as JSON ({ id, event, createdAt, company, data }), with the headers X-EasyDoor-Event, X-EasyDoor-Delivery and X-EasyDoor-Signature. The signature header reads t=TIMESTAMP,v1=SIGNATURE, where SIGNATURE is the hex HMAC-SHA256 of TIMESTAMP, a dot and the raw body, keyed with the secret returned here (shown once). Deliveries not answered with a 2xx status within WEBHOOK_TIMEOUT_SECONDS are retried with an exponential backoff up to WEBHOOK_MAX_ATTEMPTS attempts. The id of the payload is the same for every retry and redelivery of an event, so endpoints can ignore duplicates. The URL must resolve to public addresses (not loopback, private or link-local ones).
+ *     tags: [Webhooks]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscriptionCreate'
+ *     responses:
+ *       201:
+ *         description: Webhook created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 webhook:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *                 secret:
+ *                   type: string
+ *                   description: Signing secret, shown only once
+ *       400:
+ *         description: Creation failed, or the URL leads to a local or private address
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Company not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN], { company: req => req.body.company }), validate(webhookValidator.createWebhook), createWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Get webhooks
+ *     tags: [Webhooks]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: List of webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 webhooks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookSubscription'
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalWebhooks:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(webhookValidator.getWebhooks), getWebhooks);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries:
+ *   get:
+ *     summary: Get the webhook delivery log
+ *     description: Deliveries newest first, without their payload and response bodies (see GET /api/webhooks/deliveries/{id}). Deliveries are kept WEBHOOK_DELIVERY_RETENTION_DAYS days.
+ *     tags: [Webhooks]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: company
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: webhook
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: eventId
+ *         description: Every delivery and redelivery of one event
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: List of webhook deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalDeliveries:
+ *                   type: integer
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/deliveries', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(webhookValidator.getDeliveries), getDeliveries);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{id}:
+ *   get:
+ *     summary: Get webhook delivery by ID
+ *     description: The delivery with the payload sent and every attempt made.
+ *     tags: [Webhooks]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook delivery details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook delivery not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/deliveries/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(webhookValidator.getDeliveryById), getDeliveryById);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{id}/redeliver:
+ *   post:
+ *     summary: Send the event of a delivery again
+ *     description: Records a new delivery of the same payload (same event id) and makes a single attempt right away, whose outcome is returned. It is not retried.
+ *     tags: [Webhooks]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Redelivery attempted (see delivery.status)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 delivery:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook delivery not found
+ *       409:
+ *         description: The webhook was deleted or disabled
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/deliveries/:id/redeliver', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(webhookValidator.redeliver), redeliver);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get webhook by ID
+ *     tags: [Webhooks]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookSubscription'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.get('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(webhookValidator.getWebhookById), getWebhookById);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   patch:
+ *     summary: Update webhook
+ *     description: Deliveries still pending go to the new URL. Disabling a webhook fails its pending deliveries at their next attempt.
+ *     tags: [Webhooks]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookSubscriptionUpdate'
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 webhook:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *       400:
+ *         description: Update failed, or the URL leads to a local or private address
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.patch('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(webhookValidator.updateWebhook), updateWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete webhook
+ *     description: Pending deliveries fail at their next attempt; the delivery log is kept until it expires. Set active to false instead to pause the webhook.
+ *     tags: [Webhooks]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.delete('/:id', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(webhookValidator.deleteWebhook), deleteWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Replace the signing secret of a webhook
+ *     description: Every delivery attempt from now on is signed with the new secret, returned once.
+ *     tags: [Webhooks]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Secret replaced
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 webhook:
+ *                   $ref: '#/components/schemas/WebhookSubscription'
+ *                 secret:
+ *                   type: string
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/:id/rotate-secret', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(webhookValidator.rotateSecret), rotateSecret);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/ping:
+ *   post:
+ *     summary: Send a ping event to a webhook
+ *     description: Sends a signed ping event ({ webhook } as data) right away, even to a disabled webhook, and returns the delivery with the endpoint's answer. Pings are recorded in the delivery log and never retried.
+ *     tags: [Webhooks]
+ *     x-roles: [admin, company_admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Ping attempted (see delivery.status)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 delivery:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook not found
+ *       422:
+ *         $ref: '#/components/responses/ValidationError'
+ */
+router.post('/:id/ping', auth, authorize([ROLES.ADMIN, ROLES.COMPANY_ADMIN]), validate(webhookValidator.pingWebhook), pingWebhook);
+
+module.exports = router;
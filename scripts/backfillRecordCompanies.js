@@ -0,0 +1,82 @@
+// Fill in the `company` of visits and attendance records created before they
+// had one: tenant scoping, the company counters and approval, agreement and
+// webhook lookups all go by it, so such records are hidden from company admins
+// and employees and left out of every count until this is run once.
+//
+// Visits take the company of their office, or else the employer of their host;
+// attendance records the employer of their employee. Records whose office and
+// people belong to no company are left as they are. Company counters are
+// rebuilt afterwards.
+//
+// Usage: yarn records:backfill-companies
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Office = require('../models/Office');
+const User = require('../models/User');
+const Visit = require('../models/Visit');
+const Attendance = require('../models/Attendance');
+const { rebuildCompanyCounters } = require('../services/companyCounters');
+
+// Records without a company. Updates go straight to the collections: there is
+// no tenant to scope to, and nothing else about the records changes.
+const MISSING = { company: null };
+
+// Set the company of the records missing one whose `field` points to one of
+// `owners` (documents holding the company in `companyField`)
+const fillFrom = async (Model, field, owners, companyField) => {
+  const byCompany = new Map();
+  owners.forEach(owner => {
+    const company = owner[companyField];
+    if (!company) return;
+    const key = company.toString();
+    if (!byCompany.has(key)) byCompany.set(key, { company, ids: [] });
+    byCompany.get(key).ids.push(owner._id);
+  });
+
+  let filled = 0;
+  for (const { company, ids } of byCompany.values()) {
+    const { modifiedCount } = await Model.collection.updateMany(
+      { ...MISSING, [field]: { $in: ids } },
+      { $set: { company } }
+    );
+    filled += modifiedCount;
+  }
+  return filled;
+};
+
+// Employers of the people `field` points to in the records missing a company
+const employersOf = async (Model, field) => {
+  const ids = await Model.collection.distinct(field, MISSING);
+  return User.collection.find({ _id: { $in: ids } }, { projection: { employer: 1 } }).toArray();
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/easydoor');
+
+  const officeIds = await Visit.collection.distinct('office', { ...MISSING, office: { $ne: null } });
+  const offices = await Office.collection.find({ _id: { $in: officeIds } }, { projection: { company: 1 } }).toArray();
+  const byOffice = await fillFrom(Visit, 'office', offices, 'company');
+  const byHost = await fillFrom(Visit, 'employee', await employersOf(Visit, 'employee'), 'employer');
+  console.log(`🗂️  Visits: ${byOffice} from their office, ${byHost} from their host's employer`);
+
+  const attendance = await fillFrom(Attendance, 'employee', await employersOf(Attendance, 'employee'), 'employer');
+  console.log(`🗂️  Attendance records: ${attendance} from their employee's employer`);
+
+  const [visitsLeft, attendanceLeft] = await Promise.all([
+    Visit.collection.countDocuments(MISSING),
+    Attendance.collection.countDocuments(MISSING)
+  ]);
+  if (visitsLeft || attendanceLeft) {
+    console.log(`⚠️  Left without a company: ${visitsLeft} visits, ${attendanceLeft} attendance records`);
+  }
+
+  const rebuilt = await rebuildCompanyCounters();
+  console.log(`✅ Companies filled in, ${rebuilt.length} compan${rebuilt.length === 1 ? 'y' : 'ies'} counters corrected`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Failed to fill in record companies:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
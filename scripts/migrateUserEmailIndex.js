@@ -0,0 +1,36 @@
+// Replace the unique index on User.email with the partial one guests need
+// (phone-only guests have no email). MongoDB keeps an existing index with the
+// same name, so databases created before guests existed still hold the old
+// index and refuse a second user without an email until this is run once.
+//
+// Usage: yarn users:migrate-email-index
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+const INDEX_NAME = 'email_1';
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/easydoor');
+
+  const indexes = await User.collection.indexes();
+  const current = indexes.find(index => index.name === INDEX_NAME);
+
+  if (current && !current.partialFilterExpression) {
+    await User.collection.dropIndex(INDEX_NAME);
+    console.log(`🗑️  Dropped the old ${INDEX_NAME} index`);
+  }
+
+  const dropped = await User.syncIndexes();
+  if (dropped.length) {
+    console.log(`🗑️  Dropped indexes no longer declared: ${dropped.join(', ')}`);
+  }
+  console.log('✅ User indexes are up to date');
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Failed to migrate the user email index:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,34 @@
+// Recompute Company.inOffice, outOfService and visitorCount from attendance,
+// service cards and visits.
+//
+// Usage: yarn counters:rebuild [companyId]
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { rebuildCompanyCounters } = require('../services/companyCounters');
+
+const run = async () => {
+  const [company] = process.argv.slice(2);
+
+  if (company && !mongoose.isValidObjectId(company)) {
+    throw new Error(`Invalid company ID: ${company}`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/easydoor');
+
+  const rebuilt = await rebuildCompanyCounters({ company });
+
+  rebuilt.forEach(({ acronym, changes }) => {
+    const summary = Object.entries(changes)
+      .map(([field, { from, to }]) => `${field} ${from} → ${to}`)
+      .join(', ');
+    console.log(`🏢 ${acronym}: ${summary}`);
+  });
+  console.log(`✅ ${rebuilt.length} compan${rebuilt.length === 1 ? 'y' : 'ies'} corrected`);
+};
+
+run()
+  .catch(error => {
+    console.error('❌ Failed to rebuild company counters:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
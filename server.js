@@ -1,11 +1,20 @@
+require('dotenv').config();
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
-require('dotenv').config();
+const { swaggerSchemas } = require('./validators');
+const { apiLimiter } = require('./middleware/rateLimit');
+const auditContext = require('./middleware/auditContext');
+const { startOccupancyReconciliation } = require('./jobs/occupancyReconciliation');
+const { startCompanyCountersRebuild } = require('./jobs/companyCounters');
+const { startVisitApprovalExpiry } = require('./jobs/visitApprovalExpiry');
+const { startVisitSchedule } = require('./jobs/visitSchedule');
+const { startWebhookDeliveries } = require('./jobs/webhookDeliveries');
+const { startServiceCardExpiry } = require('./jobs/serviceCardExpiry');
+const { startLiveEvents } = require('./services/liveEvents');
 
 const app = express();
 const PORT = process.env.PORT || 8009;
@@ -17,6 +26,15 @@ const officeRoutes = require('./routes/officeRoutes');
 const serviceCardRoutes = require('./routes/serviceCardRoutes');
 const visitRoutes = require('./routes/visitRoutes');
 const attendanceRoutes = require('./routes/attendanceRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const kioskRoutes = require('./routes/kioskRoutes');
+const approvalRuleRoutes = require('./routes/approvalRuleRoutes');
+const visitSeriesRoutes = require('./routes/visitSeriesRoutes');
+const visitGroupRoutes = require('./routes/visitGroupRoutes');
+const watchlistRoutes = require('./routes/watchlistRoutes');
+const agreementRoutes = require('./routes/agreementRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const eventRoutes = require('./routes/eventRoutes');
 
 // Middleware
 app.use(helmet({
@@ -39,18 +57,14 @@ app.use(helmet({
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Kiosk-Key']
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
-});
-app.use(limiter);
+// Changes made while handling an API request are audited with its caller,
+// IP and route
+app.use('/api', auditContext);
 
 // Swagger configuration
 const swaggerOptions = {
@@ -78,6 +92,111 @@ const swaggerOptions = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
         },
+        kioskKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Kiosk-Key',
+          description: 'API key of a reception kiosk (see POST /api/kiosk/devices)',
+        },
+      },
+      schemas: swaggerSchemas(),
+      responses: {
+        Forbidden: {
+          description: 'Caller role is not allowed to perform this operation (see x-roles), the caller must enable 2FA (code TWO_FACTOR_SETUP_REQUIRED) or verify a second factor first (code STEP_UP_REQUIRED). Bookings and clock-ins also answer 403 when the company watchlist blocks the visitor (screening holds the recorded decision)',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  message: { type: 'string' },
+                  code: { type: 'string' },
+                  role: { type: 'string' },
+                  requiredRoles: {
+                    type: 'array',
+                    items: { type: 'string' },
+                  },
+                  screening: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        OfficeFull: {
+          description: 'The office is at capacity and its capacityPolicy rejects clock-ins',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  message: { type: 'string' },
+                  capacity: { type: 'integer' },
+                  currentOccupancy: { type: 'integer' },
+                },
+              },
+            },
+          },
+        },
+        AgreementsRequired: {
+          description: 'The visitor must first sign the agreements listed (current versions)',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  message: { type: 'string' },
+                  agreements: {
+                    type: 'array',
+                    items: { $ref: '#/components/schemas/AgreementToSign' },
+                  },
+                },
+              },
+            },
+          },
+        },
+        TooManyRequests: {
+          description: 'Rate limit or login lockout reached; retry after the given number of seconds',
+          headers: {
+            'Retry-After': {
+              schema: { type: 'integer' },
+            },
+          },
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  message: { type: 'string' },
+                  retryAfter: { type: 'integer' },
+                },
+              },
+            },
+          },
+        },
+        ValidationError: {
+          description: 'Request params, query or body failed validation',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  message: { type: 'string' },
+                  errors: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        location: { type: 'string', enum: ['params', 'query', 'body'] },
+                        field: { type: 'string' },
+                        message: { type: 'string' },
+                        type: { type: 'string' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
       },
     },
     security: [
@@ -97,6 +216,7 @@ const swaggerUiOptions = {
   swaggerOptions: {
     docExpansion: 'none',
     filter: true,
+    showExtensions: true,
     showRequestDuration: true,
     tryItOutEnabled: true,
     url: undefined,
@@ -134,16 +254,40 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/easydoor'
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ Connected to MongoDB'))
+.then(() => {
+  console.log('✅ Connected to MongoDB');
+  startOccupancyReconciliation();
+  startCompanyCountersRebuild();
+  startVisitApprovalExpiry();
+  startVisitSchedule();
+  startWebhookDeliveries();
+  startServiceCardExpiry();
+  startLiveEvents();
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Routes
+// Rate limiting: one budget per user (or per IP when anonymous) for each
+// route group, keyed on the group path (see apiLimiter). User, kiosk and event
+// routes pick their budget route by route: login, register and account emails
+// have stricter per-IP budgets and kiosks one per device (after a per-IP
+// budget of rejected keys), so neither takes from nor is throttled by the
+// general budget.
 app.use('/api/users', userRoutes);
-app.use('/api/companies', companyRoutes);
-app.use('/api/offices', officeRoutes);
-app.use('/api/service-cards', serviceCardRoutes);
-app.use('/api/visits', visitRoutes);
-app.use('/api/attendance', attendanceRoutes);
+app.use('/api/companies', apiLimiter, companyRoutes);
+app.use('/api/offices', apiLimiter, officeRoutes);
+app.use('/api/service-cards', apiLimiter, serviceCardRoutes);
+app.use('/api/visits', apiLimiter, visitRoutes);
+app.use('/api/attendance', apiLimiter, attendanceRoutes);
+app.use('/api/audit', apiLimiter, auditRoutes);
+app.use('/api/kiosk', kioskRoutes);
+app.use('/api/approval-rules', apiLimiter, approvalRuleRoutes);
+app.use('/api/visit-series', apiLimiter, visitSeriesRoutes);
+app.use('/api/visit-groups', apiLimiter, visitGroupRoutes);
+app.use('/api/watchlist', apiLimiter, watchlistRoutes);
+app.use('/api/agreements', apiLimiter, agreementRoutes);
+app.use('/api/webhooks', apiLimiter, webhookRoutes);
+app.use('/api/events', eventRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
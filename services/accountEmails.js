@@ -0,0 +1,37 @@
+const UserToken = require('../models/UserToken');
+const { sendMail } = require('./mail');
+const { appUrl, escapeHtml, greeting } = require('./templates');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES, 10) || 48 * 60;
+
+// Email a password reset link to the user
+const sendPasswordResetEmail = async (user) => {
+  const token = await UserToken.issue(user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+  const link = appUrl('/reset-password', { token });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your EasyDoor password',
+    text: `${greeting(user)}\n\nUse the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n${link}\n\nIf you did not ask for a password reset, you can ignore this email.`,
+    html: `<p>${escapeHtml(greeting(user))}</p><p>Use the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.</p><p><a href="${link}">Reset my password</a></p><p>If you did not ask for a password reset, you can ignore this email.</p>`
+  });
+};
+
+// Email an address verification link to the user
+const sendVerificationEmail = async (user) => {
+  const token = await UserToken.issue(user._id, 'email_verification', EMAIL_VERIFICATION_TTL_MINUTES);
+  const link = appUrl('/verify-email', { token });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your EasyDoor email address',
+    text: `${greeting(user)}\n\nPlease confirm your email address with the link below.\n\n${link}`,
+    html: `<p>${escapeHtml(greeting(user))}</p><p>Please confirm your email address with the link below.</p><p><a href="${link}">Verify my email</a></p>`
+  });
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
@@ -0,0 +1,118 @@
+const Visit = require('../models/Visit');
+const AgreementTemplate = require('../models/AgreementTemplate');
+const AuditLog = require('../models/AuditLog');
+const { getAuditContext } = require('../models/plugins/auditTrail');
+const { AGREEMENT_VALIDITY_DAYS } = require('../config/visits');
+
+// Agreements are resolved for whoever clocks the visitor in (a kiosk, a
+// visitor...), and visitors' past visits belong to other companies
+const UNSCOPED = { tenantScope: false };
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// What a visitor is shown before signing
+const summarize = (template) => ({
+  id: template._id,
+  kind: template.kind,
+  title: template.title,
+  body: template.body,
+  version: template.version
+});
+
+// Active templates of the visit's company, for every office or its own
+const applicableTemplates = async (visit) => {
+  const company = idOf(visit.company);
+  if (!company) return [];
+
+  return AgreementTemplate.find({
+    company,
+    office: { $in: [idOf(visit.office) || null, null] },
+    active: true
+  }).setOptions(UNSCOPED).sort({ createdAt: 1 });
+};
+
+// Whether the current version of the template was accepted for this visit,
+// or for another visit of the same visitor within the template's window
+const isAccepted = async (visit, template, now) => {
+  const days = template.validityDays === null ? AGREEMENT_VALIDITY_DAYS : template.validityDays;
+  const signed = { template: template._id, version: template.version };
+
+  return Visit.exists({
+    $or: [
+      { _id: visit._id, agreements: { $elemMatch: signed } },
+      {
+        visitor: idOf(visit.visitor),
+        agreements: { $elemMatch: { ...signed, acceptedAt: { $gte: new Date(now.getTime() - days * DAY) } } }
+      }
+    ]
+  }).setOptions(UNSCOPED);
+};
+
+// Templates the visitor still has to sign before clocking in
+const pendingAgreements = async (visit, now = new Date()) => {
+  const pending = [];
+
+  for (const template of await applicableTemplates(visit)) {
+    if (!await isAccepted(visit, template, now)) {
+      pending.push(template);
+    }
+  }
+
+  return pending;
+};
+
+// Record the visitor's signatures ([{ template, version, signerName,
+// typedName | signatureImage }]) on the visit, or return why they cannot be
+// ({ error, status }). The version must be the current one, so visitors
+// always sign the text they were shown.
+const signAgreements = async (visit, signatures) => {
+  if (!['pending', 'accepted'].includes(visit.status) || visit.clockIn) {
+    return { error: 'Agreements can only be signed before the visit starts' };
+  }
+
+  const templates = await applicableTemplates(visit);
+  const acceptedAt = new Date();
+  const by = getAuditContext().actor || null;
+  const entries = [];
+
+  for (const { template: templateId, version, signerName, typedName = null, signatureImage = null } of signatures) {
+    const template = templates.find(candidate => candidate._id.equals(templateId));
+    if (!template) {
+      return { error: `Agreement ${templateId} does not apply to this visit`, status: 400 };
+    }
+
+    if (version !== template.version) {
+      return {
+        error: `"${template.title}" was updated to version ${template.version}; sign the current version`,
+        status: 409,
+        agreements: [summarize(template)]
+      };
+    }
+
+    entries.push({ template: template._id, version, title: template.title, signerName, typedName, signatureImage, acceptedAt, by });
+  }
+
+  await Visit.updateOne({ _id: visit._id }, { $push: { agreements: { $each: entries } } });
+
+  // Signatures are left out of visit diffs, so they are recorded explicitly
+  await AuditLog.record({
+    action: 'visit.agreements_signed',
+    targetModel: 'Visit',
+    targetId: visit._id,
+    company: idOf(visit.company) || null,
+    metadata: {
+      agreements: entries.map(({ template, version, signerName }) => ({ template, version, signerName }))
+    }
+  });
+
+  return { signed: entries };
+};
+
+module.exports = {
+  summarize,
+  applicableTemplates,
+  pendingAgreements,
+  signAgreements
+};
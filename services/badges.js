@@ -0,0 +1,301 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const Visit = require('../models/Visit');
+const Company = require('../models/Company');
+const { signVisitBadgeToken, verifyVisitBadgeToken } = require('../config/tokens');
+const { BADGE_VALIDITY_HOURS } = require('../config/visits');
+const { entryWindow } = require('./visitInvitations');
+const { nextClosingTime } = require('./businessHours');
+const { fullName } = require('./templates');
+
+const HOUR = 60 * 60 * 1000;
+
+// Badge sizes (width x height, in millimetres)
+const BADGE_SIZES = {
+  a6: { width: 105, height: 148 },
+  label_62x100: { width: 62, height: 100 },
+  label_54x86: { width: 54, height: 86 },
+  label_102x76: { width: 102, height: 76 }
+};
+
+// Visits a badge can be printed for
+const BADGE_STATUSES = ['accepted', 'in_progress'];
+
+const POINTS_PER_MM = 72 / 25.4;
+// Zebra printers default to 203 dpi
+const DOTS_PER_MM = 8;
+
+const LOGO_TIMEOUT_MS = 3000;
+const LOGO_MAX_BYTES = 2 * 1024 * 1024;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Short reference printed under the QR code, for guards typing it in
+const badgeReference = (visit) => visit._id.toString().slice(-8).toUpperCase();
+
+// From clock-in (or the start of the check-in window) for
+// BADGE_VALIDITY_HOURS, but never past the office's closing time
+const badgeValidity = (visit, office) => {
+  const validFrom = visit.clockIn ? new Date(visit.clockIn) : entryWindow(visit).start;
+  let validUntil = new Date(validFrom.getTime() + BADGE_VALIDITY_HOURS * HOUR);
+
+  if (office && office.schedule) {
+    const closing = nextClosingTime(validFrom, office.schedule);
+    if (closing < validUntil) {
+      validUntil = closing;
+    }
+  }
+
+  return { validFrom, validUntil };
+};
+
+// Two short lines ("Valid 19 Oct 2026" and "09:00 - 21:00 (Europe/Paris)"),
+// with both dates when the window spans midnight
+const formatValidity = ({ validFrom, validUntil }, timezone) => {
+  const day = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, day: 'numeric', month: 'short', year: 'numeric' });
+  const time = new Intl.DateTimeFormat('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+
+  if (day.format(validFrom) === day.format(validUntil)) {
+    return [`Valid ${day.format(validFrom)}`, `${time.format(validFrom)} - ${time.format(validUntil)} (${timezone})`];
+  }
+
+  return [
+    `Valid from ${day.format(validFrom)} ${time.format(validFrom)}`,
+    `to ${day.format(validUntil)} ${time.format(validUntil)} (${timezone})`
+  ];
+};
+
+// The company logo as PNG or JPEG (the formats PDFs embed), or null when it
+// cannot be fetched in time; badges are printed without it then
+const fetchLogo = async (url) => {
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(LOGO_TIMEOUT_MS) });
+    if (!response.ok) return null;
+
+    const image = Buffer.from(await response.arrayBuffer());
+    if (image.length > LOGO_MAX_BYTES) return null;
+
+    const isPng = image.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    const isJpeg = image[0] === 0xff && image[1] === 0xd8;
+    return isPng || isJpeg ? image : null;
+  } catch (logoError) {
+    return null;
+  }
+};
+
+// What is printed on the badge, in order
+const badgeLines = (visit, { company, office, template, validity }) => {
+  const timezone = (office && office.schedule && office.schedule.timezone) || 'UTC';
+
+  return [
+    template.showHost && visit.employee ? `Host: ${fullName(visit.employee)}` : null,
+    company ? `Company: ${company.fullName}` : null,
+    template.showOffice && office ? `Office: ${office.name}` : null,
+    template.showReason && visit.reason ? `Reason: ${visit.reason}` : null,
+    ...formatValidity(validity, timezone)
+  ].filter(Boolean);
+};
+
+const renderPdf = async (visit, { company, office, template, size, code, validity }) => {
+  const points = (mm) => mm * POINTS_PER_MM;
+  const width = points(size.width);
+  const height = points(size.height);
+  const landscape = width > height;
+  const margin = Math.min(width, height) * 0.06;
+  const contentWidth = width - 2 * margin;
+
+  const logo = template.showLogo && company && company.logoUrl ? await fetchLogo(company.logoUrl) : null;
+  const qrCode = await QRCode.toBuffer(code, { margin: 1 });
+
+  const doc = new PDFDocument({ size: [width, height], margin: 0, info: { Title: `Visitor badge ${badgeReference(visit)}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  // Header band
+  const bandHeight = height * (landscape ? 0.16 : 0.11);
+  doc.rect(0, 0, width, bandHeight).fill(template.accentColor);
+  doc.fillColor('#FFFFFF').font('Helvetica-Bold').fontSize(bandHeight * 0.5)
+    .text(template.title, margin, bandHeight * 0.27, { width: contentWidth, align: 'center', lineBreak: false });
+
+  // The QR code sits on the right of landscape labels and below the text otherwise
+  const preferredQrSize = landscape
+    ? Math.min(height - bandHeight - 3 * margin, width * 0.38)
+    : Math.min(contentWidth * 0.55, height * 0.3);
+  const textWidth = landscape ? contentWidth - preferredQrSize - margin : contentWidth;
+  const align = landscape ? 'left' : 'center';
+  const footerSize = Math.min(width, height) * 0.04;
+  const footerTop = height - margin - footerSize * 1.2;
+
+  let y = bandHeight + margin;
+
+  if (logo) {
+    const logoHeight = height * 0.08;
+    doc.image(logo, margin, y, { fit: [textWidth, logoHeight], align });
+    y += logoHeight + margin * 0.5;
+  }
+
+  // One line each, shortened with an ellipsis, so the layout never shifts
+  const line = (text, fontSize) => {
+    doc.fontSize(fontSize).text(text, margin, y, { width: textWidth, height: fontSize * 1.2, align, ellipsis: true });
+    y += fontSize * 1.3;
+  };
+
+  // Visitor name, shrunk to fit
+  const name = fullName(visit.visitor) || 'Visitor';
+  let nameSize = Math.min(width, height) * 0.1;
+  doc.font('Helvetica-Bold');
+  while (nameSize > 8 && doc.fontSize(nameSize).widthOfString(name) > textWidth) {
+    nameSize -= 1;
+  }
+  doc.fillColor('#000000');
+  line(name, nameSize);
+  y += nameSize * 0.2;
+
+  const detailSize = Math.min(width, height) * 0.042;
+  doc.font('Helvetica').fillColor('#333333');
+  badgeLines(visit, { company, office, template, validity }).forEach(text => line(text, detailSize));
+
+  // Below the text, the QR code shrinks to the room left above the footer
+  const qrBottom = footerTop - detailSize * 1.6;
+  const qrSize = landscape ? preferredQrSize : Math.min(preferredQrSize, qrBottom - y - margin * 0.5);
+  const qrLeft = landscape ? width - margin - qrSize : (width - qrSize) / 2;
+  const qrTop = landscape ? bandHeight + margin : qrBottom - qrSize;
+  doc.image(qrCode, qrLeft, qrTop, { width: qrSize });
+  doc.font('Helvetica-Bold').fontSize(detailSize).fillColor('#000000')
+    .text(badgeReference(visit), qrLeft, qrTop + qrSize + detailSize * 0.2, { width: qrSize, align: 'center', lineBreak: false });
+
+  if (template.footer) {
+    doc.font('Helvetica-Oblique').fontSize(footerSize).fillColor('#555555')
+      .text(template.footer, margin, footerTop, { width: contentWidth, align: 'center', lineBreak: false, ellipsis: true });
+  }
+
+  doc.end();
+  return done;
+};
+
+// ZPL field data, with ^ and ~ hex-escaped (see ^FH)
+const zplText = (text) => text.replace(/[_^~]/g, char => `_${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Label printer commands (ZPL II, 203 dpi). Logos are left out: label
+// printers need them converted to their own graphic format.
+const renderZpl = (visit, { company, office, template, size, code, validity }) => {
+  const dots = (mm) => Math.round(mm * DOTS_PER_MM);
+  const width = dots(size.width);
+  const height = dots(size.height);
+  const landscape = width > height;
+  const margin = dots(3);
+  const qrMagnification = Math.min(width, height) >= dots(60) ? 4 : 3;
+  const qrSize = qrMagnification * 61;
+  const textWidth = landscape ? width - qrSize - 3 * margin : width - 2 * margin;
+  const nameHeight = dots(Math.min(size.width, size.height) * 0.09);
+  const detailHeight = dots(Math.min(size.width, size.height) * 0.05);
+
+  const commands = ['^XA', '^CI28', `^PW${width}`, `^LL${height}`];
+  const field = (x, y, fontHeight, text, blockWidth) => commands.push(
+    `^FO${x},${y}^A0N,${fontHeight},${fontHeight}^FB${blockWidth},1,0,${landscape ? 'L' : 'C'}^FH^FD${zplText(text)}^FS`
+  );
+
+  // The title is printed in reverse (white on black), as the band of PDF badges
+  const bandHeight = Math.round(height * (landscape ? 0.16 : 0.11));
+  commands.push(`^FO0,0^GB${width},${bandHeight},${bandHeight}^FS`);
+  commands.push(`^FO${margin},${Math.round(bandHeight * 0.25)}^A0N,${Math.round(bandHeight * 0.55)},${Math.round(bandHeight * 0.55)}^FB${width - 2 * margin},1,0,C^FR^FH^FD${zplText(template.title)}^FS`);
+
+  let y = bandHeight + margin;
+  field(margin, y, nameHeight, fullName(visit.visitor) || 'Visitor', textWidth);
+  y += Math.round(nameHeight * 1.4);
+
+  badgeLines(visit, { company, office, template, validity }).forEach(line => {
+    field(margin, y, detailHeight, line, textWidth);
+    y += Math.round(detailHeight * 1.3);
+  });
+
+  const footerTop = height - margin - detailHeight;
+  const qrLeft = landscape ? width - margin - qrSize : Math.round((width - qrSize) / 2);
+  const qrTop = landscape ? bandHeight + margin : Math.max(y, footerTop - qrSize - 2 * detailHeight);
+  commands.push(`^FO${qrLeft},${qrTop}^BQN,2,${qrMagnification}^FDQA,${code}^FS`);
+  commands.push(`^FO${qrLeft},${qrTop + qrSize + 10}^A0N,${detailHeight},${detailHeight}^FB${qrSize},1,0,C^FD${badgeReference(visit)}^FS`);
+
+  if (template.footer) {
+    field(margin, footerTop, detailHeight, template.footer, width - 2 * margin);
+  }
+
+  commands.push('^XZ');
+  return Buffer.from(`${commands.join('\n')}\n`);
+};
+
+// Render the visitor badge of a visit (with its visitor and host populated)
+// in one of BADGE_SIZES, as a PDF or as ZPL for label printers. The QR code
+// holds a badge code valid until the end of the badge's validity window.
+const renderBadge = async (visit, { company, office, size, format = 'pdf' }) => {
+  // Visits of legacy records may have no company: print the default badge
+  const template = (company && company.badgeTemplate) || new Company().badgeTemplate;
+  const sizeName = size || template.size;
+  const validity = badgeValidity(visit, office);
+  const code = signVisitBadgeToken(visit._id.toString(), validity.validUntil);
+
+  const options = { company, office, template, size: BADGE_SIZES[sizeName], code, validity };
+  const content = format === 'zpl' ? renderZpl(visit, options) : await renderPdf(visit, options);
+
+  return { content, size: sizeName, ...validity };
+};
+
+// Whether a badge code read from a badge is still good: not expired, for a
+// visit that is accepted or under way and within the badge's validity window
+const verifyBadge = async (code, now = new Date()) => {
+  let payload;
+  try {
+    payload = verifyVisitBadgeToken(code);
+  } catch (codeError) {
+    if (codeError.name === 'TokenExpiredError') {
+      return { valid: false, reason: 'expired' };
+    }
+    return { error: 'Invalid badge code', status: 400 };
+  }
+
+  const visit = await Visit.findById(payload.visitId)
+    .populate('visitor', 'firstName lastName')
+    .populate('employee', 'firstName lastName')
+    .populate('office', 'name schedule');
+  if (!visit) {
+    return { error: 'Visit not found', status: 404 };
+  }
+
+  const { validFrom, validUntil } = badgeValidity(visit, visit.office);
+  let reason = null;
+  if (visit.status === 'completed') {
+    reason = 'visit_completed';
+  } else if (!BADGE_STATUSES.includes(visit.status)) {
+    reason = 'visit_not_active';
+  } else if (now < validFrom) {
+    reason = 'not_yet_valid';
+  } else if (now > validUntil) {
+    reason = 'expired';
+  }
+
+  return {
+    valid: !reason,
+    reason,
+    validFrom,
+    validUntil,
+    visit: {
+      id: visit._id,
+      status: visit.status,
+      visitor: fullName(visit.visitor),
+      host: visit.employee ? fullName(visit.employee) : null,
+      office: visit.office ? { id: idOf(visit.office), name: visit.office.name } : null,
+      clockIn: visit.clockIn || null
+    }
+  };
+};
+
+module.exports = {
+  BADGE_SIZES,
+  BADGE_STATUSES,
+  badgeValidity,
+  renderBadge,
+  verifyBadge
+};
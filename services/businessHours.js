@@ -0,0 +1,62 @@
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Calendar date, weekday and time of `date` in `timezone`
+const localParts = (date, timezone) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return parts;
+};
+
+// The instant the wall clock of `timezone` shows `time` (HH:mm) on the given
+// calendar day
+const atLocalTime = ({ year, month, day }, time, timezone) => {
+  const [hour, minute] = time.split(':').map(Number);
+  const wall = Date.UTC(Number(year), Number(month) - 1, Number(day), hour, minute);
+
+  // Shift by the zone's offset at that moment
+  const shown = localParts(new Date(wall), timezone);
+  const offset = Date.UTC(Number(shown.year), Number(shown.month) - 1, Number(shown.day), Number(shown.hour), Number(shown.minute)) - wall;
+  return new Date(wall - offset);
+};
+
+// Calendar day (YYYY-MM-DD) of `date` in `timezone`
+const localDate = (date, timezone) => {
+  const { year, month, day } = localParts(date, timezone);
+  return `${year}-${month}-${day}`;
+};
+
+// Whether `date` falls outside the given business hours, in their time zone
+const isOutsideBusinessHours = (date, { days, start, end, timezone }) => {
+  const parts = localParts(date, timezone);
+  const time = `${parts.hour}:${parts.minute}`;
+  return !days.includes(WEEKDAYS.indexOf(parts.weekday)) || time < start || time >= end;
+};
+
+// The first closing time (`end`, in the hours' time zone) after `date`
+const nextClosingTime = (date, { end, timezone }) => {
+  const closing = atLocalTime(localParts(date, timezone), end, timezone);
+  if (closing > date) return closing;
+
+  return atLocalTime(localParts(new Date(date.getTime() + DAY), timezone), end, timezone);
+};
+
+module.exports = {
+  localParts,
+  localDate,
+  atLocalTime,
+  isOutsideBusinessHours,
+  nextClosingTime
+};
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
+const Attendance = require('../models/Attendance');
+const ServiceCard = require('../models/ServiceCard');
+const Visit = require('../models/Visit');
+
+// Counters span every record of a company whoever triggers the change, so
+// their source records are never tenant-scoped
+const UNSCOPED = { tenantScope: false };
+
+// Whether the server supports transactions, checked once per process
+let transactionSupport = null;
+
+// Transactions need a replica set member or a mongos. Asked of the server
+// before the first write rather than learnt from a failed transaction, whose
+// writes may already have partly applied.
+const supportsTransactions = () => {
+  if (!transactionSupport) {
+    transactionSupport = mongoose.connection.asPromise()
+      .then(connection => connection.db.admin().command({ hello: 1 }))
+      .then(({ setName, msg }) => {
+        const supported = Boolean(setName) || msg === 'isdbgrid';
+        if (!supported) {
+          console.warn('⚠️  MongoDB does not support transactions (no replica set), company counters are updated without them');
+        }
+        return supported;
+      })
+      .catch((error) => {
+        // Asked again next time
+        transactionSupport = null;
+        throw error;
+      });
+  }
+  return transactionSupport;
+};
+
+// Run `fn(session)` in a transaction so a record and the company counters it
+// feeds are written together. Transactions need a replica set; on a
+// standalone server the writes run without one (session null) and the
+// rebuild command corrects any drift.
+const inTransaction = async (fn) => {
+  if (!(await supportsTransactions())) {
+    return fn(null);
+  }
+
+  let result;
+  await mongoose.connection.transaction(async (session) => {
+    result = await fn(session);
+  });
+  return result;
+};
+
+// Add or remove an employee clocked in at one of the company's offices
+const setInOffice = (attendance, inside, session) => {
+  if (!attendance.company || attendance.workingFrom !== 'office') return null;
+
+  const update = inside
+    ? { $addToSet: { inOffice: attendance.employee } }
+    : { $pull: { inOffice: attendance.employee } };
+
+  return Company.updateOne({ _id: attendance.company }, update).session(session);
+};
+
+// Count completed visits in (or out of) the host company, never below zero
+const addVisitors = (visit, count, session) => {
+  if (!visit.company) return null;
+
+  return Company.updateOne(
+    { _id: visit.company, visitorCount: { $gte: -count } },
+    { $inc: { visitorCount: count } }
+  ).session(session);
+};
+
+// Save a new attendance session; employees clocking in at an office join
+// their company's inOffice list
+const startAttendance = (attendance) => inTransaction(async (session) => {
+  await attendance.save({ session });
+  await setInOffice(attendance, true, session);
+  return attendance;
+});
+
+// Clock an attendance session out and leave the company's inOffice list
+const endAttendance = (attendance) => inTransaction(async (session) => {
+  attendance.clockOut = attendance.clockOut || new Date();
+  await attendance.save({ session });
+  await setInOffice(attendance, false, session);
+  return attendance;
+});
+
+// Clock a visitor out and complete the visit, counting it in the host
+// company's visitorCount
+const completeVisit = (visit) => inTransaction(async (session) => {
+  visit.clockOut = visit.clockOut || new Date();
+  visit.status = 'completed';
+  await visit.save({ session });
+
+  await addVisitors(visit, 1, session);
+  return visit;
+});
+
+// Take a deleted attendance session or visit out of the counters
+const discardAttendance = async (attendance) => {
+  if (attendance.isActive) {
+    await setInOffice(attendance, false, null);
+  }
+};
+
+const discardVisit = async (visit) => {
+  if (visit.status === 'completed') {
+    await addVisitors(visit, -1, null);
+  }
+};
+
+// Active, unexpired cards for the company
+const validCardFilter = (company) => ({
+  company,
+  isActive: true,
+  expireAt: { $gt: new Date() }
+});
+
+// Put a company member in or out of the company's outOfService list,
+// depending on whether they hold a valid service card for it
+const syncServiceStatus = async (user, company) => {
+  const valid = await ServiceCard.exists({ ...validCardFilter(company), user }).setOptions(UNSCOPED);
+
+  if (valid) {
+    await Company.updateOne({ _id: company }, { $pull: { outOfService: user } });
+  } else {
+    // Only members of the company can be out of its service
+    await Company.updateOne(
+      { _id: company, $or: [{ admin: user }, { employee: user }] },
+      { $addToSet: { outOfService: user } }
+    );
+  }
+};
+
+const sameIds = (a, b) => {
+  const ids = new Set(a.map(String));
+  return ids.size === new Set(b.map(String)).size && b.every(id => ids.has(String(id)));
+};
+
+// Recompute one company's counters from its source records, reading and
+// writing in a single transaction so concurrent updates are not overwritten
+const rebuildCompany = (companyId) => inTransaction(async (session) => {
+  const company = await Company.findById(companyId).session(session);
+  if (!company) return null;
+
+  const inOffice = await Attendance.distinct('employee', { company: company._id, isActive: true, workingFrom: 'office' })
+    .setOptions(UNSCOPED)
+    .session(session);
+
+  const cardHolders = await ServiceCard.distinct('user', validCardFilter(company._id))
+    .setOptions(UNSCOPED)
+    .session(session);
+
+  const visitorCount = await Visit.countDocuments({ company: company._id, status: 'completed' })
+    .setOptions(UNSCOPED)
+    .session(session);
+
+  const holders = new Set(cardHolders.map(String));
+  const members = [...new Map([...company.admin, ...company.employee].map(id => [String(id), id])).values()];
+  const outOfService = members.filter(id => !holders.has(String(id)));
+
+  const changes = {};
+  if (!sameIds(company.inOffice, inOffice)) {
+    changes.inOffice = { from: company.inOffice.length, to: inOffice.length };
+  }
+  if (!sameIds(company.outOfService, outOfService)) {
+    changes.outOfService = { from: company.outOfService.length, to: outOfService.length };
+  }
+  if (company.visitorCount !== visitorCount) {
+    changes.visitorCount = { from: company.visitorCount, to: visitorCount };
+  }
+
+  if (!Object.keys(changes).length) return null;
+
+  await Company.updateOne({ _id: company._id }, { inOffice, outOfService, visitorCount }).session(session);
+
+  return { company: company._id, acronym: company.acronym, changes };
+});
+
+// Recompute inOffice (active office attendance), outOfService (members
+// without a valid service card) and visitorCount (completed visits) for one
+// or every company. Returns the companies whose counters changed, with the
+// sizes before and after.
+const rebuildCompanyCounters = async ({ company = null } = {}) => {
+  const companies = await Company.find(company ? { _id: company } : {}).select('_id');
+  const rebuilt = [];
+
+  for (const { _id } of companies) {
+    const result = await rebuildCompany(_id);
+    if (result) {
+      rebuilt.push(result);
+    }
+  }
+
+  return rebuilt;
+};
+
+module.exports = {
+  inTransaction,
+  startAttendance,
+  endAttendance,
+  completeVisit,
+  discardAttendance,
+  discardVisit,
+  syncServiceStatus,
+  rebuildCompanyCounters
+};
@@ -0,0 +1,64 @@
+const idOf = (value) => (value && value._id ? value._id : value);
+const idString = (value) => (value ? idOf(value).toString() : null);
+
+// What events (webhooks, live stream) tell about each kind of record. Ids are
+// sent rather than populated records; clients read what else they need.
+const describers = {
+  Visit: (visit) => ({
+    visit: {
+      id: idString(visit),
+      status: visit.status,
+      company: idString(visit.company),
+      office: idString(visit.office),
+      host: idString(visit.employee),
+      visitor: idString(visit.visitor),
+      reason: visit.reason,
+      expectedClockIn: visit.expectedClockIn,
+      clockIn: visit.clockIn || null,
+      clockOut: visit.clockOut || null,
+      series: idString(visit.series),
+      group: idString(visit.group)
+    }
+  }),
+  Attendance: (attendance) => ({
+    attendance: {
+      id: idString(attendance),
+      employee: idString(attendance.employee),
+      company: idString(attendance.company),
+      office: idString(attendance.office),
+      workingFrom: attendance.workingFrom,
+      clockIn: attendance.clockIn,
+      clockOut: attendance.clockOut || null,
+      duration: attendance.duration || null
+    }
+  }),
+  Office: (office) => ({
+    office: {
+      id: idString(office),
+      company: idString(office.company),
+      currentOccupancy: office.currentOccupancy,
+      capacity: office.capacity
+    }
+  }),
+  ServiceCard: (card) => ({
+    serviceCard: {
+      id: idString(card),
+      user: idString(card.user),
+      company: idString(card.company),
+      cardNumber: card.cardNumber,
+      position: card.position,
+      issueAt: card.issueAt,
+      expireAt: card.expireAt,
+      isActive: card.isActive,
+      status: card.status,
+      replaces: idString(card.replaces)
+    }
+  })
+};
+
+// Event data about a visit, attendance session, office or service card
+const eventData = (record) => describers[record.constructor.modelName](record);
+
+module.exports = {
+  eventData
+};
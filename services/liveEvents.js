@@ -0,0 +1,156 @@
+const { EventEmitter } = require('events');
+const LiveEvent = require('../models/LiveEvent');
+const Visit = require('../models/Visit');
+const { eventData } = require('./eventData');
+
+// Wait before following the bus again after its cursor closed or failed
+const RETRY_MS = 1000;
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Events read from the bus, to the streams open on this instance
+const local = new EventEmitter();
+local.setMaxListeners(0);
+
+const toMessage = (doc) => ({
+  id: doc._id.toString(),
+  type: doc.type,
+  company: doc.company ? doc.company.toString() : null,
+  office: doc.office ? doc.office.toString() : null,
+  data: doc.data,
+  createdAt: doc.createdAt
+});
+
+// Publish a change of a visit, attendance session or office to the live
+// streams of every instance. Failures are logged, never thrown: the stream is
+// a convenience, the change is already saved.
+const publish = async (type, record) => {
+  try {
+    const isOffice = record.constructor.modelName === 'Office';
+
+    await LiveEvent.create({
+      type,
+      company: idOf(record.company) || null,
+      office: isOffice ? record._id : idOf(record.office) || null,
+      data: eventData(record)
+    });
+  } catch (publishError) {
+    console.error(`❌ Failed to publish ${type} live event:`, publishError.message);
+  }
+};
+
+// Id of the last event passed on to local streams (null to pass on every
+// event kept), once the instance knows where to start. Events are followed in
+// insertion order, which ObjectIds from several instances do not follow.
+let lastId = null;
+let positioned = false;
+let following = false;
+
+// Follow the bus from just after `lastId` until its cursor closes
+const follow = async () => {
+  if (lastId && !(await LiveEvent.exists({ _id: lastId }))) {
+    // The capped collection rolled over while the cursor was down
+    console.error('❌ Live events were missed, streams resume from the newest one');
+    positioned = false;
+  }
+
+  if (!positioned) {
+    const newest = await LiveEvent.findOne().sort({ $natural: -1 }).select('_id').lean();
+    lastId = newest ? newest._id : null;
+    positioned = true;
+  }
+
+  const cursor = LiveEvent.collection.find({}, { tailable: true, awaitData: true });
+  let caughtUp = !lastId;
+
+  try {
+    for await (const doc of cursor) {
+      if (caughtUp) {
+        lastId = doc._id;
+        local.emit('event', toMessage(doc));
+      } else if (doc._id.equals(lastId)) {
+        caughtUp = true;
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+};
+
+// Pass the events of every instance on to the streams open on this one. A
+// tailable cursor over an empty collection closes right away, so the bus is
+// followed again until the first event comes.
+const startLiveEvents = () => {
+  if (following) return;
+  following = true;
+
+  (async () => {
+    for (;;) {
+      try {
+        await follow();
+      } catch (followError) {
+        console.error('❌ Failed to follow live events:', followError.message);
+      }
+      await new Promise(resolve => setTimeout(resolve, RETRY_MS).unref());
+    }
+  })();
+};
+
+// Events published after the one with id `since`, oldest first. Returns null
+// when it is no longer kept.
+const eventsSince = async (since) => {
+  const docs = await LiveEvent.find().sort({ $natural: 1 }).lean();
+  const index = docs.findIndex(doc => doc._id.toString() === since);
+  return index === -1 ? null : docs.slice(index + 1).map(toMessage);
+};
+
+// Call `listener(message)` for every event published from now on, after the
+// events published since the event with id `since` when given (reconnecting
+// streams). `onMissed` is called instead of the replay when those events are
+// no longer kept. Returns the function ending the subscription.
+const subscribe = async (listener, { since = null, onMissed = () => {} } = {}) => {
+  if (!since) {
+    local.on('event', listener);
+    return () => local.off('event', listener);
+  }
+
+  // Events coming while the missed ones are read wait for them
+  const waiting = [];
+  const hold = (message) => waiting.push(message);
+  local.on('event', hold);
+
+  // This instance may pass on events the replay already sent, until it
+  // catches up with the bus
+  let sent = new Set();
+  const forward = (message) => {
+    if (sent.has(message.id)) return;
+    sent = new Set();
+    listener(message);
+  };
+
+  try {
+    const missed = await eventsSince(since);
+    if (missed) {
+      missed.forEach(listener);
+      sent = new Set(missed.map(message => message.id));
+    } else {
+      onMissed();
+    }
+
+    waiting.forEach(forward);
+    local.on('event', forward);
+  } finally {
+    local.off('event', hold);
+  }
+
+  return () => local.off('event', forward);
+};
+
+// Every status change of a visit, whoever made it
+Visit.onTransition(visit => publish('visit.status', visit));
+
+module.exports = {
+  publish,
+  subscribe,
+  startLiveEvents
+};
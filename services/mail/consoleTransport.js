@@ -0,0 +1,10 @@
+// Prints each message to stdout, for local development
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return {};
+  }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,21 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Writes each message as a JSON file in MAIL_FILE_DIR, for local development
+// and tests
+const createFileTransport = () => {
+  const directory = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', '..', 'tmp', 'mail');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}.json`;
+      const filePath = path.join(directory, fileName);
+      await fs.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+      return { filePath };
+    }
+  };
+};
+
+module.exports = createFileTransport;
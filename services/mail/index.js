@@ -0,0 +1,41 @@
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+
+// Available transports, selected with MAIL_TRANSPORT (default: console)
+const transports = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Replace the active transport, e.g. with a custom one ({ name, send })
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send a message ({ to, subject, text, html })
+const sendMail = (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'EasyDoor <no-reply@easydoor.local>',
+    ...message
+  });
+};
+
+module.exports = {
+  sendMail,
+  setTransport
+};
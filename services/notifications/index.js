@@ -0,0 +1,93 @@
+const { sendMail } = require('../mail');
+const { sendSms } = require('../sms');
+const { sendPush } = require('../push');
+const { escapeHtml } = require('../templates');
+const { renderMessage } = require('./messages');
+const { checkPublicUrl } = require('../outboundUrls');
+
+// Users who never chose are notified by email and push
+const DEFAULT_CHANNELS = ['email', 'push'];
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// How each channel reaches a user: `address` is where (or null when the user
+// cannot be reached on it), `send` delivers a rendered notification
+const channels = {
+  push: {
+    address: (user) => user.playerId || null,
+    send: (to, { event, title, body, data }) => sendPush({ to, title, body, data: { ...data, event } })
+  },
+  email: {
+    address: (user) => user.email || null,
+    send: (to, { title, body, greeting }) => sendMail({
+      to,
+      subject: title,
+      text: `${greeting}\n\n${body}`,
+      html: `<p>${escapeHtml(greeting)}</p><p>${escapeHtml(body)}</p>`
+    })
+  },
+  sms: {
+    address: (user) => user.phone || null,
+    send: (to, { body }) => sendSms({ to, text: body })
+  },
+  // Posted as JSON to the URL the user registered (a chat integration, their
+  // own automation...)
+  webhook: {
+    address: (user) => (user.notificationPreferences && user.notificationPreferences.webhookUrl) || null,
+    send: async (to, { event, title, body, language, data }) => {
+      const { error } = await checkPublicUrl(to);
+      if (error) {
+        throw new Error(error);
+      }
+
+      const response = await fetch(to, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ event, title, body, language, data, sentAt: new Date() }),
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+
+      if (!response.ok) {
+        throw new Error(`Webhook answered ${response.status}`);
+      }
+    }
+  }
+};
+
+// The channels the user chose to be notified of `event` on
+const channelsFor = (user, event) => {
+  const preferences = user.notificationPreferences || {};
+  if ((preferences.mutedEvents || []).includes(event)) return [];
+  return preferences.channels || DEFAULT_CHANNELS;
+};
+
+// Notify a user of `event` as `role` (host, visitor...) on every channel they
+// chose and can be reached on, in their language (User.languageCode). `data`
+// fills the message (see ./messages.js) and is sent along to push and
+// webhook channels. Failures are logged per channel, never thrown. Returns the
+// channels the notification was sent on.
+const notify = async (user, event, { role, data = {}, text = {} }) => {
+  const message = renderMessage(event, role, user, text);
+  if (!message) return [];
+
+  const sent = [];
+
+  for (const channel of channelsFor(user, event)) {
+    const to = channels[channel].address(user);
+    if (!to) continue;
+
+    try {
+      await channels[channel].send(to, { ...message, event, data });
+      sent.push(channel);
+    } catch (sendError) {
+      console.error(`❌ Failed to send ${channel} notification:`, sendError.message);
+    }
+  }
+
+  return sent;
+};
+
+module.exports = {
+  notify
+};
@@ -0,0 +1,200 @@
+// Notification texts by language and event, for each recipient role. Every
+// template receives:
+//   visitor   - visitor name (or group name and size)
+//   host      - host name
+//   when      - expected arrival, formatted in the recipient's language
+//   recurring - whether `when` starts a recurring visit series
+//   office    - office name or null
+//   reason    - reason of the visit
+//   note      - cancellation reason or null
+// and about service cards:
+//   holder     - card holder name
+//   company    - company name
+//   cardNumber - card number
+//   on         - expiry date, formatted in the recipient's language
+//   days       - days left before expiry
+
+const DEFAULT_LANGUAGE = 'en';
+
+const MESSAGES = {
+  en: {
+    greeting: (firstName) => (firstName ? `Hello ${firstName},` : 'Hello,'),
+    visit_requested: {
+      host: ({ visitor, when, recurring, office }) => ({
+        title: 'New visit request',
+        body: `${visitor} has been booked to visit you ${recurring ? `from ${when} (recurring)` : `on ${when}`}${office ? ` at ${office}` : ''}.`
+      })
+    },
+    visit_accepted: {
+      host: ({ visitor, when, recurring }) => ({
+        title: 'Visit confirmed',
+        body: `The visit of ${visitor} ${recurring ? `from ${when} (recurring)` : `on ${when}`} is confirmed.`
+      }),
+      visitor: ({ host, when, recurring, office }) => ({
+        title: 'Visit accepted',
+        body: `Your visit to ${host} ${recurring ? `from ${when} (recurring)` : `on ${when}`}${office ? ` at ${office}` : ''} was accepted.`
+      })
+    },
+    visit_cancelled: {
+      host: ({ visitor, when, recurring, note }) => ({
+        title: 'Visit cancelled',
+        body: `The visit of ${visitor} ${recurring ? `from ${when} (recurring)` : `on ${when}`} was cancelled.${note ? ` Reason: ${note}` : ''}`
+      }),
+      visitor: ({ host, when, recurring, note }) => ({
+        title: 'Visit cancelled',
+        body: `Your visit to ${host} ${recurring ? `from ${when} (recurring)` : `on ${when}`} was cancelled.${note ? ` Reason: ${note}` : ''}`
+      })
+    },
+    visitor_arrived: {
+      host: ({ visitor, office, reason }) => ({
+        title: `${visitor} has arrived`,
+        body: `${visitor} has checked in${office ? ` at ${office}` : ''} to see you. Reason: ${reason}`
+      })
+    },
+    visitor_left: {
+      host: ({ visitor, office }) => ({
+        title: `${visitor} has left`,
+        body: `${visitor} has checked out${office ? ` of ${office}` : ''}.`
+      })
+    },
+    service_card_expiring: {
+      holder: ({ company, cardNumber, on, days }) => ({
+        title: 'Your service card expires soon',
+        body: `Your ${company} service card ${cardNumber} expires on ${on}, in ${days} day${days > 1 ? 's' : ''}. Ask your company to renew it.`
+      }),
+      admin: ({ holder, cardNumber, on, days }) => ({
+        title: 'Service card expires soon',
+        body: `The service card ${cardNumber} of ${holder} expires on ${on}, in ${days} day${days > 1 ? 's' : ''}.`
+      })
+    },
+    service_card_expired: {
+      holder: ({ company, cardNumber }) => ({
+        title: 'Your service card expired',
+        body: `Your ${company} service card ${cardNumber} expired and no longer opens doors. Ask your company to renew it.`
+      }),
+      admin: ({ holder, cardNumber }) => ({
+        title: 'Service card expired',
+        body: `The service card ${cardNumber} of ${holder} expired and was deactivated.`
+      })
+    },
+    test: {
+      self: () => ({
+        title: 'Test notification',
+        body: 'Your EasyDoor notifications reach you on this channel.'
+      })
+    }
+  },
+  fr: {
+    greeting: (firstName) => (firstName ? `Bonjour ${firstName},` : 'Bonjour,'),
+    visit_requested: {
+      host: ({ visitor, when, recurring, office }) => ({
+        title: 'Nouvelle demande de visite',
+        body: `${visitor} a réservé une visite chez vous ${recurring ? `à partir du ${when} (récurrente)` : `le ${when}`}${office ? ` à ${office}` : ''}.`
+      })
+    },
+    visit_accepted: {
+      host: ({ visitor, when, recurring }) => ({
+        title: 'Visite confirmée',
+        body: `La visite de ${visitor} ${recurring ? `à partir du ${when} (récurrente)` : `le ${when}`} est confirmée.`
+      }),
+      visitor: ({ host, when, recurring, office }) => ({
+        title: 'Visite acceptée',
+        body: `Votre visite chez ${host} ${recurring ? `à partir du ${when} (récurrente)` : `le ${when}`}${office ? ` à ${office}` : ''} a été acceptée.`
+      })
+    },
+    visit_cancelled: {
+      host: ({ visitor, when, recurring, note }) => ({
+        title: 'Visite annulée',
+        body: `La visite de ${visitor} ${recurring ? `à partir du ${when} (récurrente)` : `le ${when}`} a été annulée.${note ? ` Motif : ${note}` : ''}`
+      }),
+      visitor: ({ host, when, recurring, note }) => ({
+        title: 'Visite annulée',
+        body: `Votre visite chez ${host} ${recurring ? `à partir du ${when} (récurrente)` : `le ${when}`} a été annulée.${note ? ` Motif : ${note}` : ''}`
+      })
+    },
+    visitor_arrived: {
+      host: ({ visitor, office, reason }) => ({
+        title: `${visitor} est arrivé(e)`,
+        body: `${visitor} s'est présenté(e)${office ? ` à ${office}` : ''} pour vous voir. Motif : ${reason}`
+      })
+    },
+    visitor_left: {
+      host: ({ visitor, office }) => ({
+        title: `${visitor} est parti(e)`,
+        body: `${visitor} a quitté${office ? ` ${office}` : ' les lieux'}.`
+      })
+    },
+    service_card_expiring: {
+      holder: ({ company, cardNumber, on, days }) => ({
+        title: 'Votre carte de service expire bientôt',
+        body: `Votre carte de service ${company} ${cardNumber} expire le ${on}, dans ${days} jour${days > 1 ? 's' : ''}. Demandez à votre entreprise de la renouveler.`
+      }),
+      admin: ({ holder, cardNumber, on, days }) => ({
+        title: 'Carte de service bientôt expirée',
+        body: `La carte de service ${cardNumber} de ${holder} expire le ${on}, dans ${days} jour${days > 1 ? 's' : ''}.`
+      })
+    },
+    service_card_expired: {
+      holder: ({ company, cardNumber }) => ({
+        title: 'Votre carte de service a expiré',
+        body: `Votre carte de service ${company} ${cardNumber} a expiré et n'ouvre plus les portes. Demandez à votre entreprise de la renouveler.`
+      }),
+      admin: ({ holder, cardNumber }) => ({
+        title: 'Carte de service expirée',
+        body: `La carte de service ${cardNumber} de ${holder} a expiré et a été désactivée.`
+      })
+    },
+    test: {
+      self: () => ({
+        title: 'Notification de test',
+        body: 'Vos notifications EasyDoor vous parviennent sur ce canal.'
+      })
+    }
+  }
+};
+
+// "fr-CD" and "FR" use the French texts; unknown languages fall back to English
+const resolveLanguage = (languageCode) => {
+  const language = (languageCode || '').toLowerCase().split(/[-_]/)[0];
+  return MESSAGES[language] ? language : DEFAULT_LANGUAGE;
+};
+
+// Dates are written the recipient's way, in the office time zone
+const formatWhen = (date, language, timezone) => new Intl.DateTimeFormat(language, {
+  timeZone: timezone,
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZoneName: 'short'
+}).format(date);
+
+// Days (expiry dates) are written without a time
+const formatDay = (date, language, timezone) => new Intl.DateTimeFormat(language, {
+  timeZone: timezone,
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric'
+}).format(date);
+
+// Title, body and email greeting of the notification of `event` for `user`
+// as `role`, in their language, or null when that role is not told of the
+// event
+const renderMessage = (event, role, user, data = {}) => {
+  const language = resolveLanguage(user.languageCode);
+  const template = MESSAGES[language][event] && MESSAGES[language][event][role];
+  if (!template) return null;
+
+  const when = data.when ? formatWhen(new Date(data.when), language, data.timezone || 'UTC') : null;
+  const on = data.on ? formatDay(new Date(data.on), language, data.timezone || 'UTC') : null;
+  return {
+    language,
+    greeting: MESSAGES[language].greeting(user.firstName),
+    ...template({ ...data, when, on })
+  };
+};
+
+module.exports = {
+  renderMessage
+};
@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const Office = require('../models/Office');
+const Visit = require('../models/Visit');
+const Attendance = require('../models/Attendance');
+const User = require('../models/User');
+const OfficeQueueEntry = require('../models/OfficeQueueEntry');
+const { startAttendance } = require('./companyCounters');
+const { notifyVisitEvent } = require('./visitNotifications');
+const { emitEvent } = require('./webhooks');
+const { publish } = require('./liveEvents');
+
+// Occupancy is shared by every company user entering the office, so counts
+// are never tenant-scoped
+const UNSCOPED = { tenantScope: false };
+
+// Take one spot if the office has room. Atomic: two clock-ins racing for
+// the last spot cannot both get it.
+const reserveSpot = async (officeId) => {
+  const office = await Office.findOneAndUpdate(
+    { _id: officeId, $expr: { $lt: ['$currentOccupancy', '$capacity'] } },
+    { $inc: { currentOccupancy: 1 } },
+    { new: true }
+  ).setOptions(UNSCOPED);
+
+  if (office) {
+    await publish('office.occupancy', office);
+  }
+  return office;
+};
+
+const freeSpot = async (officeId) => {
+  const office = await Office.findOneAndUpdate(
+    { _id: officeId, currentOccupancy: { $gt: 0 } },
+    { $inc: { currentOccupancy: -1 } },
+    { new: true }
+  ).setOptions(UNSCOPED);
+
+  if (office) {
+    await publish('office.occupancy', office);
+  }
+};
+
+// Take a spot for someone clocking in. Returns { office } when they can
+// enter, or { full: true, office } when the office is at capacity; offices
+// that queue arrivals also keep freed spots for the people already waiting.
+const occupySpot = async (officeId) => {
+  const office = await Office.findById(officeId).setOptions(UNSCOPED);
+  if (!office) {
+    throw new Error('Office not found');
+  }
+
+  if (office.capacityPolicy === 'queue') {
+    const waiting = await OfficeQueueEntry.exists({ office: office._id, status: 'waiting' }).setOptions(UNSCOPED);
+    if (waiting) {
+      return { full: true, office };
+    }
+  }
+
+  const reserved = await reserveSpot(office._id);
+  return reserved ? { office: reserved } : { full: true, office };
+};
+
+// Put a clock-in refused for capacity on the office's waiting queue.
+// Returns the entry and its position (1 is next).
+const enqueue = async (office, { visit = null, employee = null }) => {
+  const owner = visit ? { kind: 'visit', visit } : { kind: 'attendance', employee };
+
+  let entry = await OfficeQueueEntry.findOne({ ...owner, status: 'waiting' }).setOptions(UNSCOPED);
+  if (!entry) {
+    entry = await OfficeQueueEntry.create({ ...owner, office: office._id, company: office.company });
+  }
+
+  const position = await OfficeQueueEntry.countDocuments({
+    office: entry.office,
+    status: 'waiting',
+    createdAt: { $lte: entry.createdAt }
+  }).setOptions(UNSCOPED);
+
+  return { entry, position };
+};
+
+// Clock in the person behind an admitted entry. Returns false when that is no
+// longer possible (visit cancelled, employee clocked in elsewhere).
+const admit = async (entry) => {
+  if (entry.kind === 'visit') {
+    const visit = await Visit.findOneAndUpdate(
+      { _id: entry.visit, status: 'accepted', clockIn: null },
+      { $set: { clockIn: new Date(), status: 'in_progress' } },
+      { new: true }
+    ).setOptions(UNSCOPED);
+
+    if (visit) {
+      await notifyVisitEvent('visitor_arrived', visit);
+      await emitEvent('visit.checked_in', visit);
+    }
+    return Boolean(visit);
+  }
+
+  const [employee, active] = await Promise.all([
+    User.findOne({ _id: entry.employee, active: 1 }).setOptions(UNSCOPED),
+    Attendance.exists({ employee: entry.employee, isActive: true }).setOptions(UNSCOPED)
+  ]);
+  if (!employee || active) {
+    return false;
+  }
+
+  const attendance = await startAttendance(new Attendance({
+    employee: employee._id,
+    workingFrom: 'office',
+    office: entry.office,
+    company: employee.employer
+  }));
+  await OfficeQueueEntry.updateOne({ _id: entry._id }, { attendance: attendance._id }).setOptions(UNSCOPED);
+  await emitEvent('attendance.clocked_in', attendance);
+  await publish('attendance.clocked_in', attendance);
+
+  return true;
+};
+
+// Admit people waiting for the office, first come first served, while it has
+// room. Safe to run concurrently: each entry and spot is claimed atomically.
+const admitNext = async (officeId) => {
+  const admitted = [];
+
+  for (;;) {
+    const next = await OfficeQueueEntry.findOne({ office: officeId, status: 'waiting' })
+      .sort({ createdAt: 1 })
+      .setOptions(UNSCOPED);
+    if (!next || !(await reserveSpot(officeId))) break;
+
+    const entry = await OfficeQueueEntry.findOneAndUpdate(
+      { _id: next._id, status: 'waiting' },
+      { status: 'admitted', admittedAt: new Date() },
+      { new: true }
+    ).setOptions(UNSCOPED);
+
+    if (entry && await admit(entry)) {
+      admitted.push(entry);
+      continue;
+    }
+
+    await freeSpot(officeId);
+    if (entry) {
+      await OfficeQueueEntry.updateOne({ _id: entry._id }, { status: 'cancelled' }).setOptions(UNSCOPED);
+    }
+  }
+
+  return admitted;
+};
+
+// Admit people waiting once room may have been freed (clock-out, capacity
+// raised...). Failures are logged rather than thrown so they never fail the
+// request that freed the room; the reconciliation job retries them.
+const admitWaiting = async (officeId) => {
+  try {
+    return await admitNext(officeId);
+  } catch (error) {
+    console.error('❌ Failed to admit queued arrivals:', error.message);
+    return [];
+  }
+};
+
+// Free the spot of someone leaving and let the next person waiting in
+const leaveOffice = async (officeId) => {
+  await freeSpot(officeId);
+  await admitWaiting(officeId);
+};
+
+const countByOffice = (model, match) => model.aggregate([
+  { $match: match },
+  { $group: { _id: '$office', count: { $sum: 1 } } }
+]).option(UNSCOPED);
+
+// Recompute occupancy from who is actually in: active attendance sessions at
+// the office and visits in progress there. Corrects drift left by failed
+// writes, deleted or edited records, then admits people waiting if room was
+// freed. Returns the offices whose count changed.
+const reconcileOccupancy = async ({ office = null } = {}) => {
+  const officeMatch = office ? { office: new mongoose.Types.ObjectId(office) } : { office: { $ne: null } };
+
+  const [employees, visitors] = await Promise.all([
+    countByOffice(Attendance, { ...officeMatch, isActive: true, workingFrom: 'office' }),
+    countByOffice(Visit, { ...officeMatch, status: 'in_progress' })
+  ]);
+
+  const counts = new Map();
+  [...employees, ...visitors].forEach(({ _id, count }) => {
+    counts.set(_id.toString(), (counts.get(_id.toString()) || 0) + count);
+  });
+
+  const offices = await Office.find(office ? { _id: office } : {})
+    .select('name company capacity currentOccupancy')
+    .setOptions(UNSCOPED);
+
+  const changes = [];
+
+  for (const doc of offices) {
+    const actual = counts.get(doc._id.toString()) || 0;
+
+    if (actual !== doc.currentOccupancy) {
+      await Office.updateOne({ _id: doc._id }, { currentOccupancy: actual }).setOptions(UNSCOPED);
+      changes.push({ office: doc._id, name: doc.name, previous: doc.currentOccupancy, current: actual });
+      doc.currentOccupancy = actual;
+      await publish('office.occupancy', doc);
+    }
+
+    if (actual < doc.capacity) {
+      await admitWaiting(doc._id);
+    }
+  }
+
+  return changes;
+};
+
+module.exports = {
+  occupySpot,
+  enqueue,
+  admitWaiting,
+  leaveOffice,
+  reconcileOccupancy
+};
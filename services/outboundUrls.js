@@ -0,0 +1,63 @@
+const dns = require('dns').promises;
+const net = require('net');
+const { ALLOW_PRIVATE_URLS } = require('../config/webhooks');
+
+// Addresses outbound requests (webhooks) must never reach: this machine, the
+// private network it sits in, link-local (cloud metadata endpoints...) and
+// other special-purpose ranges
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+const isBlocked = (address) => blocked.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// Check that a URL only leads to public addresses, once its host name is
+// resolved. Called when the URL is saved and again before each request, as
+// the name can point elsewhere since. Returns { error } when it does not.
+const checkPublicUrl = async (url) => {
+  if (ALLOW_PRIVATE_URLS) return {};
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  } catch (urlError) {
+    return { error: 'Invalid URL' };
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [hostname]
+      : (await dns.lookup(hostname, { all: true, verbatim: true })).map(({ address }) => address);
+  } catch (lookupError) {
+    return { error: `Could not resolve ${hostname}` };
+  }
+
+  if (addresses.some(isBlocked)) {
+    return { error: 'The URL must lead to a public address, not a local or private network one' };
+  }
+
+  return {};
+};
+
+module.exports = {
+  checkPublicUrl
+};
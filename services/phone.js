@@ -0,0 +1,6 @@
+// Phone numbers are matched without spaces, dashes, dots or parentheses
+const normalizePhone = (phone) => phone.replace(/[\s\-().]/g, '');
+
+module.exports = {
+  normalizePhone
+};
@@ -0,0 +1,10 @@
+// Prints each notification to stdout, for local development
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`🔔 Push to ${message.to}: ${message.title}\n${message.body}`);
+    return {};
+  }
+});
+
+module.exports = createConsoleTransport;
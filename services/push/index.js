@@ -0,0 +1,39 @@
+const createOneSignalTransport = require('./oneSignalTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+
+// Available transports, selected with PUSH_TRANSPORT (default: console)
+const transports = {
+  onesignal: createOneSignalTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.PUSH_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown push transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Replace the active transport, e.g. with another provider ({ name, send })
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send a push notification ({ to, title, body, data }) to the device
+// registered as User.playerId
+const sendPush = (message) => {
+  return getTransport().send(message);
+};
+
+module.exports = {
+  sendPush,
+  setTransport
+};
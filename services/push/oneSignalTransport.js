@@ -0,0 +1,40 @@
+const ONESIGNAL_URL = 'https://onesignal.com/api/v1/notifications';
+
+// Sends each notification to one OneSignal player (User.playerId) of the app
+// ONESIGNAL_APP_ID, authenticated with its REST API key ONESIGNAL_API_KEY
+const createOneSignalTransport = () => {
+  const appId = process.env.ONESIGNAL_APP_ID;
+  const apiKey = process.env.ONESIGNAL_API_KEY;
+  if (!appId || !apiKey) {
+    throw new Error('ONESIGNAL_APP_ID and ONESIGNAL_API_KEY are required for the onesignal push transport');
+  }
+
+  return {
+    name: 'onesignal',
+    send: async ({ to, title, body, data = {} }) => {
+      const response = await fetch(ONESIGNAL_URL, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Basic ${apiKey}`
+        },
+        body: JSON.stringify({
+          app_id: appId,
+          include_player_ids: [to],
+          headings: { en: title },
+          contents: { en: body },
+          data
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`OneSignal answered ${response.status}`);
+      }
+
+      const { id } = await response.json();
+      return { id };
+    }
+  };
+};
+
+module.exports = createOneSignalTransport;
@@ -0,0 +1,76 @@
+const { localParts, localDate, atLocalTime } = require('./businessHours');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// A series covers at most a year of daily visits
+const MAX_OCCURRENCES = 366;
+
+// Calendar days are handled as UTC midnights so that day arithmetic ignores
+// time zones and daylight saving; they are placed in the series time zone last
+const toDay = ({ year, month, day }) => Date.UTC(Number(year), Number(month) - 1, Number(day));
+
+const dayParts = (day) => {
+  const date = new Date(day);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+// Calendar days of the `index`-th period of the recurrence, from `first`
+const periodDays = (first, { freq, interval, byDay }, index) => {
+  if (freq === 'daily') {
+    return [first + index * interval * DAY];
+  }
+
+  if (freq === 'weekly') {
+    const weekday = new Date(first).getUTCDay();
+    const weekStart = first - weekday * DAY + index * interval * 7 * DAY;
+    const days = byDay && byDay.length ? [...byDay].sort((a, b) => a - b) : [weekday];
+    return days.map(day => weekStart + day * DAY).filter(day => day >= first);
+  }
+
+  // Monthly on the day of the month of the first occurrence; months without
+  // that day are skipped
+  const start = new Date(first);
+  const month = start.getUTCMonth() + index * interval;
+  const day = Date.UTC(start.getUTCFullYear(), month, start.getUTCDate());
+  return new Date(day).getUTCDate() === start.getUTCDate() ? [day] : [];
+};
+
+// Start times of the occurrences of a series ({ startAt, timezone,
+// recurrence, exceptions }), in order. Like RRULE, `count` includes the
+// occurrences skipped by `exceptions`. Throws past MAX_OCCURRENCES.
+const occurrencesOf = ({ startAt, timezone = 'UTC', recurrence, exceptions = [] }) => {
+  const { freq, byDay, until = null, count = null } = recurrence;
+  const interval = recurrence.interval || 1;
+  const start = localParts(startAt, timezone);
+  const time = `${start.hour}:${start.minute}`;
+  const first = toDay(start);
+  const skipped = new Set(exceptions);
+
+  const occurrences = [];
+  let generated = 0;
+
+  for (let index = 0; ; index++) {
+    for (const day of periodDays(first, { freq, interval, byDay }, index)) {
+      const date = atLocalTime(dayParts(day), time, timezone);
+      if ((until && date > until) || (count && generated >= count)) {
+        return occurrences;
+      }
+
+      generated++;
+      if (generated > MAX_OCCURRENCES) {
+        const error = new Error(`A visit series cannot have more than ${MAX_OCCURRENCES} occurrences`);
+        error.status = 400;
+        throw error;
+      }
+
+      if (!skipped.has(localDate(date, timezone))) {
+        occurrences.push(date);
+      }
+    }
+  }
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  occurrencesOf
+};
@@ -0,0 +1,301 @@
+const ServiceCard = require('../models/ServiceCard');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const { inTransaction, syncServiceStatus } = require('./companyCounters');
+const { emitEvent } = require('./webhooks');
+const { notify } = require('./notifications');
+const { fullName } = require('./templates');
+const { REMINDER_DAYS } = require('../config/serviceCards');
+
+// Expiry is checked for every company's cards
+const UNSCOPED = { tenantScope: false };
+
+const RECIPIENT_FIELDS = 'firstName lastName email phone playerId languageCode notificationPreferences';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Tell a card's holder and its company's admins about `event`. Failures are
+// logged, never thrown.
+const notifyCardEvent = async (event, card, details = {}) => {
+  try {
+    const [holder, company] = await Promise.all([
+      User.findById(card.user).select(RECIPIENT_FIELDS).setOptions(UNSCOPED),
+      Company.findById(card.company).select('fullName admin').setOptions(UNSCOPED)
+    ]);
+    const admins = company
+      ? await User.find({ _id: { $in: company.admin, $ne: card.user } }).select(RECIPIENT_FIELDS).setOptions(UNSCOPED)
+      : [];
+
+    const data = { serviceCard: card._id.toString(), expireAt: card.expireAt };
+    const text = {
+      holder: holder ? fullName(holder) || 'A card holder' : 'A card holder',
+      company: company ? company.fullName : '',
+      cardNumber: card.cardNumber,
+      on: card.expireAt,
+      ...details
+    };
+
+    if (holder) {
+      await notify(holder, event, { role: 'holder', text, data });
+    }
+    for (const admin of admins) {
+      await notify(admin, event, { role: 'admin', text, data });
+    }
+  } catch (notifyError) {
+    console.error(`❌ Failed to send ${event} notifications:`, notifyError.message);
+  }
+};
+
+// Remind the holders and company admins of active cards expiring within one
+// of the REMINDER_DAYS thresholds (e.g. 30, 7 and 1 days). Each threshold is
+// claimed with a write conditioned on no reminder at or below it being sent
+// yet, so several instances can run this at once and a card whose expiry was
+// crossed by several thresholds at once gets a single reminder. Returns the
+// cards reminded of.
+const remindExpiringCards = async (now = new Date()) => {
+  if (!REMINDER_DAYS.length) return [];
+
+  const expiring = await ServiceCard.find({
+    isActive: true,
+    expireAt: { $gt: now, $lte: new Date(now.getTime() + REMINDER_DAYS[0] * DAY_MS) }
+  }).setOptions(UNSCOPED);
+
+  const reminded = [];
+
+  for (const card of expiring) {
+    const days = Math.ceil((card.expireAt - now) / DAY_MS);
+    const threshold = [...REMINDER_DAYS].reverse().find(limit => limit >= days);
+    if (card.lastReminderDays !== null && card.lastReminderDays <= threshold) continue;
+
+    const { modifiedCount } = await ServiceCard.updateOne(
+      {
+        _id: card._id,
+        expireAt: card.expireAt,
+        $or: [{ lastReminderDays: null }, { lastReminderDays: { $gt: threshold } }]
+      },
+      { lastReminderDays: threshold }
+    ).setOptions(UNSCOPED);
+    if (!modifiedCount) continue;
+
+    await notifyCardEvent('service_card_expiring', card, { days });
+    reminded.push(card);
+  }
+
+  return reminded;
+};
+
+// Deactivate the active cards whose expiry date passed: their status becomes
+// expired until they are renewed, their holder's card is unset and the
+// holder's outOfService status updated. The expiry is announced with a
+// service_card.expired event and notifications once per expiry date (cards
+// announced before they were deactivated are deactivated silently). Cards
+// are saved with optimistic concurrency, so several instances can run this at
+// once. Returns the cards deactivated.
+const expireCards = async (now = new Date()) => {
+  const expired = await ServiceCard.find({ isActive: true, expireAt: { $lte: now } })
+    .setOptions(UNSCOPED);
+
+  const deactivated = [];
+
+  for (const card of expired) {
+    const announce = !card.expiryAnnouncedAt;
+    card.status = 'expired';
+    card.statusReason = null;
+    card.expiryAnnouncedAt = card.expiryAnnouncedAt || now;
+    card.recordHistory('expired', { expireAt: card.expireAt });
+
+    try {
+      await card.save();
+    } catch (saveError) {
+      // Changed meanwhile (renewed, or expired by another instance)
+      if (saveError.name === 'VersionError') continue;
+      throw saveError;
+    }
+
+    await User.updateOne({ _id: card.user, serviceCard: card._id }, { serviceCard: null })
+      .setOptions(UNSCOPED);
+    await syncServiceStatus(card.user, card.company);
+
+    if (announce) {
+      await emitEvent('service_card.expired', card);
+      await notifyCardEvent('service_card_expired', card);
+    }
+    deactivated.push(card);
+  }
+
+  return deactivated;
+};
+
+// Update the holder's outOfService status and tell door systems when a card
+// starts or stops opening doors
+const afterChange = async (card, wasActive) => {
+  await syncServiceStatus(card.user, card.company);
+
+  if (wasActive && !card.isActive) {
+    await emitEvent('service_card.deactivated', card);
+  } else if (!wasActive && card.isActive) {
+    await emitEvent('service_card.reinstated', card);
+  }
+};
+
+const statusError = (card, action) => ({
+  error: `A service card that is ${card.status} cannot be ${action}`,
+  status: 409
+});
+
+// Another card of the holder opening the company's doors, if any
+const otherActiveCard = (card) => ServiceCard.exists({
+  _id: { $ne: card._id },
+  user: card.user,
+  company: card.company,
+  isActive: true
+});
+
+const OTHER_ACTIVE_CARD = { error: 'User already has an active service card for this company', status: 409 };
+
+// Give a card a new expiry date, and a new card number when asked (e.g. a
+// card printed again). An expired card becomes active again and its holder's
+// card once more, unless they got another active card meanwhile. Revoked cards
+// cannot be renewed: a new card is issued instead.
+const renewCard = async (card, { expireAt, newCardNumber = false, reason = null }) => {
+  if (card.status === 'revoked') return statusError(card, 'renewed');
+
+  const wasExpired = card.status === 'expired';
+  if (wasExpired && await otherActiveCard(card)) return OTHER_ACTIVE_CARD;
+
+  const wasActive = card.isActive;
+  card.expireAt = expireAt;
+  card.expiryAnnouncedAt = null;
+  card.lastReminderDays = null;
+  if (wasExpired) {
+    card.status = 'active';
+  }
+  if (newCardNumber) {
+    card.cardNumber = ServiceCard.newCardNumber();
+  }
+  card.recordHistory('renewed', { reason, expireAt: card.expireAt, cardNumber: card.cardNumber });
+  await card.save();
+
+  if (wasExpired) {
+    await User.updateOne({ _id: card.user, serviceCard: null }, { serviceCard: card._id });
+  }
+  await emitEvent('service_card.renewed', card);
+  await afterChange(card, wasActive);
+
+  return { serviceCard: card };
+};
+
+// Stop an active card from opening doors until it is reinstated
+const suspendCard = async (card, reason) => {
+  if (card.status !== 'active') return statusError(card, 'suspended');
+
+  const wasActive = card.isActive;
+  card.status = 'suspended';
+  card.statusReason = reason;
+  card.recordHistory('suspended', { reason });
+  await card.save();
+
+  await afterChange(card, wasActive);
+  return { serviceCard: card };
+};
+
+// Let a suspended card open doors again, unless its holder got another
+// active card for the company in the meantime
+const reinstateCard = async (card, reason = null) => {
+  if (card.status !== 'suspended') return statusError(card, 'reinstated');
+
+  if (await otherActiveCard(card)) return OTHER_ACTIVE_CARD;
+
+  const wasActive = card.isActive;
+  card.status = 'active';
+  card.statusReason = null;
+  card.recordHistory('reinstated', { reason });
+  await card.save();
+
+  await afterChange(card, wasActive);
+  return { serviceCard: card };
+};
+
+// Withdraw a card for good
+const revokeCard = async (card, reason) => {
+  if (card.status === 'revoked') return statusError(card, 'revoked');
+
+  const wasActive = card.isActive;
+  card.status = 'revoked';
+  card.statusReason = reason;
+  card.recordHistory('revoked', { reason });
+  await card.save();
+
+  await afterChange(card, wasActive);
+  return { serviceCard: card };
+};
+
+// Revoke a card reported lost or stolen (`kind`) and issue its holder a
+// replacement with a new card number, linked to it both ways. The replacement
+// expires with the lost card unless given its own expiry date, and stays
+// suspended if the lost card was (an expired card's replacement is active).
+// Returns { serviceCard, replacement }.
+const reportCard = async (card, { kind, reason = null, expireAt = null }) => {
+  if (card.status === 'revoked') return statusError(card, `reported ${kind}`);
+
+  const wasActive = card.isActive;
+
+  const replacement = new ServiceCard({
+    user: card.user,
+    company: card.company,
+    position: card.position,
+    // An expired card's replacement gets the default expiry
+    expireAt: expireAt || (card.status === 'expired' ? undefined : card.expireAt),
+    status: card.status === 'suspended' ? 'suspended' : 'active',
+    statusReason: card.status === 'suspended' ? card.statusReason : null,
+    replaces: card._id
+  });
+  replacement.recordHistory('issued', {
+    reason,
+    expireAt: replacement.expireAt,
+    cardNumber: replacement.cardNumber,
+    card: card._id
+  });
+
+  card.status = 'revoked';
+  card.statusReason = reason || `Reported ${kind}`;
+  card.replacedBy = replacement._id;
+  card.recordHistory(`reported_${kind}`, { reason, card: replacement._id });
+
+  // The lost card is revoked only if its replacement is issued
+  await inTransaction(async (session) => {
+    await card.save({ session });
+    await replacement.save({ session });
+    await User.findByIdAndUpdate(card.user, { serviceCard: replacement._id }).session(session);
+  });
+
+  await afterChange(card, wasActive);
+  await emitEvent('service_card.created', replacement);
+
+  return { serviceCard: card, replacement };
+};
+
+// Delete a card, keeping it and its history: deleted cards no longer open
+// doors and are left out of card lists
+const deleteCard = async (card, reason = null) => {
+  const wasActive = card.isActive;
+  card.deletedAt = new Date();
+  card.recordHistory('deleted', { reason });
+  await card.save();
+
+  await User.updateOne({ _id: card.user, serviceCard: card._id }, { serviceCard: null });
+  await afterChange(card, wasActive);
+
+  return { serviceCard: card };
+};
+
+module.exports = {
+  remindExpiringCards,
+  expireCards,
+  renewCard,
+  suspendCard,
+  reinstateCard,
+  revokeCard,
+  reportCard,
+  deleteCard
+};
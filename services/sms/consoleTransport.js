@@ -0,0 +1,10 @@
+// Prints each message to stdout, for local development
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log(`📱 SMS to ${message.to}: ${message.text}`);
+    return {};
+  }
+});
+
+module.exports = createConsoleTransport;
@@ -0,0 +1,30 @@
+// Posts each message as JSON ({ from, to, text }) to an SMS gateway at
+// SMS_HTTP_URL, authenticated with SMS_HTTP_TOKEN as a bearer token
+const createHttpTransport = () => {
+  const url = process.env.SMS_HTTP_URL;
+  if (!url) {
+    throw new Error('SMS_HTTP_URL is required for the http SMS transport');
+  }
+
+  return {
+    name: 'http',
+    send: async (message) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(process.env.SMS_HTTP_TOKEN ? { Authorization: `Bearer ${process.env.SMS_HTTP_TOKEN}` } : {})
+        },
+        body: JSON.stringify(message)
+      });
+
+      if (!response.ok) {
+        throw new Error(`SMS gateway answered ${response.status}`);
+      }
+
+      return { status: response.status };
+    }
+  };
+};
+
+module.exports = createHttpTransport;
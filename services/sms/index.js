@@ -0,0 +1,41 @@
+const createHttpTransport = require('./httpTransport');
+const createFileTransport = require('./fileTransport');
+const createConsoleTransport = require('./consoleTransport');
+
+// Available transports, selected with SMS_TRANSPORT (default: console)
+const transports = {
+  http: createHttpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.SMS_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown SMS transport: ${name}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Replace the active transport, e.g. with a provider SDK ({ name, send })
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+// Send a text message ({ to, text })
+const sendSms = (message) => {
+  return getTransport().send({
+    from: process.env.SMS_FROM || 'EasyDoor',
+    ...message
+  });
+};
+
+module.exports = {
+  sendSms,
+  setTransport
+};
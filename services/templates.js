@@ -0,0 +1,26 @@
+// Helpers shared by the emails and text messages sent to users
+
+// Links point to the client app, which posts the token back to the API
+const appUrl = (pathname, params = {}) => {
+  const base = process.env.APP_URL || `http://localhost:${process.env.PORT || 8009}`;
+  const query = new URLSearchParams(params).toString();
+  return query ? `${base}${pathname}?${query}` : `${base}${pathname}`;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const greeting = (user) => (user.firstName ? `Hello ${user.firstName},` : 'Hello,');
+
+// First and last name, or the email address when the user has no name
+const fullName = (user) => [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email || '';
+
+module.exports = {
+  appUrl,
+  escapeHtml,
+  greeting,
+  fullName
+};
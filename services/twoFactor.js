@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const AuditLog = require('../models/AuditLog');
+const { hashSecret } = require('../config/tokens');
+const { ISSUER } = require('../config/twoFactor');
+const { ACCOUNT_POLICY } = require('../config/loginProtection');
+
+// TOTP as in RFC 6238: 6 digits, 30 second steps, HMAC-SHA1 (what
+// authenticator apps expect by default)
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept codes from one step before or after the current one for clock drift
+const DRIFT_STEPS = 1;
+const BACKUP_CODE_COUNT = 10;
+
+// Secrets are stored encrypted (AES-256-GCM) so a database dump alone cannot
+// generate codes
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'fallback_secret')
+  .digest();
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// Code for a given time step (HOTP, RFC 4226)
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+};
+
+// Time step matching the code, or null
+const matchCode = (secret, code, now = Date.now()) => {
+  const candidate = Buffer.from(String(code));
+  const step = currentStep(now);
+
+  for (let drift = -DRIFT_STEPS; drift <= DRIFT_STEPS; drift++) {
+    const expected = Buffer.from(generateCode(secret, step + drift));
+    if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+      return step + drift;
+    }
+  }
+
+  return null;
+};
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Backup codes are shown once as "xxxx-xxxx"; only their hash is stored
+const normalizeBackupCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+const generateBackupCodes = () => {
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+    const hex = crypto.randomBytes(4).toString('hex');
+    codes.push(`${hex.slice(0, 4)}-${hex.slice(4)}`);
+  }
+  return {
+    codes,
+    hashes: codes.map(code => hashSecret(normalizeBackupCode(code)))
+  };
+};
+
+// otpauth:// URI and QR code (data URL) for authenticator apps
+const buildEnrollment = async (user, secret) => {
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params}`;
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+// Check a TOTP code or a backup code for a user with 2FA enabled. A TOTP code
+// is accepted once (its step must be newer than the last one used) and a
+// backup code is removed when used; both updates are atomic so the same code
+// cannot pass twice. Returns 'totp', 'backup_code' or null.
+const verifySecondFactor = async (userId, { code, backupCode }) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS).setOptions({ tenantScope: false });
+
+  if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) {
+    return null;
+  }
+
+  if (code) {
+    const step = matchCode(decryptSecret(user.twoFactor.secret), code);
+    if (step === null) {
+      return null;
+    }
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': null },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    ).setOptions({ tenantScope: false });
+
+    return result.modifiedCount ? 'totp' : null;
+  }
+
+  if (backupCode) {
+    const hash = hashSecret(normalizeBackupCode(backupCode));
+    const result = await User.updateOne(
+      { _id: user._id, 'twoFactor.backupCodes': hash },
+      { $pull: { 'twoFactor.backupCodes': hash } }
+    ).setOptions({ tenantScope: false });
+
+    return result.modifiedCount ? 'backup_code' : null;
+  }
+
+  return null;
+};
+
+// verifySecondFactor with the failed login protection: wrong codes are counted
+// per user like failed passwords, and the user must wait or is locked out once
+// there are too many. Returns { method, retryAfter }.
+const checkSecondFactor = async (req, user, factor) => {
+  const key = LoginThrottle.twoFactorKey(user._id);
+  const throttle = await LoginThrottle.findOne({ key });
+  const retryAfter = throttle ? throttle.retryAfter(ACCOUNT_POLICY) : 0;
+
+  if (retryAfter > 0) {
+    return { method: null, retryAfter };
+  }
+
+  const method = await verifySecondFactor(user._id, factor);
+
+  if (!method) {
+    const failure = await LoginThrottle.recordFailure(key, ACCOUNT_POLICY);
+    if (failure.locked) {
+      await AuditLog.record({
+        action: 'auth.2fa_locked',
+        targetModel: 'User',
+        targetId: user._id,
+        company: user.employer,
+        ip: req.ip,
+        metadata: { failures: failure.throttle.failures, lockedUntil: failure.throttle.lockedUntil }
+      });
+    }
+    return { method: null, retryAfter: 0 };
+  }
+
+  await LoginThrottle.reset(key);
+
+  if (method === 'backup_code') {
+    await AuditLog.record({
+      actor: user._id,
+      action: 'auth.2fa_backup_code_used',
+      targetModel: 'User',
+      targetId: user._id,
+      company: user.employer,
+      ip: req.ip
+    });
+  }
+
+  return { method, retryAfter: 0 };
+};
+
+module.exports = {
+  SECRET_FIELDS,
+  generateSecret,
+  generateCode,
+  matchCode,
+  encryptSecret,
+  decryptSecret,
+  generateBackupCodes,
+  buildEnrollment,
+  verifySecondFactor,
+  checkSecondFactor
+};
@@ -0,0 +1,256 @@
+const Visit = require('../models/Visit');
+const VisitSeries = require('../models/VisitSeries');
+const VisitGroup = require('../models/VisitGroup');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const VisitApprovalRule = require('../models/VisitApprovalRule');
+const { isOutsideBusinessHours } = require('./businessHours');
+
+// Rules and approvers are resolved for whoever acts on the visit (a visitor
+// creating it, a delegate...), so these lookups are never tenant-scoped
+const UNSCOPED = { tenantScope: false };
+
+// Companies without rules only need the host (or a delegate) to approve
+const DEFAULT_RULE = {
+  allowDelegates: true,
+  requireSecurityApproval: false,
+  securityApprovers: [],
+  businessHours: null,
+  requireManagerApprovalOutsideHours: false,
+  managerApprovers: [],
+  pendingExpiryHours: null
+};
+
+// Who can decide each step, for error messages
+const STEP_APPROVERS = {
+  host: 'the host or their delegates',
+  security: 'security approvers',
+  manager: 'managers'
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// The office's rule, else the company default, else DEFAULT_RULE
+const findRule = async (visit) => {
+  const company = idOf(visit.company);
+  if (!company) return DEFAULT_RULE;
+
+  const office = idOf(visit.office) || null;
+  const rules = await VisitApprovalRule.find({ company, office: { $in: [office, null] } })
+    .setOptions(UNSCOPED);
+
+  return rules.find(rule => office && rule.office && rule.office.equals(office))
+    || rules.find(rule => !rule.office)
+    || DEFAULT_RULE;
+};
+
+// IDs of the users who can decide `step` of the visit
+const approversOf = async (visit, step, rule) => {
+  if (step === 'host') {
+    const hostId = idOf(visit.employee);
+    if (!rule.allowDelegates) return [hostId];
+
+    const host = await User.findById(hostId).select('visitDelegates').setOptions(UNSCOPED);
+    return [hostId, ...(host ? host.visitDelegates : [])];
+  }
+
+  if (step === 'security') {
+    return rule.securityApprovers;
+  }
+
+  if (rule.managerApprovers.length) {
+    return rule.managerApprovers;
+  }
+
+  const company = await Company.findById(idOf(visit.company)).select('admin');
+  return company ? company.admin : [];
+};
+
+// Whether the user is an admin or employee of the company (the company_admin
+// and employee roles of middleware/authorize.js)
+const isCompanyMember = async (company, userId) => {
+  if (!company || !userId) return false;
+
+  const [employed, listed] = await Promise.all([
+    User.exists({ _id: userId, employer: company }).setOptions(UNSCOPED),
+    Company.exists({ _id: company, active: true, $or: [{ admin: userId }, { employee: userId }] }).setOptions(UNSCOPED)
+  ]);
+  return Boolean(employed && listed);
+};
+
+const canDecide = async (visit, approval, userId, rule) => {
+  const approvers = await approversOf(visit, approval.step, rule);
+  return approvers.some(id => id.toString() === userId.toString());
+};
+
+const decide = (approval, status, userId, comment = null) => {
+  approval.status = status;
+  approval.decidedBy = userId;
+  approval.decidedAt = new Date();
+  approval.comment = comment;
+};
+
+// Accept the visit once every step is approved
+const settle = (visit) => {
+  if (visit.approvals.every(approval => approval.status === 'approved')) {
+    visit.status = 'accepted';
+    visit.expiresAt = null;
+  }
+};
+
+// Lay out the approval steps the company's rules require for a new visit
+// (or visit series): the host (or a delegate), then security if the office
+// requires it, then a manager if the visit is expected outside business
+// hours (any of `dates`, for a series). The host step is approved right away
+// when `by` can decide it as a member of the visit's company (a host
+// registering their own visitor), never when `by` is the visitor, and the
+// visit is accepted if nothing else is required. Does not save.
+const planApproval = async (visit, { by = null, dates = [visit.expectedClockIn] } = {}) => {
+  const rule = await findRule(visit);
+
+  const steps = ['host'];
+  if (rule.requireSecurityApproval) {
+    steps.push('security');
+  }
+  if (rule.requireManagerApprovalOutsideHours && rule.businessHours
+    && dates.some(date => isOutsideBusinessHours(date, rule.businessHours))) {
+    steps.push('manager');
+  }
+
+  visit.status = 'pending';
+  visit.approvals = steps.map(step => ({ step }));
+  visit.expiresAt = rule.pendingExpiryHours
+    ? new Date(Date.now() + rule.pendingExpiryHours * 60 * 60 * 1000)
+    : null;
+
+  const [first] = visit.approvals;
+  const visitor = idOf(visit.visitor);
+  if (by && !(visitor && visitor.toString() === by.toString())
+    && await isCompanyMember(idOf(visit.company), by)
+    && await canDecide(visit, first, by, rule)) {
+    decide(first, 'approved', by);
+  }
+
+  settle(visit);
+  return visit;
+};
+
+// The step `userId` is about to decide, or why they cannot ({ error, status })
+const pendingStep = async (visit, userId) => {
+  // Unless they were moved on their own, which gives them steps of their own
+  const ownSteps = visit.approvals.length > 0;
+
+  if (visit.series && !ownSteps) {
+    return { error: 'Occurrences of a visit series are approved or rejected with their series' };
+  }
+
+  if (visit.group && !ownSteps) {
+    return { error: 'Visits of a group are approved or rejected with their group' };
+  }
+
+  if (visit.status !== 'pending') {
+    return { error: 'Only pending visits can be approved or rejected' };
+  }
+
+  if (visit.expiresAt && visit.expiresAt <= new Date()) {
+    // The visit, or the series (see services/visitSeries.js)
+    await visit.constructor.updateOne({ _id: visit._id, status: 'pending' }, { status: 'expired' });
+    return { error: 'The visit expired before it was approved' };
+  }
+
+  // Visits created before approval rules existed
+  if (!visit.approvals.length) {
+    await planApproval(visit);
+  }
+
+  const approval = visit.approvals.find(({ status }) => status === 'pending');
+  const rule = await findRule(visit);
+
+  if (!(await canDecide(visit, approval, userId, rule))) {
+    return {
+      error: `The ${approval.step} approval can only be given by ${STEP_APPROVERS[approval.step]}`,
+      status: 403
+    };
+  }
+
+  return { approval };
+};
+
+// Approve the current step of a pending visit (or visit series) on behalf of
+// `userId`. Returns { visit, approval } with the visit accepted after its
+// last step, or { error, status }.
+const approveVisit = async (visit, userId, comment = null) => {
+  const { error, status, approval } = await pendingStep(visit, userId);
+  if (error) {
+    return { error, status };
+  }
+
+  decide(approval, 'approved', userId, comment);
+  settle(visit);
+  await visit.save();
+
+  return { visit, approval };
+};
+
+// Reject a pending visit at its current step, or return { error, status }
+const rejectVisit = async (visit, userId, reason, comment = null) => {
+  const { error, status, approval } = await pendingStep(visit, userId);
+  if (error) {
+    return { error, status };
+  }
+
+  decide(approval, 'rejected', userId, comment);
+  visit.status = 'rejected';
+  visit.rejectionReason = reason;
+  visit.expiresAt = null;
+  await visit.save();
+
+  return { visit, approval };
+};
+
+// Carry a decision on a visit series or group (accepted, rejected or
+// cancelled) over to its visits (`filter`, e.g. { series }) that have not
+// started. Approvals and rejections skip visits with approval steps of their
+// own (moved on their own). Returns how many changed.
+const settleVisits = async (filter, { status, rejectionReason, cancellationReason }) => {
+  let update;
+  let from = 'pending';
+  let ownSteps = { 'approvals.0': { $exists: false } };
+
+  if (status === 'accepted') {
+    update = { status, expiresAt: null };
+  } else if (status === 'rejected') {
+    update = { status, rejectionReason, expiresAt: null };
+  } else if (status === 'cancelled') {
+    from = { $in: ['pending', 'accepted'] };
+    update = { status, cancellationReason };
+    ownSteps = {};
+  } else {
+    return 0;
+  }
+
+  const { modifiedCount } = await Visit.updateMany({ ...filter, ...ownSteps, status: from }, update).setOptions(UNSCOPED);
+  return modifiedCount;
+};
+
+// Expire visits, visit series and groups still awaiting approval past their
+// deadline (their visits share it). Conditional, so it can run on several
+// instances at once. Returns how many visits expired.
+const expirePendingVisits = async () => {
+  const overdue = { status: 'pending', expiresAt: { $ne: null, $lte: new Date() } };
+
+  await VisitSeries.updateMany(overdue, { status: 'expired' }).setOptions(UNSCOPED);
+  await VisitGroup.updateMany(overdue, { status: 'expired' }).setOptions(UNSCOPED);
+  const { modifiedCount } = await Visit.updateMany(overdue, { status: 'expired' }).setOptions(UNSCOPED);
+
+  return modifiedCount;
+};
+
+module.exports = {
+  isCompanyMember,
+  planApproval,
+  approveVisit,
+  rejectVisit,
+  settleVisits,
+  expirePendingVisits
+};
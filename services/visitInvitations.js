@@ -0,0 +1,89 @@
+const QRCode = require('qrcode');
+const Visit = require('../models/Visit');
+const { sendMail } = require('./mail');
+const { sendSms } = require('./sms');
+const { appUrl, escapeHtml, greeting, fullName } = require('./templates');
+const { signVisitEntryToken } = require('../config/tokens');
+const { ENTRY_EARLY_MINUTES, ENTRY_LATE_MINUTES } = require('../config/visits');
+
+// Time range in which the visitor may check in with their entry code
+const entryWindow = (visit) => {
+  const expected = new Date(visit.expectedClockIn).getTime();
+  return {
+    start: new Date(expected - ENTRY_EARLY_MINUTES * 60 * 1000),
+    end: new Date(expected + ENTRY_LATE_MINUTES * 60 * 1000)
+  };
+};
+
+// Signed entry code for a visit, valid until the end of its entry window
+const issueEntryCode = (visit) => {
+  const { end } = entryWindow(visit);
+  return { code: signVisitEntryToken(visit._id.toString(), end), expiresAt: end };
+};
+
+// Email and/or text the visitor their invitation with a fresh entry code.
+// Returns the channels used and when the code expires.
+const sendVisitInvitation = async (visit, { visitor, host, office }) => {
+  const { code, expiresAt } = issueEntryCode(visit);
+  const link = appUrl('/visits/entry', { code });
+  const when = new Date(visit.expectedClockIn).toUTCString();
+  const where = office ? `${office.name}, ${office.address}, ${office.city}` : null;
+  const details = [
+    `Host: ${fullName(host)}`,
+    `Expected arrival: ${when}`,
+    where ? `Location: ${where}` : null,
+    `Reason: ${visit.reason}`
+  ].filter(Boolean);
+
+  const channels = [];
+
+  if (visitor.email) {
+    const qrCode = await QRCode.toBuffer(code);
+
+    await sendMail({
+      to: visitor.email,
+      subject: `Your visit invitation from ${fullName(host)}`,
+      text: `${greeting(visitor)}\n\nYou are invited to visit us.\n\n${details.join('\n')}\n\nShow the attached QR code at reception to check in, or open this link: ${link}\n\nThe code expires on ${expiresAt.toUTCString()}.`,
+      html: `<p>${escapeHtml(greeting(visitor))}</p><p>You are invited to visit us.</p><p>${details.map(escapeHtml).join('<br>')}</p><p>Show this QR code at reception to check in:</p><p><img src="cid:entry-code" alt="Entry QR code"></p><p><a href="${link}">Open my entry code</a></p><p>The code expires on ${escapeHtml(expiresAt.toUTCString())}.</p>`,
+      attachments: [{ filename: 'entry-code.png', content: qrCode, cid: 'entry-code' }]
+    });
+    channels.push('email');
+  }
+
+  if (visitor.phone) {
+    await sendSms({
+      to: visitor.phone,
+      text: `${fullName(host)} invited you for a visit on ${when}. Show this entry code at reception: ${link}`
+    });
+    channels.push('sms');
+  }
+
+  return { channels, expiresAt };
+};
+
+// Send the invitation of an invited visit that has just been accepted.
+// Failures are logged; the invitation can be sent again later.
+const sendPendingInvitation = async (visit) => {
+  if (!visit.invitedBy || visit.invitationSentAt || visit.status !== 'accepted') return null;
+
+  try {
+    const { visitor, employee: host, office } = await Visit.findById(visit._id)
+      .populate({ path: 'visitor', select: 'firstName lastName email phone' })
+      .populate({ path: 'employee', select: 'firstName lastName email' })
+      .populate({ path: 'office', select: 'name address city' });
+
+    const invitation = await sendVisitInvitation(visit, { visitor, host, office });
+    await Visit.updateOne({ _id: visit._id }, { invitationSentAt: new Date() });
+    return invitation;
+  } catch (sendError) {
+    console.error('❌ Failed to send visit invitation:', sendError.message);
+    return null;
+  }
+};
+
+module.exports = {
+  entryWindow,
+  issueEntryCode,
+  sendVisitInvitation,
+  sendPendingInvitation
+};
@@ -0,0 +1,102 @@
+const Visit = require('../models/Visit');
+const User = require('../models/User');
+const Office = require('../models/Office');
+const { getAuditContext } = require('../models/plugins/auditTrail');
+const { notify } = require('./notifications');
+const { fullName } = require('./templates');
+
+// Hosts and visitors usually belong to different companies, and
+// notifications go out for whoever acts on the visit (a visitor, a kiosk...)
+const UNSCOPED = { tenantScope: false };
+
+const RECIPIENT_FIELDS = 'firstName lastName email phone playerId languageCode notificationPreferences';
+
+// Who is told of each event
+const RECIPIENTS = {
+  visit_requested: ['host'],
+  visit_accepted: ['host', 'visitor'],
+  visit_cancelled: ['host', 'visitor'],
+  visitor_arrived: ['host'],
+  visitor_left: ['host']
+};
+
+// How the booking is referred to in push and webhook data
+const DATA_KEYS = {
+  Visit: 'visit',
+  VisitSeries: 'series',
+  VisitGroup: 'group'
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// What the messages say about a visit, a visit series or a group visit
+const describe = async (booking) => {
+  const kind = booking.constructor.modelName;
+  const [host, visitor, office] = await Promise.all([
+    User.findById(idOf(booking.employee)).select(RECIPIENT_FIELDS).setOptions(UNSCOPED),
+    booking.visitor ? User.findById(idOf(booking.visitor)).select(RECIPIENT_FIELDS).setOptions(UNSCOPED) : null,
+    booking.office ? Office.findById(idOf(booking.office)).select('name schedule').setOptions(UNSCOPED) : null
+  ]);
+
+  let visitorName = visitor ? fullName(visitor) || 'A visitor' : null;
+  if (kind === 'VisitGroup') {
+    const attendees = await Visit.countDocuments({ group: booking._id }).setOptions(UNSCOPED);
+    visitorName = `${booking.name} (${attendees})`;
+  }
+
+  return {
+    host,
+    visitor,
+    text: {
+      visitor: visitorName,
+      host: host ? fullName(host) : null,
+      when: kind === 'VisitSeries' ? booking.startAt : booking.expectedClockIn,
+      timezone: (office && office.schedule && office.schedule.timezone) || booking.timezone || 'UTC',
+      recurring: kind === 'VisitSeries',
+      office: office ? office.name : null,
+      reason: booking.reason,
+      note: booking.cancellationReason || null
+    },
+    data: {
+      [DATA_KEYS[kind]]: booking._id.toString(),
+      status: booking.status
+    }
+  };
+};
+
+// Tell the host (and the visitor) of a visit, visit series or group visit
+// about `event` (see RECIPIENTS), or only the roles in `to`. Nobody is told
+// of what they did themselves, and invited visitors learn of their accepted
+// visit from their invitation. Failures are logged, never thrown.
+const notifyVisitEvent = async (event, booking, { to = RECIPIENTS[event] } = {}) => {
+  try {
+    const actor = getAuditContext().actor;
+    const { host, visitor, text, data } = await describe(booking);
+    const recipients = { host, visitor };
+
+    for (const role of to) {
+      const user = recipients[role];
+      if (!user || (actor && user._id.equals(actor))) continue;
+      if (role === 'visitor' && event === 'visit_accepted' && booking.invitedBy) continue;
+
+      await notify(user, event, { role, text, data });
+    }
+  } catch (notifyError) {
+    console.error(`❌ Failed to send ${event} notifications:`, notifyError.message);
+  }
+};
+
+// Tell the host of a new booking, and the visitor when it was accepted right
+// away (a host booking their own visitor)
+const notifyVisitBooked = async (booking) => {
+  await notifyVisitEvent('visit_requested', booking);
+
+  if (booking.status === 'accepted') {
+    await notifyVisitEvent('visit_accepted', booking, { to: ['visitor'] });
+  }
+};
+
+module.exports = {
+  notifyVisitEvent,
+  notifyVisitBooked
+};
@@ -0,0 +1,95 @@
+const Office = require('../models/Office');
+const Visit = require('../models/Visit');
+const OfficeQueueEntry = require('../models/OfficeQueueEntry');
+const { NO_SHOW_GRACE_MINUTES } = require('../config/visits');
+const { nextClosingTime } = require('./businessHours');
+const { completeVisit } = require('./companyCounters');
+const { leaveOffice } = require('./occupancy');
+const { emitEvent } = require('./webhooks');
+
+// The scheduler acts on every company's visits
+const UNSCOPED = { tenantScope: false };
+
+const AUTO_CLOCK_OUT_REASON = 'Clocked out automatically at office closing time';
+
+// Mark accepted visits whose visitor has not arrived within the grace period
+// of their office as no-shows. Visitors waiting in an office queue have
+// arrived and are left alone. Updates are conditioned on the status, so
+// several instances can run this at once. Returns how many were marked.
+const markNoShows = async (now = new Date()) => {
+  const [offices, queued] = await Promise.all([
+    Office.find({ noShowGraceMinutes: { $ne: null } })
+      .select('noShowGraceMinutes')
+      .setOptions(UNSCOPED),
+    OfficeQueueEntry.distinct('visit', { kind: 'visit', status: 'waiting' })
+      .setOptions(UNSCOPED)
+  ]);
+
+  const overdue = (office, graceMinutes) => ({
+    status: 'accepted',
+    clockIn: null,
+    _id: { $nin: queued },
+    office,
+    expectedClockIn: { $lte: new Date(now.getTime() - graceMinutes * 60 * 1000) }
+  });
+
+  const filters = [
+    ...offices.map(office => overdue(office._id, office.noShowGraceMinutes)),
+    // Visits without an office, or whose office keeps the default
+    overdue({ $nin: offices.map(office => office._id) }, NO_SHOW_GRACE_MINUTES)
+  ];
+
+  let marked = 0;
+  for (const filter of filters) {
+    const { modifiedCount } = await Visit.updateMany(filter, { status: 'no_show' }).setOptions(UNSCOPED);
+    marked += modifiedCount;
+  }
+
+  return marked;
+};
+
+// Clock out visitors still inside an office past its closing time (the first
+// one after their clock-in) and flag their visit for review. The clock-out is
+// recorded at closing time. Each visit is completed with a save conditioned on
+// its status, so when several instances run this at once only one completes
+// it. Returns the visits clocked out.
+const closeOpenVisits = async (now = new Date()) => {
+  const offices = await Office.find({ schedule: { $ne: null } })
+    .select('name schedule')
+    .setOptions(UNSCOPED);
+
+  const closed = [];
+
+  for (const office of offices) {
+    const visits = await Visit.find({ office: office._id, status: 'in_progress', clockOut: null })
+      .setOptions(UNSCOPED);
+
+    for (const visit of visits) {
+      const closing = visit.clockIn && nextClosingTime(visit.clockIn, office.schedule);
+      if (!closing || closing > now) continue;
+
+      visit.clockOut = closing;
+      visit.needsReview = true;
+      visit.reviewReason = AUTO_CLOCK_OUT_REASON;
+
+      try {
+        await completeVisit(visit);
+      } catch (error) {
+        // Clocked out or cancelled meanwhile, possibly by another instance
+        if (error.status === 409) continue;
+        throw error;
+      }
+
+      await leaveOffice(office._id);
+      await emitEvent('visit.checked_out', visit);
+      closed.push(visit);
+    }
+  }
+
+  return closed;
+};
+
+module.exports = {
+  markNoShows,
+  closeOpenVisits
+};
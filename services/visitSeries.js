@@ -0,0 +1,106 @@
+const Visit = require('../models/Visit');
+const User = require('../models/User');
+const VisitSeries = require('../models/VisitSeries');
+const { occurrencesOf } = require('./recurrence');
+const { localDate } = require('./businessHours');
+const { emitEvent } = require('./webhooks');
+
+// Occurrences follow their series whoever edits it
+const UNSCOPED = { tenantScope: false };
+
+// Upcoming occurrences still shaped by the series: not started, not decided
+// on their own and not edited on their own
+const followsSeries = (visit, now) => !visit.detached
+  && ['pending', 'accepted'].includes(visit.status)
+  && visit.expectedClockIn > now;
+
+// Bring the upcoming occurrences of a series in line with it: create the
+// missing ones, move or update those following the series (their status
+// included) and delete those its recurrence no longer includes. Occurrences
+// are matched by day (in the series time zone), so a day whose occurrence was
+// cancelled or edited on its own is never scheduled again. Returns { created, updated, removed }.
+const scheduleOccurrences = async (series, now = new Date()) => {
+  const day = (date) => localDate(date, series.timezone);
+
+  const wanted = new Map(occurrencesOf(series)
+    .filter(date => date > now)
+    .map(date => [day(date), date]));
+
+  const existing = await Visit.find({ series: series._id }).setOptions(UNSCOPED);
+  const scheduled = new Set(existing.map(visit => day(visit.occurrenceDate)));
+
+  const removed = existing.filter(visit => followsSeries(visit, now) && !wanted.has(day(visit.occurrenceDate)));
+  if (removed.length) {
+    const ids = removed.map(visit => visit._id);
+    await Visit.deleteMany({ _id: { $in: ids } }).setOptions(UNSCOPED);
+    await User.updateOne({ _id: series.visitor }, { $pull: { visits: { $in: ids } } }).setOptions(UNSCOPED);
+  }
+
+  let updated = 0;
+  for (const visit of existing) {
+    const date = wanted.get(day(visit.occurrenceDate));
+    if (!date || !followsSeries(visit, now)) continue;
+
+    visit.set({
+      expectedClockIn: date,
+      occurrenceDate: date,
+      reason: series.reason,
+      comment: series.comment,
+      // A rescheduled series awaits approval again, and so do its occurrences
+      status: series.status === 'accepted' ? 'accepted' : 'pending',
+      expiresAt: series.status === 'accepted' ? null : series.expiresAt
+    });
+
+    if (visit.isModified()) {
+      await visit.save();
+      updated++;
+    }
+  }
+
+  const created = [];
+  for (const [key, date] of wanted) {
+    if (scheduled.has(key)) continue;
+
+    const visit = new Visit({
+      visitor: series.visitor,
+      employee: series.employee,
+      office: series.office,
+      company: series.company,
+      reason: series.reason,
+      comment: series.comment,
+      expectedClockIn: date,
+      occurrenceDate: date,
+      series: series._id,
+      // Approving the series approves its occurrences
+      status: series.status === 'accepted' ? 'accepted' : 'pending',
+      expiresAt: series.status === 'accepted' ? null : series.expiresAt
+    });
+    await visit.save();
+    await emitEvent('visit.created', visit);
+    created.push(visit._id);
+  }
+
+  if (created.length) {
+    await User.updateOne({ _id: series.visitor }, { $push: { visits: { $each: created } } }).setOptions(UNSCOPED);
+  }
+
+  return { created: created.length, updated, removed: removed.length };
+};
+
+// Keep a deleted occurrence from being scheduled again
+const skipOccurrence = async (visit) => {
+  if (!visit.series || !visit.occurrenceDate) return;
+
+  const series = await VisitSeries.findById(visit.series).select('timezone').setOptions(UNSCOPED);
+  if (series) {
+    await VisitSeries.updateOne(
+      { _id: series._id },
+      { $addToSet: { exceptions: localDate(visit.occurrenceDate, series.timezone) } }
+    ).setOptions(UNSCOPED);
+  }
+};
+
+module.exports = {
+  scheduleOccurrences,
+  skipOccurrence
+};
@@ -0,0 +1,160 @@
+const Visit = require('../models/Visit');
+const User = require('../models/User');
+const { randomSecret } = require('../config/tokens');
+const { occupySpot, enqueue, leaveOffice } = require('./occupancy');
+const { completeVisit } = require('./companyCounters');
+const { normalizePhone } = require('./phone');
+const { screenVisit } = require('./watchlist');
+const { pendingAgreements, summarize } = require('./agreements');
+const { notifyVisitEvent } = require('./visitNotifications');
+const { emitEvent } = require('./webhooks');
+
+// Find a visitor by email, then phone, or create a guest profile.
+// Visitors are looked up across companies since they are usually outsiders.
+const findOrCreateVisitor = async ({ email, phone, firstName, lastName, civility }) => {
+  const normalizedPhone = phone ? normalizePhone(phone) : null;
+
+  // Emails are unique, so a deactivated user is matched too rather than duplicated
+  let visitor = email
+    ? await User.findOne({ email }).setOptions({ tenantScope: false })
+    : null;
+
+  if (!visitor && normalizedPhone) {
+    visitor = await User.findOne({ phone: normalizedPhone, active: 1 }).setOptions({ tenantScope: false });
+  }
+
+  if (visitor) {
+    return { visitor, created: false };
+  }
+
+  // Guests get a random password nobody knows; a password reset claims the account
+  visitor = new User({
+    email,
+    phone: normalizedPhone,
+    firstName,
+    lastName,
+    civility,
+    password: randomSecret(),
+    guest: true
+  });
+  await visitor.save();
+
+  return { visitor, created: true };
+};
+
+// Clock a visitor in, or return why they cannot be ({ error, status }).
+// Conditioned on the current state so two simultaneous check-ins cannot both
+// succeed. Visitors are screened against the company watchlist first: blocked
+// visitors are refused and flagged ones let in with the visit marked for
+// review. Visitors who have not signed the required agreements are refused
+// with the agreements to sign ({ agreements }). Visits at an office take a
+// spot in it; when the office is full the visitor is either refused or, if
+// the office queues arrivals, put on its waiting queue
+// ({ queued: { entry, position } }) and clocked in later.
+const startVisit = async (visit) => {
+  if (visit.status !== 'accepted') {
+    return { error: 'Only accepted visits can be clocked in' };
+  }
+
+  if (visit.clockIn) {
+    return { error: 'Visitor is already clocked in' };
+  }
+
+  const screening = await screenVisit(visit, { stage: 'clock_in' });
+  if (screening.outcome !== 'clear') {
+    await Visit.updateOne(
+      { _id: visit._id },
+      { $set: { needsReview: true, reviewReason: visit.reviewReason } }
+    );
+  }
+
+  if (screening.outcome === 'blocked') {
+    return { error: 'Entry denied. Please contact security', status: 403, screening };
+  }
+
+  const pending = await pendingAgreements(visit);
+  if (pending.length) {
+    return { error: 'The visitor must sign the required agreements first', status: 428, agreements: pending.map(summarize) };
+  }
+
+  if (visit.office) {
+    const { full, office } = await occupySpot(visit.office);
+
+    if (full && office.capacityPolicy === 'queue') {
+      return { queued: await enqueue(office, { visit: visit._id }) };
+    }
+
+    if (full) {
+      return { error: 'Office is at capacity', status: 409 };
+    }
+  }
+
+  const started = await Visit.findOneAndUpdate(
+    { _id: visit._id, status: 'accepted', clockIn: null },
+    { $set: { clockIn: new Date(), status: 'in_progress' } },
+    { new: true }
+  );
+
+  if (!started) {
+    if (visit.office) {
+      await leaveOffice(visit.office);
+    }
+    return { error: 'Visitor is already clocked in' };
+  }
+
+  await notifyVisitEvent('visitor_arrived', started);
+  await emitEvent('visit.checked_in', started);
+
+  return { visit: started };
+};
+
+// Clock a visitor out, or return why they cannot be. Completing the visit
+// computes its duration and counts it in the host company's visitors; the
+// visitor's office spot is freed.
+const endVisit = async (visit) => {
+  if (!visit.clockIn) {
+    return { error: 'Visitor must be clocked in before clocking out' };
+  }
+
+  if (visit.clockOut) {
+    return { error: 'Visitor is already clocked out' };
+  }
+
+  if (!Visit.canTransition(visit.status, 'completed')) {
+    return { error: `A ${visit.status} visit cannot be clocked out` };
+  }
+
+  await completeVisit(visit);
+
+  if (visit.office) {
+    await leaveOffice(visit.office);
+  }
+
+  await notifyVisitEvent('visitor_left', visit);
+  await emitEvent('visit.checked_out', visit);
+
+  return { visit };
+};
+
+// Clock in a kiosk walk-in once their visit is accepted. Visitors turned
+// away (blocked, office full...) keep a cancelled visit, as at the kiosk.
+// Returns the result of startVisit.
+const admitWalkIn = async (visit) => {
+  const result = await startVisit(visit);
+
+  if (result.error) {
+    visit.status = 'cancelled';
+    visit.cancellationReason = result.error;
+    await visit.save();
+  }
+
+  return result;
+};
+
+module.exports = {
+  normalizePhone,
+  findOrCreateVisitor,
+  startVisit,
+  admitWalkIn,
+  endVisit
+};
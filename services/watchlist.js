@@ -0,0 +1,176 @@
+const User = require('../models/User');
+const Company = require('../models/Company');
+const WatchlistEntry = require('../models/WatchlistEntry');
+const Screening = require('../models/Screening');
+const { getAuditContext } = require('../models/plugins/auditTrail');
+const { sendMail } = require('./mail');
+const { escapeHtml, fullName } = require('./templates');
+const { normalizePhone } = require('./phone');
+
+// Visitors usually belong to another company and screenings run for whoever
+// acts on the visit (a visitor, a kiosk...), so lookups are never scoped
+const UNSCOPED = { tenantScope: false };
+
+// Names this similar (0 to 1) to a watchlisted name match it
+const NAME_MATCH_THRESHOLD = 0.85;
+
+// Review reason of visits flagged by the watchlist
+const WATCHLIST_REVIEW_REASON = 'Visitor matches the company watchlist';
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Lowercase words without accents or punctuation, in alphabetical order, so
+// "Dupont, Jean" matches "jean DUPONT"
+const normalizeName = (name) => name
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean)
+  .sort()
+  .join(' ');
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Similarity of two names, from 0 (nothing in common) to 1 (same name)
+const nameSimilarity = (a, b) => {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+};
+
+// How the visitor matches the entry ({ field, score }), or null
+const matchEntry = (entry, visitor) => {
+  if (entry.user && entry.user.equals(visitor._id)) {
+    return { field: 'user', score: 1 };
+  }
+
+  if (entry.email && visitor.email && entry.email === visitor.email.toLowerCase()) {
+    return { field: 'email', score: 1 };
+  }
+
+  if (entry.phone && visitor.phone && normalizePhone(entry.phone) === normalizePhone(visitor.phone)) {
+    return { field: 'phone', score: 1 };
+  }
+
+  const name = [visitor.firstName, visitor.lastName].filter(Boolean).join(' ');
+  if (entry.name && name) {
+    const score = nameSimilarity(entry.name, name);
+    if (score >= NAME_MATCH_THRESHOLD) {
+      return { field: 'name', score: Math.round(score * 100) / 100 };
+    }
+  }
+
+  return null;
+};
+
+// Active, unexpired entries of the company the visitor matches
+const findMatches = async (company, visitor, now = new Date()) => {
+  if (!company) return [];
+
+  const entries = await WatchlistEntry.find({
+    company,
+    active: true,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+  }).setOptions(UNSCOPED);
+
+  return entries.flatMap(entry => {
+    const match = matchEntry(entry, visitor);
+    return match ? [{ entry: entry._id, ...match, action: entry.action, reason: entry.reason }] : [];
+  });
+};
+
+// Email the company admins that a watchlisted visitor was booked
+const alertCompanyAdmins = async (screening, { visit, visitor }) => {
+  const company = await Company.findById(screening.company)
+    .populate('admin', 'firstName lastName email')
+    .setOptions(UNSCOPED);
+  const admins = company ? company.admin.filter(admin => admin.email) : [];
+  if (!admins.length) return;
+
+  const name = fullName(visitor) || 'A visitor';
+  const decision = screening.outcome === 'blocked'
+    ? 'The booking was refused.'
+    : 'The booking went ahead and is flagged for security review.';
+  const details = [
+    `Expected arrival: ${new Date(visit.expectedClockIn || visit.startAt).toUTCString()}`,
+    `Reason of the visit: ${visit.reason}`,
+    ...screening.matches.map(match => `Matched on ${match.field} (${match.action}): ${match.reason}`),
+    `Screening: ${screening._id}`
+  ];
+
+  await sendMail({
+    to: admins.map(admin => admin.email).join(', '),
+    subject: `Watchlist alert: ${name} was booked`,
+    text: `${name} matches your company watchlist. ${decision}\n\n${details.join('\n')}`,
+    html: `<p>${escapeHtml(name)} matches your company watchlist. ${escapeHtml(decision)}</p><p>${details.map(escapeHtml).join('<br>')}</p>`
+  });
+};
+
+// Screen the visitor of a visit (or of a visit series, when booking one)
+// against the watchlist of its company and record the decision. Flagged
+// visits are marked for review; the caller saves them. Company admins are
+// alerted of bookings matching the watchlist. Returns the Screening: a
+// `blocked` outcome means the visit must not go ahead.
+const screenVisit = async (visit, { stage, visitor = null }) => {
+  const person = visitor || await User.findById(idOf(visit.visitor)).setOptions(UNSCOPED);
+  const matches = await findMatches(idOf(visit.company), person);
+
+  let outcome = 'clear';
+  if (matches.some(match => match.action === 'block')) {
+    outcome = 'blocked';
+  } else if (matches.length) {
+    outcome = 'flagged';
+  }
+
+  const isSeries = visit.constructor.modelName === 'VisitSeries';
+  // Blocked bookings are never saved, so there is no visit to point to
+  const saved = !(stage === 'booking' && outcome === 'blocked');
+
+  const screening = await Screening.create({
+    company: idOf(visit.company) || null,
+    visitor: person._id,
+    visit: !isSeries && saved ? visit._id : null,
+    series: isSeries && saved ? visit._id : null,
+    stage,
+    outcome,
+    matches,
+    by: getAuditContext().actor || null
+  });
+
+  if (outcome !== 'clear' && !isSeries) {
+    visit.needsReview = true;
+    visit.reviewReason = WATCHLIST_REVIEW_REASON;
+  }
+
+  if (stage === 'booking' && matches.length) {
+    try {
+      await alertCompanyAdmins(screening, { visit, visitor: person });
+    } catch (alertError) {
+      console.error('❌ Failed to send watchlist alert:', alertError.message);
+    }
+  }
+
+  return screening;
+};
+
+module.exports = {
+  WATCHLIST_REVIEW_REASON,
+  screenVisit
+};
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { TIMEOUT_SECONDS, MAX_ATTEMPTS, RETRY_BASE_SECONDS, RETRY_MAX_SECONDS } = require('../config/webhooks');
+const { eventData } = require('./eventData');
+const { checkPublicUrl } = require('./outboundUrls');
+
+// Events are raised by whoever acts (a visitor, a kiosk, a job...), and
+// deliveries are sent for every company
+const UNSCOPED = { tenantScope: false };
+
+// Deliveries read at once when sending those due
+const BATCH_SIZE = 50;
+
+const idString = (value) => (value && value._id ? value._id : value).toString();
+
+const payloadOf = (event, company, data) => ({
+  id: crypto.randomUUID(),
+  event,
+  createdAt: new Date(),
+  company: idString(company),
+  data
+});
+
+// Hex HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Wait before the attempt following the `attempt`th failed one
+const retryDelay = (attempt) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempt - 1), RETRY_MAX_SECONDS) * 1000;
+
+// POST the delivery's payload to the webhook; returns the attempt made. Only
+// the status of the answer is kept: its body is none of the API's business.
+const post = async (subscription, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const at = new Date();
+
+  const { error } = await checkPublicUrl(subscription.url);
+  if (error) {
+    return { at, error, durationMs: 0 };
+  }
+
+  try {
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'EasyDoor-Webhooks/1.0',
+        'X-EasyDoor-Event': delivery.event,
+        'X-EasyDoor-Delivery': delivery._id.toString(),
+        'X-EasyDoor-Signature': `t=${timestamp},v1=${sign(subscription.secret, timestamp, body)}`
+      },
+      body,
+      // A redirect is an answer of its own, not a reason to post elsewhere
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_SECONDS * 1000)
+    });
+    // The answer is not read: free the connection
+    if (response.body) await response.body.cancel();
+
+    return {
+      at,
+      responseStatus: response.status,
+      error: response.ok ? null : `Endpoint answered ${response.status}`,
+      durationMs: Date.now() - at.getTime()
+    };
+  } catch (postError) {
+    return { at, error: postError.message, durationMs: Date.now() - at.getTime() };
+  }
+};
+
+// Make one attempt of a delivery this instance holds and record it: the
+// delivery succeeds on a 2xx answer, otherwise it is retried later with an
+// exponential backoff until it runs out of attempts. Deliveries to a webhook
+// deleted or disabled since fail right away (pings excepted, to check an
+// endpoint before enabling it).
+const attempt = async (delivery) => {
+  const subscription = await WebhookSubscription.findById(delivery.subscription)
+    .select('+secret')
+    .setOptions(UNSCOPED);
+  const reachable = subscription && (subscription.active || delivery.event === 'ping');
+
+  const made = reachable
+    ? await post(subscription, delivery)
+    : { at: new Date(), error: 'Webhook was deleted or disabled', durationMs: 0 };
+
+  const count = delivery.attempts.length + 1;
+  let status = 'pending';
+  if (made.responseStatus >= 200 && made.responseStatus < 300) {
+    status = 'succeeded';
+  } else if (!reachable || count >= delivery.maxAttempts) {
+    status = 'failed';
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(
+    delivery._id,
+    {
+      $push: { attempts: made },
+      $set: { status, nextAttemptAt: status === 'pending' ? new Date(Date.now() + retryDelay(count)) : null }
+    },
+    { new: true }
+  ).setOptions(UNSCOPED);
+};
+
+// Take a due delivery for one attempt by pushing its next attempt past the
+// time the attempt may take. Returns null when another instance took it.
+const claim = (delivery, now) => WebhookDelivery.findOneAndUpdate(
+  { _id: delivery._id, status: 'pending', nextAttemptAt: { $lte: now } },
+  { nextAttemptAt: new Date(now.getTime() + (TIMEOUT_SECONDS + 60) * 1000) },
+  { new: true }
+).setOptions(UNSCOPED);
+
+// Attempt every delivery due, oldest first. Deliveries are claimed one by one,
+// so several instances can run this at once. Returns the attempts made.
+const deliverDue = async () => {
+  let attempted = 0;
+
+  for (;;) {
+    const now = new Date();
+    const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: now } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(BATCH_SIZE)
+      .setOptions(UNSCOPED);
+
+    for (const delivery of due) {
+      const claimed = await claim(delivery, now);
+      if (!claimed) continue;
+
+      await attempt(claimed);
+      attempted++;
+    }
+
+    if (due.length < BATCH_SIZE) break;
+  }
+
+  return attempted;
+};
+
+// Run of deliverDue in progress in this instance, and whether deliveries were
+// queued during it
+let draining = null;
+let queuedMeanwhile = false;
+
+// Send the deliveries due in the background, once at a time per instance.
+// Failures are logged, never thrown; the retry job picks up what is left.
+const drain = () => {
+  if (draining) {
+    queuedMeanwhile = true;
+    return draining;
+  }
+
+  draining = (async () => {
+    let attempted = 0;
+    do {
+      queuedMeanwhile = false;
+      attempted += await deliverDue();
+    } while (queuedMeanwhile);
+    return attempted;
+  })()
+    .catch((drainError) => {
+      console.error('❌ Failed to send webhook deliveries:', drainError.message);
+      return 0;
+    })
+    .finally(() => {
+      draining = null;
+    });
+
+  return draining;
+};
+
+// Tell the webhooks of the record's company subscribed to `event` about a
+// visit, attendance session or service card. Deliveries are recorded before
+// returning and sent in the background, so a slow endpoint never holds up the
+// request. Failures are logged, never thrown.
+const emitEvent = async (event, record) => {
+  try {
+    if (!record.company) return;
+
+    const subscriptions = await WebhookSubscription.find({ company: record.company, active: true, events: event })
+      .select('company')
+      .setOptions(UNSCOPED);
+    if (!subscriptions.length) return;
+
+    const payload = payloadOf(event, record.company, eventData(record));
+
+    await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+      subscription: subscription._id,
+      company: subscription.company,
+      event,
+      eventId: payload.id,
+      payload,
+      maxAttempts: MAX_ATTEMPTS
+    })));
+
+    drain();
+  } catch (emitError) {
+    console.error(`❌ Failed to queue ${event} webhooks:`, emitError.message);
+  }
+};
+
+// Record a delivery and make its only attempt right away, bypassing the
+// queue. Returns the delivery with the attempt.
+const sendNow = async (fields) => {
+  const delivery = await WebhookDelivery.create({ ...fields, maxAttempts: 1, nextAttemptAt: null });
+  return attempt(delivery);
+};
+
+// Send a ping event to a webhook, to check the endpoint and its signature
+const pingWebhook = (subscription) => {
+  const payload = payloadOf('ping', subscription.company, { webhook: idString(subscription) });
+
+  return sendNow({
+    subscription: subscription._id,
+    company: subscription.company,
+    event: 'ping',
+    eventId: payload.id,
+    payload
+  });
+};
+
+// Send a delivery's event again, with the same payload and event id
+const redeliver = (delivery) => sendNow({
+  subscription: delivery.subscription,
+  company: delivery.company,
+  event: delivery.event,
+  eventId: delivery.eventId,
+  payload: delivery.payload,
+  redeliveryOf: delivery._id
+});
+
+module.exports = {
+  emitEvent,
+  drain,
+  pingWebhook,
+  redeliver
+};
@@ -0,0 +1,47 @@
+const { Joi, objectId, idParams, pagination } = require('./common');
+
+const kind = Joi.string().valid('nda', 'safety', 'other');
+
+const templateFields = {
+  kind: kind.description('nda, safety (rules and briefing) or other'),
+  title: Joi.string().trim().max(200).description('Title shown to visitors'),
+  body: Joi.string().trim().max(50000).description('Agreement text; changing it (or the title) publishes a new version'),
+  validityDays: Joi.number().integer().min(0).max(3650).allow(null).description('Days an acceptance stays valid for later visits (VISIT_AGREEMENT_VALIDITY_DAYS when empty, 0 to sign at every visit)'),
+  active: Joi.boolean().description('Whether visitors must sign it')
+};
+
+const createAgreement = {
+  body: Joi.object({
+    ...templateFields,
+    company: objectId().required().description('Company whose visitors sign the agreement'),
+    office: objectId().allow(null).description('Office whose visitors sign it (every office of the company when omitted)'),
+    title: templateFields.title.required(),
+    body: templateFields.body.required()
+  }).meta({ className: 'AgreementTemplateCreate' })
+};
+
+const getAgreements = {
+  query: Joi.object({
+    ...pagination,
+    company: objectId(),
+    office: objectId(),
+    kind,
+    active: Joi.boolean()
+  })
+};
+
+const getAgreementById = {
+  params: idParams
+};
+
+const updateAgreement = {
+  params: idParams,
+  body: Joi.object(templateFields).min(1).meta({ className: 'AgreementTemplateUpdate' })
+};
+
+module.exports = {
+  createAgreement,
+  getAgreements,
+  getAgreementById,
+  updateAgreement
+};
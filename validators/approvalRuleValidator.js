@@ -0,0 +1,48 @@
+const { Joi, objectId, idParams, businessHours, pagination } = require('./common');
+
+const ruleFields = {
+  allowDelegates: Joi.boolean().description("Whether the host's visit delegates may approve in their place"),
+  requireSecurityApproval: Joi.boolean().description('Whether security must approve once the host has'),
+  securityApprovers: Joi.array().items(objectId()).unique().max(50).description('Users who can give the security approval'),
+  businessHours: businessHours().description('Business hours used to detect visits needing a manager approval'),
+  requireManagerApprovalOutsideHours: Joi.boolean().description('Whether visits expected outside business hours need a manager approval as well'),
+  managerApprovers: Joi.array().items(objectId()).unique().max(50).description('Users who can give the manager approval (company admins when empty)'),
+  pendingExpiryHours: Joi.number().integer().min(1).max(24 * 90).allow(null).description('Hours after which a visit still awaiting approval expires')
+};
+
+const createApprovalRule = {
+  body: Joi.object({
+    ...ruleFields,
+    company: objectId().required().description('Company the rule applies to'),
+    office: objectId().allow(null).description('Office the rule applies to (company default when omitted)')
+  }).meta({ className: 'VisitApprovalRuleCreate' })
+};
+
+const getApprovalRules = {
+  query: Joi.object({
+    ...pagination,
+    company: objectId(),
+    office: objectId()
+  })
+};
+
+const getApprovalRuleById = {
+  params: idParams
+};
+
+const updateApprovalRule = {
+  params: idParams,
+  body: Joi.object(ruleFields).min(1).meta({ className: 'VisitApprovalRuleUpdate' })
+};
+
+const deleteApprovalRule = {
+  params: idParams
+};
+
+module.exports = {
+  createApprovalRule,
+  getApprovalRules,
+  getApprovalRuleById,
+  updateApprovalRule,
+  deleteApprovalRule
+};
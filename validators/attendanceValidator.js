@@ -0,0 +1,82 @@
+const { Joi, objectId, idParams, pagination } = require('./common');
+
+const workingFrom = Joi.string().valid('office', 'home');
+
+const createAttendance = {
+  body: Joi.object({
+    employee: objectId().required().description('Employee user ID'),
+    workingFrom: workingFrom.required().description('Where the employee is working from'),
+    office: objectId()
+      .when('workingFrom', { is: 'office', then: Joi.required() })
+      .description("Office ID (required if workingFrom is 'office')")
+  }).meta({ className: 'AttendanceCreate' })
+};
+
+const getAllAttendance = {
+  query: Joi.object({
+    ...pagination,
+    employee: objectId(),
+    workingFrom,
+    office: objectId(),
+    isActive: Joi.boolean(),
+    date: Joi.date().iso()
+  })
+};
+
+const getActiveAttendance = {
+  query: Joi.object({
+    office: objectId(),
+    workingFrom
+  })
+};
+
+const getEmployeeAttendanceSummary = {
+  params: Joi.object({
+    employeeId: objectId().required()
+  }),
+  query: Joi.object({
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate'))
+  }).and('startDate', 'endDate')
+};
+
+const getAttendanceById = {
+  params: idParams
+};
+
+// Time corrections only: where the employee works and whether the session is
+// over change through clock-in and clock-out, which keep occupancy and the
+// company counters right
+const updateAttendance = {
+  params: idParams,
+  body: Joi.object({
+    clockIn: Joi.date().iso(),
+    clockOut: Joi.date().iso().description('Only for sessions already clocked out')
+  }).min(1).meta({ className: 'AttendanceUpdate' })
+};
+
+const clockOut = {
+  params: idParams
+};
+
+const clockOutByEmployee = {
+  params: Joi.object({
+    employeeId: objectId().required()
+  })
+};
+
+const deleteAttendance = {
+  params: idParams
+};
+
+module.exports = {
+  createAttendance,
+  getAllAttendance,
+  getActiveAttendance,
+  getEmployeeAttendanceSummary,
+  getAttendanceById,
+  updateAttendance,
+  clockOut,
+  clockOutByEmployee,
+  deleteAttendance
+};
@@ -0,0 +1,29 @@
+const { Joi, objectId, pagination } = require('./common');
+
+const AUDITED_MODELS = ['User', 'Company', 'Office', 'ServiceCard', 'Visit', 'Attendance', 'KioskDevice', 'OfficeQueueEntry', 'VisitApprovalRule', 'VisitSeries', 'VisitGroup', 'WatchlistEntry', 'AgreementTemplate'];
+
+const filters = {
+  actor: objectId(),
+  targetModel: Joi.string().valid(...AUDITED_MODELS),
+  targetId: objectId(),
+  company: objectId(),
+  action: Joi.string().trim().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from'))
+};
+
+const getAuditLogs = {
+  query: Joi.object({
+    ...pagination,
+    ...filters
+  })
+};
+
+const exportAuditLogs = {
+  query: Joi.object(filters)
+};
+
+module.exports = {
+  getAuditLogs,
+  exportAuditLogs
+};
@@ -0,0 +1,52 @@
+const Joi = require('joi');
+
+// 24-character hex MongoDB ObjectId, normalized to lowercase
+const objectId = () => Joi.string()
+  .trim()
+  .lowercase()
+  .pattern(/^[0-9a-fA-F]{24}$/, 'ObjectId')
+  .messages({ 'string.pattern.name': '{{#label}} must be a valid ObjectId' });
+
+const idParams = Joi.object({
+  id: objectId().required()
+});
+
+const time = () => Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/);
+
+// Working days and hours in a time zone (see models/schemas/businessHours.js)
+const businessHours = () => Joi.object({
+  days: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().min(1).description('Working days, 0 is Sunday'),
+  start: time().description('Opening time (HH:mm)'),
+  end: time().description('Closing time (HH:mm)'),
+  timezone: Joi.string().trim().description('IANA time zone of the hours (e.g. Africa/Kinshasa)')
+});
+
+// Drawn signatures are sent as PNG or JPEG data URLs of at most 200 KB
+const SIGNATURE_IMAGE_MAX_LENGTH = 200 * 1024;
+
+// Acceptance of the agreements a visitor must sign before clocking in, each
+// signed with a typed name or a drawn signature
+const agreementSignatures = () => Joi.array().items(Joi.object({
+  template: objectId().required().description('Agreement template ID'),
+  version: Joi.number().integer().min(1).required().description('Version of the agreement the visitor was shown'),
+  signerName: Joi.string().trim().max(200).required().description('Full name of the person signing'),
+  typedName: Joi.string().trim().max(200).description('Name typed as signature'),
+  signatureImage: Joi.string()
+    .pattern(/^data:image\/(png|jpeg);base64,[A-Za-z0-9+/]+=*$/)
+    .max(SIGNATURE_IMAGE_MAX_LENGTH)
+    .description('Drawn signature as a data URL (image/png or image/jpeg)')
+}).xor('typedName', 'signatureImage')).min(1).max(20).unique('template');
+
+const pagination = {
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10)
+};
+
+module.exports = {
+  Joi,
+  objectId,
+  idParams,
+  businessHours,
+  agreementSignatures,
+  pagination
+};
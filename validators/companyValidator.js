@@ -0,0 +1,75 @@
+const { Joi, objectId, idParams, pagination } = require('./common');
+
+const createCompany = {
+  body: Joi.object({
+    acronym: Joi.string().trim().uppercase().required(),
+    fullName: Joi.string().trim().required(),
+    logoUrl: Joi.string().uri().allow(null)
+  }).meta({ className: 'CompanyCreate' })
+};
+
+const getAllCompanies = {
+  query: Joi.object({
+    ...pagination,
+    active: Joi.boolean()
+  })
+};
+
+const getCompanyById = {
+  params: idParams
+};
+
+// Members, presence and visitor counts are managed by their own endpoints
+const updateCompany = {
+  params: idParams,
+  body: Joi.object({
+    acronym: Joi.string().trim().uppercase(),
+    fullName: Joi.string().trim(),
+    logoUrl: Joi.string().uri().allow(null),
+    // Replaces the whole template; fields left out take their defaults
+    badgeTemplate: Joi.object({
+      size: Joi.string().valid('a6', 'label_62x100', 'label_54x86', 'label_102x76'),
+      title: Joi.string().trim().max(20),
+      accentColor: Joi.string().pattern(/^#[0-9a-fA-F]{6}$/).description('#RRGGBB'),
+      showLogo: Joi.boolean(),
+      showHost: Joi.boolean(),
+      showOffice: Joi.boolean(),
+      showReason: Joi.boolean(),
+      footer: Joi.string().trim().max(120).allow('', null)
+    })
+  }).min(1).meta({ className: 'CompanyUpdate' })
+};
+
+const deleteCompany = {
+  params: idParams
+};
+
+const addEmployee = {
+  params: idParams,
+  body: Joi.object({
+    employeeId: objectId().required().description('ID of the user to add as employee'),
+    isAdmin: Joi.boolean().default(false).description('Whether to add user as admin')
+  }).meta({ className: 'CompanyAddEmployee' })
+};
+
+const removeEmployee = {
+  params: idParams,
+  body: Joi.object({
+    employeeId: objectId().required().description('ID of the employee to remove')
+  }).meta({ className: 'CompanyRemoveEmployee' })
+};
+
+const rebuildCounters = {
+  params: idParams
+};
+
+module.exports = {
+  createCompany,
+  getAllCompanies,
+  getCompanyById,
+  updateCompany,
+  deleteCompany,
+  addEmployee,
+  removeEmployee,
+  rebuildCounters
+};
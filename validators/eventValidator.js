@@ -0,0 +1,13 @@
+const { Joi, objectId } = require('./common');
+
+const streamEvents = {
+  query: Joi.object({
+    company: objectId().description('Only events of this company (company admins and employees only get their own)'),
+    office: objectId().description('Only events of this office'),
+    lastEventId: Joi.string().trim().description('Id of the last event received, to get the events missed since (like the Last-Event-ID header)')
+  })
+};
+
+module.exports = {
+  streamEvents
+};
@@ -0,0 +1,102 @@
+const validators = [
+  require('./userValidator'),
+  require('./companyValidator'),
+  require('./officeValidator'),
+  require('./serviceCardValidator'),
+  require('./visitValidator'),
+  require('./attendanceValidator'),
+  require('./kioskValidator'),
+  require('./approvalRuleValidator'),
+  require('./visitSeriesValidator'),
+  require('./visitGroupValidator'),
+  require('./watchlistValidator'),
+  require('./agreementValidator'),
+  require('./webhookValidator'),
+  require('./eventValidator')
+];
+
+// Convert a Joi schema description into an OpenAPI schema
+const toOpenApi = (description) => {
+  const { type, flags = {}, rules = [], allow = [] } = description;
+  const schema = {};
+
+  switch (type) {
+    case 'object': {
+      schema.type = 'object';
+      schema.properties = {};
+      const required = [];
+      Object.entries(description.keys || {}).forEach(([key, child]) => {
+        schema.properties[key] = toOpenApi(child);
+        if (child.flags && child.flags.presence === 'required') {
+          required.push(key);
+        }
+      });
+      if (required.length > 0) {
+        schema.required = required;
+      }
+      schema.additionalProperties = false;
+      break;
+    }
+    case 'array':
+      schema.type = 'array';
+      schema.items = description.items ? toOpenApi(description.items[0]) : {};
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    case 'number':
+      schema.type = rules.some(rule => rule.name === 'integer') ? 'integer' : 'number';
+      break;
+    default:
+      schema.type = type;
+  }
+
+  rules.forEach(({ name, args = {} }) => {
+    if (name === 'email') schema.format = 'email';
+    if (name === 'uri') schema.format = 'uri';
+    if (name === 'pattern') schema.pattern = args.regex.replace(/^\/|\/[a-z]*$/g, '');
+    if (type === 'string' && name === 'min') schema.minLength = args.limit;
+    if (type === 'string' && name === 'max') schema.maxLength = args.limit;
+    if (type === 'number' && name === 'min') schema.minimum = args.limit;
+    if (type === 'number' && name === 'max') schema.maximum = args.limit;
+  });
+
+  const values = allow.filter(value => value !== null && value !== '');
+  if (flags.only && values.length > 0) {
+    schema.enum = values;
+  }
+  if (allow.includes(null)) {
+    schema.nullable = true;
+  }
+  if (flags.default !== undefined && typeof flags.default !== 'function') {
+    schema.default = flags.default;
+  }
+  if (flags.description) {
+    schema.description = flags.description;
+  }
+
+  return schema;
+};
+
+// OpenAPI request-body schemas generated from every route's Joi body schema
+// that declares a `className` meta, so docs and validation never drift
+const swaggerSchemas = () => {
+  const schemas = {};
+
+  validators.forEach(validator => {
+    Object.values(validator).forEach(({ body }) => {
+      if (!body) return;
+      const meta = (body.describe().metas || []).find(m => m.className);
+      if (meta) {
+        schemas[meta.className] = toOpenApi(body.describe());
+      }
+    });
+  });
+
+  return schemas;
+};
+
+module.exports = {
+  swaggerSchemas
+};
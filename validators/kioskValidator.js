@@ -0,0 +1,54 @@
+const { Joi, objectId, idParams, pagination, agreementSignatures } = require('./common');
+const { inviteVisitor } = require('./visitValidator');
+
+const registerKioskDevice = {
+  body: Joi.object({
+    name: Joi.string().trim().required().description('Device name (e.g. Lobby tablet)'),
+    office: objectId().required().description('Office the kiosk is installed in')
+  }).meta({ className: 'KioskDeviceCreate' })
+};
+
+const getKioskDevices = {
+  query: Joi.object({
+    ...pagination,
+    office: objectId(),
+    active: Joi.boolean()
+  })
+};
+
+const revokeKioskDevice = {
+  params: idParams
+};
+
+const searchHosts = {
+  query: Joi.object({
+    search: Joi.string().trim().min(2).max(100).required()
+  })
+};
+
+// Same visitor details as an invitation; names are needed for the badge
+const kioskCheckIn = {
+  body: Joi.object({
+    visitor: inviteVisitor.body.extract('visitor')
+      .fork(['firstName', 'lastName'], schema => schema.required()),
+    host: objectId().required().description('Host user ID, from the host search'),
+    reason: Joi.string().trim().required().description('Purpose of the visit'),
+    comment: Joi.string().trim().allow('', null).description('Additional comments'),
+    agreements: agreementSignatures().description('Agreements of GET /api/kiosk/agreements signed by the visitor')
+  }).meta({ className: 'KioskCheckIn' })
+};
+
+const kioskCheckOut = {
+  body: Joi.object({
+    code: Joi.string().trim().uppercase().length(8).required().description('Visit code received at check-in')
+  }).meta({ className: 'KioskCheckOut' })
+};
+
+module.exports = {
+  registerKioskDevice,
+  getKioskDevices,
+  revokeKioskDevice,
+  searchHosts,
+  kioskCheckIn,
+  kioskCheckOut
+};
@@ -0,0 +1,101 @@
+const { Joi, objectId, idParams, businessHours, pagination } = require('./common');
+
+const officeFields = {
+  name: Joi.string().trim().description('Office name'),
+  address: Joi.string().trim().description('Office address'),
+  city: Joi.string().trim().description('Office city'),
+  country: Joi.string().trim().description('Office country'),
+  zipCode: Joi.string().trim().allow(null).description('Office zip code'),
+  phone: Joi.string().trim().allow(null).description('Office phone number'),
+  email: Joi.string().trim().lowercase().email().allow(null).description('Office email'),
+  capacity: Joi.number().integer().min(1).description('Maximum capacity of the office'),
+  capacityPolicy: Joi.string().valid('reject', 'queue').description('What happens to clock-ins once the office is at capacity'),
+  schedule: businessHours().allow(null).description('Opening hours; visitors still inside at closing time are clocked out automatically'),
+  noShowGraceMinutes: Joi.number().integer().min(0).max(24 * 60).allow(null).description('Minutes after the expected arrival before an accepted visit becomes a no-show (server default when null)')
+};
+
+const createOffice = {
+  body: Joi.object({
+    ...officeFields,
+    name: officeFields.name.required(),
+    address: officeFields.address.required(),
+    city: officeFields.city.required(),
+    country: officeFields.country.required(),
+    company: objectId().required().description('Company ID that owns this office')
+  }).meta({ className: 'OfficeCreate' })
+};
+
+const getAllOffices = {
+  query: Joi.object({
+    ...pagination,
+    company: objectId(),
+    city: Joi.string().trim(),
+    active: Joi.boolean()
+  })
+};
+
+const getOfficesByCompany = {
+  params: Joi.object({
+    companyId: objectId().required()
+  }),
+  query: Joi.object({
+    active: Joi.boolean().default(true)
+  })
+};
+
+const getOfficeById = {
+  params: idParams
+};
+
+const getOfficeStats = {
+  params: idParams
+};
+
+// Occupancy follows clock-ins and clock-outs (see services/occupancy.js)
+const updateOffice = {
+  params: idParams,
+  body: Joi.object({
+    ...officeFields,
+    active: Joi.boolean().description('Whether office is active')
+  }).min(1).meta({ className: 'OfficeUpdate' })
+};
+
+const updateOccupancy = {
+  params: idParams,
+  body: Joi.object({
+    currentOccupancy: Joi.number().integer().min(0).required().description('Current number of people in office')
+  }).meta({ className: 'OfficeOccupancy' })
+};
+
+const reconcileOccupancy = {
+  params: idParams
+};
+
+const getOfficeQueue = {
+  params: idParams
+};
+
+const cancelQueueEntry = {
+  params: Joi.object({
+    id: objectId().required(),
+    entryId: objectId().required()
+  })
+};
+
+const deleteOffice = {
+  params: idParams
+};
+
+module.exports = {
+  createOffice,
+  getAllOffices,
+  getOfficesByCompany,
+  getOfficeById,
+  getOfficeStats,
+  updateOffice,
+  updateOccupancy,
+  reconcileOccupancy,
+  getOfficeQueue,
+  cancelQueueEntry,
+  deleteOffice
+};
@@ -0,0 +1,139 @@
+const { Joi, objectId, idParams, pagination } = require('./common');
+
+const createServiceCard = {
+  body: Joi.object({
+    user: objectId().required().description('User ID'),
+    company: objectId().required().description('Company ID'),
+    position: Joi.string().trim().required().description('Employee position/title'),
+    expireAt: Joi.date().iso().greater('now').description('Expiration date (optional, defaults to 1 year from issue date)')
+  }).meta({ className: 'ServiceCardCreate' })
+};
+
+const getAllServiceCards = {
+  query: Joi.object({
+    ...pagination,
+    user: objectId(),
+    company: objectId(),
+    isActive: Joi.boolean(),
+    status: Joi.string().valid('active', 'suspended', 'expired', 'revoked'),
+    position: Joi.string().trim(),
+    includeDeleted: Joi.boolean().default(false)
+  })
+};
+
+const getServiceCardsByUser = {
+  params: Joi.object({
+    userId: objectId().required()
+  }),
+  query: Joi.object({
+    isActive: Joi.boolean(),
+    status: Joi.string().valid('active', 'suspended', 'expired', 'revoked'),
+    includeDeleted: Joi.boolean().default(false)
+  })
+};
+
+const getServiceCardsByCompany = {
+  params: Joi.object({
+    companyId: objectId().required()
+  }),
+  query: Joi.object({
+    isActive: Joi.boolean(),
+    status: Joi.string().valid('active', 'suspended', 'expired', 'revoked'),
+    position: Joi.string().trim(),
+    includeDeleted: Joi.boolean().default(false)
+  })
+};
+
+const getExpiringServiceCards = {
+  query: Joi.object({
+    days: Joi.number().integer().min(1).max(365).default(30).description('Days ahead to look for expirations'),
+    company: objectId().description('Company ID (platform admins)')
+  })
+};
+
+const getServiceCardById = {
+  params: idParams
+};
+
+const checkServiceCardValidity = {
+  params: idParams
+};
+
+// Card numbers change on renewal and statuses through the lifecycle routes
+const updateServiceCard = {
+  params: idParams,
+  body: Joi.object({
+    position: Joi.string().trim().description('Employee position/title'),
+    expireAt: Joi.date().iso().description('Expiration date')
+  }).min(1).meta({ className: 'ServiceCardUpdate' })
+};
+
+const toggleServiceCardStatus = {
+  params: idParams
+};
+
+const reason = () => Joi.string().trim().max(500);
+
+const renewServiceCard = {
+  params: idParams,
+  body: Joi.object({
+    expireAt: Joi.date().iso().greater('now').required().description('New expiration date'),
+    newCardNumber: Joi.boolean().default(false).description('Give the card a new card number'),
+    reason: reason().description('Why the card is renewed')
+  }).meta({ className: 'ServiceCardRenewal' })
+};
+
+const suspendServiceCard = {
+  params: idParams,
+  body: Joi.object({
+    reason: reason().required().description('Why the card is suspended')
+  }).meta({ className: 'ServiceCardSuspension' })
+};
+
+const reinstateServiceCard = {
+  params: idParams,
+  body: Joi.object({
+    reason: reason().description('Why the card is reinstated')
+  }).meta({ className: 'ServiceCardReinstatement' })
+};
+
+const revokeServiceCard = {
+  params: idParams,
+  body: Joi.object({
+    reason: reason().required().description('Why the card is revoked')
+  }).meta({ className: 'ServiceCardRevocation' })
+};
+
+const reportServiceCard = {
+  params: idParams,
+  body: Joi.object({
+    kind: Joi.string().valid('lost', 'stolen').required().description('Whether the card was lost or stolen'),
+    reason: reason().description('Circumstances of the loss or theft'),
+    expireAt: Joi.date().iso().greater('now').description('Expiration date of the replacement (defaults to that of the lost card, or 1 year for an expired card)')
+  }).meta({ className: 'ServiceCardReport' })
+};
+
+const deleteServiceCard = {
+  params: idParams,
+  query: Joi.object({
+    reason: reason()
+  })
+};
+
+module.exports = {
+  createServiceCard,
+  getAllServiceCards,
+  getServiceCardsByUser,
+  getServiceCardsByCompany,
+  getExpiringServiceCards,
+  getServiceCardById,
+  checkServiceCardValidity,
+  updateServiceCard,
+  toggleServiceCardStatus,
+  renewServiceCard,
+  suspendServiceCard,
+  reinstateServiceCard,
+  revokeServiceCard,
+  reportServiceCard,
+  deleteServiceCard
+};
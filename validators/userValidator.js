@@ -0,0 +1,173 @@
+const { Joi, objectId, idParams, pagination } = require('./common');
+
+const civility = Joi.string().valid('mr', 'mrs', 'ms');
+
+const totpCode = Joi.string()
+  .trim()
+  .pattern(/^[0-9]{6}$/, 'code')
+  .messages({ 'string.pattern.name': '{{#label}} must be a 6-digit code' })
+  .description('Code from the authenticator app');
+
+// Either a TOTP code or one of the backup codes
+const secondFactor = {
+  code: totpCode,
+  backupCode: Joi.string().trim().max(20).description('Unused backup recovery code')
+};
+
+const registerUser = {
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().email().required(),
+    password: Joi.string().min(6).required(),
+    firstName: Joi.string().trim(),
+    lastName: Joi.string().trim(),
+    phone: Joi.string().trim(),
+    civility,
+    device: Joi.string().trim().max(100).description('Device name shown in the session list')
+  }).meta({ className: 'UserRegister' })
+};
+
+const loginUser = {
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().email().required(),
+    password: Joi.string().required(),
+    device: Joi.string().trim().max(100).description('Device name shown in the session list')
+  }).meta({ className: 'UserLogin' })
+};
+
+const verifyLoginTwoFactor = {
+  body: Joi.object({
+    challengeToken: Joi.string().required().description('Challenge token returned by login'),
+    ...secondFactor,
+    device: Joi.string().trim().max(100).description('Device name shown in the session list')
+  }).xor('code', 'backupCode').meta({ className: 'TwoFactorLogin' })
+};
+
+const enableTwoFactor = {
+  body: Joi.object({
+    code: totpCode.required()
+  }).meta({ className: 'TwoFactorEnable' })
+};
+
+const twoFactorCode = Joi.object(secondFactor).xor('code', 'backupCode').meta({ className: 'TwoFactorCode' });
+
+const verifyTwoFactor = {
+  body: twoFactorCode
+};
+
+const regenerateBackupCodes = {
+  body: twoFactorCode
+};
+
+const disableTwoFactor = {
+  body: twoFactorCode
+};
+
+const resetTwoFactor = {
+  params: idParams
+};
+
+const getAllUsers = {
+  query: Joi.object({
+    ...pagination,
+    status: Joi.string().valid('available', 'unavailable'),
+    admin: Joi.boolean()
+  })
+};
+
+const getUserById = {
+  params: idParams
+};
+
+// Role, token, employer and card fields are managed by their own endpoints
+const updateUser = {
+  params: idParams,
+  body: Joi.object({
+    firstName: Joi.string().trim(),
+    lastName: Joi.string().trim(),
+    phone: Joi.string().trim().allow(null),
+    civility: civility.allow(null),
+    status: Joi.string().valid('available', 'unavailable'),
+    imageUrl: Joi.string().uri().allow(null),
+    countryCode: Joi.string().trim().allow(null),
+    languageCode: Joi.string().trim(),
+    password: Joi.string().min(6),
+    visitDelegates: Joi.array().items(objectId()).unique().max(10).description('Colleagues who may approve visits to this user on their behalf')
+  }).min(1).meta({ className: 'UserUpdate' })
+};
+
+const updateNotificationPreferences = {
+  body: Joi.object({
+    channels: Joi.array().items(Joi.string().valid('push', 'email', 'sms', 'webhook')).unique().description('Channels to be notified on'),
+    mutedEvents: Joi.array().items(Joi.string().valid('visit_requested', 'visit_accepted', 'visit_cancelled', 'visitor_arrived', 'visitor_left', 'service_card_expiring', 'service_card_expired')).unique().description('Events not to be notified of'),
+    webhookUrl: Joi.string().uri({ scheme: ['https', 'http'] }).allow(null).description('URL notifications are posted to (webhook channel)'),
+    playerId: Joi.string().trim().max(100).allow(null).description('Push notification device ID (OneSignal player ID)')
+  }).min(1).meta({ className: 'NotificationPreferencesUpdate' })
+};
+
+const deleteUser = {
+  params: idParams
+};
+
+const unlockUser = {
+  params: idParams
+};
+
+const refreshSession = {
+  body: Joi.object({
+    refreshToken: Joi.string().required().description('Refresh token returned by login, register or a previous refresh')
+  }).meta({ className: 'SessionRefresh' })
+};
+
+const forgotPassword = {
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().email().required()
+  }).meta({ className: 'ForgotPassword' })
+};
+
+const resetPassword = {
+  body: Joi.object({
+    token: Joi.string().trim().required().description('Token from the password reset email'),
+    password: Joi.string().min(6).required().description('New password')
+  }).meta({ className: 'ResetPassword' })
+};
+
+const verifyEmail = {
+  body: Joi.object({
+    token: Joi.string().trim().required().description('Token from the verification email')
+  }).meta({ className: 'VerifyEmail' })
+};
+
+const resendVerification = {
+  body: Joi.object({
+    email: Joi.string().trim().lowercase().email().required()
+  }).meta({ className: 'ResendVerification' })
+};
+
+const revokeSession = {
+  params: Joi.object({
+    sessionId: objectId().required()
+  })
+};
+
+module.exports = {
+  registerUser,
+  loginUser,
+  verifyLoginTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateBackupCodes,
+  disableTwoFactor,
+  resetTwoFactor,
+  getAllUsers,
+  getUserById,
+  updateUser,
+  updateNotificationPreferences,
+  deleteUser,
+  unlockUser,
+  refreshSession,
+  revokeSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification
+};
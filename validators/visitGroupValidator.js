@@ -0,0 +1,78 @@
+const { Joi, objectId, idParams, pagination } = require('./common');
+const visitValidator = require('./visitValidator');
+
+const status = Joi.string().valid('pending', 'accepted', 'rejected', 'expired', 'cancelled');
+
+// An existing user, or contact details of a guest to invite
+const attendee = Joi.object({
+  visitor: objectId().description('Existing visitor user ID'),
+  email: Joi.string().trim().lowercase().email().description('Guest email, the invitation is sent there'),
+  phone: Joi.string().trim().pattern(/^\+?[0-9\s\-().]{6,20}$/).description('Guest phone number, the invitation is texted there'),
+  firstName: Joi.string().trim(),
+  lastName: Joi.string().trim(),
+  civility: Joi.string().valid('mr', 'mrs', 'ms')
+}).or('visitor', 'email', 'phone').oxor('visitor', 'email').oxor('visitor', 'phone');
+
+const attendees = Joi.array().items(attendee).min(1).max(100);
+
+const createGroup = {
+  body: Joi.object({
+    name: Joi.string().trim().required().description('Name of the group (e.g. the delegation)'),
+    employee: objectId().description('Host employee user ID (defaults to the caller)'),
+    expectedClockIn: Joi.date().iso().required().description('Expected arrival time'),
+    reason: Joi.string().trim().required().description('Purpose of the visit'),
+    comment: Joi.string().trim().allow('', null).description('Additional comments'),
+    office: objectId().allow(null).description('Office ID (optional)'),
+    attendees: attendees.required().description('Existing users (visitor) or guests to invite (email and/or phone)')
+  }).meta({ className: 'VisitGroupCreate' })
+};
+
+const getAllGroups = {
+  query: Joi.object({
+    ...pagination,
+    employee: objectId(),
+    office: objectId(),
+    status
+  })
+};
+
+const getGroupById = {
+  params: idParams
+};
+
+const getGroupReport = {
+  params: idParams
+};
+
+const addAttendees = {
+  params: idParams,
+  body: Joi.object({
+    attendees: attendees.required().description('Existing users (visitor) or guests to invite (email and/or phone)')
+  }).meta({ className: 'VisitGroupAttendees' })
+};
+
+const acceptGroup = {
+  params: idParams,
+  body: visitValidator.acceptVisit.body
+};
+
+const rejectGroup = {
+  params: idParams,
+  body: visitValidator.rejectVisit.body
+};
+
+const cancelGroup = {
+  params: idParams,
+  body: visitValidator.cancelVisit.body
+};
+
+module.exports = {
+  createGroup,
+  getAllGroups,
+  getGroupById,
+  getGroupReport,
+  addAttendees,
+  acceptGroup,
+  rejectGroup,
+  cancelGroup
+};
@@ -0,0 +1,78 @@
+const { Joi, objectId, idParams, pagination } = require('./common');
+const visitValidator = require('./visitValidator');
+const { MAX_OCCURRENCES } = require('../services/recurrence');
+
+const status = Joi.string().valid('pending', 'accepted', 'rejected', 'expired', 'cancelled');
+
+const recurrence = Joi.object({
+  freq: Joi.string().valid('daily', 'weekly', 'monthly').required().description('How often the visit recurs'),
+  interval: Joi.number().integer().min(1).max(52).default(1).description('Every how many days, weeks or months'),
+  byDay: Joi.array().items(Joi.number().integer().min(0).max(6)).unique().description('Weekdays of weekly series, 0 is Sunday (the weekday of startAt when omitted)'),
+  until: Joi.date().iso().description('Last possible occurrence time'),
+  count: Joi.number().integer().min(1).max(MAX_OCCURRENCES).description('Number of occurrences, including skipped ones')
+}).or('until', 'count');
+
+const seriesFields = {
+  reason: Joi.string().trim().description('Purpose of the visits'),
+  comment: Joi.string().trim().allow('', null).description('Additional comments'),
+  startAt: Joi.date().iso().description('Expected arrival of the first occurrence; its time of day applies to all of them'),
+  recurrence: recurrence.description('RRULE-style recurrence, ending at until or after count occurrences'),
+  exceptions: Joi.array().items(Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/, 'date')).unique().description('Days (YYYY-MM-DD, in the series time zone) to skip')
+};
+
+const createSeries = {
+  body: Joi.object({
+    ...seriesFields,
+    visitor: objectId().required().description('Visitor user ID'),
+    employee: objectId().required().description('Employee user ID'),
+    office: objectId().allow(null).description('Office ID (optional)'),
+    timezone: Joi.string().trim().description('IANA time zone the recurrence is computed in (default UTC)'),
+    reason: seriesFields.reason.required(),
+    startAt: seriesFields.startAt.required(),
+    recurrence: seriesFields.recurrence.required()
+  }).meta({ className: 'VisitSeriesCreate' })
+};
+
+const getAllSeries = {
+  query: Joi.object({
+    ...pagination,
+    visitor: objectId(),
+    employee: objectId(),
+    status
+  })
+};
+
+const getSeriesById = {
+  params: idParams
+};
+
+// Affects the upcoming occurrences not edited or decided on their own
+const updateSeries = {
+  params: idParams,
+  body: Joi.object(seriesFields).min(1).meta({ className: 'VisitSeriesUpdate' })
+};
+
+const acceptSeries = {
+  params: idParams,
+  body: visitValidator.acceptVisit.body
+};
+
+const rejectSeries = {
+  params: idParams,
+  body: visitValidator.rejectVisit.body
+};
+
+const cancelSeries = {
+  params: idParams,
+  body: visitValidator.cancelVisit.body
+};
+
+module.exports = {
+  createSeries,
+  getAllSeries,
+  getSeriesById,
+  updateSeries,
+  acceptSeries,
+  rejectSeries,
+  cancelSeries
+};
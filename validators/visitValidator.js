@@ -0,0 +1,176 @@
+const { Joi, objectId, idParams, pagination, agreementSignatures } = require('./common');
+
+const status = Joi.string().valid('pending', 'accepted', 'rejected', 'expired', 'cancelled', 'in_progress', 'completed', 'no_show');
+
+const createVisit = {
+  body: Joi.object({
+    visitor: objectId().required().description('Visitor user ID'),
+    employee: objectId().required().description('Employee user ID'),
+    expectedClockIn: Joi.date().iso().required().description('Expected arrival time'),
+    reason: Joi.string().trim().required().description('Purpose of the visit'),
+    comment: Joi.string().trim().allow('', null).description('Additional comments'),
+    office: objectId().allow(null).description('Office ID (optional)')
+  }).meta({ className: 'VisitCreate' })
+};
+
+// The visitor is matched to an existing user by email or phone, or created
+// as a guest
+const inviteVisitor = {
+  body: Joi.object({
+    visitor: Joi.object({
+      email: Joi.string().trim().lowercase().email().description('Visitor email, the invitation is sent there'),
+      phone: Joi.string().trim().pattern(/^\+?[0-9\s\-().]{6,20}$/).description('Visitor phone number, the invitation is texted there'),
+      firstName: Joi.string().trim(),
+      lastName: Joi.string().trim(),
+      civility: Joi.string().valid('mr', 'mrs', 'ms')
+    }).or('email', 'phone').required(),
+    employee: objectId().description('Host employee user ID (defaults to the caller)'),
+    expectedClockIn: Joi.date().iso().required().description('Expected arrival time'),
+    reason: Joi.string().trim().required().description('Purpose of the visit'),
+    comment: Joi.string().trim().allow('', null).description('Additional comments'),
+    office: objectId().allow(null).description('Office ID (optional)')
+  }).meta({ className: 'VisitInvite' })
+};
+
+const resendInvitation = {
+  params: idParams
+};
+
+const checkInWithCode = {
+  body: Joi.object({
+    code: Joi.string().trim().required().description('Entry code read from the visitor QR code or link'),
+    agreements: agreementSignatures().description('Agreements signed at check-in')
+  }).meta({ className: 'VisitCheckIn' })
+};
+
+const getAllVisits = {
+  query: Joi.object({
+    ...pagination,
+    visitor: objectId(),
+    employee: objectId(),
+    status,
+    office: objectId(),
+    group: objectId(),
+    series: objectId(),
+    needsReview: Joi.boolean()
+  })
+};
+
+const getVisitsByStatus = {
+  params: Joi.object({
+    status: status.required()
+  }),
+  query: Joi.object(pagination)
+};
+
+const getVisitById = {
+  params: idParams
+};
+
+const getVisitHistory = {
+  params: idParams
+};
+
+const reviewVisit = {
+  params: idParams,
+  body: Joi.object({
+    clockOut: Joi.date().iso().max('now').description('Corrected clock-out time, for visitors clocked out automatically'),
+    comment: Joi.string().trim().max(500).allow('', null).description('Note recorded with the review')
+  }).meta({ className: 'VisitReview' })
+};
+
+// Status and clock times only change through the accept/cancel/clock endpoints
+const updateVisit = {
+  params: idParams,
+  body: Joi.object({
+    expectedClockIn: Joi.date().iso().description('Expected arrival time'),
+    reason: Joi.string().trim().description('Purpose of the visit'),
+    comment: Joi.string().trim().allow('', null).description('Additional comments'),
+    office: objectId().allow(null).description('Office ID')
+  }).min(1).meta({ className: 'VisitUpdate' })
+};
+
+const acceptVisit = {
+  params: idParams,
+  body: Joi.object({
+    comment: Joi.string().trim().max(500).description('Note recorded with the approval')
+  }).meta({ className: 'VisitApprove' })
+};
+
+const rejectVisit = {
+  params: idParams,
+  body: Joi.object({
+    reason: Joi.string().trim().max(500).required().description('Why the visit is rejected, shown to the visitor and the host'),
+    comment: Joi.string().trim().max(500).description('Internal note recorded with the decision')
+  }).meta({ className: 'VisitReject' })
+};
+
+const cancelVisit = {
+  params: idParams,
+  body: Joi.object({
+    reason: Joi.string().trim().description('Cancellation reason')
+  }).meta({ className: 'VisitCancel' })
+};
+
+const clockInVisitor = {
+  params: idParams,
+  body: Joi.object({
+    agreements: agreementSignatures().description('Agreements signed at check-in')
+  }).meta({ className: 'VisitClockIn' })
+};
+
+const getVisitAgreements = {
+  params: idParams
+};
+
+const signAgreements = {
+  params: idParams,
+  body: Joi.object({
+    agreements: agreementSignatures().required()
+  }).meta({ className: 'VisitAgreementsSign' })
+};
+
+const getVisitBadge = {
+  params: idParams,
+  query: Joi.object({
+    size: Joi.string().valid('a6', 'label_62x100', 'label_54x86', 'label_102x76').description('Defaults to the company badge template size'),
+    format: Joi.string().valid('pdf', 'zpl').default('pdf').description('PDF, or ZPL for Zebra label printers')
+  })
+};
+
+const verifyBadge = {
+  body: Joi.object({
+    code: Joi.string().trim().required().description('Badge code read from the badge QR code')
+  }).meta({ className: 'VisitBadgeVerify' })
+};
+
+const clockOutVisitor = {
+  params: idParams
+};
+
+const deleteVisit = {
+  params: idParams
+};
+
+module.exports = {
+  createVisit,
+  inviteVisitor,
+  resendInvitation,
+  checkInWithCode,
+  getAllVisits,
+  getVisitsByStatus,
+  getVisitById,
+  getVisitHistory,
+  reviewVisit,
+  updateVisit,
+  acceptVisit,
+  rejectVisit,
+  cancelVisit,
+  clockInVisitor,
+  getVisitAgreements,
+  signAgreements,
+  getVisitBadge,
+  verifyBadge,
+  clockOutVisitor,
+  deleteVisit
+};
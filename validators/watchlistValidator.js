@@ -0,0 +1,65 @@
+const { Joi, objectId, idParams, pagination } = require('./common');
+
+const action = Joi.string().valid('block', 'flag');
+
+const entryFields = {
+  user: objectId().allow(null).description('Watched user account'),
+  email: Joi.string().trim().lowercase().email().allow(null).description('Email address, matched exactly'),
+  phone: Joi.string().trim().pattern(/^\+?[0-9\s\-().]{6,20}$/).allow(null).description('Phone number, matched without spaces, dashes, dots or parentheses'),
+  name: Joi.string().trim().min(3).allow(null).description('Full name, matched approximately (accents, case and word order are ignored)'),
+  action: action.description('block refuses bookings and clock-ins, flag lets them go ahead but marks the visit for security review'),
+  reason: Joi.string().trim().description('Why the person is on the watchlist'),
+  expiresAt: Joi.date().iso().allow(null).description('When the entry stops applying (never when empty)'),
+  active: Joi.boolean().description('Whether visitors are screened against the entry')
+};
+
+const createEntry = {
+  body: Joi.object({
+    ...entryFields,
+    company: objectId().required().description('Company whose visits are screened against the entry'),
+    reason: entryFields.reason.required()
+  }).or('user', 'email', 'phone', 'name').meta({ className: 'WatchlistEntryCreate' })
+};
+
+const getEntries = {
+  query: Joi.object({
+    ...pagination,
+    company: objectId(),
+    action,
+    active: Joi.boolean()
+  })
+};
+
+const getEntryById = {
+  params: idParams
+};
+
+const updateEntry = {
+  params: idParams,
+  body: Joi.object(entryFields).min(1).meta({ className: 'WatchlistEntryUpdate' })
+};
+
+const deleteEntry = {
+  params: idParams
+};
+
+const getScreenings = {
+  query: Joi.object({
+    ...pagination,
+    company: objectId(),
+    visitor: objectId(),
+    visit: objectId(),
+    entry: objectId(),
+    stage: Joi.string().valid('booking', 'clock_in'),
+    outcome: Joi.string().valid('clear', 'flagged', 'blocked')
+  })
+};
+
+module.exports = {
+  createEntry,
+  getEntries,
+  getEntryById,
+  updateEntry,
+  deleteEntry,
+  getScreenings
+};
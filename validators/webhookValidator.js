@@ -0,0 +1,91 @@
+const { Joi, objectId, idParams, pagination } = require('./common');
+
+const event = Joi.string().valid(
+  'visit.created',
+  'visit.checked_in',
+  'visit.checked_out',
+  'attendance.clocked_in',
+  'attendance.clocked_out',
+  'service_card.created',
+  'service_card.renewed',
+  'service_card.deactivated',
+  'service_card.reinstated',
+  'service_card.expired'
+);
+
+const webhookFields = {
+  url: Joi.string().trim().uri({ scheme: ['https', 'http'] }).description('Endpoint receiving the events as JSON POST requests'),
+  events: Joi.array().items(event).unique().min(1).description('Events delivered to the endpoint'),
+  description: Joi.string().trim().allow(null, '').description('What the endpoint is for'),
+  active: Joi.boolean().description('Whether events are delivered to the endpoint')
+};
+
+const createWebhook = {
+  body: Joi.object({
+    ...webhookFields,
+    company: objectId().required().description('Company whose events are delivered'),
+    url: webhookFields.url.required(),
+    events: webhookFields.events.required()
+  }).meta({ className: 'WebhookSubscriptionCreate' })
+};
+
+const getWebhooks = {
+  query: Joi.object({
+    ...pagination,
+    company: objectId(),
+    active: Joi.boolean()
+  })
+};
+
+const getWebhookById = {
+  params: idParams
+};
+
+const updateWebhook = {
+  params: idParams,
+  body: Joi.object(webhookFields).min(1).meta({ className: 'WebhookSubscriptionUpdate' })
+};
+
+const deleteWebhook = {
+  params: idParams
+};
+
+const rotateSecret = {
+  params: idParams
+};
+
+const pingWebhook = {
+  params: idParams
+};
+
+const getDeliveries = {
+  query: Joi.object({
+    ...pagination,
+    company: objectId(),
+    webhook: objectId(),
+    event: Joi.alternatives().try(event, Joi.string().valid('ping')),
+    status: Joi.string().valid('pending', 'succeeded', 'failed'),
+    eventId: Joi.string().trim()
+  })
+};
+
+const getDeliveryById = {
+  params: idParams
+};
+
+const redeliver = {
+  params: idParams
+};
+
+module.exports = {
+  createWebhook,
+  getWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  rotateSecret,
+  pingWebhook,
+  getDeliveries,
+  getDeliveryById,
+  redeliver
+};